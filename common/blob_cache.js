@@ -0,0 +1,304 @@
+// File: common/blob_cache.js
+// Persistent, content-addressed cache of raw blob payloads in IndexedDB.
+// Blob SHAs identify immutable content, so entries never go stale; they are only evicted
+// (least recently used first) when the cache grows past its size cap.
+
+const DB_NAME = 'github-ai-context-builder';
+const DB_VERSION = 1;
+const BLOB_STORE = 'blobs'; // { sha, content, encoding }
+const META_STORE = 'blobMeta'; // { sha, size, lastAccessed } - kept separate so eviction never loads content
+const LAST_ACCESSED_INDEX = 'lastAccessed';
+const DEFAULT_MAX_CACHE_BYTES = 100 * 1024 * 1024;
+
+// --- Cache State ---
+let dbPromise = null;
+let cacheEnabled = true;
+let maxCacheBytes = DEFAULT_MAX_CACHE_BYTES;
+let totalCacheBytes = 0; // Valid once totalCacheBytesLoaded resolves; then tracked incrementally
+let totalCacheBytesLoaded = null; // Promise of the one-time sum of META_STORE (see loadTotalCacheBytes)
+const sessionStats = { hits: 0, misses: 0 };
+
+// --- Private Helper Functions ---
+
+/**
+ * Wraps an IDBRequest in a promise.
+ * @param {IDBRequest} request - The request to wait for.
+ * @returns {Promise<any>} Resolves with the request result.
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolves when a transaction completes.
+ * @param {IDBTransaction} transaction - The transaction to wait for.
+ * @returns {Promise<void>}
+ */
+function promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error("IndexedDB transaction aborted."));
+    });
+}
+
+/**
+ * Opens (and on first use, creates) the cache database. The connection is shared per context.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(BLOB_STORE)) {
+                    db.createObjectStore(BLOB_STORE, { keyPath: 'sha' });
+                }
+                if (!db.objectStoreNames.contains(META_STORE)) {
+                    const metaStore = db.createObjectStore(META_STORE, { keyPath: 'sha' });
+                    metaStore.createIndex(LAST_ACCESSED_INDEX, LAST_ACCESSED_INDEX);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            dbPromise = null; // Allow a later retry
+            throw error;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Sums the sizes of all cached entries.
+ * @param {IDBDatabase} db - The open database.
+ * @returns {Promise<{entryCount: number, totalBytes: number}>}
+ */
+async function computeCacheUsage(db) {
+    const metaEntries = await promisifyRequest(db.transaction(META_STORE, 'readonly').objectStore(META_STORE).getAll());
+    const totalBytes = metaEntries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    return { entryCount: metaEntries.length, totalBytes };
+}
+
+/**
+ * Loads the tracked cache size once. Concurrent writers share the same promise, so a second sum can never
+ * overwrite the increments made after the first one. A failed sum is retried by the next caller.
+ * @param {IDBDatabase} db - The open database.
+ * @returns {Promise<void>}
+ */
+function loadTotalCacheBytes(db) {
+    if (!totalCacheBytesLoaded) {
+        totalCacheBytesLoaded = computeCacheUsage(db)
+            .then(usage => { totalCacheBytes = usage.totalBytes; })
+            .catch(error => {
+                totalCacheBytesLoaded = null;
+                throw error;
+            });
+    }
+    return totalCacheBytesLoaded;
+}
+
+/**
+ * Evicts least recently used entries until the cache fits within maxCacheBytes.
+ * @param {IDBDatabase} db - The open database.
+ * @returns {Promise<void>}
+ */
+async function enforceSizeLimit(db) {
+    await loadTotalCacheBytes(db);
+    if (totalCacheBytes <= maxCacheBytes) {
+        return;
+    }
+
+    const transaction = db.transaction([META_STORE, BLOB_STORE], 'readwrite');
+    const metaStore = transaction.objectStore(META_STORE);
+    const blobStore = transaction.objectStore(BLOB_STORE);
+    let evictedCount = 0;
+
+    await new Promise((resolve, reject) => {
+        const cursorRequest = metaStore.index(LAST_ACCESSED_INDEX).openCursor(); // Oldest access first
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor || totalCacheBytes <= maxCacheBytes) {
+                resolve();
+                return;
+            }
+            totalCacheBytes -= cursor.value.size || 0;
+            blobStore.delete(cursor.value.sha);
+            cursor.delete();
+            evictedCount++;
+            cursor.continue();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+    await promisifyTransaction(transaction);
+    console.log(`[Blob Cache] Evicted ${evictedCount} least recently used blob(s). Cache size now ${totalCacheBytes} bytes.`);
+}
+
+// --- Public API ---
+
+/**
+ * Configures the cache. Lowering the size cap evicts entries on the next write.
+ * @param {object} config - Configuration object.
+ * @param {boolean} [config.enabled] - Whether lookups and writes are performed at all.
+ * @param {number} [config.maxBytes] - The size cap in bytes.
+ */
+function configureBlobCache({ enabled, maxBytes } = {}) {
+    if (typeof enabled === 'boolean') {
+        cacheEnabled = enabled;
+    }
+    if (typeof maxBytes === 'number' && maxBytes > 0) {
+        maxCacheBytes = maxBytes;
+    }
+}
+
+/**
+ * Looks up a cached blob and marks it as recently used. Counts a hit or miss for the session stats.
+ * Never throws: cache failures are logged and reported as a miss.
+ * @param {string} sha - The blob SHA.
+ * @returns {Promise<{sha: string, content: string, encoding: string} | null>} The cached blob payload, or null.
+ */
+async function getCachedBlob(sha) {
+    if (!cacheEnabled) {
+        return null;
+    }
+    try {
+        const db = await openDatabase();
+        const transaction = db.transaction([BLOB_STORE, META_STORE], 'readwrite');
+        const blob = await promisifyRequest(transaction.objectStore(BLOB_STORE).get(sha));
+        if (!blob) {
+            sessionStats.misses++;
+            return null;
+        }
+        const metaStore = transaction.objectStore(META_STORE);
+        const meta = await promisifyRequest(metaStore.get(sha));
+        metaStore.put({ sha, size: meta?.size ?? blob.content.length, lastAccessed: Date.now() });
+        await promisifyTransaction(transaction);
+        sessionStats.hits++;
+        return blob;
+    } catch (error) {
+        console.error(`[Blob Cache] Failed to read blob ${sha} from cache:`, error);
+        sessionStats.misses++;
+        return null;
+    }
+}
+
+/**
+ * Finds which blobs are not cached, without marking any as used or counting hits and misses
+ * (e.g., to work out how many requests a copy will make before it starts).
+ * Never throws: if the cache cannot be read, every blob is reported as not cached.
+ * @param {Array<string>} shas - The blob SHAs.
+ * @returns {Promise<Set<string>>} The SHAs that would have to be fetched.
+ */
+async function findUncachedBlobs(shas) {
+    const uniqueShas = new Set(shas);
+    if (!cacheEnabled || uniqueShas.size === 0) {
+        return uniqueShas;
+    }
+    try {
+        const db = await openDatabase();
+        const blobStore = db.transaction(BLOB_STORE, 'readonly').objectStore(BLOB_STORE);
+        const cachedKeys = await Promise.all([...uniqueShas].map(sha => promisifyRequest(blobStore.getKey(sha))));
+        return new Set([...uniqueShas].filter((sha, index) => cachedKeys[index] === undefined));
+    } catch (error) {
+        console.error("[Blob Cache] Failed to look up cached blobs:", error);
+        return uniqueShas;
+    }
+}
+
+/**
+ * Stores a blob payload in the cache and evicts old entries if the cap is exceeded.
+ * Never throws: cache failures are logged and ignored.
+ * @param {string} sha - The blob SHA.
+ * @param {{content: string, encoding: string}} blobData - The raw payload as returned by the blobs API.
+ * @returns {Promise<void>}
+ */
+async function putCachedBlob(sha, blobData) {
+    if (!cacheEnabled) {
+        return;
+    }
+    try {
+        const size = blobData.content.length;
+        if (size > maxCacheBytes) {
+            return; // Would evict everything else and still not fit
+        }
+        const db = await openDatabase();
+        await loadTotalCacheBytes(db);
+        const transaction = db.transaction([BLOB_STORE, META_STORE], 'readwrite');
+        const metaStore = transaction.objectStore(META_STORE);
+        const existingMeta = await promisifyRequest(metaStore.get(sha));
+        transaction.objectStore(BLOB_STORE).put({ sha, content: blobData.content, encoding: blobData.encoding });
+        metaStore.put({ sha, size, lastAccessed: Date.now() });
+        await promisifyTransaction(transaction);
+        totalCacheBytes += size - (existingMeta?.size || 0);
+        await enforceSizeLimit(db);
+    } catch (error) {
+        console.error(`[Blob Cache] Failed to write blob ${sha} to cache:`, error);
+    }
+}
+
+/**
+ * Removes every cached blob.
+ * @returns {Promise<boolean>} Resolves with true if successful, false otherwise.
+ */
+async function clearBlobCache() {
+    try {
+        const db = await openDatabase();
+        const transaction = db.transaction([BLOB_STORE, META_STORE], 'readwrite');
+        transaction.objectStore(BLOB_STORE).clear();
+        transaction.objectStore(META_STORE).clear();
+        await promisifyTransaction(transaction);
+        totalCacheBytes = 0;
+        totalCacheBytesLoaded = Promise.resolve();
+        console.log("[Blob Cache] Cache cleared.");
+        return true;
+    } catch (error) {
+        console.error("[Blob Cache] Failed to clear cache:", error);
+        return false;
+    }
+}
+
+/**
+ * Reports how many blobs are cached and how much space they use.
+ * @returns {Promise<{entryCount: number, totalBytes: number} | null>} Usage, or null if the cache cannot be read.
+ */
+async function getBlobCacheUsage() {
+    try {
+        const db = await openDatabase();
+        return await computeCacheUsage(db); // Reported only: overwriting the tracked size could drop a concurrent writer's increment
+    } catch (error) {
+        console.error("[Blob Cache] Failed to read cache usage:", error);
+        return null;
+    }
+}
+
+/**
+ * Gets the hit/miss counters since the last reset.
+ * @returns {{hits: number, misses: number}}
+ */
+function getCacheSessionStats() {
+    return { ...sessionStats };
+}
+
+/**
+ * Resets the hit/miss counters (e.g., at the start of a copy).
+ */
+function resetCacheSessionStats() {
+    sessionStats.hits = 0;
+    sessionStats.misses = 0;
+}
+
+export {
+    DEFAULT_MAX_CACHE_BYTES,
+    configureBlobCache,
+    getCachedBlob,
+    findUncachedBlobs,
+    putCachedBlob,
+    clearBlobCache,
+    getBlobCacheUsage,
+    getCacheSessionStats,
+    resetCacheSessionStats
+};
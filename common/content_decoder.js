@@ -0,0 +1,177 @@
+// File: common/content_decoder.js
+// Turns raw base64 blob payloads into text, detecting the text encoding and recognising binary files
+// and Git LFS pointer stubs.
+
+const BINARY_SNIFF_BYTES = 8000; // Same window Git uses for its NUL-byte binary check
+const MAX_CONTROL_CHAR_RATIO = 0.1; // Fallback threshold for content that is not valid UTF-8
+const MAX_LFS_POINTER_BYTES = 1024; // The LFS spec caps pointer files well below this
+const LFS_POINTER_REGEX = /^version https:\/\/git-lfs\.github\.com\/spec\/v1\n(?:[a-z0-9.-]+ [^\n]*\n)*?oid sha256:([0-9a-f]{64})\n(?:[a-z0-9.-]+ [^\n]*\n)*?size (\d+)\n/;
+
+/**
+ * @typedef {object} FileContentResult
+ * @property {'text' | 'binary' | 'lfs'} type - Whether the content is text, binary, or a Git LFS object that was not included.
+ * @property {string | null} content - The decoded text, or null for binary files and LFS objects.
+ * @property {string | null} encoding - The detected text encoding (e.g., 'utf-8', 'utf-16le'), or null for binary files and LFS objects.
+ * @property {number} size - The content size in bytes (for LFS objects, the size of the real object).
+ * @property {string} [lfsOid] - The SHA-256 object ID, for LFS objects only.
+ */
+
+/**
+ * Converts a base64 string (possibly wrapped with newlines, as the blobs API returns it) into bytes.
+ * @param {string} base64Content - The base64 payload.
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64Content) {
+    const binaryString = atob(base64Content.replace(/\s/g, ''));
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Detects a byte order mark at the start of the content.
+ * @param {Uint8Array} bytes - The file content.
+ * @returns {{encoding: string, length: number} | null} The encoding and BOM length, or null if there is no BOM.
+ */
+function detectByteOrderMark(bytes) {
+    if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return { encoding: 'utf-8', length: 3 };
+    }
+    if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return { encoding: 'utf-16le', length: 2 };
+    }
+    if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return { encoding: 'utf-16be', length: 2 };
+    }
+    return null;
+}
+
+/**
+ * Guesses UTF-16 without a BOM from the pattern of NUL bytes: ASCII-range text in UTF-16
+ * has a NUL in every other byte, on the odd positions for little-endian and the even ones for big-endian.
+ * @param {Uint8Array} sample - The leading bytes of the file.
+ * @returns {string | null} 'utf-16le', 'utf-16be', or null if the pattern does not match.
+ */
+function detectUnmarkedUtf16(sample) {
+    const pairCount = Math.floor(sample.length / 2);
+    if (pairCount < 2) {
+        return null;
+    }
+    let evenNuls = 0;
+    let oddNuls = 0;
+    for (let i = 0; i < pairCount * 2; i += 2) {
+        if (sample[i] === 0) evenNuls++;
+        if (sample[i + 1] === 0) oddNuls++;
+    }
+    if (oddNuls / pairCount > 0.9 && evenNuls === 0) {
+        return 'utf-16le';
+    }
+    if (evenNuls / pairCount > 0.9 && oddNuls === 0) {
+        return 'utf-16be';
+    }
+    return null;
+}
+
+/**
+ * Counts control characters that do not normally appear in text files.
+ * @param {Uint8Array} sample - The bytes to inspect.
+ * @returns {number}
+ */
+function countSuspiciousControlBytes(sample) {
+    let count = 0;
+    for (const byte of sample) {
+        // Allow tab, line feed, form feed, carriage return and escape (ANSI colour codes)
+        if ((byte < 0x20 && byte !== 0x09 && byte !== 0x0A && byte !== 0x0C && byte !== 0x0D && byte !== 0x1B) || byte === 0x7F) {
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * Decodes bytes with the given encoding, throwing on malformed input.
+ * @param {Uint8Array} bytes - The bytes to decode.
+ * @param {string} encoding - A TextDecoder encoding label.
+ * @returns {string}
+ */
+function decodeStrict(bytes, encoding) {
+    return new TextDecoder(encoding, { fatal: true, ignoreBOM: true }).decode(bytes);
+}
+
+/**
+ * Decodes raw file bytes into text, or classifies them as binary.
+ * UTF-8 is tried first; a BOM (or the NUL pattern of unmarked UTF-16) selects UTF-16 instead.
+ * Content containing NUL bytes, or invalid UTF-8 dominated by control characters, is treated as binary.
+ * Other invalid UTF-8 is decoded as Windows-1252 so legacy Latin-1 files still come through readable.
+ * @param {Uint8Array} bytes - The file content.
+ * @returns {FileContentResult}
+ */
+function decodeContentBytes(bytes) {
+    const size = bytes.length;
+    const binaryResult = { type: 'binary', content: null, encoding: null, size };
+
+    if (size === 0) {
+        return { type: 'text', content: '', encoding: 'utf-8', size };
+    }
+
+    const byteOrderMark = detectByteOrderMark(bytes);
+    if (byteOrderMark) {
+        try {
+            return { type: 'text', content: decodeStrict(bytes.subarray(byteOrderMark.length), byteOrderMark.encoding), encoding: byteOrderMark.encoding, size };
+        } catch (error) {
+            return binaryResult; // A BOM followed by undecodable bytes is a binary file that happens to start with those bytes
+        }
+    }
+
+    const sample = bytes.subarray(0, BINARY_SNIFF_BYTES);
+    if (sample.includes(0)) {
+        const utf16Encoding = detectUnmarkedUtf16(sample);
+        if (utf16Encoding) {
+            try {
+                return { type: 'text', content: decodeStrict(bytes, utf16Encoding), encoding: utf16Encoding, size };
+            } catch (error) {
+                // Fall through to binary
+            }
+        }
+        return binaryResult;
+    }
+
+    try {
+        return { type: 'text', content: decodeStrict(bytes, 'utf-8'), encoding: 'utf-8', size };
+    } catch (error) {
+        if (countSuspiciousControlBytes(sample) / sample.length > MAX_CONTROL_CHAR_RATIO) {
+            return binaryResult;
+        }
+        return { type: 'text', content: new TextDecoder('windows-1252').decode(bytes), encoding: 'windows-1252', size };
+    }
+}
+
+/**
+ * Decodes a base64 blob payload from the blobs API. See decodeContentBytes.
+ * @param {string} base64Content - The base64 payload from the blobs API.
+ * @returns {FileContentResult}
+ */
+function decodeBlobContent(base64Content) {
+    return decodeContentBytes(base64ToBytes(base64Content));
+}
+
+/**
+ * Recognises a Git LFS pointer file, which Git stores in place of the real object.
+ * @param {FileContentResult} fileContent - The decoded blob.
+ * @returns {{oid: string, size: number} | null} The object ID and real object size, or null if this is not a pointer.
+ */
+function parseLfsPointer(fileContent) {
+    if (fileContent.type !== 'text' || fileContent.size > MAX_LFS_POINTER_BYTES) {
+        return null;
+    }
+    const match = LFS_POINTER_REGEX.exec(fileContent.content);
+    return match ? { oid: match[1], size: Number.parseInt(match[2], 10) } : null;
+}
+
+export {
+    decodeBlobContent,
+    decodeContentBytes,
+    parseLfsPointer
+};
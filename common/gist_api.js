@@ -0,0 +1,178 @@
+// File: common/gist_api.js
+// Gist implementation of the provider interface (see providers.js): a gist is listed as a small repository
+// whose files sit at the root, and its revisions serve as refs.
+import { getApiBaseUrl, makeApiRequest, fetchRawUrl, ApiAuthError, RateLimitError } from './github_api.js';
+import { decodeContentBytes } from './content_decoder.js';
+
+const GIST_ID_REGEX = /^[0-9a-f]+$/i;
+const RAW_URL_BLOB_SHA_REGEX = /\/raw\/([0-9a-f]{40})\//i; // Raw URLs name the file's blob SHA
+const REVISION_CHOICE_COUNT = 30; // Revisions offered in the ref picker
+
+// --- Module State ---
+const gistFilesBySha = new Map(); // Blob SHA -> gist file (with inline content) from the last listing of each revision
+
+/**
+ * Parses a gist URL: `gist.github.com/<user>/<id>`, optionally followed by a revision SHA.
+ * The user is reported as the owner and the gist ID as the repository.
+ * @param {string} repoUrl - The full URL of the gist page.
+ * @returns {object | null} The same shape as GitHub's parseRepoUrl (with the revision as `ref`), or null if the URL is not a gist.
+ */
+function parseRepoUrl(repoUrl) {
+    try {
+        const url = new URL(repoUrl);
+        const pathParts = url.pathname.split('/').filter(part => part.length > 0);
+
+        if (pathParts.length < 2 || !GIST_ID_REGEX.test(pathParts[1])) {
+            console.error("[Gist API] Could not parse user/gist ID from path:", url.pathname);
+            return null;
+        }
+
+        const revision = pathParts.length > 2 && GIST_ID_REGEX.test(pathParts[2]) ? pathParts[2] : null;
+        return {
+            host: url.hostname.toLowerCase(),
+            owner: pathParts[0],
+            repo: pathParts[1],
+            ref: revision, refPath: null, pathType: null, subPath: '',
+            pullNumber: null, issueNumber: null, compare: null
+        };
+    } catch (error) {
+        console.error("[Gist API] Invalid URL provided for parsing:", repoUrl, error);
+        return null;
+    }
+}
+
+/**
+ * Fetches a gist at a revision, with its files (inline content included) and revision history.
+ * @param {string} gistId - The gist ID.
+ * @param {string | null} revision - The revision SHA, or null for the latest.
+ * @param {string} host - The web host of the gist.
+ * @returns {Promise<object>} The gist from the API.
+ * @throws {Error | ApiAuthError | RateLimitError} If the request fails.
+ */
+async function fetchGist(gistId, revision, host) {
+    const apiBaseUrl = await getApiBaseUrl(host);
+    const url = `${apiBaseUrl}/gists/${gistId}${revision ? `/${revision}` : ''}`;
+    try {
+        const response = await makeApiRequest(url);
+        return await response.json();
+    } catch (error) {
+        // Secret gists of other users and deleted gists both answer 404
+        if (error.status === 404) {
+            throw new ApiAuthError(`${error.message} (Gist not found, or not accessible with the current token)`, 'not_found');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Gets a gist file's blob SHA from its raw URL, falling back to a key made of the revision and file name.
+ * @param {object} file - A file from the gist API.
+ * @param {string} revision - The revision the file was listed at.
+ * @returns {string}
+ */
+function getFileSha(file, revision) {
+    return RAW_URL_BLOB_SHA_REGEX.exec(file.raw_url || '')?.[1] || `${revision}:${file.filename}`;
+}
+
+/**
+ * Gets the latest revision of a gist, which serves as its "default branch".
+ * @param {string} owner - The gist owner.
+ * @param {string} repo - The gist ID.
+ * @param {string} host - The web host of the gist.
+ * @returns {Promise<string>} The latest revision SHA.
+ * @throws {Error | ApiAuthError | RateLimitError} If the request fails.
+ */
+async function getDefaultBranch(owner, repo, host) {
+    const gist = await fetchGist(repo, null, host);
+    if (!gist.history?.[0]?.version) {
+        throw new Error("Could not determine the latest gist revision.");
+    }
+    return gist.history[0].version;
+}
+
+/**
+ * Lists a gist's files at a revision as a flat tree of blobs with their sizes.
+ * @param {string} owner - The gist owner.
+ * @param {string} repo - The gist ID.
+ * @param {string | null} [ref=null] - The revision SHA. Uses the latest revision if null.
+ * @param {string} host - The web host of the gist.
+ * @returns {Promise<{tree: Array<object>, truncated: boolean, ref: string, sha: null}>} The files; `ref` is the revision listed.
+ * @throws {Error | ApiAuthError | RateLimitError} If the request fails.
+ */
+async function getRepoTree(owner, repo, ref = null, host) {
+    try {
+        const gist = await fetchGist(repo, ref, host);
+        const revision = ref || gist.history?.[0]?.version;
+        if (!revision || !gist.files) {
+            throw new Error(`Invalid gist data received from GitHub API for gist ${repo}.`);
+        }
+
+        const tree = Object.values(gist.files).map(file => {
+            const sha = getFileSha(file, revision);
+            gistFilesBySha.set(sha, { ...file, gistId: repo });
+            return { path: file.filename, type: 'blob', sha, size: file.size };
+        });
+        return { tree, truncated: !!gist.truncated, ref: revision, sha: null };
+    } catch (error) {
+        if (!(error instanceof ApiAuthError) && !(error instanceof RateLimitError)) {
+            console.error(`[Gist API] Error fetching files for gist ${repo} (revision: ${ref || 'latest'}):`, error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Gets the content of a gist file listed by getRepoTree. The API includes file content inline;
+ * files too large for that are downloaded from their raw URL.
+ * @param {string} owner - The gist owner.
+ * @param {string} repo - The gist ID.
+ * @param {string} fileSha - The file's SHA as listed in the tree.
+ * @param {string} host - The web host of the gist.
+ * @param {object} [options={}] - Optional request options.
+ * @param {AbortSignal} [options.signal] - Cancels the download (queued or in flight).
+ * @returns {Promise<import('./content_decoder.js').FileContentResult>}
+ * @throws {Error | ApiRequestError | RequestCancelledError} If the file was not listed, or its download fails or is cancelled.
+ */
+async function getFileContentBySha(owner, repo, fileSha, host, options = {}) {
+    const file = gistFilesBySha.get(fileSha);
+    if (!file || file.gistId !== repo) {
+        throw new Error(`File ${fileSha} is not part of the loaded gist. Refresh and try again.`);
+    }
+    if (!file.truncated && typeof file.content === 'string') {
+        return decodeContentBytes(new TextEncoder().encode(file.content));
+    }
+    const response = await fetchRawUrl(file.raw_url, `Download of gist file ${file.filename}`, options);
+    return decodeContentBytes(new Uint8Array(await response.arrayBuffer()));
+}
+
+/**
+ * Lists a gist's revisions for the ref picker. Gists have no branches or tags.
+ * @param {string} owner - The gist owner.
+ * @param {string} repo - The gist ID.
+ * @param {string | null} ref - The revision being viewed (unused; the full history is listed).
+ * @param {string} host - The web host of the gist.
+ * @returns {Promise<{branches: string[], tags: string[], commits: Array<{sha: string, message: string, date: string | null}>, commitsLabel: string}>}
+ * @throws {Error | ApiAuthError | RateLimitError} If the request fails.
+ */
+async function getRefChoices(owner, repo, ref, host) {
+    const gist = await fetchGist(repo, null, host);
+    const revisions = (gist.history || []).slice(0, REVISION_CHOICE_COUNT).map((entry, index) => {
+        const changes = entry.change_status ? ` (+${entry.change_status.additions || 0} -${entry.change_status.deletions || 0})` : '';
+        const author = entry.user?.login ? ` by @${entry.user.login}` : '';
+        const date = entry.committed_at ? `${entry.committed_at.slice(0, 10)} ` : '';
+        return {
+            sha: entry.version,
+            message: `${date}${index === 0 ? 'Latest revision' : 'Revision'}${author}${changes}`,
+            date: entry.committed_at || null
+        };
+    });
+    return { branches: [], tags: [], commits: revisions, commitsLabel: 'Revisions' };
+}
+
+export {
+    parseRepoUrl,
+    getDefaultBranch,
+    getRepoTree,
+    getFileContentBySha,
+    getRefChoices
+};
@@ -0,0 +1,152 @@
+// File: common/gitea_api.js
+// Gitea implementation of the provider interface (see providers.js), for Codeberg and self-hosted Gitea or Forgejo.
+// Gitea's repository, tree and blob endpoints mirror GitHub's, so most requests reuse the GitHub helpers.
+import { getApiBaseUrl, makeApiRequest, decodePathSegment, splitRefPath, getDefaultBranch, getFileContentBySha, ApiAuthError, RateLimitError } from './github_api.js';
+
+const TREE_PAGE_SIZE = 1000; // Gitea's default maximum for tree listings
+const MAX_TREE_PAGES = 50; // Larger trees are listed up to this point and reported as truncated
+
+/**
+ * Parses a Gitea repository URL. Files and folders live under `src/branch/<ref>`, `src/tag/<ref>`,
+ * or `src/commit/<sha>`; since these URLs do not say whether the path is a file or a folder, `pathType` is left null.
+ * @param {string} repoUrl - The full URL of the Gitea repository page.
+ * @returns {object | null} The same shape as GitHub's parseRepoUrl (without pull request, issue, or compare details), or null if parsing fails.
+ */
+function parseRepoUrl(repoUrl) {
+    try {
+        const url = new URL(repoUrl);
+        const pathParts = url.pathname.split('/').filter(part => part.length > 0).map(decodePathSegment);
+
+        if (pathParts.length < 2) {
+            console.error("[Gitea API] Could not parse owner/repo from path:", url.pathname);
+            return null;
+        }
+
+        let ref = null;
+        let refPath = null;
+        let subPath = '';
+
+        if (pathParts[2] === 'src' && pathParts.length > 4) {
+            ref = pathParts[4];
+            if (pathParts[3] === 'commit') {
+                subPath = pathParts.slice(5).join('/');
+            } else if (pathParts.length > 5) {
+                // Branch and tag names may contain slashes, so the split is resolved against the repository's refs
+                refPath = pathParts.slice(4).join('/');
+                subPath = pathParts.slice(5).join('/');
+            }
+        } else if (pathParts[2] === 'commit' && pathParts.length > 3) {
+            ref = pathParts[3];
+        } else if (pathParts[2] === 'releases' && pathParts[3] === 'tag' && pathParts.length > 4) {
+            ref = pathParts.slice(4).join('/');
+        }
+
+        return {
+            host: url.hostname.toLowerCase(),
+            owner: pathParts[0],
+            repo: pathParts[1].replace(/\.git$/, ''),
+            ref, refPath, pathType: null, subPath,
+            pullNumber: null, issueNumber: null, compare: null
+        };
+    } catch (error) {
+        console.error("[Gitea API] Invalid URL provided for parsing:", repoUrl, error);
+        return null;
+    }
+}
+
+/**
+ * Lists the branch and tag names starting with a prefix. Failures other than rate limiting count as "no matching refs".
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string} prefix - The ref name prefix.
+ * @param {string} host - The web host the repository lives on.
+ * @returns {Promise<Set<string>>}
+ * @throws {RateLimitError} If the rate limit is exhausted.
+ */
+async function getMatchingRefNames(owner, repo, prefix, host) {
+    const apiBaseUrl = await getApiBaseUrl(host);
+    const listRefs = async namespace => {
+        try {
+            const response = await makeApiRequest(`${apiBaseUrl}/repos/${owner}/${repo}/git/refs/${namespace}/${encodeURIComponent(prefix)}`);
+            const refs = await response.json();
+            // A single match comes back as an object rather than a list
+            return (Array.isArray(refs) ? refs : [refs]).map(refData => refData.ref.replace(`refs/${namespace}/`, ''));
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            console.warn(`[Gitea API] Could not list ${namespace} matching '${prefix}' for ${owner}/${repo}:`, error.message);
+            return [];
+        }
+    };
+    const [branches, tags] = await Promise.all([listRefs('heads'), listRefs('tags')]);
+    return new Set([...branches, ...tags]);
+}
+
+/**
+ * Splits the text after src/branch/ or src/tag/ into a ref and a sub-path (see splitRefPath).
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string} refPath - The ref followed by the sub-path, as returned in `refPath` by parseRepoUrl.
+ * @param {string} host - The web host the repository lives on.
+ * @returns {Promise<{ref: string, subPath: string}>}
+ * @throws {RateLimitError} If the rate limit is exhausted.
+ */
+function resolveRefAndPath(owner, repo, refPath, host) {
+    return splitRefPath(refPath, prefix => getMatchingRefNames(owner, repo, prefix, host));
+}
+
+/**
+ * Lists the whole repository tree at a ref, following Gitea's pagination of recursive tree listings.
+ * The ref is first resolved to its commit's root tree, since ref names with slashes cannot go in the tree URL.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string | null} [ref=null] - The branch, tag, or commit SHA. Uses the default branch if null.
+ * @param {string} host - The web host the repository lives on.
+ * @returns {Promise<{tree: Array<object>, truncated: boolean, ref: string, sha: null}>} The tree entries; `sha` is null as there is no tree to walk.
+ * @throws {Error | ApiAuthError | RateLimitError} If a request fails.
+ */
+async function getRepoTree(owner, repo, ref = null, host) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl(host);
+        const refToUse = ref || await getDefaultBranch(owner, repo, host);
+
+        const commitParams = new URLSearchParams({ sha: refToUse, limit: '1', stat: 'false', verification: 'false', files: 'false' });
+        const commitResponse = await makeApiRequest(`${apiBaseUrl}/repos/${owner}/${repo}/commits?${commitParams}`);
+        const commits = await commitResponse.json();
+        const treeSha = Array.isArray(commits) ? commits[0]?.commit?.tree?.sha : null;
+        if (!treeSha) {
+            throw new Error(`Could not find the commit for ref '${refToUse}'.`);
+        }
+
+        const tree = [];
+        let truncated = true;
+        for (let page = 1; truncated && page <= MAX_TREE_PAGES; page++) {
+            const response = await makeApiRequest(`${apiBaseUrl}/repos/${owner}/${repo}/git/trees/${treeSha}?recursive=true&per_page=${TREE_PAGE_SIZE}&page=${page}`);
+            const treeData = await response.json();
+            if (!treeData || !Array.isArray(treeData.tree)) {
+                throw new Error(`Invalid tree data received from Gitea API for ref '${refToUse}'.`);
+            }
+            tree.push(...treeData.tree);
+            truncated = !!treeData.truncated && treeData.tree.length > 0;
+        }
+
+        if (truncated) {
+            console.warn(`[Gitea API] Warning: Tree for ${owner}/${repo} (ref: ${refToUse}) has more than ${MAX_TREE_PAGES * TREE_PAGE_SIZE} entries. Not all files are listed.`);
+        }
+        return { tree, truncated, ref: refToUse, sha: null };
+    } catch (error) {
+        if (!(error instanceof ApiAuthError) && !(error instanceof RateLimitError)) {
+            console.error(`[Gitea API] Error fetching repository tree for ${owner}/${repo} (ref: ${ref || 'default'}):`, error);
+        }
+        throw error;
+    }
+}
+
+export {
+    parseRepoUrl,
+    resolveRefAndPath,
+    getDefaultBranch,
+    getRepoTree,
+    getFileContentBySha
+};
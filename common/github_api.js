@@ -1,233 +1,1252 @@
-// File: common/github_api.js
-// Import the PAT getter from storage.js
-import { getGitHubPat } from './storage.js';
-
-const GITHUB_API_BASE_URL = 'https://api.github.com';
-const BASE_REPO_URL_REGEX = /\/repos\/[^\/]+\/[^\/]+$/; // Regex to match '/repos/owner/repo' at the end
-
-/**
- * Custom error class for specific API errors like auth issues on private repos.
- */
-class ApiAuthError extends Error {
-    constructor(message) {
-        super(message);
-        this.name = "ApiAuthError";
-    }
-}
-
-
-/**
- * Extracts owner, repository name, and reference (branch/tag/commit SHA) from a GitHub URL.
- * @param {string} repoUrl - The full URL of the GitHub repository page.
- * @returns {{owner: string, repo: string, ref: string | null} | null} - Object with owner, repo, and ref (or null if default), or null if parsing fails.
- */
-function parseRepoUrl(repoUrl) {
-    try {
-        const url = new URL(repoUrl);
-        const pathParts = url.pathname.split('/').filter(part => part.length > 0);
-
-        if (pathParts.length >= 2) {
-            const owner = pathParts[0];
-            const repo = pathParts[1];
-            let ref = null;
-
-            if (pathParts.length > 3 && (pathParts[2] === 'tree' || pathParts[2] === 'blob' || pathParts[2] === 'commit')) {
-                ref = pathParts[3];
-            }
-            else if (pathParts.length > 2 && pathParts[2] === 'releases' && pathParts[3] === 'tag') {
-                 if(pathParts.length > 4) {
-                    ref = pathParts[4];
-                }
-            }
-
-            return { owner, repo, ref };
-        } else {
-            console.error("[GitHub API] Could not parse owner/repo from path:", url.pathname); // Keep error for bad parse
-            return null;
-        }
-    } catch (error) {
-        console.error("[GitHub API] Invalid URL provided for parsing:", repoUrl, error); // Keep error for invalid URL
-        return null;
-    }
-}
-
-
-/**
- * Makes an authenticated request to the GitHub API.
- * @param {string} url - The full API endpoint URL.
- * @param {object} [options={}] - Optional fetch options (method, headers, body, etc.).
- * @returns {Promise<Response>} - The raw fetch Response object.
- * @throws {Error | ApiAuthError} If the request fails or returns an error status code. Throws ApiAuthError for 404 on base repo URL.
- */
-async function makeApiRequest(url, options = {}) {
-    const headers = { ...options.headers, 'Accept': 'application/vnd.github.v3+json', 'X-GitHub-Api-Version': '2022-11-28' };
-    let response;
-
-    try {
-        const pat = await getGitHubPat();
-        if (pat) {
-            headers['Authorization'] = `Bearer ${pat}`;
-        }
-
-        response = await fetch(url, { ...options, headers });
-
-        if (!response.ok) {
-            let errorData;
-            let errorMessage = `GitHub API request failed: ${response.status} ${response.statusText}. URL: ${url}.`;
-            try {
-                errorData = await response.json();
-                errorMessage += ` Message: ${errorData.message || 'No specific message in error response.'}`;
-                // Raw body log removed previously
-            } catch (parseError) {
-                errorMessage += ' Additionally, failed to parse error response body.';
-                console.error(`[GitHub API] Failed to parse error response body for status ${response.status}`); // Keep this error
-            }
-
-            // Check if it's a 404 on the base repo endpoint
-            if (response.status === 404 && BASE_REPO_URL_REGEX.test(url)) {
-                 // --- MODIFIED LINE: Changed console.warn to console.log ---
-                 console.log(`[GitHub API] Received 404 on base repo URL: ${url}. Likely a private repo/auth issue.`);
-                 throw new ApiAuthError(errorMessage + " (Likely private repository or insufficient PAT permissions)");
-            }
-
-            // Throw generic error for other failures (will be logged as error below)
-            throw new Error(errorMessage);
-        }
-
-        return response;
-
-    } catch (error) {
-        // Log ONLY if it's NOT the specific handled ApiAuthError.
-        if (!(error instanceof ApiAuthError)) {
-             console.error(`[GitHub API] API request process failed for ${url}:`, error); // Keep error for unexpected fetch issues
-        }
-        // Re-throw the original error
-        throw error;
-    }
-}
-
-/**
- * Fetches the default branch for a repository.
- * @param {string} owner - The repository owner.
- * @param {string} repo - The repository name.
- * @returns {Promise<string>} - The name of the default branch.
- * @throws {Error | ApiAuthError} If the request fails.
- */
-async function getDefaultBranch(owner, repo) {
-    const url = `${GITHUB_API_BASE_URL}/repos/${owner}/${repo}`;
-    try {
-        const response = await makeApiRequest(url); // Can throw ApiAuthError
-        const repoInfo = await response.json();
-        if (!repoInfo.default_branch) {
-            console.error("[GitHub API] Default branch property missing in repo info:", repoInfo); // Keep error for unexpected API response
-            throw new Error("Could not determine default branch from repository info.");
-        }
-        return repoInfo.default_branch;
-    } catch (error) {
-        // Log only unexpected errors
-        if (!(error instanceof ApiAuthError)) {
-            console.error(`[GitHub API] Error fetching default branch for ${owner}/${repo}:`, error); // Keep error
-        }
-        throw error; // Propagate
-    }
-}
-
-
-/**
- * Fetches the file tree for a repository recursively, optionally for a specific ref.
- * @param {string} owner - The repository owner.
- * @param {string} repo - The repository name.
- * @param {string | null} [ref=null] - Optional branch, tag, or commit SHA. If null, uses the default branch.
- * @returns {Promise<{tree: Array<object>, truncated: boolean, ref: string}>} - A promise resolving to an object containing the tree items, truncation status, and the ref actually used.
- * @throws {Error | ApiAuthError} If the request fails or the tree data is invalid.
- */
-async function getRepoTree(owner, repo, ref = null) {
-    try {
-        let refToUse = ref;
-        if (!refToUse) {
-            refToUse = await getDefaultBranch(owner, repo); // Can throw ApiAuthError
-        }
-
-        const treeUrl = `${GITHUB_API_BASE_URL}/repos/${owner}/${repo}/git/trees/${refToUse}?recursive=1`;
-
-        const response = await makeApiRequest(treeUrl); // Can throw ApiAuthError or other errors
-        const treeData = await response.json();
-
-        if (!treeData || !Array.isArray(treeData.tree)) {
-            if (treeData?.commit?.tree?.sha) {
-                 const commitTreeUrl = `${GITHUB_API_BASE_URL}/repos/${owner}/${repo}/git/trees/${treeData.tree.sha}?recursive=1`;
-                 const commitTreeResponse = await makeApiRequest(commitTreeUrl); // Can throw ApiAuthError or other errors
-                 const commitTreeData = await commitTreeResponse.json();
-
-                 if (!commitTreeData || !Array.isArray(commitTreeData.tree)) {
-                     console.error("[GitHub API] Invalid tree data structure received even after using commit's tree SHA:", commitTreeData); // Keep error
-                     throw new Error("Invalid tree data received from GitHub API (missing 'tree' array after commit lookup).");
-                 }
-                 treeData.tree = commitTreeData.tree;
-                 treeData.truncated = commitTreeData.truncated;
-            } else {
-                console.error("[GitHub API] Invalid tree data structure received:", treeData); // Keep error
-                throw new Error(`Invalid tree data received from GitHub API (missing 'tree' array or unexpected structure for ref '${refToUse}').`);
-            }
-        }
-
-        const isTruncated = !!treeData.truncated;
-
-        if (isTruncated) {
-            // Keep as warn, truncation is potentially problematic for the user's goal
-            console.warn(`[GitHub API] Warning: Repository tree for ${owner}/${repo} (ref: ${refToUse}) was truncated. Not all files may be listed.`);
-        }
-
-        return { tree: treeData.tree, truncated: isTruncated, ref: refToUse };
-
-    } catch (error) {
-        // Log only unexpected errors
-        if (!(error instanceof ApiAuthError)) {
-            console.error(`[GitHub API] Error fetching repository tree for ${owner}/${repo} (ref: ${ref || 'default'}):`, error); // Keep error
-        }
-        throw error; // Propagate
-    }
-}
-
-
-/**
- * Fetches the content of a specific file (blob) using its SHA.
- * @param {string} owner - The repository owner.
- * @param {string} repo - The repository name.
- * @param {string} fileSha - The SHA hash of the file blob.
- * @returns {Promise<string>} - A promise that resolves to the decoded file content (UTF-8).
- * @throws {Error | ApiAuthError} If the request fails or content cannot be decoded.
- */
-async function getFileContentBySha(owner, repo, fileSha) {
-    const url = `${GITHUB_API_BASE_URL}/repos/${owner}/${repo}/git/blobs/${fileSha}`;
-
-    try {
-        const response = await makeApiRequest(url); // Can throw ApiAuthError or other errors
-        const blobData = await response.json();
-
-        if (blobData.content === null || blobData.content === undefined || blobData.encoding !== 'base64') {
-            if (blobData.size === 0 && blobData.content === "") {
-                 return ""; // Handle empty files
-            }
-            console.error(`[GitHub API] Invalid or incompatible blob data received for SHA ${fileSha}:`, JSON.stringify(blobData, null, 2)); // Keep error
-            throw new Error(`Invalid, missing, or non-base64 content for blob SHA ${fileSha}. Received encoding: ${blobData.encoding}. Content present: ${blobData.content != null}. Size: ${blobData.size}`);
-        }
-
-        const decodedContent = atob(blobData.content);
-        return decodedContent;
-
-    } catch (error) {
-        // Log only unexpected errors
-        if (!(error instanceof ApiAuthError)) {
-            console.error(`[GitHub API] Error processing file content for SHA ${fileSha}:`, error); // Keep error
-        }
-        throw error; // Propagate
-    }
-}
-
-export {
-    parseRepoUrl,
-    getRepoTree,
-    getFileContentBySha,
-    ApiAuthError
+// File: common/github_api.js
+// Hosts, API base URLs and tokens come from the provider host registry
+import { findProviderHost, findProviderHostForApiUrl, formatAuthorization, getProviderName } from './provider_hosts.js';
+import { scheduleRequest, RequestCancelledError } from './request_scheduler.js';
+import { getCachedBlob, putCachedBlob } from './blob_cache.js';
+import { decodeBlobContent, decodeContentBytes, parseLfsPointer } from './content_decoder.js';
+
+const GITHUB_HOST = 'github.com';
+const GITHUB_API_BASE_URL = 'https://api.github.com';
+const BASE_REPO_URL_REGEX = /(\/repos\/[^\/]+\/[^\/]+|\/projects\/[^\/]+)$/; // Regex to match '/repos/owner/repo' (or GitLab's '/projects/id') at the end
+const RATE_LIMIT_MAX_WAIT_MS = 90_000; // Longest automatic pause before a rate limit is reported as an error
+const RATE_LIMIT_MAX_RETRIES = 3; // Retries for a single request after rate-limited responses
+const SECONDARY_RATE_LIMIT_WAIT_MS = 60_000; // GitHub asks for at least one minute when no hint is given
+const COMPARE_MAX_FILES = 300; // The compare API lists at most this many changed files
+const COMMIT_SHA_REGEX = /^[0-9a-f]{7,40}$/i;
+
+// --- Rate Limit State ---
+const rateLimitStatusByApi = new Map(); // "apiBaseUrl token" (see getRateLimitScope) -> { limit, remaining, resetAt, pausedUntil }
+const matchingRefsCache = new Map(); // "apiBaseUrl owner/repo prefix" -> Promise<Set<string>> of branch and tag names
+let rateLimitListener = null;
+
+/**
+ * Custom error class for specific API errors like auth issues on private repos.
+ */
+class ApiAuthError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {'invalid_token' | 'no_access' | 'not_found'} [reason='no_access'] - Why access failed: the token was rejected,
+     *        the repository is (most likely) private and not visible with the token sent, or it does not exist.
+     */
+    constructor(message, reason = 'no_access') {
+        super(message);
+        this.name = "ApiAuthError";
+        this.reason = reason;
+    }
+}
+
+/**
+ * Custom error class for failed API responses, carrying the HTTP status for retry decisions.
+ */
+class ApiRequestError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {number} status - The HTTP status code of the failed response.
+     */
+    constructor(message, status) {
+        super(message);
+        this.name = "ApiRequestError";
+        this.status = status;
+    }
+}
+
+/**
+ * Custom error class for requests that cannot proceed until a rate limit window resets.
+ */
+class RateLimitError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {number} resetAt - Epoch milliseconds when the limit is expected to reset.
+     */
+    constructor(message, resetAt) {
+        super(message);
+        this.name = "RateLimitError";
+        this.resetAt = resetAt;
+    }
+}
+
+/**
+ * Formats an epoch timestamp as local HH:MM for rate limit messages.
+ * @param {number} timestamp - Epoch milliseconds.
+ * @returns {string} - The formatted time.
+ */
+function formatResetTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Creates a RateLimitError with the standard "rate limited until HH:MM" wording, naming the API that set the limit
+ * (GitLab and Gitea requests go through the same request layer).
+ * @param {RateLimitScope} scope - The quota that ran out.
+ * @param {number} resetAt - Epoch milliseconds when the limit resets.
+ * @param {string} [detail=''] - Optional extra explanation appended to the message.
+ * @returns {RateLimitError}
+ */
+function createRateLimitError(scope, resetAt, detail = '') {
+    const apiName = `${getProviderName(scope.provider === 'gist' ? 'github' : scope.provider)} API (${new URL(scope.apiBaseUrl).host})`; // Gists use GitHub's API
+    return new RateLimitError(`${apiName} rate limited until ${formatResetTime(resetAt)}.${detail ? ` ${detail}` : ''}`, resetAt);
+}
+
+/**
+ * Checks whether GitHub API requests can be routed for a web host: github.com or a registered GitHub Enterprise host.
+ * Hosts of other providers are handled through providers.js.
+ * @param {string} host - The web host name from the tab URL.
+ * @returns {Promise<boolean>} - True if the host is a supported GitHub host.
+ */
+async function isSupportedHost(host) {
+    return (await findProviderHost(host))?.provider === 'github';
+}
+
+/**
+ * Resolves the REST API base URL for a web host of any provider.
+ * @param {string} [host='github.com'] - The web host name. Defaults to github.com.
+ * @returns {Promise<string>} - The API base URL without a trailing slash.
+ * @throws {Error} If the host is neither a public host nor a registered self-hosted host.
+ */
+async function getApiBaseUrl(host = GITHUB_HOST) {
+    if (!host || host.toLowerCase() === GITHUB_HOST) {
+        return GITHUB_API_BASE_URL;
+    }
+    const providerHost = await findProviderHost(host);
+    if (!providerHost) {
+        throw new Error(`No API base URL is configured for host '${host}'. Add it as a self-hosted host in the extension options.`);
+    }
+    return providerHost.apiBaseUrl;
+}
+
+/**
+ * Determines which API a URL targets and the token to send with it (see findProviderHostForApiUrl).
+ * Each token is only sent to the API of the host it was saved for.
+ * @param {string} url - The full API endpoint URL.
+ * @returns {Promise<{apiBaseUrl: string, token: string | null, provider: string, credentialName: string | null}>} - The API base URL,
+ *          token (null for anonymous access), provider, and the name of the matched credential (null for the host's own token).
+ */
+async function getApiContextForUrl(url) {
+    const providerHost = await findProviderHostForApiUrl(url);
+    if (!providerHost) {
+        return { apiBaseUrl: new URL(url).origin, token: null, provider: 'github', credentialName: null };
+    }
+    return { apiBaseUrl: providerHost.apiBaseUrl, token: providerHost.token, provider: providerHost.provider, credentialName: providerHost.credentialName };
+}
+
+// --- Rate Limit Tracking ---
+
+/**
+ * @typedef {object} RateLimitScope
+ * @property {string} key - The key of the tracked state: the API plus the token used, since each token has its own quota.
+ * @property {string} apiBaseUrl - The API.
+ * @property {string} provider - The provider ID of the API (for messages).
+ * @property {string | null} credentialName - The named credential whose token is used, or null for the host's own token (or none).
+ */
+
+/**
+ * Gets the quota a request draws from: the API it goes to and the token it sends, named by the credential
+ * ("default" for the host's own token, "anonymous" without one) so no token ends up in the key.
+ * @param {{apiBaseUrl: string, token: string | null, provider: string, credentialName: string | null}} apiContext - From getApiContextForUrl.
+ * @returns {RateLimitScope}
+ */
+function getRateLimitScope({ apiBaseUrl, token, provider, credentialName }) {
+    const tokenLabel = credentialName ? `credential:${credentialName}` : (token ? 'default' : 'anonymous');
+    return { key: `${apiBaseUrl} ${tokenLabel}`, apiBaseUrl, provider, credentialName };
+}
+
+/**
+ * Gets the quota that requests for a repository draw from (the token its owner's requests are sent with; see findProviderHostForApiUrl).
+ * @param {string} host - The web host name.
+ * @param {string | null} owner - The repository owner, or null for the host's own token.
+ * @param {string | null} repo - The repository name.
+ * @returns {Promise<RateLimitScope>}
+ */
+async function getRepositoryRateLimitScope(host, owner, repo) {
+    const apiBaseUrl = await getApiBaseUrl(host);
+    const url = owner && repo ? `${apiBaseUrl}/repos/${owner}/${repo}` : `${apiBaseUrl}/`;
+    return getRateLimitScope(await getApiContextForUrl(url));
+}
+
+/**
+ * Stores the rate limit state for a quota and notifies the registered listener.
+ * @param {RateLimitScope} scope - The quota the state belongs to.
+ * @param {object} changes - Fields to merge into the stored state.
+ */
+function updateRateLimitStatus(scope, changes) {
+    const status = { ...(rateLimitStatusByApi.get(scope.key) || { limit: null, remaining: null, resetAt: null, pausedUntil: null }), ...changes };
+    rateLimitStatusByApi.set(scope.key, status);
+    if (rateLimitListener) {
+        try {
+            rateLimitListener({ apiBaseUrl: scope.apiBaseUrl, credentialName: scope.credentialName, ...status });
+        } catch (error) {
+            console.error("[GitHub API] Rate limit listener failed:", error);
+        }
+    }
+}
+
+/**
+ * Records the X-RateLimit-* headers of a response, if present.
+ * @param {RateLimitScope} scope - The quota the request drew from.
+ * @param {Headers} headers - The response headers.
+ */
+function recordRateLimitHeaders(scope, headers) {
+    const remaining = headers.get('X-RateLimit-Remaining');
+    if (remaining === null) return; // Some endpoints (and some GHES setups) do not send rate limit headers
+    const limit = headers.get('X-RateLimit-Limit');
+    const reset = headers.get('X-RateLimit-Reset');
+    updateRateLimitStatus(scope, {
+        limit: limit !== null ? Number(limit) : null,
+        remaining: Number(remaining),
+        resetAt: reset !== null ? Number(reset) * 1000 : null
+    });
+}
+
+/**
+ * Checks whether a failed response was caused by a primary or secondary rate limit.
+ * @param {Response} response - The fetch response (body is read from a clone).
+ * @returns {Promise<boolean>}
+ */
+async function isRateLimitedResponse(response) {
+    if (response.status === 429) return true;
+    if (response.status !== 403) return false;
+    if (response.headers.get('Retry-After') !== null || response.headers.get('X-RateLimit-Remaining') === '0') {
+        return true;
+    }
+    try {
+        const body = await response.clone().json();
+        return /rate limit/i.test(body?.message || '');
+    } catch (parseError) {
+        return false;
+    }
+}
+
+/**
+ * Works out how long to pause after a rate-limited response, preferring Retry-After over X-RateLimit-Reset.
+ * @param {Headers} headers - The response headers.
+ * @returns {number} - Milliseconds to wait before retrying.
+ */
+function getRateLimitWaitMs(headers) {
+    const retryAfter = headers.get('Retry-After');
+    if (retryAfter !== null && !Number.isNaN(Number(retryAfter))) {
+        return Number(retryAfter) * 1000;
+    }
+    const reset = headers.get('X-RateLimit-Reset');
+    if (headers.get('X-RateLimit-Remaining') === '0' && reset !== null) {
+        return Math.max(0, Number(reset) * 1000 - Date.now()) + 1000; // Small buffer past the reset second
+    }
+    return SECONDARY_RATE_LIMIT_WAIT_MS;
+}
+
+/**
+ * Pauses until a known-exhausted quota resets, or throws if the reset is too far away to wait for.
+ * @param {RateLimitScope} scope - The quota about to be drawn from.
+ * @param {AbortSignal} [signal] - Ends the pause early.
+ * @returns {Promise<void>}
+ * @throws {RateLimitError} If the quota is exhausted and the reset is beyond RATE_LIMIT_MAX_WAIT_MS.
+ * @throws {RequestCancelledError} If the signal is aborted during the pause.
+ */
+async function waitForRateLimitWindow(scope, signal) {
+    const status = rateLimitStatusByApi.get(scope.key);
+    const blockedUntil = Math.max(
+        status?.pausedUntil || 0,
+        status?.remaining === 0 && status.resetAt ? status.resetAt : 0
+    );
+    const waitMs = blockedUntil - Date.now();
+    if (waitMs <= 0) return;
+    if (waitMs > RATE_LIMIT_MAX_WAIT_MS) {
+        throw createRateLimitError(scope, blockedUntil);
+    }
+    await pauseForRateLimit(scope, waitMs, signal);
+}
+
+/**
+ * Sleeps for a rate limit pause, publishing the pause so the UI can show it. Concurrent pauses on the same quota
+ * publish the latest end; each clears the published pause only if it is still its own.
+ * @param {RateLimitScope} scope - The quota being paused.
+ * @param {number} waitMs - Milliseconds to wait.
+ * @param {AbortSignal} [signal] - Ends the pause early.
+ * @returns {Promise<void>}
+ * @throws {RequestCancelledError} If the signal is aborted during the pause.
+ */
+async function pauseForRateLimit(scope, waitMs, signal) {
+    if (signal?.aborted) {
+        throw new RequestCancelledError();
+    }
+    const pauseEnd = Date.now() + waitMs;
+    console.warn(`[GitHub API] Rate limited on ${scope.key}. Pausing ${Math.ceil(waitMs / 1000)}s until ${formatResetTime(pauseEnd)}.`);
+    updateRateLimitStatus(scope, { pausedUntil: Math.max(pauseEnd, rateLimitStatusByApi.get(scope.key)?.pausedUntil || 0) });
+    try {
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, waitMs);
+            function onAbort() {
+                clearTimeout(timer);
+                reject(new RequestCancelledError());
+            }
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    } finally {
+        if (rateLimitStatusByApi.get(scope.key)?.pausedUntil === pauseEnd) {
+            updateRateLimitStatus(scope, { pausedUntil: null });
+        }
+    }
+}
+
+/**
+ * Registers a listener notified whenever the tracked rate limit state changes.
+ * @param {Function | null} callback - Receives { apiBaseUrl, credentialName, limit, remaining, resetAt, pausedUntil }, or null to unregister.
+ */
+function setRateLimitListener(callback) {
+    rateLimitListener = typeof callback === 'function' ? callback : null;
+}
+
+/**
+ * Gets the last known rate limit state of the quota that requests for a repository draw from
+ * (the token its owner's requests are sent with; see findProviderHostForApiUrl).
+ * @param {string} [host='github.com'] - The web host name.
+ * @param {string | null} [owner=null] - The repository owner, or null for the host's own token.
+ * @param {string | null} [repo=null] - The repository name.
+ * @returns {Promise<{limit: number | null, remaining: number | null, resetAt: number | null, pausedUntil: number | null} | null>} - The state, or null if no request has reported it yet.
+ */
+async function getRateLimitStatus(host = GITHUB_HOST, owner = null, repo = null) {
+    const scope = await getRepositoryRateLimitScope(host, owner, repo);
+    return rateLimitStatusByApi.get(scope.key) || null;
+}
+
+/**
+ * Checks that enough quota is left for a batch of requests.
+ * @param {string} host - The web host name.
+ * @param {number} requestCount - The number of requests the caller is about to make.
+ * @param {string | null} [owner=null] - The owner of the repository the requests are for, which picks the token (and quota).
+ * @param {string | null} [repo=null] - The repository name.
+ * @returns {Promise<void>}
+ * @throws {RateLimitError} If the known remaining quota is smaller than requestCount and the reset has not passed.
+ */
+async function assertRateLimitCapacity(host, requestCount, owner = null, repo = null) {
+    const scope = await getRepositoryRateLimitScope(host, owner, repo);
+    const status = rateLimitStatusByApi.get(scope.key);
+    if (!status || status.remaining === null || !status.resetAt || status.resetAt <= Date.now()) {
+        return; // Unknown or already reset: let the requests run and rely on per-request handling
+    }
+    if (status.remaining < requestCount) {
+        throw createRateLimitError(scope, status.resetAt, `${requestCount} request(s) are needed but only ${status.remaining} remain in the current quota.`);
+    }
+}
+
+/**
+ * Decodes a percent-encoded URL path segment. Malformed escapes (e.g., a literal '%' in a branch name typed into
+ * the address bar) make decodeURIComponent throw, so such a segment is returned as written instead.
+ * @param {string} segment - The path segment.
+ * @returns {string}
+ */
+function decodePathSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        console.warn("[GitHub API] Could not decode URL path segment; using it as written:", segment);
+        return segment;
+    }
+}
+
+/**
+ * Extracts host, owner, repository name, and reference (branch/tag/commit SHA) from a GitHub URL.
+ * For `tree` and `blob` URLs, the path after the ref is returned as `subPath` with `pathType` set to 'tree' or 'blob'.
+ * The URL alone cannot tell where a ref containing slashes ends, so `ref`/`subPath` assume a single-segment ref;
+ * when there is a sub-path, `refPath` holds the combined text for resolveRefAndPath.
+ * Pull request pages (/pull/N) set `pullNumber`, issue pages (/issues/N) set `issueNumber`; compare pages (/compare/base...head) set `compare`,
+ * with a null base when the URL names only the head (GitHub then compares against the default branch).
+ * @param {string} repoUrl - The full URL of the GitHub repository page.
+ * @returns {{host: string, owner: string, repo: string, ref: string | null, refPath: string | null, pathType: 'tree' | 'blob' | null, subPath: string, pullNumber: number | null, issueNumber: number | null, compare: {base: string | null, head: string} | null} | null} - Object with host, owner, repo, ref (or null if default), sub-path, pull request or issue number and compared refs, or null if parsing fails.
+ */
+function parseRepoUrl(repoUrl) {
+    try {
+        const url = new URL(repoUrl);
+        const pathParts = url.pathname.split('/').filter(part => part.length > 0);
+
+        if (pathParts.length >= 2) {
+            const host = url.hostname.toLowerCase();
+            const owner = pathParts[0];
+            const repo = pathParts[1];
+            let ref = null;
+            let refPath = null;
+            let pathType = null;
+            let subPath = '';
+            let pullNumber = null;
+            let issueNumber = null;
+            let compare = null;
+
+            if (pathParts.length > 3 && (pathParts[2] === 'tree' || pathParts[2] === 'blob' || pathParts[2] === 'commit')) {
+                ref = decodePathSegment(pathParts[3]);
+                if (pathParts[2] !== 'commit' && pathParts.length > 4) {
+                    pathType = pathParts[2];
+                    refPath = pathParts.slice(3).map(decodePathSegment).join('/');
+                    subPath = pathParts.slice(4).map(decodePathSegment).join('/');
+                }
+            }
+            else if (pathParts.length > 2 && pathParts[2] === 'releases' && pathParts[3] === 'tag') {
+                 if(pathParts.length > 4) {
+                    ref = pathParts.slice(4).map(decodePathSegment).join('/'); // Tag names may contain slashes
+                }
+            }
+            else if (pathParts.length > 3 && pathParts[2] === 'pull' && /^\d+$/.test(pathParts[3])) {
+                pullNumber = Number.parseInt(pathParts[3], 10); // Also matches /pull/N/files, /pull/N/commits
+            }
+            else if (pathParts.length > 3 && pathParts[2] === 'issues' && /^\d+$/.test(pathParts[3])) {
+                issueNumber = Number.parseInt(pathParts[3], 10);
+            }
+            else if (pathParts.length > 3 && pathParts[2] === 'compare') {
+                const range = pathParts.slice(3).map(decodePathSegment).join('/'); // Ref names may contain slashes
+                const rangeMatch = /^(.+?)\.{2,3}(.+)$/.exec(range);
+                compare = rangeMatch ? { base: rangeMatch[1], head: rangeMatch[2] } : { base: null, head: range };
+            }
+
+            return { host, owner, repo, ref, refPath, pathType, subPath, pullNumber, issueNumber, compare };
+        } else {
+            console.error("[GitHub API] Could not parse owner/repo from path:", url.pathname); // Keep error for bad parse
+            return null;
+        }
+    } catch (error) {
+        console.error("[GitHub API] Invalid URL provided for parsing:", repoUrl, error); // Keep error for invalid URL
+        return null;
+    }
+}
+
+
+/**
+ * Decides whether a failed request is worth retrying: network failures and 5xx responses.
+ * @param {Error} error - The error thrown by a request attempt.
+ * @returns {boolean}
+ */
+function isRetryableApiError(error) {
+    if (error instanceof ApiRequestError) {
+        return error.status >= 500;
+    }
+    return error instanceof TypeError; // fetch() rejects with TypeError on network failures
+}
+
+/**
+ * Works out the most likely reason a repository endpoint answered 404, which is also the answer for private
+ * repositories the caller cannot see. A missing owner proves the repository does not exist; otherwise the token
+ * sent (none, a fine-grained one, or a classic one with or without the 'repo' scope) points to the cause.
+ * The owner lookup is skipped while the quota is exhausted or paused, and its rate limit headers are recorded like any other response.
+ * @param {string} url - The repository endpoint URL that answered 404.
+ * @param {RateLimitScope} rateLimitScope - The quota the request drew from (its apiBaseUrl is the API the URL belongs to).
+ * @param {object} headers - The request headers sent, including any Authorization header.
+ * @param {Headers} responseHeaders - The headers of the 404 response (X-OAuth-Scopes lists a classic token's scopes).
+ * @param {string} tokenDescription - How to name the token in the hint (e.g., "the 'work' credential").
+ * @returns {Promise<{reason: 'no_access' | 'not_found', hint: string}>}
+ */
+async function diagnoseRepoNotFound(url, rateLimitScope, headers, responseHeaders, tokenDescription) {
+    const owner = /\/repos\/([^\/]+)\/[^\/]+$/.exec(url)?.[1];
+    const status = rateLimitStatusByApi.get(rateLimitScope.key);
+    const isQuotaBlocked = (status?.remaining === 0 && status.resetAt > Date.now()) || status?.pausedUntil > Date.now();
+    if (owner && !isQuotaBlocked) {
+        try {
+            // Sent directly rather than through the scheduler, as this runs inside a scheduled request
+            const ownerResponse = await fetch(`${rateLimitScope.apiBaseUrl}/users/${owner}`, { headers });
+            recordRateLimitHeaders(rateLimitScope, ownerResponse.headers); // Same quota as the request being diagnosed
+            if (ownerResponse.status === 404) {
+                return { reason: 'not_found', hint: `No user or organization named '${decodePathSegment(owner)}' exists` };
+            }
+        } catch (error) {
+            console.warn(`[GitHub API] Could not check whether owner '${owner}' exists:`, error.message);
+        }
+    }
+
+    if (!headers['Authorization']) {
+        return { reason: 'no_access', hint: 'Likely a private repository; no token was sent' };
+    }
+    const scopesHeader = responseHeaders.get('x-oauth-scopes');
+    if (scopesHeader === null) {
+        // Fine-grained PATs, GitHub App tokens, and other providers' tokens report no scopes
+        return { reason: 'no_access', hint: `Likely a private repository ${tokenDescription} was not granted access to` };
+    }
+    const scopes = scopesHeader.split(',').map(scope => scope.trim()).filter(Boolean);
+    if (!scopes.includes('repo')) {
+        return { reason: 'no_access', hint: `Likely a private repository; ${tokenDescription} lacks the 'repo' scope (scopes: ${scopes.join(', ') || 'none'})` };
+    }
+    return { reason: 'not_found', hint: `The repository does not exist, or the account of ${tokenDescription} is not a member of it` };
+}
+
+/**
+ * Checks a GitHub token against the /user endpoint without storing it. The request bypasses the scheduler
+ * and the stored tokens, so the token under test is the only one sent.
+ * @param {string} token - The token to check.
+ * @param {string | null} [apiBaseUrl=null] - The API to check it against (e.g., a GitHub Enterprise Server's), or null for github.com's.
+ * @returns {Promise<{login: string, scopes: string[] | null, expiresAt: Date | null, rateLimit: number | null}>} The account,
+ *          the classic scopes (null for fine-grained PATs and app tokens, which carry permissions instead), the expiry
+ *          (null if the token does not expire), and the hourly request limit.
+ * @throws {ApiAuthError} With reason 'invalid_token' if the token is rejected.
+ * @throws {ApiRequestError | TypeError} If the request fails for another reason.
+ */
+async function getTokenInfo(token, apiBaseUrl = null) {
+    const baseUrl = apiBaseUrl || await getApiBaseUrl(GITHUB_HOST);
+    const response = await fetch(`${baseUrl}/user`, {
+        headers: {
+            'Accept': 'application/vnd.github.v3+json',
+            'X-GitHub-Api-Version': '2022-11-28',
+            'Authorization': formatAuthorization('github', token)
+        }
+    });
+    if (response.status === 401) {
+        throw new ApiAuthError('The token was rejected: invalid, expired, or revoked.', 'invalid_token');
+    }
+    if (!response.ok) {
+        throw new ApiRequestError(`Token check failed: ${response.status} ${response.statusText}.`, response.status);
+    }
+
+    const user = await response.json();
+    const scopesHeader = response.headers.get('x-oauth-scopes');
+    // Format: "2025-01-31 12:00:00 UTC" (or "+0000"); Date.parse wants ISO
+    const expirationHeader = response.headers.get('github-authentication-token-expiration');
+    const expiresAt = expirationHeader ? new Date(expirationHeader.replace(' ', 'T').replace(/\s*(UTC|[+-]0000)$/, 'Z')) : null;
+    const rateLimit = parseInt(response.headers.get('x-ratelimit-limit'), 10);
+    return {
+        login: user.login,
+        scopes: scopesHeader === null ? null : scopesHeader.split(',').map(scope => scope.trim()).filter(Boolean),
+        expiresAt: expiresAt && !isNaN(expiresAt) ? expiresAt : null,
+        rateLimit: Number.isNaN(rateLimit) ? null : rateLimit
+    };
+}
+
+/**
+ * Makes an authenticated request to the GitHub API through the shared request scheduler.
+ * Concurrency is bounded, and network errors and 5xx responses are retried with exponential backoff.
+ * @param {string} url - The full API endpoint URL.
+ * @param {object} [options={}] - Optional fetch options (method, headers, body, signal, etc.). `signal` also cancels queued requests.
+ * @returns {Promise<Response>} - The raw fetch Response object.
+ * @throws {Error | ApiAuthError | ApiRequestError | RateLimitError | RequestCancelledError} See performApiRequest; RequestCancelledError if the signal is aborted.
+ */
+function makeApiRequest(url, options = {}) {
+    return scheduleRequest(() => performApiRequest(url, options), {
+        signal: options.signal,
+        isRetryable: isRetryableApiError
+    });
+}
+
+/**
+ * Performs one authenticated request attempt against the GitHub API.
+ * Rate-limited responses (429, or 403 from primary/secondary limits) are retried after honoring
+ * Retry-After / X-RateLimit-Reset, as long as the pause stays within RATE_LIMIT_MAX_WAIT_MS.
+ * @param {string} url - The full API endpoint URL.
+ * @param {object} [options={}] - Optional fetch options (method, headers, body, signal, etc.).
+ * @returns {Promise<Response>} - The raw fetch Response object.
+ * @throws {ApiAuthError | ApiRequestError | RateLimitError} If the request fails or returns an error status code. Throws ApiAuthError for 404 on base repo URL and RateLimitError when the limit cannot be waited out.
+ */
+async function performApiRequest(url, options = {}) {
+    const headers = { ...options.headers, 'Accept': 'application/vnd.github.v3+json', 'X-GitHub-Api-Version': '2022-11-28' };
+    let response;
+
+    try {
+        const apiContext = await getApiContextForUrl(url);
+        const { apiBaseUrl, token, provider, credentialName } = apiContext;
+        const rateLimitScope = getRateLimitScope(apiContext);
+        if (token) {
+            headers['Authorization'] = formatAuthorization(provider, token);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            await waitForRateLimitWindow(rateLimitScope, options.signal); // Can throw RateLimitError or RequestCancelledError
+            response = await fetch(url, { ...options, headers });
+            recordRateLimitHeaders(rateLimitScope, response.headers);
+
+            if (response.ok || !(await isRateLimitedResponse(response))) {
+                break;
+            }
+
+            const waitMs = getRateLimitWaitMs(response.headers);
+            if (attempt >= RATE_LIMIT_MAX_RETRIES || waitMs > RATE_LIMIT_MAX_WAIT_MS) {
+                throw createRateLimitError(rateLimitScope, Date.now() + waitMs);
+            }
+            await pauseForRateLimit(rateLimitScope, waitMs, options.signal);
+        }
+
+        if (!response.ok) {
+            let errorData;
+            let errorMessage = `GitHub API request failed: ${response.status} ${response.statusText}. URL: ${url}.`;
+            try {
+                errorData = await response.json();
+                errorMessage += ` Message: ${errorData.message || 'No specific message in error response.'}`;
+                // Raw body log removed previously
+            } catch (parseError) {
+                errorMessage += ' Additionally, failed to parse error response body.';
+                console.error(`[GitHub API] Failed to parse error response body for status ${response.status}`); // Keep this error
+            }
+
+            const tokenDescription = credentialName ? `the '${credentialName}' credential` : 'the token';
+            if (response.status === 401 && headers['Authorization']) {
+                 console.log(`[GitHub API] Received 401 for ${url}. The token was rejected.`);
+                 throw new ApiAuthError(errorMessage + ` (${tokenDescription} was rejected: invalid, expired, or revoked)`, 'invalid_token');
+            }
+
+            // Check if it's a 404 on the base repo endpoint
+            if (response.status === 404 && BASE_REPO_URL_REGEX.test(url)) {
+                 // --- MODIFIED LINE: Changed console.warn to console.log ---
+                 console.log(`[GitHub API] Received 404 on base repo URL: ${url}. Likely a private repo/auth issue.`);
+                 const { reason, hint } = await diagnoseRepoNotFound(url, rateLimitScope, headers, response.headers, tokenDescription);
+                 throw new ApiAuthError(`${errorMessage} (${hint})`, reason);
+            }
+
+            // Throw generic error for other failures (will be logged as error below)
+            throw new ApiRequestError(errorMessage, response.status);
+        }
+
+        return response;
+
+    } catch (error) {
+        // Log ONLY if it's NOT the specific handled ApiAuthError, RateLimitError, or a cancellation.
+        if (!(error instanceof ApiAuthError) && !(error instanceof RateLimitError) && !(error instanceof RequestCancelledError) && error?.name !== 'AbortError') {
+             console.error(`[GitHub API] API request process failed for ${url}:`, error); // Keep error for unexpected fetch issues
+        }
+        // Re-throw the original error
+        throw error;
+    }
+}
+
+/**
+ * Fetches the default branch for a repository.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string} [host='github.com'] - The web host the repository lives on.
+ * @returns {Promise<string>} - The name of the default branch.
+ * @throws {Error | ApiAuthError} If the request fails.
+ */
+async function getDefaultBranch(owner, repo, host = GITHUB_HOST) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl(host);
+        const url = `${apiBaseUrl}/repos/${owner}/${repo}`;
+        const response = await makeApiRequest(url); // Can throw ApiAuthError
+        const repoInfo = await response.json();
+        if (!repoInfo.default_branch) {
+            console.error("[GitHub API] Default branch property missing in repo info:", repoInfo); // Keep error for unexpected API response
+            throw new Error("Could not determine default branch from repository info.");
+        }
+        return repoInfo.default_branch;
+    } catch (error) {
+        // Log only unexpected errors
+        if (!(error instanceof ApiAuthError)) {
+            console.error(`[GitHub API] Error fetching default branch for ${owner}/${repo}:`, error); // Keep error
+        }
+        throw error; // Propagate
+    }
+}
+
+
+/**
+ * Lists the branch and tag names starting with a prefix, using the matching-refs API. Results are cached per session.
+ * Failures other than rate limiting are logged and treated as "no matching refs".
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string} prefix - The ref name prefix (e.g., the first path segment after /tree/).
+ * @param {string} [host='github.com'] - The web host the repository lives on.
+ * @returns {Promise<Set<string>>} Branch and tag names (without refs/heads/ or refs/tags/).
+ * @throws {RateLimitError} If the rate limit is exhausted.
+ */
+async function getMatchingRefNames(owner, repo, prefix, host = GITHUB_HOST) {
+    const apiBaseUrl = await getApiBaseUrl(host);
+    const cacheKey = `${apiBaseUrl} ${owner}/${repo} ${prefix}`;
+    if (!matchingRefsCache.has(cacheKey)) {
+        const encodedPrefix = encodeURIComponent(prefix);
+        const listRefs = async namespace => {
+            try {
+                const response = await makeApiRequest(`${apiBaseUrl}/repos/${owner}/${repo}/git/matching-refs/${namespace}/${encodedPrefix}`);
+                const refs = await response.json();
+                return Array.isArray(refs) ? refs.map(refData => refData.ref.replace(`refs/${namespace}/`, '')) : [];
+            } catch (error) {
+                if (error instanceof RateLimitError) {
+                    throw error;
+                }
+                console.warn(`[GitHub API] Could not list ${namespace} matching '${prefix}' for ${owner}/${repo}:`, error.message);
+                return [];
+            }
+        };
+        const namesPromise = Promise.all([listRefs('heads'), listRefs('tags')])
+            .then(([branches, tags]) => new Set([...branches, ...tags]));
+        namesPromise.catch(() => matchingRefsCache.delete(cacheKey)); // Do not cache rate-limit failures
+        matchingRefsCache.set(cacheKey, namesPromise);
+    }
+    return matchingRefsCache.get(cacheKey);
+}
+
+/**
+ * Splits a ref followed by a sub-path, allowing for ref names that contain slashes
+ * (e.g. `feature/login-form/src` -> ref `feature/login-form`, sub-path `src`).
+ * Successively longer prefixes are checked against the branches and tags that start with the first segment;
+ * the longest existing one wins. Without a match, the first segment is used (it may be a commit SHA).
+ * Shared by the providers, which differ only in how they list the ref names.
+ * @param {string} refPath - The ref followed by the sub-path.
+ * @param {Function} listRefNames - Called with the first segment; resolves to a Set of branch and tag names starting with it.
+ * @returns {Promise<{ref: string, subPath: string}>}
+ * @throws {RateLimitError} If listing the ref names hits the rate limit.
+ */
+async function splitRefPath(refPath, listRefNames) {
+    const segments = refPath.split('/').filter(segment => segment.length > 0);
+    const fallback = { ref: segments[0], subPath: segments.slice(1).join('/') };
+    if (segments.length < 2 || COMMIT_SHA_REGEX.test(segments[0])) {
+        return fallback;
+    }
+
+    const refNames = await listRefNames(segments[0]);
+    for (let length = segments.length; length >= 1; length--) {
+        const candidate = segments.slice(0, length).join('/');
+        if (refNames.has(candidate)) {
+            return { ref: candidate, subPath: segments.slice(length).join('/') };
+        }
+    }
+    return fallback;
+}
+
+/**
+ * Splits the text after /tree/ or /blob/ into a ref and a sub-path (see splitRefPath).
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string} refPath - The ref followed by the sub-path, as returned in `refPath` by parseRepoUrl.
+ * @param {string} [host='github.com'] - The web host the repository lives on.
+ * @returns {Promise<{ref: string, subPath: string}>}
+ * @throws {RateLimitError} If the rate limit is exhausted.
+ */
+function resolveRefAndPath(owner, repo, refPath, host = GITHUB_HOST) {
+    return splitRefPath(refPath, prefix => getMatchingRefNames(owner, repo, prefix, host));
+}
+
+/**
+ * Lists branches, tags, and recent commits for the ref picker.
+ * Only the first page (100) of branches and tags is fetched; the picker filters within it.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string | null} ref - The ref whose recent commits to list (null for the default branch).
+ * @param {string} [host='github.com'] - The web host the repository lives on.
+ * @param {number} [commitCount=20] - How many recent commits to list.
+ * @returns {Promise<{branches: string[], tags: string[], commits: Array<{sha: string, message: string, date: string | null}>}>}
+ * @throws {Error | ApiAuthError | RateLimitError} If any of the requests fail.
+ */
+async function getRefChoices(owner, repo, ref, host = GITHUB_HOST, commitCount = 20) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl(host);
+        const repoUrl = `${apiBaseUrl}/repos/${owner}/${repo}`;
+        const commitsUrl = `${repoUrl}/commits?per_page=${commitCount}${ref ? `&sha=${encodeURIComponent(ref)}` : ''}`;
+
+        const [branchesResponse, tagsResponse, commitsResponse] = await Promise.all([
+            makeApiRequest(`${repoUrl}/branches?per_page=100`),
+            makeApiRequest(`${repoUrl}/tags?per_page=100`),
+            makeApiRequest(commitsUrl)
+        ]);
+        const [branches, tags, commits] = await Promise.all([
+            branchesResponse.json(),
+            tagsResponse.json(),
+            commitsResponse.json()
+        ]);
+
+        return {
+            branches: branches.map(branch => branch.name),
+            tags: tags.map(tag => tag.name),
+            commits: commits.map(commit => ({
+                sha: commit.sha,
+                message: (commit.commit?.message || '').split('\n')[0],
+                date: commit.commit?.committer?.date || commit.commit?.author?.date || null
+            }))
+        };
+    } catch (error) {
+        // Log only unexpected errors
+        if (!(error instanceof ApiAuthError) && !(error instanceof RateLimitError)) {
+            console.error(`[GitHub API] Error listing refs for ${owner}/${repo}:`, error); // Keep error
+        }
+        throw error; // Propagate
+    }
+}
+
+/**
+ * Converts a file entry from the pull request files or compare API into a changed file.
+ * @param {object} file - The API entry.
+ * @returns {{path: string, previousPath: string | null, status: string, additions: number, deletions: number, patch: string | null, sha: string | null}}
+ */
+function toChangedFile(file) {
+    return {
+        path: file.filename,
+        previousPath: file.previous_filename || null,
+        status: file.status,
+        additions: file.additions,
+        deletions: file.deletions,
+        patch: file.patch ?? null,
+        sha: file.sha || null
+    };
+}
+
+/**
+ * Lists the most recent commits on a ref, optionally only those touching one path.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string | null} ref - The branch, tag, or commit SHA to list history from. If null, uses the default branch.
+ * @param {object} [query={}] - What to list.
+ * @param {string} [query.path] - Only list commits touching this file or folder.
+ * @param {number} [query.count=10] - How many commits to list (at most 100).
+ * @param {string} [host='github.com'] - The web host the repository lives on.
+ * @param {object} [options={}] - Request options.
+ * @param {AbortSignal} [options.signal] - Cancels the request.
+ * @returns {Promise<Array<{sha: string, message: string, author: string | null, date: string | null}>>} Newest first; `message` is the subject line.
+ * @throws {Error | ApiAuthError | RateLimitError | RequestCancelledError} If the request fails.
+ */
+async function getRecentCommits(owner, repo, ref, { path, count = 10 } = {}, host = GITHUB_HOST, options = {}) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl(host);
+        const params = new URLSearchParams({ per_page: String(Math.min(100, count)) });
+        if (ref) params.set('sha', ref);
+        if (path) params.set('path', path);
+        const response = await makeApiRequest(`${apiBaseUrl}/repos/${owner}/${repo}/commits?${params}`, { signal: options.signal });
+        const commits = await response.json();
+        return commits.map(commit => ({
+            sha: commit.sha,
+            message: (commit.commit?.message || '').split('\n')[0],
+            author: commit.author?.login || commit.commit?.author?.name || null,
+            date: commit.commit?.author?.date || commit.commit?.committer?.date || null
+        }));
+    } catch (error) {
+        // Log only unexpected errors
+        if (!(error instanceof ApiAuthError) && !(error instanceof RateLimitError) && !(error instanceof RequestCancelledError)) {
+            console.error(`[GitHub API] Error listing commits${path ? ` for ${path}` : ''} in ${owner}/${repo}:`, error); // Keep error
+        }
+        throw error; // Propagate
+    }
+}
+
+/**
+ * Fetches a pull request's title, description, and head/base commits.
+ * @param {string} owner - The (base) repository owner.
+ * @param {string} repo - The (base) repository name.
+ * @param {number} pullNumber - The pull request number.
+ * @param {string} [host='github.com'] - The web host the repository lives on.
+ * @returns {Promise<{number: number, title: string, body: string, author: string | null, state: string, url: string, headSha: string, headRef: string, baseSha: string, baseRef: string}>}
+ * @throws {Error | ApiAuthError | RateLimitError} If the request fails.
+ */
+async function getPullRequest(owner, repo, pullNumber, host = GITHUB_HOST) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl(host);
+        const response = await makeApiRequest(`${apiBaseUrl}/repos/${owner}/${repo}/pulls/${pullNumber}`);
+        const pullData = await response.json();
+        return {
+            number: pullData.number,
+            title: pullData.title || '',
+            body: pullData.body || '',
+            author: pullData.user?.login || null,
+            state: pullData.merged_at ? 'merged' : pullData.state,
+            url: pullData.html_url,
+            headSha: pullData.head.sha,
+            headRef: pullData.head.label || pullData.head.ref,
+            baseSha: pullData.base.sha,
+            baseRef: pullData.base.ref
+        };
+    } catch (error) {
+        // Log only unexpected errors
+        if (!(error instanceof ApiAuthError) && !(error instanceof RateLimitError)) {
+            console.error(`[GitHub API] Error fetching pull request #${pullNumber} for ${owner}/${repo}:`, error); // Keep error
+        }
+        throw error; // Propagate
+    }
+}
+
+/**
+ * Lists the files changed by a pull request, with their per-file patches.
+ * GitHub returns at most 3000 files, and omits the patch for very large or binary diffs.
+ * @param {string} owner - The (base) repository owner.
+ * @param {string} repo - The (base) repository name.
+ * @param {number} pullNumber - The pull request number.
+ * @param {string} [host='github.com'] - The web host the repository lives on.
+ * @returns {Promise<Array<{path: string, previousPath: string | null, status: string, additions: number, deletions: number, patch: string | null, sha: string | null}>>}
+ * @throws {Error | ApiAuthError | RateLimitError} If a request fails.
+ */
+async function getPullRequestFiles(owner, repo, pullNumber, host = GITHUB_HOST) {
+    const PER_PAGE = 100;
+    const MAX_PAGES = 30; // GitHub's 3000-file cap
+    try {
+        const apiBaseUrl = await getApiBaseUrl(host);
+        const files = [];
+        for (let page = 1; page <= MAX_PAGES; page++) {
+            const response = await makeApiRequest(`${apiBaseUrl}/repos/${owner}/${repo}/pulls/${pullNumber}/files?per_page=${PER_PAGE}&page=${page}`);
+            const pageFiles = await response.json();
+            files.push(...pageFiles.map(toChangedFile));
+            if (pageFiles.length < PER_PAGE) {
+                break;
+            }
+        }
+        return files;
+    } catch (error) {
+        // Log only unexpected errors
+        if (!(error instanceof ApiAuthError) && !(error instanceof RateLimitError)) {
+            console.error(`[GitHub API] Error listing files for pull request #${pullNumber} in ${owner}/${repo}:`, error); // Keep error
+        }
+        throw error; // Propagate
+    }
+}
+
+/**
+ * Fetches an issue with its comment thread, oldest comment first.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {number} issueNumber - The issue number.
+ * @param {string} [host='github.com'] - The web host the repository lives on.
+ * @returns {Promise<{number: number, title: string, body: string, author: string | null, state: string, createdAt: string, url: string, totalComments: number, comments: Array<{author: string | null, createdAt: string, body: string}>}>}
+ *          `comments` stops at MAX_PAGES pages; `totalComments` is the full count.
+ * @throws {Error | ApiAuthError | RateLimitError} If a request fails.
+ */
+async function getIssueThread(owner, repo, issueNumber, host = GITHUB_HOST) {
+    const PER_PAGE = 100;
+    const MAX_PAGES = 10; // Very long threads are cut off rather than spending the rate limit
+    try {
+        const apiBaseUrl = await getApiBaseUrl(host);
+        const issueResponse = await makeApiRequest(`${apiBaseUrl}/repos/${owner}/${repo}/issues/${issueNumber}`);
+        const issueData = await issueResponse.json();
+
+        const comments = [];
+        const pageCount = Math.min(MAX_PAGES, Math.ceil((issueData.comments || 0) / PER_PAGE));
+        for (let page = 1; page <= pageCount; page++) {
+            const response = await makeApiRequest(`${apiBaseUrl}/repos/${owner}/${repo}/issues/${issueNumber}/comments?per_page=${PER_PAGE}&page=${page}`);
+            const pageComments = await response.json();
+            comments.push(...pageComments.map(comment => ({
+                author: comment.user?.login || null,
+                createdAt: comment.created_at,
+                body: comment.body || ''
+            })));
+        }
+
+        return {
+            number: issueData.number,
+            title: issueData.title || '',
+            body: issueData.body || '',
+            author: issueData.user?.login || null,
+            state: issueData.state,
+            createdAt: issueData.created_at,
+            url: issueData.html_url,
+            totalComments: issueData.comments || 0,
+            comments
+        };
+    } catch (error) {
+        // Log only unexpected errors
+        if (!(error instanceof ApiAuthError) && !(error instanceof RateLimitError)) {
+            console.error(`[GitHub API] Error fetching issue #${issueNumber} for ${owner}/${repo}:`, error); // Keep error
+        }
+        throw error; // Propagate
+    }
+}
+
+/**
+ * Splits a compare head into the repository and ref it names. A fork head is written `owner:branch` (the fork
+ * keeps the repository's name) or `owner:repo:branch`; git ref names cannot contain ':', so anything else is a plain ref.
+ * @param {string} owner - The owner of the repository being compared.
+ * @param {string} repo - The name of the repository being compared.
+ * @param {string} head - The head as passed to compareRefs.
+ * @returns {{owner: string, repo: string, ref: string}}
+ */
+function parseCompareHead(owner, repo, head) {
+    const parts = head.split(':');
+    if (parts.length === 2) {
+        return { owner: parts[0], repo, ref: parts[1] };
+    }
+    if (parts.length === 3) {
+        return { owner: parts[0], repo: parts[1], ref: parts[2] };
+    }
+    return { owner, repo, ref: head };
+}
+
+/**
+ * Compares two refs with the compare API: the commits on head that are not on base, and the files they change.
+ * GitHub lists at most 300 changed files and 250 commits, and omits the patch for very large or binary diffs.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string | null} base - The base branch, tag, or commit SHA. If null, uses the default branch.
+ * @param {string} head - The head branch, tag, or commit SHA (or `owner:branch` for a fork).
+ * @param {string} [host='github.com'] - The web host the repository lives on.
+ * @returns {Promise<{base: string, head: string, status: string, aheadBy: number, behindBy: number, totalCommits: number, headSha: string | null, mergeBaseSha: string | null, url: string, commits: Array<{sha: string, message: string}>, files: Array<object>, filesTruncated: boolean}>}
+ *          `files` has the same shape as getPullRequestFiles; `filesTruncated` is set when the list reached the 300-file cap. `headSha` is null when head has no commits beyond base.
+ *          Commits are listed oldest first, so when the range has more than the 250 listed, the head commit is
+ *          looked up separately (one more request, on the fork for a fork head); if that fails, the last listed commit is kept.
+ * @throws {Error | ApiAuthError | RateLimitError} If the request fails.
+ */
+async function compareRefs(owner, repo, base, head, host = GITHUB_HOST) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl(host);
+        const baseToUse = base || await getDefaultBranch(owner, repo, host);
+        const encodeRef = ref => ref.split('/').map(encodeURIComponent).join('/'); // Branch names may contain slashes
+        const response = await makeApiRequest(`${apiBaseUrl}/repos/${owner}/${repo}/compare/${encodeRef(baseToUse)}...${encodeRef(head)}`);
+        const comparisonData = await response.json();
+        const commits = (comparisonData.commits || []).map(commit => ({
+            sha: commit.sha,
+            message: (commit.commit?.message || '').split('\n')[0]
+        }));
+        let headSha = commits.length > 0 ? commits[commits.length - 1].sha : null;
+        if (commits.length > 0 && commits.length < comparisonData.total_commits) {
+            // The last listed commit is not the head of a longer range
+            const headLocation = parseCompareHead(owner, repo, head);
+            try {
+                const [headCommit] = await getRecentCommits(headLocation.owner, headLocation.repo, headLocation.ref, { count: 1 }, host);
+                headSha = headCommit?.sha || headSha;
+            } catch (error) {
+                if (error instanceof RateLimitError) {
+                    throw error;
+                }
+                console.warn(`[GitHub API] Could not look up the head commit of ${head}; using the last listed commit:`, error.message);
+            }
+        }
+        return {
+            base: baseToUse,
+            head,
+            status: comparisonData.status,
+            aheadBy: comparisonData.ahead_by,
+            behindBy: comparisonData.behind_by,
+            totalCommits: comparisonData.total_commits,
+            headSha,
+            mergeBaseSha: comparisonData.merge_base_commit?.sha || null,
+            url: comparisonData.html_url,
+            commits,
+            files: (comparisonData.files || []).map(toChangedFile),
+            filesTruncated: (comparisonData.files || []).length >= COMPARE_MAX_FILES
+        };
+    } catch (error) {
+        // Log only unexpected errors
+        if (!(error instanceof ApiAuthError) && !(error instanceof RateLimitError)) {
+            console.error(`[GitHub API] Error comparing ${base || 'default branch'}...${head} in ${owner}/${repo}:`, error); // Keep error
+        }
+        throw error; // Propagate
+    }
+}
+
+/**
+ * Fetches the file tree for a repository recursively, optionally for a specific ref.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string | null} [ref=null] - Optional branch, tag, or commit SHA. If null, uses the default branch.
+ * @param {string} [host='github.com'] - The web host the repository lives on.
+ * @returns {Promise<{tree: Array<object>, truncated: boolean, ref: string, sha: string | null}>} - A promise resolving to an object containing the tree items, truncation status, the ref actually used, and the root tree SHA (for walking a truncated tree).
+ * @throws {Error | ApiAuthError} If the request fails or the tree data is invalid.
+ */
+async function getRepoTree(owner, repo, ref = null, host = GITHUB_HOST) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl(host);
+        let refToUse = ref;
+        if (!refToUse) {
+            refToUse = await getDefaultBranch(owner, repo, host); // Can throw ApiAuthError
+        }
+
+        const encodedRef = refToUse.split('/').map(encodeURIComponent).join('/'); // Branch names may contain slashes
+        const treeUrl = `${apiBaseUrl}/repos/${owner}/${repo}/git/trees/${encodedRef}?recursive=1`;
+
+        const response = await makeApiRequest(treeUrl); // Can throw ApiAuthError or other errors
+        const treeData = await response.json();
+
+        if (!treeData || !Array.isArray(treeData.tree)) {
+            if (treeData?.commit?.tree?.sha) {
+                 const commitTreeUrl = `${apiBaseUrl}/repos/${owner}/${repo}/git/trees/${treeData.tree.sha}?recursive=1`;
+                 const commitTreeResponse = await makeApiRequest(commitTreeUrl); // Can throw ApiAuthError or other errors
+                 const commitTreeData = await commitTreeResponse.json();
+
+                 if (!commitTreeData || !Array.isArray(commitTreeData.tree)) {
+                     console.error("[GitHub API] Invalid tree data structure received even after using commit's tree SHA:", commitTreeData); // Keep error
+                     throw new Error("Invalid tree data received from GitHub API (missing 'tree' array after commit lookup).");
+                 }
+                 treeData.tree = commitTreeData.tree;
+                 treeData.truncated = commitTreeData.truncated;
+                 treeData.sha = commitTreeData.sha;
+            } else {
+                console.error("[GitHub API] Invalid tree data structure received:", treeData); // Keep error
+                throw new Error(`Invalid tree data received from GitHub API (missing 'tree' array or unexpected structure for ref '${refToUse}').`);
+            }
+        }
+
+        const isTruncated = !!treeData.truncated;
+
+        if (isTruncated) {
+            // Keep as warn, truncation is potentially problematic for the user's goal
+            console.warn(`[GitHub API] Warning: Repository tree for ${owner}/${repo} (ref: ${refToUse}) was truncated. Not all files may be listed.`);
+        }
+
+        return { tree: treeData.tree, truncated: isTruncated, ref: refToUse, sha: treeData.sha || null };
+
+    } catch (error) {
+        // Log only unexpected errors
+        if (!(error instanceof ApiAuthError)) {
+            console.error(`[GitHub API] Error fetching repository tree for ${owner}/${repo} (ref: ${ref || 'default'}):`, error); // Keep error
+        }
+        throw error; // Propagate
+    }
+}
+
+/**
+ * Fetches a single tree object by its SHA, either one level deep or recursively.
+ * Used to walk repositories whose recursive tree listing was truncated.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string} treeSha - The SHA of the tree object.
+ * @param {boolean} [recursive=false] - Whether to list all descendants instead of direct children only.
+ * @param {string} [host='github.com'] - The web host the repository lives on.
+ * @returns {Promise<{tree: Array<object>, truncated: boolean, sha: string}>} - The tree entries (paths relative to this tree) and truncation status.
+ * @throws {Error | ApiAuthError} If the request fails or the tree data is invalid.
+ */
+async function getTreeBySha(owner, repo, treeSha, recursive = false, host = GITHUB_HOST) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl(host);
+        const treeUrl = `${apiBaseUrl}/repos/${owner}/${repo}/git/trees/${treeSha}${recursive ? '?recursive=1' : ''}`;
+        const response = await makeApiRequest(treeUrl); // Can throw ApiAuthError or other errors
+        const treeData = await response.json();
+
+        if (!treeData || !Array.isArray(treeData.tree)) {
+            console.error("[GitHub API] Invalid tree data structure received for tree SHA:", treeSha, treeData); // Keep error
+            throw new Error(`Invalid tree data received from GitHub API for tree SHA ${treeSha}.`);
+        }
+
+        return { tree: treeData.tree, truncated: !!treeData.truncated, sha: treeData.sha || treeSha };
+
+    } catch (error) {
+        // Log only unexpected errors
+        if (!(error instanceof ApiAuthError)) {
+            console.error(`[GitHub API] Error fetching tree ${treeSha} for ${owner}/${repo}:`, error); // Keep error
+        }
+        throw error; // Propagate
+    }
+}
+
+
+/**
+ * Fetches and decodes a blob from an endpoint returning `{content, encoding: 'base64', size}`, which GitHub, GitLab, and Gitea all provide.
+ * Blob payloads are served from the persistent blob cache when present, since a SHA always names the same content.
+ * Git LFS pointer files are reported as type 'lfs' (with the real object's size) rather than as their pointer text.
+ * @param {string} url - The blob endpoint URL.
+ * @param {string} fileSha - The SHA hash of the file blob (the cache key).
+ * @param {object} [options={}] - Optional request options.
+ * @param {AbortSignal} [options.signal] - Cancels the request (queued or in flight).
+ * @returns {Promise<import('./content_decoder.js').FileContentResult>} - A promise that resolves to the decoded text, or a binary marker.
+ * @throws {Error | ApiAuthError | RequestCancelledError} If the request fails, is cancelled, or content cannot be decoded.
+ */
+async function fetchBlobContent(url, fileSha, options = {}) {
+    try {
+        let blobData = await getCachedBlob(fileSha);
+
+        if (!blobData) {
+            const response = await makeApiRequest(url, { signal: options.signal }); // Can throw ApiAuthError or other errors
+            blobData = await response.json();
+
+            if (blobData.content === null || blobData.content === undefined || blobData.encoding !== 'base64') {
+                if (blobData.size === 0 && blobData.content === "") {
+                     return decodeBlobContent(""); // Handle empty files
+                }
+                console.error(`[GitHub API] Invalid or incompatible blob data received for SHA ${fileSha}:`, JSON.stringify(blobData, null, 2)); // Keep error
+                throw new Error(`Invalid, missing, or non-base64 content for blob SHA ${fileSha}. Received encoding: ${blobData.encoding}. Content present: ${blobData.content != null}. Size: ${blobData.size}`);
+            }
+
+            await putCachedBlob(fileSha, { content: blobData.content, encoding: blobData.encoding });
+        }
+
+        const fileContent = decodeBlobContent(blobData.content);
+        const lfsPointer = parseLfsPointer(fileContent);
+        if (lfsPointer) {
+            return { type: 'lfs', content: null, encoding: null, size: lfsPointer.size, lfsOid: lfsPointer.oid };
+        }
+        return fileContent;
+
+    } catch (error) {
+        // Log only unexpected errors
+        if (!(error instanceof ApiAuthError) && !(error instanceof RequestCancelledError)) {
+            console.error(`[GitHub API] Error processing file content for SHA ${fileSha}:`, error); // Keep error
+        }
+        throw error; // Propagate
+    }
+}
+
+/**
+ * Fetches the content of a specific file (blob) using its SHA (see fetchBlobContent).
+ * Use getLfsObjectContent to fetch the object behind an LFS pointer.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string} fileSha - The SHA hash of the file blob.
+ * @param {string} [host='github.com'] - The web host the repository lives on.
+ * @param {object} [options={}] - Optional request options.
+ * @param {AbortSignal} [options.signal] - Cancels the request (queued or in flight).
+ * @returns {Promise<import('./content_decoder.js').FileContentResult>} - A promise that resolves to the decoded text, or a binary marker.
+ * @throws {Error | ApiAuthError | RequestCancelledError} If the request fails, is cancelled, or content cannot be decoded.
+ */
+async function getFileContentBySha(owner, repo, fileSha, host = GITHUB_HOST, options = {}) {
+    const apiBaseUrl = await getApiBaseUrl(host);
+    return fetchBlobContent(`${apiBaseUrl}/repos/${owner}/${repo}/git/blobs/${fileSha}`, fileSha, options);
+}
+
+/**
+ * Downloads a raw content URL outside the API (e.g., an LFS media or gist raw URL) through the request scheduler,
+ * without the API token, retrying network failures and 5xx responses.
+ * @param {string} url - The URL to download.
+ * @param {string} description - What is being downloaded, for the error message (e.g., 'LFS download for a.bin').
+ * @param {object} [options={}] - Optional request options.
+ * @param {AbortSignal} [options.signal] - Cancels the request (queued or in flight).
+ * @returns {Promise<Response>} The successful response.
+ * @throws {ApiRequestError | RequestCancelledError} If the download fails or is cancelled.
+ */
+function fetchRawUrl(url, description, options = {}) {
+    return scheduleRequest(async () => {
+        const result = await fetch(url, { signal: options.signal });
+        if (!result.ok) {
+            throw new ApiRequestError(`${description} failed: ${result.status} ${result.statusText}`, result.status);
+        }
+        return result;
+    }, { signal: options.signal, isRetryable: isRetryableApiError });
+}
+
+/**
+ * Fetches the real content of a Git LFS-tracked file.
+ * The contents API returns a download URL on the media host (with a short-lived token for private repositories),
+ * which serves the LFS object rather than its pointer.
+ * @param {string} owner - The repository owner.
+ * @param {string} repo - The repository name.
+ * @param {string} path - The file path within the repository.
+ * @param {string} ref - The branch, tag, or commit SHA the file was listed at.
+ * @param {string} [host='github.com'] - The web host the repository lives on.
+ * @param {object} [options={}] - Optional request options.
+ * @param {AbortSignal} [options.signal] - Cancels the requests (queued or in flight).
+ * @returns {Promise<import('./content_decoder.js').FileContentResult>} - The decoded object content.
+ * @throws {Error | ApiAuthError | ApiRequestError | RequestCancelledError} If either request fails, or no download URL is available.
+ */
+async function getLfsObjectContent(owner, repo, path, ref, host = GITHUB_HOST, options = {}) {
+    const apiBaseUrl = await getApiBaseUrl(host);
+    const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+    const url = `${apiBaseUrl}/repos/${owner}/${repo}/contents/${encodedPath}?ref=${encodeURIComponent(ref)}`;
+    const response = await makeApiRequest(url, { signal: options.signal });
+    const fileData = await response.json();
+
+    if (!fileData.download_url) {
+        throw new Error(`No download URL available for LFS object ${path}.`);
+    }
+
+    // The download URL carries its own authorization, so it is fetched without the API token
+    const mediaResponse = await fetchRawUrl(fileData.download_url, `LFS download for ${path}`, options);
+    const fileContent = decodeContentBytes(new Uint8Array(await mediaResponse.arrayBuffer()));
+    if (parseLfsPointer(fileContent)) {
+        throw new Error(`The server returned the LFS pointer instead of the object for ${path}.`);
+    }
+    return fileContent;
+}
+
+export {
+    GITHUB_HOST,
+    isSupportedHost,
+    getApiBaseUrl,
+    makeApiRequest,
+    parseRepoUrl,
+    decodePathSegment,
+    splitRefPath,
+    resolveRefAndPath,
+    getDefaultBranch,
+    getRefChoices,
+    getRecentCommits,
+    getPullRequest,
+    getPullRequestFiles,
+    compareRefs,
+    getIssueThread,
+    getRepoTree,
+    getTreeBySha,
+    fetchBlobContent,
+    fetchRawUrl,
+    getFileContentBySha,
+    getLfsObjectContent,
+    getRateLimitStatus,
+    setRateLimitListener,
+    assertRateLimitCapacity,
+    getTokenInfo,
+    ApiAuthError,
+    ApiRequestError,
+    RateLimitError,
+    RequestCancelledError
 };
\ No newline at end of file
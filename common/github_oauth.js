@@ -0,0 +1,164 @@
+// File: common/github_oauth.js
+// "Sign in with GitHub" through the OAuth device authorization grant (RFC 8628). The endpoint is configurable,
+// so the flow also runs against GitHub Enterprise Server or a local stand-in that implements the same two routes.
+
+const DEVICE_CODE_PATH = '/login/device/code';
+const ACCESS_TOKEN_PATH = '/login/oauth/access_token';
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+const DEFAULT_SCOPE = 'repo'; // Same scope the PAT instructions recommend
+const DEFAULT_POLL_INTERVAL_SECONDS = 5;
+const SLOW_DOWN_INCREMENT_SECONDS = 5; // RFC 8628: on slow_down, poll 5 seconds less often
+
+/**
+ * Custom error for failures of the device flow, carrying the OAuth error code (e.g., 'access_denied').
+ */
+class DeviceFlowError extends Error {
+    constructor(message, code = null) {
+        super(message);
+        this.name = 'DeviceFlowError';
+        this.code = code;
+    }
+}
+
+/**
+ * Posts a form to an OAuth endpoint and parses the JSON answer. OAuth errors come back as
+ * `{error, error_description}` bodies (with status 200 on GitHub), so they are returned rather than thrown.
+ * @param {string} url - The endpoint URL.
+ * @param {Object<string, string>} params - The form fields.
+ * @param {AbortSignal} [signal] - Cancels the request.
+ * @returns {Promise<object>} The parsed response body.
+ * @throws {DeviceFlowError} If the endpoint does not answer with JSON.
+ * @throws {DOMException} AbortError if the signal is aborted.
+ */
+async function postForm(url, params, signal) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Accept': 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams(params),
+        signal
+    });
+    let data;
+    try {
+        data = await response.json();
+    } catch (error) {
+        throw new DeviceFlowError(`Unexpected response from ${url}: ${response.status} ${response.statusText}`);
+    }
+    if (!response.ok && !data?.error) {
+        throw new DeviceFlowError(`Request to ${url} failed: ${response.status} ${response.statusText}`);
+    }
+    return data || {};
+}
+
+/**
+ * Waits for a number of seconds, or until the signal is aborted.
+ * @param {number} seconds - How long to wait.
+ * @param {AbortSignal} [signal] - Ends the wait early.
+ * @returns {Promise<void>}
+ * @throws {DOMException} AbortError if the signal is aborted.
+ */
+function wait(seconds, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, seconds * 1000);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason ?? new DOMException('Aborted', 'AbortError'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Starts the device flow: asks the endpoint for a device code and the user code to enter on the verification page.
+ * @param {string} baseUrl - The OAuth endpoint (e.g., 'https://github.com'), without a trailing slash.
+ * @param {string} clientId - The client ID of an OAuth app with device flow enabled.
+ * @param {object} [options={}] - Optional settings.
+ * @param {string} [options.scope='repo'] - The scopes to request, space-separated.
+ * @param {AbortSignal} [options.signal] - Cancels the request.
+ * @returns {Promise<{deviceCode: string, userCode: string, verificationUri: string, expiresIn: number, interval: number}>}
+ * @throws {DeviceFlowError | DOMException} If the endpoint refuses (e.g., device flow disabled for the app) or the request is aborted.
+ */
+async function requestDeviceCode(baseUrl, clientId, options = {}) {
+    const { scope = DEFAULT_SCOPE, signal } = options;
+    console.log(`[GitHub OAuth] Requesting device code from ${baseUrl} (scope: ${scope}).`);
+    const data = await postForm(`${baseUrl}${DEVICE_CODE_PATH}`, { client_id: clientId, scope }, signal);
+    if (data.error || !data.device_code || !data.user_code) {
+        throw new DeviceFlowError(data.error_description || data.error || 'No device code in the response.', data.error || null);
+    }
+    return {
+        deviceCode: data.device_code,
+        userCode: data.user_code,
+        verificationUri: data.verification_uri || `${baseUrl}/login/device`,
+        expiresIn: Number(data.expires_in) || 900,
+        interval: Number(data.interval) || DEFAULT_POLL_INTERVAL_SECONDS
+    };
+}
+
+/**
+ * Polls for the access token until the user approves or denies the request, or the device code expires.
+ * @param {string} baseUrl - The OAuth endpoint, as passed to requestDeviceCode.
+ * @param {string} clientId - The client ID, as passed to requestDeviceCode.
+ * @param {{deviceCode: string, expiresIn: number, interval: number}} deviceCode - The result of requestDeviceCode.
+ * @param {object} [options={}] - Optional settings.
+ * @param {AbortSignal} [options.signal] - Stops polling.
+ * @returns {Promise<{accessToken: string, tokenType: string, scopes: string[], expiresAt: number | null, createdAt: number, baseUrl: string}>}
+ *          The token record to store; expiresAt is set only when the endpoint issues expiring tokens, and baseUrl is the issuing endpoint.
+ * @throws {DeviceFlowError} If the user denies access, the code expires, or the endpoint reports another error.
+ * @throws {DOMException} AbortError if polling is cancelled.
+ */
+async function pollForAccessToken(baseUrl, clientId, deviceCode, options = {}) {
+    const { signal } = options;
+    const deadline = Date.now() + deviceCode.expiresIn * 1000;
+    let interval = deviceCode.interval;
+
+    while (Date.now() < deadline) {
+        await wait(interval, signal);
+        const data = await postForm(`${baseUrl}${ACCESS_TOKEN_PATH}`, {
+            client_id: clientId,
+            device_code: deviceCode.deviceCode,
+            grant_type: DEVICE_GRANT_TYPE
+        }, signal);
+
+        if (data.access_token) {
+            const createdAt = Date.now();
+            const expiresIn = Number(data.expires_in);
+            console.log(`[GitHub OAuth] Access token received (scopes: ${data.scope || 'none'}).`);
+            return {
+                accessToken: data.access_token,
+                tokenType: data.token_type || 'bearer',
+                scopes: (data.scope || '').split(/[\s,]+/).filter(Boolean),
+                expiresAt: expiresIn > 0 ? createdAt + expiresIn * 1000 : null,
+                createdAt,
+                baseUrl // The token is only valid on this server's API (see getOAuthTokenForHost)
+            };
+        }
+
+        switch (data.error) {
+            case 'authorization_pending':
+                break;
+            case 'slow_down':
+                interval = Number(data.interval) || interval + SLOW_DOWN_INCREMENT_SECONDS;
+                console.log(`[GitHub OAuth] Asked to slow down; polling every ${interval}s.`);
+                break;
+            case 'expired_token':
+                throw new DeviceFlowError('The code expired before it was entered. Start the sign-in again.', data.error);
+            case 'access_denied':
+                throw new DeviceFlowError('Access was denied on the authorization page.', data.error);
+            default:
+                throw new DeviceFlowError(data.error_description || data.error || 'No access token in the response.', data.error || null);
+        }
+    }
+    throw new DeviceFlowError('The code expired before it was entered. Start the sign-in again.', 'expired_token');
+}
+
+export {
+    DeviceFlowError,
+    requestDeviceCode,
+    pollForAccessToken
+};
@@ -0,0 +1,199 @@
+// File: common/gitlab_api.js
+// GitLab implementation of the provider interface (see providers.js), for gitlab.com and self-hosted GitLab.
+// Requests go through the shared request layer in github_api.js (scheduling, retries, tokens and rate limits).
+import { getApiBaseUrl, makeApiRequest, decodePathSegment, splitRefPath, fetchBlobContent, ApiAuthError, RateLimitError } from './github_api.js';
+
+const TREE_PAGE_SIZE = 100; // GitLab's maximum page size
+const MAX_TREE_PAGES = 200; // Larger trees are listed up to this point and reported as truncated
+const NEXT_LINK_REGEX = /<([^>]+)>;\s*rel="next"/;
+
+/**
+ * Builds the URL-encoded project ID GitLab accepts in place of the numeric one (e.g. 'group%2Fsubgroup%2Fproject').
+ * @param {string} owner - The namespace, which may contain subgroups separated by '/'.
+ * @param {string} repo - The project path.
+ * @returns {string}
+ */
+function getProjectId(owner, repo) {
+    return encodeURIComponent(`${owner}/${repo}`);
+}
+
+/**
+ * Parses a GitLab project URL. Everything before the `/-/` separator is the project path, so the owner keeps
+ * any subgroups (`group/subgroup`); after it, `tree/<ref>/<path>`, `blob/<ref>/<path>`, `commit/<sha>`,
+ * and `tags/<tag>` set the ref. Merge request and issue pages load the project at its default branch.
+ * @param {string} repoUrl - The full URL of the GitLab project page.
+ * @returns {object | null} The same shape as GitHub's parseRepoUrl (without pull request, issue, or compare details), or null if parsing fails.
+ */
+function parseRepoUrl(repoUrl) {
+    try {
+        const url = new URL(repoUrl);
+        const pathParts = url.pathname.split('/').filter(part => part.length > 0);
+        const separatorIndex = pathParts.indexOf('-');
+        const projectParts = (separatorIndex === -1 ? pathParts : pathParts.slice(0, separatorIndex)).map(decodePathSegment);
+
+        if (projectParts.length < 2) {
+            console.error("[GitLab API] Could not parse namespace/project from path:", url.pathname);
+            return null;
+        }
+
+        const route = separatorIndex === -1 ? [] : pathParts.slice(separatorIndex + 1).map(decodePathSegment);
+        let ref = null;
+        let refPath = null;
+        let pathType = null;
+        let subPath = '';
+
+        if (route.length > 1 && (route[0] === 'tree' || route[0] === 'blob' || route[0] === 'commit')) {
+            ref = route[1];
+            if (route[0] !== 'commit' && route.length > 2) {
+                pathType = route[0];
+                refPath = route.slice(1).join('/');
+                subPath = route.slice(2).join('/');
+            }
+        } else if (route.length > 1 && route[0] === 'tags') {
+            ref = route.slice(1).join('/'); // Tag names may contain slashes
+        }
+
+        return {
+            host: url.hostname.toLowerCase(),
+            owner: projectParts.slice(0, -1).join('/'),
+            repo: projectParts[projectParts.length - 1].replace(/\.git$/, ''),
+            ref, refPath, pathType, subPath,
+            pullNumber: null, issueNumber: null, compare: null
+        };
+    } catch (error) {
+        console.error("[GitLab API] Invalid URL provided for parsing:", repoUrl, error);
+        return null;
+    }
+}
+
+/**
+ * Lists the branch and tag names starting with a prefix. Failures other than rate limiting count as "no matching refs".
+ * @param {string} owner - The project namespace.
+ * @param {string} repo - The project path.
+ * @param {string} prefix - The ref name prefix.
+ * @param {string} host - The web host the project lives on.
+ * @returns {Promise<Set<string>>}
+ * @throws {RateLimitError} If the rate limit is exhausted.
+ */
+async function getMatchingRefNames(owner, repo, prefix, host) {
+    const apiBaseUrl = await getApiBaseUrl(host);
+    const listRefs = async kind => {
+        try {
+            const params = new URLSearchParams({ search: `^${prefix}`, per_page: '100' });
+            const response = await makeApiRequest(`${apiBaseUrl}/projects/${getProjectId(owner, repo)}/repository/${kind}?${params}`);
+            const refs = await response.json();
+            return Array.isArray(refs) ? refs.map(refData => refData.name) : [];
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+            console.warn(`[GitLab API] Could not list ${kind} matching '${prefix}' for ${owner}/${repo}:`, error.message);
+            return [];
+        }
+    };
+    const [branches, tags] = await Promise.all([listRefs('branches'), listRefs('tags')]);
+    return new Set([...branches, ...tags]);
+}
+
+/**
+ * Splits the text after /-/tree/ or /-/blob/ into a ref and a sub-path (see splitRefPath).
+ * @param {string} owner - The project namespace.
+ * @param {string} repo - The project path.
+ * @param {string} refPath - The ref followed by the sub-path, as returned in `refPath` by parseRepoUrl.
+ * @param {string} host - The web host the project lives on.
+ * @returns {Promise<{ref: string, subPath: string}>}
+ * @throws {RateLimitError} If the rate limit is exhausted.
+ */
+function resolveRefAndPath(owner, repo, refPath, host) {
+    return splitRefPath(refPath, prefix => getMatchingRefNames(owner, repo, prefix, host));
+}
+
+/**
+ * Fetches the default branch of a project.
+ * @param {string} owner - The project namespace.
+ * @param {string} repo - The project path.
+ * @param {string} host - The web host the project lives on.
+ * @returns {Promise<string>} The name of the default branch.
+ * @throws {Error | ApiAuthError} If the request fails or the project has no branches yet.
+ */
+async function getDefaultBranch(owner, repo, host) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl(host);
+        const response = await makeApiRequest(`${apiBaseUrl}/projects/${getProjectId(owner, repo)}`); // Can throw ApiAuthError
+        const projectInfo = await response.json();
+        if (!projectInfo.default_branch) {
+            throw new Error("Could not determine the default branch (the project may be empty).");
+        }
+        return projectInfo.default_branch;
+    } catch (error) {
+        if (!(error instanceof ApiAuthError) && !(error instanceof RateLimitError)) {
+            console.error(`[GitLab API] Error fetching default branch for ${owner}/${repo}:`, error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Lists the whole project tree at a ref, following GitLab's pagination.
+ * GitLab does not report blob sizes in tree listings, so file entries have no `size`.
+ * @param {string} owner - The project namespace.
+ * @param {string} repo - The project path.
+ * @param {string | null} [ref=null] - The branch, tag, or commit SHA. Uses the default branch if null.
+ * @param {string} host - The web host the project lives on.
+ * @returns {Promise<{tree: Array<object>, truncated: boolean, ref: string, sha: null}>} Entries in GitHub's tree shape; `sha` is null as there is no tree to walk.
+ * @throws {Error | ApiAuthError | RateLimitError} If a request fails.
+ */
+async function getRepoTree(owner, repo, ref = null, host) {
+    try {
+        const apiBaseUrl = await getApiBaseUrl(host);
+        const refToUse = ref || await getDefaultBranch(owner, repo, host);
+        const params = new URLSearchParams({ ref: refToUse, recursive: 'true', per_page: String(TREE_PAGE_SIZE), pagination: 'keyset' });
+        let pageUrl = `${apiBaseUrl}/projects/${getProjectId(owner, repo)}/repository/tree?${params}`;
+        const tree = [];
+
+        for (let page = 0; pageUrl && page < MAX_TREE_PAGES; page++) {
+            const response = await makeApiRequest(pageUrl);
+            const entries = await response.json();
+            if (!Array.isArray(entries)) {
+                throw new Error(`Invalid tree data received from GitLab API for ref '${refToUse}'.`);
+            }
+            tree.push(...entries.map(entry => ({ path: entry.path, mode: entry.mode, type: entry.type, sha: entry.id })));
+            pageUrl = NEXT_LINK_REGEX.exec(response.headers.get('link') || '')?.[1] || null;
+        }
+
+        const truncated = pageUrl !== null;
+        if (truncated) {
+            console.warn(`[GitLab API] Warning: Tree for ${owner}/${repo} (ref: ${refToUse}) has more than ${MAX_TREE_PAGES * TREE_PAGE_SIZE} entries. Not all files are listed.`);
+        }
+        return { tree, truncated, ref: refToUse, sha: null };
+    } catch (error) {
+        if (!(error instanceof ApiAuthError) && !(error instanceof RateLimitError)) {
+            console.error(`[GitLab API] Error fetching repository tree for ${owner}/${repo} (ref: ${ref || 'default'}):`, error);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Fetches the content of a file by its blob SHA (see fetchBlobContent).
+ * @param {string} owner - The project namespace.
+ * @param {string} repo - The project path.
+ * @param {string} fileSha - The SHA hash of the file blob.
+ * @param {string} host - The web host the project lives on.
+ * @param {object} [options={}] - Optional request options.
+ * @param {AbortSignal} [options.signal] - Cancels the request (queued or in flight).
+ * @returns {Promise<import('./content_decoder.js').FileContentResult>}
+ * @throws {Error | ApiAuthError | RequestCancelledError} If the request fails, is cancelled, or content cannot be decoded.
+ */
+async function getFileContentBySha(owner, repo, fileSha, host, options = {}) {
+    const apiBaseUrl = await getApiBaseUrl(host);
+    return fetchBlobContent(`${apiBaseUrl}/projects/${getProjectId(owner, repo)}/repository/blobs/${fileSha}`, fileSha, options);
+}
+
+export {
+    parseRepoUrl,
+    resolveRefAndPath,
+    getDefaultBranch,
+    getRepoTree,
+    getFileContentBySha
+};
@@ -0,0 +1,183 @@
+// File: common/provider_hosts.js
+// Maps web hosts to their provider, API base URL, and token: the public hosts are built in,
+// self-hosted ones are registered in the extension options. Named credentials override a host's
+// token for the owners they match.
+import { getGitHubPat, getGitHubOAuthToken, getProviderToken, getEnterpriseHosts, getCredentials } from './storage.js';
+
+const PROVIDER_NAMES = { github: 'GitHub', gitlab: 'GitLab', gitea: 'Gitea', gist: 'GitHub Gist' };
+const PUBLIC_HOSTS = [
+    { host: 'github.com', provider: 'github', apiBaseUrl: 'https://api.github.com' },
+    { host: 'gist.github.com', provider: 'gist', apiBaseUrl: 'https://api.github.com' }, // Shares github.com's API and PAT
+    { host: 'gitlab.com', provider: 'gitlab', apiBaseUrl: 'https://gitlab.com/api/v4' },
+    { host: 'codeberg.org', provider: 'gitea', apiBaseUrl: 'https://codeberg.org/api/v1' }
+];
+const AUTHORIZATION_SCHEMES = { github: 'Bearer', gist: 'Bearer', gitlab: 'Bearer', gitea: 'token' };
+const DEFAULT_API_PATHS = { github: '/api/v3', gitlab: '/api/v4', gitea: '/api/v1' }; // Appended to a self-hosted web host by default
+
+/**
+ * Gets the token from "Sign in with GitHub" for a web host, if it is unexpired and was issued by that host's server.
+ * The sign-in endpoint is configurable, so a token from GitHub Enterprise Server (or a local stand-in) must never
+ * reach github.com's API, nor the other way round. Records without the issuing endpoint are not used.
+ * @param {string} host - The web host name (e.g., 'github.com').
+ * @returns {Promise<string | null>} The token, or null.
+ */
+async function getOAuthTokenForHost(host) {
+    const tokenRecord = await getGitHubOAuthToken();
+    if (!tokenRecord?.baseUrl || (tokenRecord.expiresAt && tokenRecord.expiresAt <= Date.now())) {
+        return null;
+    }
+    try {
+        return new URL(tokenRecord.baseUrl).host.toLowerCase() === host ? tokenRecord.accessToken : null;
+    } catch (error) {
+        console.warn("[Provider Hosts] Ignoring sign-in token with an invalid endpoint:", tokenRecord.baseUrl);
+        return null;
+    }
+}
+
+/**
+ * Gets the github.com token: the one from "Sign in with GitHub" while it is unexpired and was issued by github.com, otherwise the PAT.
+ * @returns {Promise<string | null>} The token, or null for anonymous access.
+ */
+async function getGitHubToken() {
+    return (await getOAuthTokenForHost('github.com')) || getGitHubPat();
+}
+
+/**
+ * Gets the token for a public host. github.com and gist.github.com use the GitHub token; the others use their provider's token.
+ * @param {string} provider - The provider ID of the public host.
+ * @returns {Promise<string | null>} The token, or null for anonymous access.
+ */
+function getPublicHostToken(provider) {
+    return provider === 'github' || provider === 'gist' ? getGitHubToken() : getProviderToken(provider);
+}
+
+/**
+ * Gets the repository owner an API URL is about: `/repos/<owner>/<repo>` (GitHub, Gitea) or
+ * `/projects/<namespace%2Fproject>` (GitLab, where the owner may include subgroups).
+ * @param {string} url - The full API endpoint URL.
+ * @param {string} apiBaseUrl - The API base URL the endpoint belongs to.
+ * @returns {string | null} The owner, or null for endpoints not about a single repository (e.g., gists or search).
+ */
+function getOwnerFromApiUrl(url, apiBaseUrl) {
+    const [collection, first, second] = url.slice(apiBaseUrl.length).split(/[?#]/)[0].split('/').filter(Boolean);
+    try {
+        if (collection === 'repos' && first && second) {
+            return decodeURIComponent(first);
+        }
+        if (collection === 'projects' && first) {
+            const projectPath = decodeURIComponent(first).split('/');
+            return projectPath.length > 1 ? projectPath.slice(0, -1).join('/') : null; // Numeric project IDs name no owner
+        }
+    } catch (error) {
+        console.warn("[Provider Hosts] Could not decode owner from API URL:", url);
+    }
+    return null;
+}
+
+/**
+ * Tests an owner against a credential's owner glob: `*` matches any run of characters, `?` a single one, ignoring case.
+ * @param {string} owner - The repository owner (e.g., 'my-org').
+ * @param {string} pattern - The glob (e.g., 'my-org', 'acme-*', or '*').
+ * @returns {boolean}
+ */
+function matchesOwnerPattern(owner, pattern) {
+    const escape = text => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    const source = pattern.split('*').map(part => part.split('?').map(escape).join('.')).join('.*');
+    return new RegExp(`^${source}$`, 'i').test(owner);
+}
+
+/**
+ * Finds the first named credential for a host whose owner glob matches the owner.
+ * @param {string} host - The web host name the request goes to.
+ * @param {string | null} owner - The repository owner, or null if the request is not about a repository.
+ * @returns {Promise<{name: string, host: string, ownerPattern: string, token: string} | null>}
+ */
+async function findCredential(host, owner) {
+    if (!owner) return null;
+    const credentials = await getCredentials();
+    return credentials.find(entry => entry.host === host && entry.token && matchesOwnerPattern(owner, entry.ownerPattern)) || null;
+}
+
+/**
+ * Finds the provider and API base URL for a web host, among the public hosts and the registered self-hosted ones.
+ * @param {string} host - The web host name from the tab URL (e.g., 'gitlab.com' or 'git.corp').
+ * @returns {Promise<{host: string, provider: string, apiBaseUrl: string} | null>} The host entry, or null if the host is unknown.
+ */
+async function findProviderHost(host) {
+    if (!host) return null;
+    const normalizedHost = host.toLowerCase();
+    const publicHost = PUBLIC_HOSTS.find(entry => entry.host === normalizedHost);
+    if (publicHost) {
+        return { ...publicHost };
+    }
+    const registeredHost = (await getEnterpriseHosts()).find(entry => entry.host === normalizedHost);
+    return registeredHost ? { host: registeredHost.host, provider: registeredHost.provider, apiBaseUrl: registeredHost.apiBaseUrl } : null;
+}
+
+/**
+ * Finds the host an API URL belongs to, with the token to send to it: the first named credential matching
+ * the host and the repository owner, else the host's own token, else none (anonymous access).
+ * A token is only ever sent to the API of the host it was saved for.
+ * @param {string} url - The full API endpoint URL.
+ * @returns {Promise<{host: string, provider: string, apiBaseUrl: string, token: string | null, credentialName: string | null} | null>}
+ *          The host entry (credentialName names the matched credential, if any), or null if no known API matches.
+ */
+async function findProviderHostForApiUrl(url) {
+    let hostEntry = PUBLIC_HOSTS.find(entry => url.startsWith(`${entry.apiBaseUrl}/`));
+    let getDefaultToken = () => getPublicHostToken(hostEntry.provider);
+    if (!hostEntry) {
+        const registeredHost = (await getEnterpriseHosts()).find(entry => url.startsWith(`${entry.apiBaseUrl}/`));
+        if (!registeredHost) {
+            return null;
+        }
+        hostEntry = { host: registeredHost.host, provider: registeredHost.provider, apiBaseUrl: registeredHost.apiBaseUrl };
+        // A GitHub Enterprise Server host also takes the sign-in token when it was issued there
+        getDefaultToken = async () => (registeredHost.provider === 'github' && await getOAuthTokenForHost(registeredHost.host)) || registeredHost.pat || null;
+    }
+
+    const credential = await findCredential(hostEntry.host, getOwnerFromApiUrl(url, hostEntry.apiBaseUrl));
+    if (credential) {
+        // console.log(`[Provider Hosts] Using credential '${credential.name}' for ${url}`); // Reduced noise
+        return { ...hostEntry, token: credential.token, credentialName: credential.name };
+    }
+    return { ...hostEntry, token: (await getDefaultToken()) || null, credentialName: null };
+}
+
+/**
+ * Formats the Authorization header value for a provider (Gitea expects "token", the others "Bearer").
+ * @param {string} provider - The provider ID.
+ * @param {string} token - The access token.
+ * @returns {string}
+ */
+function formatAuthorization(provider, token) {
+    return `${AUTHORIZATION_SCHEMES[provider] || 'Bearer'} ${token}`;
+}
+
+/**
+ * Gets the display name of a provider (e.g., 'GitLab').
+ * @param {string} provider - The provider ID.
+ * @returns {string}
+ */
+function getProviderName(provider) {
+    return PROVIDER_NAMES[provider] || provider;
+}
+
+/**
+ * Suggests the API base URL of a self-hosted host from its web host name and provider.
+ * @param {string} host - The web host name.
+ * @param {string} provider - The provider ID.
+ * @returns {string} E.g., 'https://git.corp/api/v4' for GitLab.
+ */
+function getDefaultApiBaseUrl(host, provider) {
+    return `https://${host}${DEFAULT_API_PATHS[provider] || DEFAULT_API_PATHS.github}`;
+}
+
+export {
+    PUBLIC_HOSTS,
+    findProviderHost,
+    findProviderHostForApiUrl,
+    getOAuthTokenForHost,
+    formatAuthorization,
+    getProviderName,
+    getDefaultApiBaseUrl
+};
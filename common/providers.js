@@ -0,0 +1,83 @@
+// File: common/providers.js
+// The provider interface: one implementation per code hosting service, chosen by the web host of the tab URL.
+// Bitbucket is out of scope for now: its API has no blob endpoint (content is read by path at a commit) and no
+// single-call tree listing, so it does not fit getFileContentBySha or the SHA-keyed blob cache without reworking both.
+import * as github from './github_api.js';
+import * as gitlab from './gitlab_api.js';
+import * as gitea from './gitea_api.js';
+import * as gist from './gist_api.js';
+import { findProviderHost, getProviderName } from './provider_hosts.js';
+
+/**
+ * @typedef {object} Provider
+ * @property {string} id - The provider ID ('github', 'gitlab', 'gitea', or 'gist').
+ * @property {string} name - The display name.
+ * @property {Function} parseRepoUrl - (url) => repository info in the shape of GitHub's parseRepoUrl, or null.
+ * @property {Function} [resolveRefAndPath] - (owner, repo, refPath, host) => Promise<{ref, subPath}>; needed when parseRepoUrl sets `refPath`.
+ * @property {Function} getDefaultBranch - (owner, repo, host) => Promise<string>.
+ * @property {Function} getRepoTree - (owner, repo, ref, host) => Promise<{tree, truncated, ref, sha}>; a `sha` allows walking a truncated tree.
+ * @property {Function} getFileContentBySha - (owner, repo, fileSha, host, options) => Promise<FileContentResult>.
+ * @property {Function} [getRefChoices] - (owner, repo, ref, host) => Promise<{branches, tags, commits, commitsLabel?}> for the ref picker;
+ *           without it, the ref cannot be switched from the popup.
+ * @property {boolean} supportsGitHubFeatures - Whether pull requests, compare, issues, commit history,
+ *           Git LFS downloads and submodule expansion (all built on GitHub's API) are available.
+ */
+
+/** @type {Object<string, Provider>} */
+const PROVIDERS = {
+    github: {
+        id: 'github',
+        name: getProviderName('github'),
+        parseRepoUrl: github.parseRepoUrl,
+        resolveRefAndPath: github.resolveRefAndPath,
+        getDefaultBranch: github.getDefaultBranch,
+        getRepoTree: github.getRepoTree,
+        getFileContentBySha: github.getFileContentBySha,
+        getRefChoices: github.getRefChoices,
+        supportsGitHubFeatures: true
+    },
+    gitlab: {
+        id: 'gitlab',
+        name: getProviderName('gitlab'),
+        parseRepoUrl: gitlab.parseRepoUrl,
+        resolveRefAndPath: gitlab.resolveRefAndPath,
+        getDefaultBranch: gitlab.getDefaultBranch,
+        getRepoTree: gitlab.getRepoTree,
+        getFileContentBySha: gitlab.getFileContentBySha,
+        supportsGitHubFeatures: false
+    },
+    gitea: {
+        id: 'gitea',
+        name: getProviderName('gitea'),
+        parseRepoUrl: gitea.parseRepoUrl,
+        resolveRefAndPath: gitea.resolveRefAndPath,
+        getDefaultBranch: gitea.getDefaultBranch,
+        getRepoTree: gitea.getRepoTree,
+        getFileContentBySha: gitea.getFileContentBySha,
+        supportsGitHubFeatures: false
+    },
+    gist: {
+        id: 'gist',
+        name: getProviderName('gist'),
+        parseRepoUrl: gist.parseRepoUrl,
+        getDefaultBranch: gist.getDefaultBranch,
+        getRepoTree: gist.getRepoTree,
+        getFileContentBySha: gist.getFileContentBySha,
+        getRefChoices: gist.getRefChoices, // Revisions
+        supportsGitHubFeatures: false
+    }
+};
+
+/**
+ * Finds the provider serving a web host: a public host (github.com, gist.github.com, gitlab.com, codeberg.org) or a registered self-hosted one.
+ * @param {string} host - The web host name from the tab URL.
+ * @returns {Promise<Provider | null>} The provider, or null if the host is unknown.
+ */
+async function getProviderForHost(host) {
+    const providerHost = await findProviderHost(host);
+    return providerHost ? PROVIDERS[providerHost.provider] || null : null;
+}
+
+export {
+    getProviderForHost
+};
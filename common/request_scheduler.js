@@ -0,0 +1,161 @@
+// File: common/request_scheduler.js
+// Shared request scheduler: bounds how many API requests run at once, retries transient
+// failures with exponential backoff, and lets callers cancel queued or running work.
+
+const DEFAULT_CONCURRENCY = 6; // Conservative default that stays clear of GitHub's secondary (abuse) limits
+const MIN_CONCURRENCY = 1;
+const MAX_CONCURRENCY = 20;
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 8000;
+
+/**
+ * Custom error class for requests cancelled through an AbortSignal.
+ */
+class RequestCancelledError extends Error {
+    constructor(message = "Request cancelled.") {
+        super(message);
+        this.name = "RequestCancelledError";
+    }
+}
+
+// --- Scheduler State ---
+let concurrencyLimit = DEFAULT_CONCURRENCY;
+let activeCount = 0;
+const pendingQueue = []; // Entries: { start: Function, signal: AbortSignal | undefined }
+
+/**
+ * Sets how many scheduled requests may run at the same time.
+ * Values are clamped to [MIN_CONCURRENCY, MAX_CONCURRENCY]; invalid values reset to the default.
+ * @param {number} limit - The new concurrency limit.
+ */
+function setConcurrencyLimit(limit) {
+    const parsedLimit = Number.parseInt(limit, 10);
+    concurrencyLimit = Number.isNaN(parsedLimit)
+        ? DEFAULT_CONCURRENCY
+        : Math.min(MAX_CONCURRENCY, Math.max(MIN_CONCURRENCY, parsedLimit));
+    console.log(`[Request Scheduler] Concurrency limit set to ${concurrencyLimit}.`);
+    drainQueue();
+}
+
+/**
+ * Gets the current concurrency limit.
+ * @returns {number}
+ */
+function getConcurrencyLimit() {
+    return concurrencyLimit;
+}
+
+/**
+ * Starts queued requests while there are free slots. Requests whose signal was aborted while waiting are skipped.
+ */
+function drainQueue() {
+    while (activeCount < concurrencyLimit && pendingQueue.length > 0) {
+        const entry = pendingQueue.shift();
+        if (entry.signal?.aborted) {
+            continue; // Already rejected by its abort listener
+        }
+        entry.start();
+    }
+}
+
+/**
+ * Waits for a backoff delay, rejecting early if the signal is aborted.
+ * @param {number} delayMs - Milliseconds to wait.
+ * @param {AbortSignal} [signal] - Optional cancellation signal.
+ * @returns {Promise<void>}
+ */
+function waitForRetry(delayMs, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, delayMs);
+        function onAbort() {
+            clearTimeout(timer);
+            reject(new RequestCancelledError());
+        }
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Computes the exponential backoff delay (with jitter) for a retry attempt.
+ * @param {number} attempt - Zero-based retry attempt.
+ * @returns {number} - Delay in milliseconds.
+ */
+function getRetryDelayMs(attempt) {
+    const exponentialDelay = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** attempt);
+    return exponentialDelay / 2 + Math.random() * (exponentialDelay / 2);
+}
+
+/**
+ * Runs a task with retries, translating aborts into RequestCancelledError.
+ * @param {Function} task - Async function performing one attempt.
+ * @param {object} options - See scheduleRequest.
+ * @returns {Promise<any>}
+ */
+async function runWithRetries(task, { signal, retries, isRetryable }) {
+    for (let attempt = 0; ; attempt++) {
+        if (signal?.aborted) {
+            throw new RequestCancelledError();
+        }
+        try {
+            return await task();
+        } catch (error) {
+            if (signal?.aborted || error?.name === 'AbortError') {
+                throw new RequestCancelledError();
+            }
+            if (attempt >= retries || !isRetryable(error)) {
+                throw error;
+            }
+            const delayMs = getRetryDelayMs(attempt);
+            console.warn(`[Request Scheduler] Attempt ${attempt + 1} failed (${error.message}). Retrying in ${Math.round(delayMs)}ms.`);
+            await waitForRetry(delayMs, signal);
+        }
+    }
+}
+
+/**
+ * Queues a request so that at most the configured number run concurrently.
+ * @param {Function} task - Async function performing the request. Called again for each retry.
+ * @param {object} [options={}] - Scheduling options.
+ * @param {AbortSignal} [options.signal] - Cancels the request while queued, between retries, or (if passed on to fetch) in flight.
+ * @param {number} [options.retries=DEFAULT_MAX_RETRIES] - Maximum number of retries after the first attempt.
+ * @param {Function} [options.isRetryable] - Predicate deciding whether an error is transient. Defaults to never retrying.
+ * @returns {Promise<any>} - Resolves with the task result.
+ * @throws {RequestCancelledError} If the signal is aborted before the task completes.
+ */
+function scheduleRequest(task, { signal, retries = DEFAULT_MAX_RETRIES, isRetryable = () => false } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new RequestCancelledError());
+            return;
+        }
+
+        const onAbortWhileQueued = () => reject(new RequestCancelledError());
+        signal?.addEventListener('abort', onAbortWhileQueued, { once: true });
+
+        const start = () => {
+            signal?.removeEventListener('abort', onAbortWhileQueued);
+            activeCount++;
+            runWithRetries(task, { signal, retries, isRetryable })
+                .then(resolve, reject)
+                .finally(() => {
+                    activeCount--;
+                    drainQueue();
+                });
+        };
+
+        pendingQueue.push({ start, signal });
+        drainQueue();
+    });
+}
+
+export {
+    DEFAULT_CONCURRENCY,
+    scheduleRequest,
+    setConcurrencyLimit,
+    getConcurrencyLimit,
+    RequestCancelledError
+};
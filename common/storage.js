@@ -1,161 +1,664 @@
-console.log("[Storage] Storage module loading...");
-
-/**
- * Retrieves the GitHub PAT from local storage.
- * @returns {Promise<string | null>} Resolves with the PAT string or null if not set or error.
- */
-async function getGitHubPat() {
-    console.log("[Storage] Attempting to get GitHub PAT.");
-    try {
-        const result = await chrome.storage.local.get('githubPat');
-        // Check for runtime errors after the promise resolves
-        if (chrome.runtime.lastError) {
-            console.error("[Storage] Error getting GitHub PAT:", chrome.runtime.lastError.message);
-            return null; // Return null on error
-        }
-        const pat = result.githubPat;
-        if (pat) {
-            console.log("[Storage] GitHub PAT retrieved successfully.");
-            return pat;
-        } else {
-            console.log("[Storage] No GitHub PAT found in storage.");
-            return null;
-        }
-    } catch (error) {
-        console.error("[Storage] Exception while getting GitHub PAT:", error);
-        return null; // Return null on exception
-    }
-}
-
-/**
- * Saves the GitHub PAT to local storage.
- * @param {string} pat The GitHub PAT string to save. An empty string clears the PAT.
- * @returns {Promise<boolean>} Resolves with true if successful, false otherwise.
- */
-async function setGitHubPat(pat) {
-    console.log("[Storage] Attempting to set GitHub PAT.");
-    if (typeof pat !== 'string') {
-        console.error("[Storage] Invalid PAT type provided:", typeof pat);
-        return false;
-    }
-    try {
-        await chrome.storage.local.set({ githubPat: pat });
-        // Check for runtime errors after the promise resolves
-        if (chrome.runtime.lastError) {
-            console.error("[Storage] Error setting GitHub PAT:", chrome.runtime.lastError.message);
-            return false;
-        }
-        console.log("[Storage] GitHub PAT set successfully.");
-        return true;
-    } catch (error) {
-        console.error("[Storage] Exception while setting GitHub PAT:", error);
-        return false;
-    }
-}
-
-/**
- * Creates a unique storage key for a repository's selection state based on its URL.
- * Strips protocol, trailing slashes, and fragments/query params for consistency.
- * @param {string} repoUrl The full URL of the GitHub repository page.
- * @returns {string | null} A consistent key for storage, or null if URL is invalid.
- */
-function getRepoStorageKey(repoUrl) {
-    try {
-        const url = new URL(repoUrl);
-        if (url.hostname !== 'github.com') {
-            console.warn("[Storage] Non-GitHub URL provided for key generation:", repoUrl);
-            // Allow it for now, maybe useful for GH Enterprise? Revisit if needed.
-            // return null;
-        }
-        // Normalize: lowercase hostname, remove leading/trailing slashes from pathname
-        const path = url.pathname.replace(/^\/|\/$/g, '');
-        const key = `selectionState_${url.hostname}_${path}`;
-        console.log(`[Storage] Generated storage key for ${repoUrl}: ${key}`);
-        return key;
-    } catch (error) {
-        console.error("[Storage] Invalid URL provided for key generation:", repoUrl, error);
-        return null;
-    }
-}
-
-/**
- * Retrieves the saved selection state for a given repository URL.
- * @param {string} repoUrl The URL of the repository.
- * @returns {Promise<object | null>} Resolves with the selection state object or null if not found or error.
- */
-async function getRepoSelectionState(repoUrl) {
-    const storageKey = getRepoStorageKey(repoUrl);
-    if (!storageKey) {
-        return null; // Error handled in getRepoStorageKey
-    }
-    console.log(`[Storage] Attempting to get selection state for key: ${storageKey}`);
-    try {
-        const result = await chrome.storage.local.get(storageKey);
-        if (chrome.runtime.lastError) {
-            console.error(`[Storage] Error getting selection state for key ${storageKey}:`, chrome.runtime.lastError.message);
-            return null;
-        }
-        const state = result[storageKey];
-        if (state && typeof state === 'object') {
-            console.log(`[Storage] Selection state retrieved successfully for key: ${storageKey}`);
-            return state;
-        } else {
-            console.log(`[Storage] No selection state found for key: ${storageKey}`);
-            return null;
-        }
-    } catch (error) {
-        console.error(`[Storage] Exception while getting selection state for key ${storageKey}:`, error);
-        return null;
-    }
-}
-
-/**
- * Saves the selection state for a given repository URL.
- * @param {string} repoUrl The URL of the repository.
- * @param {object} selectionState The selection state object to save (e.g., { 'path/to/file.js': true, 'path/to/folder/': false }).
- * @returns {Promise<boolean>} Resolves with true if successful, false otherwise.
- */
-async function setRepoSelectionState(repoUrl, selectionState) {
-    const storageKey = getRepoStorageKey(repoUrl);
-    if (!storageKey) {
-        return false; // Error handled in getRepoStorageKey
-    }
-    if (typeof selectionState !== 'object' || selectionState === null) {
-        console.error("[Storage] Invalid selection state provided:", selectionState);
-        return false;
-    }
-    console.log(`[Storage] Attempting to set selection state for key: ${storageKey}`);
-    try {
-        await chrome.storage.local.set({ [storageKey]: selectionState });
-        if (chrome.runtime.lastError) {
-            console.error(`[Storage] Error setting selection state for key ${storageKey}:`, chrome.runtime.lastError.message);
-            return false;
-        }
-        console.log(`[Storage] Selection state set successfully for key: ${storageKey}`);
-        return true;
-    } catch (error) {
-        console.error(`[Storage] Exception while setting selection state for key ${storageKey}:`, error);
-        return false;
-    }
-}
-
-
-// Note: To use these functions in other scripts (like options.js or popup.js),
-// you'll need to make sure this script is loaded correctly.
-// In Manifest V3, direct import/export isn't straightforward between all script types.
-// For popup/options -> common, use `<script type="module">` and `import`.
-// For service worker (if we add one later) -> common, use `importScripts()`.
-// For content script -> common, bundling or careful script injection is needed.
-// We'll manage this as we build the importing scripts.
-
-console.log("[Storage] Storage module loaded.");
-
-// Since this isn't a module exporting directly for simple script tags,
-// we might attach functions to a global object or handle imports in the consuming scripts.
-// For now, assuming module usage in popup/options.
-export {
-    getGitHubPat,
-    setGitHubPat,
-    getRepoSelectionState,
-    setRepoSelectionState
+import { encryptSecret, decryptSecret, WrongPassphraseError } from './token_crypto.js';
+
+console.log("[Storage] Storage module loading...");
+
+const BUNDLED_PROMPT_PATH = 'assets/context_prefix.txt';
+const DEFAULT_PROMPT_TEMPLATE_ID = 'bundled-prefix'; // The bundled prompt, the library's first entry until the user saves their own
+const PROMPT_TEMPLATE_KINDS = ['prefix', 'suffix'];
+
+// Defaults for user-tunable settings. Stored settings are merged over these, so new keys need no migration.
+const DEFAULT_SETTINGS = {
+    requestConcurrency: 6, // Max API requests in flight at once
+    blobCacheEnabled: true, // Reuse fetched blob content across copies (IndexedDB)
+    blobCacheMaxMb: 100, // Size cap for the blob cache before LRU eviction
+    binaryFileHandling: 'placeholder', // 'placeholder' lists binary files with a one-line note, 'exclude' leaves them out
+    lfsMaxFetchKb: 1024, // Git LFS objects up to this size are downloaded; larger ones get an "LFS object" marker
+    commitHistoryCount: 0, // Recent commits listed in each file block (plus a repository activity header); 0 turns history off
+    customFileTemplate: '==> {{path}} <==\n{{content}}\n', // File block of the "Custom" output format
+    oauthClientId: '', // Client ID of the OAuth app used for "Sign in with GitHub" (device flow enabled)
+    oauthBaseUrl: 'https://github.com', // Where the device flow endpoints live; point at a local stand-in for testing
+    pullRequestIncludeDiffs: true, // In pull request mode, add each changed file's unified diff to the context
+    compareIncludeContents: false // In compare mode, add each changed file's full content next to its patch
+};
+
+/**
+ * Retrieves the GitHub PAT from local storage. A passphrase-encrypted PAT is only available
+ * once unlocked for the browser session (see unlockGitHubPat).
+ * @returns {Promise<string | null>} Resolves with the PAT string or null if not set, locked, or error.
+ */
+async function getGitHubPat() {
+    console.log("[Storage] Attempting to get GitHub PAT.");
+    try {
+        const result = await chrome.storage.local.get(['githubPat', 'encryptedGithubPat']);
+        // Check for runtime errors after the promise resolves
+        if (chrome.runtime.lastError) {
+            console.error("[Storage] Error getting GitHub PAT:", chrome.runtime.lastError.message);
+            return null; // Return null on error
+        }
+        const pat = result.githubPat;
+        if (pat) {
+            console.log("[Storage] GitHub PAT retrieved successfully.");
+            return pat;
+        } else if (result.encryptedGithubPat) {
+            const { unlockedGithubPat } = await chrome.storage.session.get('unlockedGithubPat');
+            console.log(`[Storage] GitHub PAT is encrypted and ${unlockedGithubPat ? 'unlocked' : 'locked'}.`);
+            return unlockedGithubPat || null;
+        } else {
+            console.log("[Storage] No GitHub PAT found in storage.");
+            return null;
+        }
+    } catch (error) {
+        console.error("[Storage] Exception while getting GitHub PAT:", error);
+        return null; // Return null on exception
+    }
+}
+
+/**
+ * Saves the GitHub PAT to local storage in plaintext, replacing any passphrase-encrypted PAT.
+ * @param {string} pat The GitHub PAT string to save. An empty string clears the PAT.
+ * @returns {Promise<boolean>} Resolves with true if successful, false otherwise.
+ */
+async function setGitHubPat(pat) {
+    console.log("[Storage] Attempting to set GitHub PAT.");
+    if (typeof pat !== 'string') {
+        console.error("[Storage] Invalid PAT type provided:", typeof pat);
+        return false;
+    }
+    try {
+        await chrome.storage.local.set({ githubPat: pat });
+        await chrome.storage.local.remove('encryptedGithubPat');
+        await chrome.storage.session.remove('unlockedGithubPat');
+        // Check for runtime errors after the promise resolves
+        if (chrome.runtime.lastError) {
+            console.error("[Storage] Error setting GitHub PAT:", chrome.runtime.lastError.message);
+            return false;
+        }
+        console.log("[Storage] GitHub PAT set successfully.");
+        return true;
+    } catch (error) {
+        console.error("[Storage] Exception while setting GitHub PAT:", error);
+        return false;
+    }
+}
+
+/**
+ * Tells how the GitHub PAT is stored.
+ * @returns {Promise<'none' | 'plain' | 'locked' | 'unlocked'>} 'locked' and 'unlocked' mean passphrase-encrypted,
+ *          and whether it has been unlocked for this browser session.
+ */
+async function getPatLockState() {
+    try {
+        const result = await chrome.storage.local.get(['githubPat', 'encryptedGithubPat']);
+        if (result.githubPat) {
+            return 'plain';
+        }
+        if (!result.encryptedGithubPat) {
+            return 'none';
+        }
+        const { unlockedGithubPat } = await chrome.storage.session.get('unlockedGithubPat');
+        return unlockedGithubPat ? 'unlocked' : 'locked';
+    } catch (error) {
+        console.error("[Storage] Exception while getting PAT lock state:", error);
+        return 'none';
+    }
+}
+
+/**
+ * Encrypts the GitHub PAT with a passphrase and saves it in place of any plaintext PAT.
+ * It stays unlocked for the current browser session.
+ * @param {string} pat The GitHub PAT to encrypt (must not be empty).
+ * @param {string} passphrase The passphrase to encrypt it with.
+ * @returns {Promise<boolean>} Resolves with true if successful, false otherwise.
+ */
+async function setEncryptedGitHubPat(pat, passphrase) {
+    console.log("[Storage] Attempting to set encrypted GitHub PAT.");
+    if (typeof pat !== 'string' || !pat || typeof passphrase !== 'string' || !passphrase) {
+        console.error("[Storage] An encrypted PAT needs a non-empty token and passphrase.");
+        return false;
+    }
+    try {
+        const encryptedGithubPat = await encryptSecret(pat, passphrase);
+        await chrome.storage.local.set({ encryptedGithubPat });
+        await chrome.storage.local.remove('githubPat');
+        await chrome.storage.session.set({ unlockedGithubPat: pat });
+        if (chrome.runtime.lastError) {
+            console.error("[Storage] Error setting encrypted GitHub PAT:", chrome.runtime.lastError.message);
+            return false;
+        }
+        console.log("[Storage] Encrypted GitHub PAT set successfully.");
+        return true;
+    } catch (error) {
+        console.error("[Storage] Exception while setting encrypted GitHub PAT:", error);
+        return false;
+    }
+}
+
+/**
+ * Decrypts the passphrase-encrypted GitHub PAT into session storage, which lasts until the browser closes.
+ * @param {string} passphrase The passphrase the PAT was encrypted with.
+ * @returns {Promise<boolean>} Resolves with true if unlocked, false if the passphrase is wrong.
+ * @throws {Error} If there is no encrypted PAT, or storage fails.
+ */
+async function unlockGitHubPat(passphrase) {
+    const { encryptedGithubPat } = await chrome.storage.local.get('encryptedGithubPat');
+    if (!encryptedGithubPat) {
+        throw new Error("No encrypted GitHub PAT is stored.");
+    }
+    try {
+        const pat = await decryptSecret(encryptedGithubPat, passphrase);
+        await chrome.storage.session.set({ unlockedGithubPat: pat });
+        console.log("[Storage] GitHub PAT unlocked for this session.");
+        return true;
+    } catch (error) {
+        if (error instanceof WrongPassphraseError) {
+            console.log("[Storage] Wrong passphrase for the GitHub PAT.");
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Forgets the unlocked copy of the encrypted GitHub PAT, so the passphrase is needed again.
+ * @returns {Promise<void>}
+ */
+async function lockGitHubPat() {
+    await chrome.storage.session.remove('unlockedGithubPat');
+    console.log("[Storage] GitHub PAT locked.");
+}
+
+/**
+ * Retrieves the token obtained through "Sign in with GitHub" (the OAuth device flow).
+ * @returns {Promise<{accessToken: string, tokenType: string, scopes: string[], expiresAt: number | null, createdAt: number, baseUrl: string} | null>}
+ *          Resolves with the token record (expiresAt is epoch milliseconds, null if it never expires; baseUrl is the endpoint that issued it),
+ *          or null if not signed in or error.
+ */
+async function getGitHubOAuthToken() {
+    console.log("[Storage] Attempting to get GitHub OAuth token.");
+    try {
+        const result = await chrome.storage.local.get('githubOAuthToken');
+        if (chrome.runtime.lastError) {
+            console.error("[Storage] Error getting GitHub OAuth token:", chrome.runtime.lastError.message);
+            return null;
+        }
+        const tokenRecord = result.githubOAuthToken;
+        return tokenRecord && typeof tokenRecord.accessToken === 'string' ? tokenRecord : null;
+    } catch (error) {
+        console.error("[Storage] Exception while getting GitHub OAuth token:", error);
+        return null;
+    }
+}
+
+/**
+ * Saves the token obtained through "Sign in with GitHub", or removes it (signing out).
+ * @param {object | null} tokenRecord The token record (see getGitHubOAuthToken), or null to sign out.
+ * @returns {Promise<boolean>} Resolves with true if successful, false otherwise.
+ */
+async function setGitHubOAuthToken(tokenRecord) {
+    console.log(`[Storage] Attempting to ${tokenRecord ? 'set' : 'remove'} GitHub OAuth token.`);
+    if (tokenRecord !== null && (typeof tokenRecord !== 'object' || typeof tokenRecord.accessToken !== 'string')) {
+        console.error("[Storage] Invalid OAuth token record provided:", typeof tokenRecord);
+        return false;
+    }
+    try {
+        if (tokenRecord) {
+            await chrome.storage.local.set({ githubOAuthToken: tokenRecord });
+        } else {
+            await chrome.storage.local.remove('githubOAuthToken');
+        }
+        if (chrome.runtime.lastError) {
+            console.error("[Storage] Error saving GitHub OAuth token:", chrome.runtime.lastError.message);
+            return false;
+        }
+        console.log("[Storage] GitHub OAuth token saved successfully.");
+        return true;
+    } catch (error) {
+        console.error("[Storage] Exception while saving GitHub OAuth token:", error);
+        return false;
+    }
+}
+
+/**
+ * Retrieves the access token for a provider's public host (e.g., gitlab.com for 'gitlab').
+ * The github.com token is stored separately (see getGitHubPat).
+ * @param {string} provider The provider ID ('gitlab' or 'gitea').
+ * @returns {Promise<string | null>} Resolves with the token or null if not set or error.
+ */
+async function getProviderToken(provider) {
+    console.log(`[Storage] Attempting to get ${provider} token.`);
+    try {
+        const result = await chrome.storage.local.get('providerTokens');
+        if (chrome.runtime.lastError) {
+            console.error(`[Storage] Error getting ${provider} token:`, chrome.runtime.lastError.message);
+            return null;
+        }
+        const tokens = result.providerTokens && typeof result.providerTokens === 'object' ? result.providerTokens : {};
+        return tokens[provider] || null;
+    } catch (error) {
+        console.error(`[Storage] Exception while getting ${provider} token:`, error);
+        return null;
+    }
+}
+
+/**
+ * Saves the access token for a provider's public host, keeping the other providers' tokens.
+ * @param {string} provider The provider ID ('gitlab' or 'gitea').
+ * @param {string} token The token to save. An empty string clears it.
+ * @returns {Promise<boolean>} Resolves with true if successful, false otherwise.
+ */
+async function setProviderToken(provider, token) {
+    console.log(`[Storage] Attempting to set ${provider} token.`);
+    if (typeof provider !== 'string' || typeof token !== 'string') {
+        console.error("[Storage] Invalid provider token provided:", typeof provider, typeof token);
+        return false;
+    }
+    try {
+        const result = await chrome.storage.local.get('providerTokens');
+        const tokens = result.providerTokens && typeof result.providerTokens === 'object' ? result.providerTokens : {};
+        await chrome.storage.local.set({ providerTokens: { ...tokens, [provider]: token } });
+        if (chrome.runtime.lastError) {
+            console.error(`[Storage] Error setting ${provider} token:`, chrome.runtime.lastError.message);
+            return false;
+        }
+        console.log(`[Storage] ${provider} token set successfully.`);
+        return true;
+    } catch (error) {
+        console.error(`[Storage] Exception while setting ${provider} token:`, error);
+        return false;
+    }
+}
+
+/**
+ * Retrieves the registered self-hosted hosts (GitHub Enterprise Server, GitLab, or Gitea) from local storage.
+ * Each entry describes the web host, its provider, its REST API base URL, and the token used for it.
+ * Entries saved before providers were introduced are GitHub Enterprise hosts.
+ * @returns {Promise<Array<{host: string, provider: string, apiBaseUrl: string, pat: string}>>} Resolves with the host list (empty if none or error).
+ */
+async function getEnterpriseHosts() {
+    console.log("[Storage] Attempting to get enterprise hosts.");
+    try {
+        const result = await chrome.storage.local.get('enterpriseHosts');
+        if (chrome.runtime.lastError) {
+            console.error("[Storage] Error getting enterprise hosts:", chrome.runtime.lastError.message);
+            return [];
+        }
+        const hosts = Array.isArray(result.enterpriseHosts) ? result.enterpriseHosts.map(entry => ({ provider: 'github', ...entry })) : [];
+        console.log(`[Storage] Retrieved ${hosts.length} enterprise host(s).`);
+        return hosts;
+    } catch (error) {
+        console.error("[Storage] Exception while getting enterprise hosts:", error);
+        return [];
+    }
+}
+
+/**
+ * Saves the list of self-hosted hosts to local storage, replacing the existing list.
+ * Host names are normalized to lowercase and API base URLs lose any trailing slash.
+ * @param {Array<{host: string, provider: string, apiBaseUrl: string, pat: string}>} hosts The full list of hosts to store.
+ *        The provider defaults to 'github'.
+ * @returns {Promise<boolean>} Resolves with true if successful, false otherwise.
+ */
+async function setEnterpriseHosts(hosts) {
+    console.log("[Storage] Attempting to set enterprise hosts.");
+    if (!Array.isArray(hosts) || hosts.some(entry => !entry || typeof entry.host !== 'string' || typeof entry.apiBaseUrl !== 'string')) {
+        console.error("[Storage] Invalid enterprise host list provided:", hosts);
+        return false;
+    }
+    const normalizedHosts = hosts.map(entry => ({
+        host: entry.host.trim().toLowerCase(),
+        provider: typeof entry.provider === 'string' && entry.provider ? entry.provider : 'github',
+        apiBaseUrl: entry.apiBaseUrl.trim().replace(/\/+$/, ''),
+        pat: typeof entry.pat === 'string' ? entry.pat.trim() : ''
+    }));
+    try {
+        await chrome.storage.local.set({ enterpriseHosts: normalizedHosts });
+        if (chrome.runtime.lastError) {
+            console.error("[Storage] Error setting enterprise hosts:", chrome.runtime.lastError.message);
+            return false;
+        }
+        console.log(`[Storage] Saved ${normalizedHosts.length} enterprise host(s).`);
+        return true;
+    } catch (error) {
+        console.error("[Storage] Exception while setting enterprise hosts:", error);
+        return false;
+    }
+}
+
+/**
+ * Retrieves the named credentials, in matching order (the first one matching a request's host and owner is used).
+ * @returns {Promise<Array<{name: string, host: string, ownerPattern: string, token: string}>>} Resolves with the list (empty on error).
+ */
+async function getCredentials() {
+    console.log("[Storage] Attempting to get credentials.");
+    try {
+        const result = await chrome.storage.local.get('credentials');
+        if (chrome.runtime.lastError) {
+            console.error("[Storage] Error getting credentials:", chrome.runtime.lastError.message);
+            return [];
+        }
+        const credentials = Array.isArray(result.credentials) ? result.credentials : [];
+        console.log(`[Storage] Retrieved ${credentials.length} credential(s).`);
+        return credentials;
+    } catch (error) {
+        console.error("[Storage] Exception while getting credentials:", error);
+        return [];
+    }
+}
+
+/**
+ * Saves the list of named credentials, replacing the existing list.
+ * Host names are normalized to lowercase; an empty owner pattern becomes '*' (every owner on the host).
+ * @param {Array<{name: string, host: string, ownerPattern: string, token: string}>} credentials The full list, in matching order.
+ * @returns {Promise<boolean>} Resolves with true if successful, false otherwise.
+ */
+async function setCredentials(credentials) {
+    console.log("[Storage] Attempting to set credentials.");
+    if (!Array.isArray(credentials) || credentials.some(entry => !entry || typeof entry.name !== 'string' || typeof entry.host !== 'string' || typeof entry.token !== 'string')) {
+        console.error("[Storage] Invalid credential list provided.");
+        return false;
+    }
+    const normalizedCredentials = credentials.map(entry => ({
+        name: entry.name.trim(),
+        host: entry.host.trim().toLowerCase(),
+        ownerPattern: typeof entry.ownerPattern === 'string' && entry.ownerPattern.trim() ? entry.ownerPattern.trim() : '*',
+        token: entry.token.trim()
+    }));
+    try {
+        await chrome.storage.local.set({ credentials: normalizedCredentials });
+        if (chrome.runtime.lastError) {
+            console.error("[Storage] Error setting credentials:", chrome.runtime.lastError.message);
+            return false;
+        }
+        console.log(`[Storage] Saved ${normalizedCredentials.length} credential(s).`);
+        return true;
+    } catch (error) {
+        console.error("[Storage] Exception while setting credentials:", error);
+        return false;
+    }
+}
+
+/**
+ * Loads the prompt bundled with the extension as a library entry.
+ * @returns {Promise<{id: string, name: string, kind: string, text: string} | null>} The entry, or null if the file cannot be read.
+ */
+async function loadBundledPromptTemplate() {
+    try {
+        const response = await fetch(chrome.runtime.getURL(BUNDLED_PROMPT_PATH));
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        return { id: DEFAULT_PROMPT_TEMPLATE_ID, name: 'Refactoring collaborator', kind: 'prefix', text: await response.text() };
+    } catch (error) {
+        console.error(`[Storage] Error loading the bundled prompt from ${BUNDLED_PROMPT_PATH}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Retrieves the prompt template library. Until the user saves a library, it holds the bundled prompt only.
+ * @returns {Promise<Array<{id: string, name: string, kind: 'prefix' | 'suffix', text: string}>>} Resolves with the templates
+ *          in display order (an empty array on error).
+ */
+async function getPromptTemplates() {
+    console.log("[Storage] Attempting to get prompt templates.");
+    try {
+        const result = await chrome.storage.local.get('promptTemplates');
+        if (chrome.runtime.lastError) {
+            console.error("[Storage] Error getting prompt templates:", chrome.runtime.lastError.message);
+            return [];
+        }
+        if (Array.isArray(result.promptTemplates)) {
+            console.log(`[Storage] Retrieved ${result.promptTemplates.length} prompt template(s).`);
+            return result.promptTemplates;
+        }
+        const bundledTemplate = await loadBundledPromptTemplate();
+        return bundledTemplate ? [bundledTemplate] : [];
+    } catch (error) {
+        console.error("[Storage] Exception while getting prompt templates:", error);
+        return [];
+    }
+}
+
+/**
+ * Saves the prompt template library, replacing the existing one. Deleting every template leaves an empty
+ * library (the bundled prompt does not come back).
+ * @param {Array<{id: string, name: string, kind: 'prefix' | 'suffix', text: string}>} templates The full library, in display order.
+ * @returns {Promise<boolean>} Resolves with true if successful, false otherwise.
+ */
+async function setPromptTemplates(templates) {
+    console.log("[Storage] Attempting to set prompt templates.");
+    if (!Array.isArray(templates) || templates.some(entry => !entry || typeof entry.id !== 'string' || typeof entry.name !== 'string' ||
+        typeof entry.text !== 'string' || !PROMPT_TEMPLATE_KINDS.includes(entry.kind))) {
+        console.error("[Storage] Invalid prompt template list provided.");
+        return false;
+    }
+    const normalizedTemplates = templates.map(entry => ({ id: entry.id, name: entry.name.trim(), kind: entry.kind, text: entry.text }));
+    try {
+        await chrome.storage.local.set({ promptTemplates: normalizedTemplates });
+        if (chrome.runtime.lastError) {
+            console.error("[Storage] Error setting prompt templates:", chrome.runtime.lastError.message);
+            return false;
+        }
+        console.log(`[Storage] Saved ${normalizedTemplates.length} prompt template(s).`);
+        return true;
+    } catch (error) {
+        console.error("[Storage] Exception while setting prompt templates:", error);
+        return false;
+    }
+}
+
+/**
+ * Retrieves the extension settings, merged over DEFAULT_SETTINGS.
+ * @returns {Promise<object>} Resolves with the full settings object (defaults on error).
+ */
+async function getExtensionSettings() {
+    console.log("[Storage] Attempting to get extension settings.");
+    try {
+        const result = await chrome.storage.local.get('extensionSettings');
+        if (chrome.runtime.lastError) {
+            console.error("[Storage] Error getting extension settings:", chrome.runtime.lastError.message);
+            return { ...DEFAULT_SETTINGS };
+        }
+        const storedSettings = result.extensionSettings && typeof result.extensionSettings === 'object' ? result.extensionSettings : {};
+        return { ...DEFAULT_SETTINGS, ...storedSettings };
+    } catch (error) {
+        console.error("[Storage] Exception while getting extension settings:", error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Updates one or more extension settings, keeping the others unchanged.
+ * @param {object} changes The settings to update (e.g., { requestConcurrency: 4 }).
+ * @returns {Promise<boolean>} Resolves with true if successful, false otherwise.
+ */
+async function updateExtensionSettings(changes) {
+    console.log("[Storage] Attempting to update extension settings.");
+    if (typeof changes !== 'object' || changes === null) {
+        console.error("[Storage] Invalid settings changes provided:", changes);
+        return false;
+    }
+    try {
+        const result = await chrome.storage.local.get('extensionSettings');
+        const storedSettings = result.extensionSettings && typeof result.extensionSettings === 'object' ? result.extensionSettings : {};
+        await chrome.storage.local.set({ extensionSettings: { ...storedSettings, ...changes } });
+        if (chrome.runtime.lastError) {
+            console.error("[Storage] Error updating extension settings:", chrome.runtime.lastError.message);
+            return false;
+        }
+        console.log("[Storage] Extension settings updated successfully.");
+        return true;
+    } catch (error) {
+        console.error("[Storage] Exception while updating extension settings:", error);
+        return false;
+    }
+}
+
+/**
+ * Creates a unique storage key for a repository's selection state based on its URL.
+ * Strips protocol, trailing slashes, and fragments/query params for consistency.
+ * @param {string} repoUrl The full URL of the GitHub repository page.
+ * @returns {string | null} A consistent key for storage, or null if URL is invalid.
+ */
+function getRepoStorageKey(repoUrl) {
+    try {
+        const url = new URL(repoUrl);
+        // Normalize: lowercase hostname, remove leading/trailing slashes from pathname
+        const path = url.pathname.replace(/^\/|\/$/g, '');
+        const key = `selectionState_${url.hostname}_${path}`;
+        console.log(`[Storage] Generated storage key for ${repoUrl}: ${key}`);
+        return key;
+    } catch (error) {
+        console.error("[Storage] Invalid URL provided for key generation:", repoUrl, error);
+        return null;
+    }
+}
+
+/**
+ * Retrieves the saved selection state for a given repository URL.
+ * @param {string} repoUrl The URL of the repository.
+ * @returns {Promise<object | null>} Resolves with the selection state object or null if not found or error.
+ */
+async function getRepoSelectionState(repoUrl) {
+    const storageKey = getRepoStorageKey(repoUrl);
+    if (!storageKey) {
+        return null; // Error handled in getRepoStorageKey
+    }
+    console.log(`[Storage] Attempting to get selection state for key: ${storageKey}`);
+    try {
+        const result = await chrome.storage.local.get(storageKey);
+        if (chrome.runtime.lastError) {
+            console.error(`[Storage] Error getting selection state for key ${storageKey}:`, chrome.runtime.lastError.message);
+            return null;
+        }
+        const state = result[storageKey];
+        if (state && typeof state === 'object') {
+            console.log(`[Storage] Selection state retrieved successfully for key: ${storageKey}`);
+            return state;
+        } else {
+            console.log(`[Storage] No selection state found for key: ${storageKey}`);
+            return null;
+        }
+    } catch (error) {
+        console.error(`[Storage] Exception while getting selection state for key ${storageKey}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Saves the selection state for a given repository URL.
+ * @param {string} repoUrl The URL of the repository.
+ * @param {object} selectionState The selection state object to save (e.g., { 'path/to/file.js': true, 'path/to/folder/': false }).
+ * @returns {Promise<boolean>} Resolves with true if successful, false otherwise.
+ */
+async function setRepoSelectionState(repoUrl, selectionState) {
+    const storageKey = getRepoStorageKey(repoUrl);
+    if (!storageKey) {
+        return false; // Error handled in getRepoStorageKey
+    }
+    if (typeof selectionState !== 'object' || selectionState === null) {
+        console.error("[Storage] Invalid selection state provided:", selectionState);
+        return false;
+    }
+    console.log(`[Storage] Attempting to set selection state for key: ${storageKey}`);
+    try {
+        await chrome.storage.local.set({ [storageKey]: selectionState });
+        if (chrome.runtime.lastError) {
+            console.error(`[Storage] Error setting selection state for key ${storageKey}:`, chrome.runtime.lastError.message);
+            return false;
+        }
+        console.log(`[Storage] Selection state set successfully for key: ${storageKey}`);
+        return true;
+    } catch (error) {
+        console.error(`[Storage] Exception while setting selection state for key ${storageKey}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Retrieves the popup choices remembered for a repository (e.g., its output format).
+ * @param {string} repoKey The repository, as 'host/owner/repo'.
+ * @returns {Promise<object>} Resolves with the preferences (an empty object if none or error).
+ */
+async function getRepoPreferences(repoKey) {
+    try {
+        const result = await chrome.storage.local.get('repoPreferences');
+        if (chrome.runtime.lastError) {
+            console.error(`[Storage] Error getting preferences for ${repoKey}:`, chrome.runtime.lastError.message);
+            return {};
+        }
+        const preferences = result.repoPreferences?.[repoKey];
+        return preferences && typeof preferences === 'object' ? preferences : {};
+    } catch (error) {
+        console.error(`[Storage] Exception while getting preferences for ${repoKey}:`, error);
+        return {};
+    }
+}
+
+/**
+ * Merges changes into the popup choices remembered for a repository.
+ * @param {string} repoKey The repository, as 'host/owner/repo'.
+ * @param {object} changes The preferences to set (e.g., { outputFormat: 'xml' }).
+ * @returns {Promise<boolean>} Resolves with true if successful, false otherwise.
+ */
+async function updateRepoPreferences(repoKey, changes) {
+    if (typeof repoKey !== 'string' || !repoKey || typeof changes !== 'object' || changes === null) {
+        console.error("[Storage] Invalid repository preferences provided:", repoKey, changes);
+        return false;
+    }
+    try {
+        const result = await chrome.storage.local.get('repoPreferences');
+        const allPreferences = result.repoPreferences && typeof result.repoPreferences === 'object' ? result.repoPreferences : {};
+        allPreferences[repoKey] = { ...allPreferences[repoKey], ...changes };
+        await chrome.storage.local.set({ repoPreferences: allPreferences });
+        if (chrome.runtime.lastError) {
+            console.error(`[Storage] Error updating preferences for ${repoKey}:`, chrome.runtime.lastError.message);
+            return false;
+        }
+        return true;
+    } catch (error) {
+        console.error(`[Storage] Exception while updating preferences for ${repoKey}:`, error);
+        return false;
+    }
+}
+
+
+// Note: To use these functions in other scripts (like options.js or popup.js),
+// you'll need to make sure this script is loaded correctly.
+// In Manifest V3, direct import/export isn't straightforward between all script types.
+// For popup/options -> common, use `<script type="module">` and `import`.
+// For service worker (if we add one later) -> common, use `importScripts()`.
+// For content script -> common, bundling or careful script injection is needed.
+// We'll manage this as we build the importing scripts.
+
+console.log("[Storage] Storage module loaded.");
+
+// Since this isn't a module exporting directly for simple script tags,
+// we might attach functions to a global object or handle imports in the consuming scripts.
+// For now, assuming module usage in popup/options.
+export {
+    getGitHubPat,
+    setGitHubPat,
+    getPatLockState,
+    setEncryptedGitHubPat,
+    unlockGitHubPat,
+    lockGitHubPat,
+    getGitHubOAuthToken,
+    setGitHubOAuthToken,
+    getProviderToken,
+    setProviderToken,
+    getEnterpriseHosts,
+    setEnterpriseHosts,
+    getCredentials,
+    setCredentials,
+    DEFAULT_PROMPT_TEMPLATE_ID,
+    getPromptTemplates,
+    setPromptTemplates,
+    DEFAULT_SETTINGS,
+    getExtensionSettings,
+    updateExtensionSettings,
+    getRepoSelectionState,
+    setRepoSelectionState,
+    getRepoPreferences,
+    updateRepoPreferences
 };
\ No newline at end of file
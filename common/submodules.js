@@ -0,0 +1,79 @@
+// File: common/submodules.js
+// Helpers for Git submodules: reading .gitmodules and turning submodule URLs into repositories the API can list.
+
+/**
+ * Parses the contents of a .gitmodules file.
+ * @param {string} text - The file contents (Git config syntax).
+ * @returns {Map<string, string>} Map of submodule path (relative to the superproject root) to its configured URL.
+ */
+function parseGitmodules(text) {
+    const urlsByPath = new Map();
+    let currentSection = null;
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#') || line.startsWith(';')) {
+            continue;
+        }
+        if (line.startsWith('[')) {
+            currentSection = /^\[submodule\s+"[^"]*"\]$/.test(line) ? {} : null;
+            continue;
+        }
+        if (!currentSection) {
+            continue;
+        }
+        const match = /^([A-Za-z][\w-]*)\s*=\s*(.*)$/.exec(line);
+        if (!match) {
+            continue;
+        }
+        const key = match[1].toLowerCase();
+        const value = match[2].replace(/^"(.*)"$/, '$1');
+        if (key === 'path' || key === 'url') {
+            currentSection[key] = value;
+        }
+        if (currentSection.path && currentSection.url) {
+            urlsByPath.set(currentSection.path.replace(/\/+$/, ''), currentSection.url);
+        }
+    }
+    return urlsByPath;
+}
+
+/**
+ * Resolves a submodule URL to the repository it points at.
+ * Supports HTTPS, git://, ssh:// and scp-style (git@host:owner/repo) URLs, and URLs relative to the superproject.
+ * @param {string} submoduleUrl - The URL from .gitmodules.
+ * @param {{host: string, owner: string, repo: string}} superproject - The repository containing the submodule.
+ * @returns {{host: string, owner: string, repo: string} | null} The submodule repository, or null if the URL cannot be mapped to owner/repo.
+ */
+function resolveSubmoduleRepository(submoduleUrl, superproject) {
+    let url;
+    try {
+        if (submoduleUrl.startsWith('./') || submoduleUrl.startsWith('../')) {
+            // Relative URLs resolve against the superproject's remote URL, treated as a directory
+            url = new URL(submoduleUrl, `https://${superproject.host}/${superproject.owner}/${superproject.repo}/`);
+        } else if (/^[\w.-]+@[\w.-]+:(?!\/\/)/.test(submoduleUrl)) {
+            const [, hostAndPath] = submoduleUrl.split('@');
+            const separatorIndex = hostAndPath.indexOf(':');
+            url = new URL(`https://${hostAndPath.slice(0, separatorIndex)}/${hostAndPath.slice(separatorIndex + 1)}`);
+        } else {
+            url = new URL(submoduleUrl);
+        }
+    } catch (error) {
+        return null;
+    }
+
+    const pathParts = url.pathname.split('/').filter(part => part.length > 0);
+    if (pathParts.length !== 2) {
+        return null;
+    }
+    return {
+        host: url.hostname.toLowerCase(),
+        owner: pathParts[0],
+        repo: pathParts[1].replace(/\.git$/, '')
+    };
+}
+
+export {
+    parseGitmodules,
+    resolveSubmoduleRepository
+};
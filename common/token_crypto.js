@@ -0,0 +1,108 @@
+// File: common/token_crypto.js
+// Passphrase encryption of stored tokens with WebCrypto: a key derived with PBKDF2-SHA256 encrypts the token with AES-GCM.
+// Only the salt, IV, iteration count and ciphertext are stored; the passphrase never is.
+
+const PBKDF2_ITERATIONS = 600_000; // OWASP's recommendation for PBKDF2-HMAC-SHA256
+const SALT_BYTES = 16;
+const IV_BYTES = 12; // The IV size AES-GCM is designed for
+
+/**
+ * Custom error for a passphrase that does not decrypt the stored token (AES-GCM authentication fails).
+ */
+class WrongPassphraseError extends Error {
+    constructor(message = 'Wrong passphrase.') {
+        super(message);
+        this.name = 'WrongPassphraseError';
+    }
+}
+
+/**
+ * @typedef {object} EncryptedSecret
+ * @property {number} iterations - PBKDF2 iterations used to derive the key.
+ * @property {string} salt - Base64 PBKDF2 salt.
+ * @property {string} iv - Base64 AES-GCM initialization vector.
+ * @property {string} ciphertext - Base64 ciphertext, including the GCM authentication tag.
+ */
+
+/**
+ * Encodes bytes as base64 for storage.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+/**
+ * Decodes base64 from storage into bytes.
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), character => character.charCodeAt(0));
+}
+
+/**
+ * Derives the AES-GCM key for a passphrase and salt.
+ * @param {string} passphrase - The user's passphrase.
+ * @param {Uint8Array} salt - The PBKDF2 salt.
+ * @param {number} iterations - The PBKDF2 iteration count.
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypts a secret with a passphrase, using a fresh salt and IV.
+ * @param {string} secret - The token to encrypt.
+ * @param {string} passphrase - The passphrase to derive the key from.
+ * @returns {Promise<EncryptedSecret>}
+ */
+async function encryptSecret(secret, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(secret));
+    return {
+        iterations: PBKDF2_ITERATIONS,
+        salt: toBase64(salt),
+        iv: toBase64(iv),
+        ciphertext: toBase64(new Uint8Array(ciphertext))
+    };
+}
+
+/**
+ * Decrypts a secret encrypted by encryptSecret.
+ * @param {EncryptedSecret} encrypted - The stored record.
+ * @param {string} passphrase - The passphrase to try.
+ * @returns {Promise<string>} The secret.
+ * @throws {WrongPassphraseError} If the passphrase is wrong (or the record was tampered with).
+ */
+async function decryptSecret(encrypted, passphrase) {
+    const key = await deriveKey(passphrase, fromBase64(encrypted.salt), encrypted.iterations);
+    try {
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(encrypted.iv) }, key, fromBase64(encrypted.ciphertext));
+        return new TextDecoder().decode(plaintext);
+    } catch (error) {
+        if (error.name === 'OperationError') {
+            throw new WrongPassphraseError();
+        }
+        throw error;
+    }
+}
+
+export {
+    WrongPassphraseError,
+    encryptSecret,
+    decryptSecret
+};
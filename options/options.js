@@ -1,90 +1,1036 @@
-// file path: options/options.js
-console.log("[Options] options.js script starting...");
-
-// Import the necessary storage functions from the common module
-import { getGitHubPat, setGitHubPat } from '../common/storage.js';
-
-// Get references to the DOM elements
-const patInput = document.getElementById('pat');
-const saveButton = document.getElementById('save');
-const statusElement = document.getElementById('status');
-
-/**
- * Displays a status message to the user and clears it after a delay.
- * @param {string} message The message to display.
- * @param {boolean} [isError=false] If true, applies error styling.
- */
-function showStatus(message, isError = false) {
-    console.log(`[Options Status] ${isError ? 'Error: ' : ''}${message}`);
-    statusElement.textContent = message;
-    // Apply CSS classes for styling based on success/error
-    statusElement.className = isError ? 'status-error' : 'status-success';
-
-    // Clear the message after 3 seconds
-    setTimeout(() => {
-        statusElement.textContent = '';
-        statusElement.className = ''; // Clear class as well
-    }, 3000);
-}
-
-/**
- * Handles the click event for the Save button.
- * Reads the PAT from the input, attempts to save it using setGitHubPat,
- * and displays feedback to the user.
- */
-async function handleSaveClick() {
-    const patValue = patInput.value.trim(); // Get trimmed value from input
-    console.log("[Options] Save button clicked. Attempting to save PAT.");
-
-    // Provide immediate feedback
-    statusElement.textContent = 'Saving...';
-    statusElement.className = ''; // Reset styling
-
-    try {
-        const success = await setGitHubPat(patValue);
-        if (success) {
-            console.log("[Options] PAT saved successfully via setGitHubPat.");
-            showStatus('Token saved successfully!', false);
-        } else {
-            // setGitHubPat should log specific errors, but we show a generic UI error
-            console.error("[Options] Failed to save PAT (setGitHubPat returned false).");
-            showStatus('Failed to save token. Check background script console for details.', true);
-        }
-    } catch (error) {
-        // Catch any unexpected errors during the async operation
-        console.error("[Options] Exception while trying to save PAT:", error);
-        showStatus(`Error saving token: ${error.message}`, true);
-    }
-}
-
-/**
- * Loads the currently stored PAT (if any) when the options page is opened
- * and populates the input field.
- */
-async function loadExistingPat() {
-    console.log("[Options] Options page loaded. Attempting to load existing PAT.");
-    try {
-        const currentPat = await getGitHubPat();
-        if (currentPat) {
-            patInput.value = currentPat;
-            console.log("[Options] Existing PAT loaded into input field.");
-        } else {
-            console.log("[Options] No existing PAT found in storage.");
-            patInput.value = ''; // Ensure field is empty if no PAT stored
-        }
-    } catch (error) {
-        console.error("[Options] Error loading existing PAT:", error);
-        showStatus(`Error loading saved token: ${error.message}`, true);
-        patInput.value = ''; // Ensure field is empty on error
-    }
-}
-
-// --- Attach Event Listeners ---
-
-// Add listener to the Save button
-saveButton.addEventListener('click', handleSaveClick);
-
-// Add listener to load the PAT when the page finishes loading
-document.addEventListener('DOMContentLoaded', loadExistingPat);
-
+// file path: options/options.js
+console.log("[Options] options.js script starting...");
+
+// Import the necessary storage functions from the common module
+import { getGitHubPat, setGitHubPat, getPatLockState, setEncryptedGitHubPat, lockGitHubPat, getGitHubOAuthToken, setGitHubOAuthToken, getProviderToken, setProviderToken, getEnterpriseHosts, setEnterpriseHosts, getCredentials, setCredentials, getPromptTemplates, setPromptTemplates, getExtensionSettings, updateExtensionSettings } from '../common/storage.js';
+import { clearBlobCache, getBlobCacheUsage } from '../common/blob_cache.js';
+import { PUBLIC_HOSTS, getProviderName, getDefaultApiBaseUrl } from '../common/provider_hosts.js';
+import { requestDeviceCode, pollForAccessToken } from '../common/github_oauth.js';
+import { getTokenInfo, ApiAuthError } from '../common/github_api.js';
+import { insertsTemplateVariable } from '../popup/popup_templates.js';
+
+// Get references to the DOM elements
+const patInput = document.getElementById('pat');
+const saveButton = document.getElementById('save');
+const statusElement = document.getElementById('status');
+const patDetailsElement = document.getElementById('pat-details');
+const passphraseEnabledInput = document.getElementById('pat-passphrase-enabled');
+const passphraseFieldsElement = document.getElementById('pat-passphrase-fields');
+const passphraseInput = document.getElementById('pat-passphrase');
+const passphraseConfirmInput = document.getElementById('pat-passphrase-confirm');
+const lockPatButton = document.getElementById('lock-pat');
+const gitlabTokenInput = document.getElementById('gitlab-token');
+const giteaTokenInput = document.getElementById('gitea-token');
+const saveProviderTokensButton = document.getElementById('save-provider-tokens');
+const providerTokenStatusElement = document.getElementById('provider-token-status');
+const oauthStateElement = document.getElementById('oauth-state');
+const oauthClientIdInput = document.getElementById('oauth-client-id');
+const oauthBaseUrlInput = document.getElementById('oauth-base-url');
+const oauthDeviceCodeElement = document.getElementById('oauth-device-code');
+const oauthVerificationLink = document.getElementById('oauth-verification-link');
+const oauthUserCodeElement = document.getElementById('oauth-user-code');
+const oauthSignInButton = document.getElementById('oauth-sign-in');
+const oauthCancelButton = document.getElementById('oauth-cancel');
+const oauthSignOutButton = document.getElementById('oauth-sign-out');
+const oauthStatusElement = document.getElementById('oauth-status');
+const enterpriseHostList = document.getElementById('enterprise-host-list');
+const enterpriseProviderSelect = document.getElementById('enterprise-provider');
+const enterpriseHostInput = document.getElementById('enterprise-host');
+const enterpriseApiBaseUrlInput = document.getElementById('enterprise-api-base-url');
+const enterprisePatInput = document.getElementById('enterprise-pat');
+const addEnterpriseHostButton = document.getElementById('add-enterprise-host');
+const enterpriseStatusElement = document.getElementById('enterprise-status');
+const credentialList = document.getElementById('credential-list');
+const credentialNameInput = document.getElementById('credential-name');
+const credentialHostInput = document.getElementById('credential-host');
+const credentialOwnerPatternInput = document.getElementById('credential-owner-pattern');
+const credentialTokenInput = document.getElementById('credential-token');
+const addCredentialButton = document.getElementById('add-credential');
+const credentialStatusElement = document.getElementById('credential-status');
+const promptTemplateList = document.getElementById('prompt-template-list');
+const promptTemplateNameInput = document.getElementById('prompt-template-name');
+const promptTemplateKindSelect = document.getElementById('prompt-template-kind');
+const promptTemplateTextInput = document.getElementById('prompt-template-text');
+const savePromptTemplateButton = document.getElementById('save-prompt-template');
+const cancelPromptTemplateEditButton = document.getElementById('cancel-prompt-template-edit');
+const promptTemplateStatusElement = document.getElementById('prompt-template-status');
+const requestConcurrencyInput = document.getElementById('request-concurrency');
+const binaryFileHandlingSelect = document.getElementById('binary-file-handling');
+const lfsMaxFetchKbInput = document.getElementById('lfs-max-fetch-kb');
+const commitHistoryCountInput = document.getElementById('commit-history-count');
+const customFileTemplateInput = document.getElementById('custom-file-template');
+const saveSettingsButton = document.getElementById('save-settings');
+const settingsStatusElement = document.getElementById('settings-status');
+const blobCacheEnabledInput = document.getElementById('blob-cache-enabled');
+const blobCacheMaxMbInput = document.getElementById('blob-cache-max-mb');
+const cacheUsageElement = document.getElementById('cache-usage');
+const saveCacheSettingsButton = document.getElementById('save-cache-settings');
+const clearCacheButton = document.getElementById('clear-cache');
+const cacheStatusElement = document.getElementById('cache-status');
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// --- Module State ---
+let signInController = null; // AbortController of the sign-in in progress, if any
+let editingTemplateId = null; // ID of the prompt template loaded into the editor, or null when adding a new one
+
+/**
+ * Displays a status message to the user and clears it after a delay.
+ * @param {string} message The message to display.
+ * @param {boolean} [isError=false] If true, applies error styling.
+ * @param {HTMLElement} [targetElement=statusElement] The status element to write into.
+ */
+function showStatus(message, isError = false, targetElement = statusElement) {
+    console.log(`[Options Status] ${isError ? 'Error: ' : ''}${message}`);
+    targetElement.textContent = message;
+    // Apply CSS classes for styling based on success/error
+    targetElement.className = isError ? 'status-error' : 'status-success';
+
+    // Clear the message after 3 seconds
+    setTimeout(() => {
+        targetElement.textContent = '';
+        targetElement.className = ''; // Clear class as well
+    }, 3000);
+}
+
+/**
+ * Names the rate-limit tier of an hourly request limit reported by GitHub.
+ * @param {number | null} limit The X-RateLimit-Limit value.
+ * @returns {string}
+ */
+function describeRateLimitTier(limit) {
+    if (!limit) {
+        return 'unknown';
+    }
+    const tier = limit >= 15000 ? 'GitHub Enterprise Cloud' : limit >= 5000 ? 'authenticated' : 'anonymous';
+    return `${limit.toLocaleString()} requests/hour (${tier})`;
+}
+
+/**
+ * Shows what a checked token is: its account, scopes, expiry, and rate-limit tier, with a warning
+ * when a classic token cannot read private repositories.
+ * @param {{login: string, scopes: string[] | null, expiresAt: Date | null, rateLimit: number | null}} tokenInfo The result of getTokenInfo.
+ */
+function showTokenDetails(tokenInfo) {
+    const scopes = tokenInfo.scopes === null
+        ? 'fine-grained token (repository access is set per token on GitHub)'
+        : tokenInfo.scopes.join(', ') || 'none';
+    const expiry = tokenInfo.expiresAt ? tokenInfo.expiresAt.toLocaleString() : 'never';
+    const lines = [
+        `Account: @${tokenInfo.login}`,
+        `Scopes: ${scopes}`,
+        `Expires: ${expiry}`,
+        `Rate limit: ${describeRateLimitTier(tokenInfo.rateLimit)}`
+    ];
+    if (tokenInfo.scopes !== null && !tokenInfo.scopes.includes('repo')) {
+        lines.push("Without the 'repo' scope, private repositories will not load.");
+    }
+    patDetailsElement.textContent = lines.join('\n');
+    patDetailsElement.style.whiteSpace = 'pre-line';
+    patDetailsElement.hidden = false;
+}
+
+/**
+ * Checks the passphrase inputs for saving an encrypted PAT.
+ * @returns {string | null} An error message, or null if the passphrase can be used.
+ */
+function validatePassphrase() {
+    if (passphraseInput.value.length < MIN_PASSPHRASE_LENGTH) {
+        return `Enter a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+    }
+    if (passphraseInput.value !== passphraseConfirmInput.value) {
+        return 'The passphrases do not match.';
+    }
+    return null;
+}
+
+/**
+ * Handles the click event for the Save button.
+ * Checks the PAT against the GitHub API, then saves it (encrypted with the passphrase, if enabled) and shows what the token is.
+ * A rejected token is not saved; a token that cannot be checked (e.g., offline) is saved with a warning.
+ */
+async function handleSaveClick() {
+    const patValue = patInput.value.trim(); // Get trimmed value from input
+    const encrypt = passphraseEnabledInput.checked && patValue !== '';
+    console.log("[Options] Save button clicked. Attempting to save PAT.");
+    patDetailsElement.hidden = true;
+
+    if (passphraseEnabledInput.checked && !patValue && await getPatLockState() === 'locked') {
+        showStatus('The token is locked. Unlock it from the popup or enter a new token; to remove it, turn off encryption first.', true);
+        return;
+    }
+    const passphraseError = encrypt ? validatePassphrase() : null;
+    if (passphraseError) {
+        showStatus(passphraseError, true);
+        return;
+    }
+
+    // Provide immediate feedback
+    statusElement.textContent = patValue ? 'Checking token...' : 'Saving...';
+    statusElement.className = ''; // Reset styling
+
+    let checkFailure = null;
+    if (patValue) {
+        try {
+            showTokenDetails(await getTokenInfo(patValue));
+        } catch (error) {
+            if (error instanceof ApiAuthError) {
+                showStatus('GitHub rejected this token (invalid, expired, or revoked). It was not saved.', true);
+                return;
+            }
+            console.warn("[Options] Could not check PAT:", error);
+            checkFailure = error;
+        }
+    }
+
+    try {
+        const success = encrypt ? await setEncryptedGitHubPat(patValue, passphraseInput.value) : await setGitHubPat(patValue);
+        if (success) {
+            console.log(`[Options] PAT saved successfully via ${encrypt ? 'setEncryptedGitHubPat' : 'setGitHubPat'}.`);
+            passphraseInput.value = '';
+            passphraseConfirmInput.value = '';
+            await refreshPatLockState();
+            if (checkFailure) {
+                showStatus(`Token saved, but it could not be checked: ${checkFailure.message}`, true);
+            } else {
+                showStatus('Token saved successfully!', false);
+            }
+        } else {
+            // setGitHubPat should log specific errors, but we show a generic UI error
+            console.error("[Options] Failed to save PAT (setGitHubPat returned false).");
+            showStatus('Failed to save token. Check background script console for details.', true);
+        }
+    } catch (error) {
+        // Catch any unexpected errors during the async operation
+        console.error("[Options] Exception while trying to save PAT:", error);
+        showStatus(`Error saving token: ${error.message}`, true);
+    }
+}
+
+/**
+ * Shows the passphrase fields when encryption is turned on.
+ */
+function updatePassphraseFields() {
+    passphraseFieldsElement.hidden = !passphraseEnabledInput.checked;
+}
+
+/**
+ * Reflects how the PAT is stored: the encryption checkbox, the Lock Now button, and the input placeholder.
+ * @returns {Promise<string>} The lock state from getPatLockState.
+ */
+async function refreshPatLockState() {
+    const lockState = await getPatLockState();
+    passphraseEnabledInput.checked = lockState === 'locked' || lockState === 'unlocked';
+    lockPatButton.hidden = lockState !== 'unlocked';
+    patInput.placeholder = lockState === 'locked'
+        ? 'Locked: unlock it from the popup, or enter a new token'
+        : 'Enter your GitHub PAT';
+    updatePassphraseFields();
+    return lockState;
+}
+
+/**
+ * Handles the click event for the Lock Now button: the passphrase is needed again before the PAT is used.
+ */
+async function handleLockClick() {
+    try {
+        await lockGitHubPat();
+        patInput.value = '';
+        await refreshPatLockState();
+        showStatus('Token locked.', false);
+    } catch (error) {
+        console.error("[Options] Exception while locking PAT:", error);
+        showStatus(`Error locking token: ${error.message}`, true);
+    }
+}
+
+/**
+ * Loads the currently stored PAT (if any) when the options page is opened
+ * and populates the input field. A locked PAT leaves the field empty.
+ */
+async function loadExistingPat() {
+    console.log("[Options] Options page loaded. Attempting to load existing PAT.");
+    try {
+        await refreshPatLockState();
+        const currentPat = await getGitHubPat();
+        if (currentPat) {
+            patInput.value = currentPat;
+            console.log("[Options] Existing PAT loaded into input field.");
+        } else {
+            console.log("[Options] No existing PAT found in storage.");
+            patInput.value = ''; // Ensure field is empty if no PAT stored
+        }
+    } catch (error) {
+        console.error("[Options] Error loading existing PAT:", error);
+        showStatus(`Error loading saved token: ${error.message}`, true);
+        patInput.value = ''; // Ensure field is empty on error
+    }
+}
+
+/**
+ * Loads the stored GitLab and Gitea tokens into their inputs.
+ */
+async function loadProviderTokens() {
+    try {
+        gitlabTokenInput.value = (await getProviderToken('gitlab')) || '';
+        giteaTokenInput.value = (await getProviderToken('gitea')) || '';
+    } catch (error) {
+        console.error("[Options] Error loading provider tokens:", error);
+        showStatus(`Error loading saved tokens: ${error.message}`, true, providerTokenStatusElement);
+    }
+}
+
+/**
+ * Handles the click event for the Save Tokens button of the GitLab and Gitea section.
+ */
+async function handleSaveProviderTokensClick() {
+    try {
+        const gitlabSaved = await setProviderToken('gitlab', gitlabTokenInput.value.trim());
+        const giteaSaved = await setProviderToken('gitea', giteaTokenInput.value.trim());
+        if (gitlabSaved && giteaSaved) {
+            showStatus('Tokens saved successfully!', false, providerTokenStatusElement);
+        } else {
+            showStatus('Failed to save tokens. Check the console for details.', true, providerTokenStatusElement);
+        }
+    } catch (error) {
+        console.error("[Options] Exception while saving provider tokens:", error);
+        showStatus(`Error saving tokens: ${error.message}`, true, providerTokenStatusElement);
+    }
+}
+
+/**
+ * Describes a stored sign-in token for the "Sign In with GitHub" section.
+ * @param {object | null} tokenRecord The token record from getGitHubOAuthToken.
+ * @returns {string}
+ */
+function describeSignIn(tokenRecord) {
+    if (!tokenRecord) {
+        return 'Not signed in.';
+    }
+    if (!tokenRecord.baseUrl) {
+        return 'Signed in without a recorded endpoint, so the token is not used. Sign in again.';
+    }
+    const scopes = tokenRecord.scopes.length > 0 ? tokenRecord.scopes.join(', ') : 'none';
+    if (!tokenRecord.expiresAt) {
+        return `Signed in to ${tokenRecord.baseUrl} (scopes: ${scopes}; does not expire).`;
+    }
+    const expiry = new Date(tokenRecord.expiresAt).toLocaleString();
+    return tokenRecord.expiresAt > Date.now()
+        ? `Signed in to ${tokenRecord.baseUrl} (scopes: ${scopes}; expires ${expiry}).`
+        : `Sign-in expired on ${expiry}; the PAT (if any) is used instead. Sign in again to renew it.`;
+}
+
+/**
+ * Shows the current sign-in state and the buttons that apply to it.
+ */
+async function refreshSignInState() {
+    const tokenRecord = await getGitHubOAuthToken();
+    oauthStateElement.textContent = describeSignIn(tokenRecord);
+    oauthSignInButton.hidden = signInController !== null;
+    oauthCancelButton.hidden = signInController === null;
+    oauthSignOutButton.hidden = !tokenRecord || signInController !== null;
+}
+
+/**
+ * Loads the sign-in state and the configured client ID and endpoint.
+ */
+async function loadSignIn() {
+    try {
+        const settings = await getExtensionSettings();
+        oauthClientIdInput.value = settings.oauthClientId;
+        oauthBaseUrlInput.value = settings.oauthBaseUrl;
+        await refreshSignInState();
+    } catch (error) {
+        console.error("[Options] Error loading sign-in state:", error);
+        showStatus(`Error loading sign-in state: ${error.message}`, true, oauthStatusElement);
+    }
+}
+
+/**
+ * Handles the click event for the Sign In with GitHub button.
+ * Runs the device flow: shows the user code, polls until it is approved, then stores the token.
+ */
+async function handleSignInClick() {
+    const clientId = oauthClientIdInput.value.trim();
+    const baseUrl = (oauthBaseUrlInput.value.trim() || 'https://github.com').replace(/\/+$/, '');
+
+    if (!clientId) {
+        showStatus('Enter the client ID of your OAuth app.', true, oauthStatusElement);
+        return;
+    }
+    let origin;
+    try {
+        const endpointUrl = new URL(baseUrl);
+        if (endpointUrl.protocol !== 'https:' && endpointUrl.protocol !== 'http:') {
+            throw new Error('Unsupported protocol');
+        }
+        origin = `${endpointUrl.protocol}//${endpointUrl.host}/*`;
+    } catch (error) {
+        showStatus('Enter a valid sign-in endpoint (e.g., https://github.com).', true, oauthStatusElement);
+        return;
+    }
+
+    signInController = new AbortController();
+    const { signal } = signInController;
+    try {
+        // Must be requested directly from the click gesture, before any other await.
+        const granted = await chrome.permissions.request({ origins: [origin] });
+        if (!granted) {
+            showStatus(`Permission to access ${baseUrl} was not granted.`, true, oauthStatusElement);
+            return;
+        }
+        await updateExtensionSettings({ oauthClientId: clientId, oauthBaseUrl: baseUrl });
+        await refreshSignInState();
+
+        const deviceCode = await requestDeviceCode(baseUrl, clientId, { signal });
+        oauthVerificationLink.href = deviceCode.verificationUri;
+        oauthVerificationLink.textContent = deviceCode.verificationUri;
+        oauthUserCodeElement.textContent = deviceCode.userCode;
+        oauthDeviceCodeElement.hidden = false;
+
+        const tokenRecord = await pollForAccessToken(baseUrl, clientId, deviceCode, { signal });
+        if (await setGitHubOAuthToken(tokenRecord)) {
+            showStatus('Signed in with GitHub!', false, oauthStatusElement);
+        } else {
+            showStatus('Failed to save the sign-in. Check the console for details.', true, oauthStatusElement);
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            showStatus('Sign-in cancelled.', false, oauthStatusElement);
+        } else {
+            console.error("[Options] Sign-in with GitHub failed:", error);
+            showStatus(`Sign-in failed: ${error.message}`, true, oauthStatusElement);
+        }
+    } finally {
+        signInController = null;
+        oauthDeviceCodeElement.hidden = true;
+        await refreshSignInState();
+    }
+}
+
+/**
+ * Handles the click event for the Cancel button of a sign-in in progress.
+ */
+function handleSignInCancelClick() {
+    signInController?.abort();
+}
+
+/**
+ * Handles the click event for the Sign Out button: forgets the sign-in token.
+ */
+async function handleSignOutClick() {
+    try {
+        if (await setGitHubOAuthToken(null)) {
+            showStatus('Signed out.', false, oauthStatusElement);
+        } else {
+            showStatus('Failed to sign out. Check the console for details.', true, oauthStatusElement);
+        }
+    } catch (error) {
+        console.error("[Options] Exception while signing out:", error);
+        showStatus(`Error signing out: ${error.message}`, true, oauthStatusElement);
+    }
+    await refreshSignInState();
+}
+
+/**
+ * Suggests the API base URL for the chosen provider in the placeholders.
+ */
+function updateEnterprisePlaceholders() {
+    const host = enterpriseHostInput.value.trim().toLowerCase() || 'git.corp';
+    enterpriseApiBaseUrlInput.placeholder = getDefaultApiBaseUrl(host, enterpriseProviderSelect.value);
+}
+
+/**
+ * Renders the list of registered self-hosted hosts, each with a Remove button.
+ * @param {Array<{host: string, provider: string, apiBaseUrl: string, pat: string}>} hosts The hosts to display.
+ */
+function renderEnterpriseHosts(hosts) {
+    enterpriseHostList.innerHTML = '';
+    if (hosts.length === 0) {
+        const emptyItem = document.createElement('li');
+        emptyItem.className = 'empty';
+        emptyItem.textContent = 'No self-hosted hosts registered.';
+        enterpriseHostList.appendChild(emptyItem);
+        return;
+    }
+
+    hosts.forEach(entry => {
+        const item = document.createElement('li');
+
+        const details = document.createElement('div');
+        const hostName = document.createElement('strong');
+        hostName.textContent = entry.host;
+        const hostDetails = document.createElement('div');
+        hostDetails.className = 'host-details';
+        hostDetails.textContent = `${getProviderName(entry.provider)} · ${entry.apiBaseUrl} · ${entry.pat ? 'token set' : 'no token'}`;
+        details.appendChild(hostName);
+        details.appendChild(hostDetails);
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'secondary';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => handleRemoveEnterpriseHost(entry.host));
+
+        item.appendChild(details);
+        item.appendChild(removeButton);
+        enterpriseHostList.appendChild(item);
+    });
+}
+
+/**
+ * Loads the registered self-hosted hosts from storage and renders them.
+ */
+async function loadEnterpriseHosts() {
+    try {
+        const hosts = await getEnterpriseHosts();
+        renderEnterpriseHosts(hosts);
+    } catch (error) {
+        console.error("[Options] Error loading self-hosted hosts:", error);
+        showStatus(`Error loading self-hosted hosts: ${error.message}`, true, enterpriseStatusElement);
+    }
+}
+
+/**
+ * Parses the host and API base URL inputs into origin patterns for a host permission request.
+ * @param {string} host The web host name.
+ * @param {string} apiBaseUrl The API base URL.
+ * @returns {string[] | null} The origin patterns, or null if the API base URL is not a valid http(s) URL.
+ */
+function getEnterpriseOrigins(host, apiBaseUrl) {
+    try {
+        const apiUrl = new URL(apiBaseUrl);
+        if (apiUrl.protocol !== 'https:' && apiUrl.protocol !== 'http:') {
+            return null;
+        }
+        return [...new Set([`${apiUrl.protocol}//${apiUrl.host}/*`, `https://${host}/*`])];
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Handles the click event for the Add Host button.
+ * Requests host permission for the host's origins, then stores the host entry. A GitHub Enterprise Server token
+ * is checked against the host's API first and not saved if rejected; GitLab and Gitea tokens are saved unchecked.
+ */
+async function handleAddEnterpriseHost() {
+    const provider = enterpriseProviderSelect.value;
+    const host = enterpriseHostInput.value.trim().toLowerCase();
+    const apiBaseUrl = (enterpriseApiBaseUrlInput.value.trim() || (host ? getDefaultApiBaseUrl(host, provider) : '')).replace(/\/+$/, '');
+    const pat = enterprisePatInput.value.trim();
+
+    if (!host) {
+        showStatus('Enter the host name (e.g., git.corp).', true, enterpriseStatusElement);
+        return;
+    }
+    if (PUBLIC_HOSTS.some(entry => entry.host === host)) {
+        showStatus(`${host} is built in. Set its token above instead.`, true, enterpriseStatusElement);
+        return;
+    }
+    const origins = getEnterpriseOrigins(host, apiBaseUrl);
+    if (!origins) {
+        showStatus(`Enter a valid API base URL (e.g., ${getDefaultApiBaseUrl(host, provider)}).`, true, enterpriseStatusElement);
+        return;
+    }
+
+    try {
+        // Must be requested directly from the click gesture, before any other await.
+        const granted = await chrome.permissions.request({ origins });
+        if (!granted) {
+            showStatus(`Permission to access ${host} was not granted.`, true, enterpriseStatusElement);
+            return;
+        }
+
+        let checkResult = '';
+        if (pat && provider === 'github') {
+            enterpriseStatusElement.textContent = 'Checking token...';
+            enterpriseStatusElement.className = '';
+            try {
+                const tokenInfo = await getTokenInfo(pat, apiBaseUrl);
+                checkResult = ` Token of @${tokenInfo.login}.`;
+            } catch (error) {
+                if (error instanceof ApiAuthError) {
+                    showStatus(`${host} rejected this token (invalid, expired, or revoked). The host was not saved.`, true, enterpriseStatusElement);
+                    return;
+                }
+                console.warn(`[Options] Could not check the token for ${host}:`, error);
+                checkResult = ` The token could not be checked: ${error.message}`;
+            }
+        }
+
+        const hosts = await getEnterpriseHosts();
+        const updatedHosts = hosts.filter(entry => entry.host !== host);
+        updatedHosts.push({ host, provider, apiBaseUrl, pat });
+
+        const success = await setEnterpriseHosts(updatedHosts);
+        if (success) {
+            enterpriseHostInput.value = '';
+            enterpriseApiBaseUrlInput.value = '';
+            enterprisePatInput.value = '';
+            updateEnterprisePlaceholders();
+            renderEnterpriseHosts(await getEnterpriseHosts());
+            showStatus(`Host ${host} saved.${checkResult}`, false, enterpriseStatusElement);
+        } else {
+            showStatus('Failed to save host. Check the console for details.', true, enterpriseStatusElement);
+        }
+    } catch (error) {
+        console.error("[Options] Exception while adding self-hosted host:", error);
+        showStatus(`Error saving host: ${error.message}`, true, enterpriseStatusElement);
+    }
+}
+
+/**
+ * Removes a registered enterprise host.
+ * @param {string} host The host name to remove.
+ */
+async function handleRemoveEnterpriseHost(host) {
+    try {
+        const hosts = await getEnterpriseHosts();
+        const success = await setEnterpriseHosts(hosts.filter(entry => entry.host !== host));
+        if (success) {
+            renderEnterpriseHosts(await getEnterpriseHosts());
+            showStatus(`Host ${host} removed.`, false, enterpriseStatusElement);
+        } else {
+            showStatus('Failed to remove host. Check the console for details.', true, enterpriseStatusElement);
+        }
+    } catch (error) {
+        console.error("[Options] Exception while removing self-hosted host:", error);
+        showStatus(`Error removing host: ${error.message}`, true, enterpriseStatusElement);
+    }
+}
+
+/**
+ * Renders the named credentials, in matching order, with a remove button each.
+ * @param {Array<object>} credentials The stored credentials.
+ */
+function renderCredentials(credentials) {
+    credentialList.innerHTML = '';
+    if (credentials.length === 0) {
+        const emptyItem = document.createElement('li');
+        emptyItem.className = 'empty';
+        emptyItem.textContent = 'No credentials added.';
+        credentialList.appendChild(emptyItem);
+        return;
+    }
+
+    credentials.forEach(entry => {
+        const item = document.createElement('li');
+
+        const details = document.createElement('div');
+        const credentialName = document.createElement('strong');
+        credentialName.textContent = entry.name;
+        const credentialDetails = document.createElement('div');
+        credentialDetails.className = 'host-details';
+        credentialDetails.textContent = `${entry.host} · owners: ${entry.ownerPattern}`;
+        details.appendChild(credentialName);
+        details.appendChild(credentialDetails);
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'secondary';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => handleRemoveCredential(entry.name));
+
+        item.appendChild(details);
+        item.appendChild(removeButton);
+        credentialList.appendChild(item);
+    });
+}
+
+/**
+ * Loads the named credentials from storage and renders them.
+ */
+async function loadCredentials() {
+    try {
+        renderCredentials(await getCredentials());
+    } catch (error) {
+        console.error("[Options] Error loading credentials:", error);
+        showStatus(`Error loading credentials: ${error.message}`, true, credentialStatusElement);
+    }
+}
+
+/**
+ * Handles the click event for the Add Credential button.
+ * The host must be a built-in one or a registered self-hosted host, so the token has an API to go to.
+ */
+async function handleAddCredential() {
+    const name = credentialNameInput.value.trim();
+    const host = (credentialHostInput.value.trim() || 'github.com').toLowerCase();
+    const ownerPattern = credentialOwnerPatternInput.value.trim() || '*';
+    const token = credentialTokenInput.value.trim();
+
+    if (!name || !token) {
+        showStatus('Enter a name and a token.', true, credentialStatusElement);
+        return;
+    }
+
+    try {
+        const knownHost = PUBLIC_HOSTS.some(entry => entry.host === host) || (await getEnterpriseHosts()).some(entry => entry.host === host);
+        if (!knownHost) {
+            showStatus(`${host} is not a known host. Register it under Self-Hosted Hosts first.`, true, credentialStatusElement);
+            return;
+        }
+
+        const credentials = await getCredentials();
+        const credential = { name, host, ownerPattern, token };
+        const existingIndex = credentials.findIndex(entry => entry.name === name);
+        if (existingIndex === -1) {
+            credentials.push(credential);
+        } else {
+            credentials[existingIndex] = credential; // Keeps its place in the matching order
+        }
+
+        if (await setCredentials(credentials)) {
+            credentialNameInput.value = '';
+            credentialOwnerPatternInput.value = '';
+            credentialTokenInput.value = '';
+            renderCredentials(await getCredentials());
+            showStatus(`Credential '${name}' saved.`, false, credentialStatusElement);
+        } else {
+            showStatus('Failed to save credential. Check the console for details.', true, credentialStatusElement);
+        }
+    } catch (error) {
+        console.error("[Options] Exception while adding credential:", error);
+        showStatus(`Error saving credential: ${error.message}`, true, credentialStatusElement);
+    }
+}
+
+/**
+ * Removes a named credential.
+ * @param {string} name The name of the credential to remove.
+ */
+async function handleRemoveCredential(name) {
+    try {
+        const credentials = await getCredentials();
+        if (await setCredentials(credentials.filter(entry => entry.name !== name))) {
+            renderCredentials(await getCredentials());
+            showStatus(`Credential '${name}' removed.`, false, credentialStatusElement);
+        } else {
+            showStatus('Failed to remove credential. Check the console for details.', true, credentialStatusElement);
+        }
+    } catch (error) {
+        console.error("[Options] Exception while removing credential:", error);
+        showStatus(`Error removing credential: ${error.message}`, true, credentialStatusElement);
+    }
+}
+
+/**
+ * Renders the prompt template library with Edit, Duplicate and Delete buttons for each template.
+ * @param {Array<object>} templates The stored templates.
+ */
+function renderPromptTemplates(templates) {
+    promptTemplateList.innerHTML = '';
+    if (templates.length === 0) {
+        const emptyItem = document.createElement('li');
+        emptyItem.className = 'empty';
+        emptyItem.textContent = 'No prompt templates. Copies start with the files.';
+        promptTemplateList.appendChild(emptyItem);
+        return;
+    }
+
+    templates.forEach(template => {
+        const item = document.createElement('li');
+
+        const details = document.createElement('div');
+        const templateName = document.createElement('strong');
+        templateName.textContent = template.name;
+        const templateDetails = document.createElement('div');
+        templateDetails.className = 'host-details';
+        templateDetails.textContent = `${template.kind === 'suffix' ? 'Suffix' : 'Prompt'} · ${template.text.length.toLocaleString()} characters`;
+        details.appendChild(templateName);
+        details.appendChild(templateDetails);
+
+        const actions = document.createElement('div');
+        actions.className = 'list-actions';
+        [
+            ['Edit', () => handleEditPromptTemplate(template.id)],
+            ['Duplicate', () => handleDuplicatePromptTemplate(template.id)],
+            ['Delete', () => handleDeletePromptTemplate(template.id)]
+        ].forEach(([label, onClick]) => {
+            const button = document.createElement('button');
+            button.className = 'secondary';
+            button.textContent = label;
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        });
+
+        item.appendChild(details);
+        item.appendChild(actions);
+        promptTemplateList.appendChild(item);
+    });
+}
+
+/**
+ * Clears the template editor and switches it back to adding a new template.
+ */
+function resetPromptTemplateEditor() {
+    editingTemplateId = null;
+    promptTemplateNameInput.value = '';
+    promptTemplateKindSelect.value = 'prefix';
+    promptTemplateTextInput.value = '';
+    savePromptTemplateButton.textContent = 'Add Template';
+    cancelPromptTemplateEditButton.hidden = true;
+}
+
+/**
+ * Loads the prompt template library from storage and renders it.
+ */
+async function loadPromptTemplates() {
+    try {
+        renderPromptTemplates(await getPromptTemplates());
+    } catch (error) {
+        console.error("[Options] Error loading prompt templates:", error);
+        showStatus(`Error loading prompt templates: ${error.message}`, true, promptTemplateStatusElement);
+    }
+}
+
+/**
+ * Saves the library and re-renders it, reporting the outcome.
+ * @param {Array<object>} templates The full library to save.
+ * @param {string} successMessage The status shown once saved.
+ * @returns {Promise<boolean>} True if saved.
+ */
+async function savePromptTemplates(templates, successMessage) {
+    if (await setPromptTemplates(templates)) {
+        renderPromptTemplates(await getPromptTemplates());
+        showStatus(successMessage, false, promptTemplateStatusElement);
+        return true;
+    }
+    showStatus('Failed to save prompt templates. Check the console for details.', true, promptTemplateStatusElement);
+    return false;
+}
+
+/**
+ * Handles the click event for the Add Template / Save Template button: adds a new template,
+ * or updates the one loaded into the editor in place.
+ */
+async function handleSavePromptTemplate() {
+    const name = promptTemplateNameInput.value.trim();
+    const text = promptTemplateTextInput.value;
+    if (!name || !text.trim()) {
+        showStatus('Enter a name and the template text.', true, promptTemplateStatusElement);
+        return;
+    }
+
+    try {
+        const templates = await getPromptTemplates();
+        const template = { id: editingTemplateId || crypto.randomUUID(), name, kind: promptTemplateKindSelect.value, text };
+        const existingIndex = templates.findIndex(entry => entry.id === editingTemplateId);
+        if (existingIndex === -1) {
+            templates.push(template);
+        } else {
+            templates[existingIndex] = template;
+        }
+        if (await savePromptTemplates(templates, `Template '${name}' saved.`)) {
+            resetPromptTemplateEditor();
+        }
+    } catch (error) {
+        console.error("[Options] Exception while saving prompt template:", error);
+        showStatus(`Error saving template: ${error.message}`, true, promptTemplateStatusElement);
+    }
+}
+
+/**
+ * Loads a template into the editor.
+ * @param {string} templateId The ID of the template to edit.
+ */
+async function handleEditPromptTemplate(templateId) {
+    const template = (await getPromptTemplates()).find(entry => entry.id === templateId);
+    if (!template) return;
+    editingTemplateId = template.id;
+    promptTemplateNameInput.value = template.name;
+    promptTemplateKindSelect.value = template.kind;
+    promptTemplateTextInput.value = template.text;
+    savePromptTemplateButton.textContent = 'Save Template';
+    cancelPromptTemplateEditButton.hidden = false;
+    promptTemplateNameInput.focus();
+}
+
+/**
+ * Adds a copy of a template right after it.
+ * @param {string} templateId The ID of the template to duplicate.
+ */
+async function handleDuplicatePromptTemplate(templateId) {
+    try {
+        const templates = await getPromptTemplates();
+        const index = templates.findIndex(entry => entry.id === templateId);
+        if (index === -1) return;
+        const copy = { ...templates[index], id: crypto.randomUUID(), name: `${templates[index].name} (copy)` };
+        templates.splice(index + 1, 0, copy);
+        await savePromptTemplates(templates, `Template '${copy.name}' added.`);
+    } catch (error) {
+        console.error("[Options] Exception while duplicating prompt template:", error);
+        showStatus(`Error duplicating template: ${error.message}`, true, promptTemplateStatusElement);
+    }
+}
+
+/**
+ * Deletes a template. Repositories that used it copy without a prompt (or suffix) until another is chosen.
+ * @param {string} templateId The ID of the template to delete.
+ */
+async function handleDeletePromptTemplate(templateId) {
+    try {
+        const templates = await getPromptTemplates();
+        const template = templates.find(entry => entry.id === templateId);
+        if (!template) return;
+        if (await savePromptTemplates(templates.filter(entry => entry.id !== templateId), `Template '${template.name}' deleted.`) &&
+            editingTemplateId === templateId) {
+            resetPromptTemplateEditor();
+        }
+    } catch (error) {
+        console.error("[Options] Exception while deleting prompt template:", error);
+        showStatus(`Error deleting template: ${error.message}`, true, promptTemplateStatusElement);
+    }
+}
+
+/**
+ * Loads the extension settings into the Advanced Settings inputs.
+ */
+async function loadSettings() {
+    try {
+        const settings = await getExtensionSettings();
+        requestConcurrencyInput.value = settings.requestConcurrency;
+        binaryFileHandlingSelect.value = settings.binaryFileHandling;
+        lfsMaxFetchKbInput.value = settings.lfsMaxFetchKb;
+        commitHistoryCountInput.value = settings.commitHistoryCount;
+        customFileTemplateInput.value = settings.customFileTemplate;
+        blobCacheEnabledInput.checked = settings.blobCacheEnabled;
+        blobCacheMaxMbInput.value = settings.blobCacheMaxMb;
+    } catch (error) {
+        console.error("[Options] Error loading settings:", error);
+        showStatus(`Error loading settings: ${error.message}`, true, settingsStatusElement);
+    }
+}
+
+/**
+ * Handles the click event for the Save Settings button.
+ * Validates the inputs and stores them via updateExtensionSettings.
+ */
+async function handleSaveSettingsClick() {
+    const requestConcurrency = Number.parseInt(requestConcurrencyInput.value, 10);
+    if (Number.isNaN(requestConcurrency) || requestConcurrency < 1 || requestConcurrency > 20) {
+        showStatus('Max concurrent API requests must be a whole number from 1 to 20.', true, settingsStatusElement);
+        return;
+    }
+    const lfsMaxFetchKb = Number.parseInt(lfsMaxFetchKbInput.value, 10);
+    if (Number.isNaN(lfsMaxFetchKb) || lfsMaxFetchKb < 0 || lfsMaxFetchKb > 102400) {
+        showStatus('The Git LFS download limit must be a whole number of KB from 0 to 102400.', true, settingsStatusElement);
+        return;
+    }
+    const commitHistoryCount = Number.parseInt(commitHistoryCountInput.value, 10);
+    if (Number.isNaN(commitHistoryCount) || commitHistoryCount < 0 || commitHistoryCount > 20) {
+        showStatus('Recent commits per file must be a whole number from 0 to 20.', true, settingsStatusElement);
+        return;
+    }
+    const customFileTemplate = customFileTemplateInput.value.trim() ? customFileTemplateInput.value : '';
+    if (customFileTemplate && !insertsTemplateVariable(customFileTemplate, 'content')) {
+        showStatus('The custom file template must include {{content}}.', true, settingsStatusElement);
+        return;
+    }
+
+    try {
+        const success = await updateExtensionSettings({ requestConcurrency, binaryFileHandling: binaryFileHandlingSelect.value, lfsMaxFetchKb, commitHistoryCount, customFileTemplate });
+        if (success) {
+            showStatus('Settings saved!', false, settingsStatusElement);
+        } else {
+            showStatus('Failed to save settings. Check the console for details.', true, settingsStatusElement);
+        }
+    } catch (error) {
+        console.error("[Options] Exception while saving settings:", error);
+        showStatus(`Error saving settings: ${error.message}`, true, settingsStatusElement);
+    }
+}
+
+/**
+ * Displays how many blobs are cached and the space they use.
+ */
+async function refreshCacheUsage() {
+    const usage = await getBlobCacheUsage();
+    if (!usage) {
+        cacheUsageElement.textContent = 'Cache usage: unavailable.';
+        return;
+    }
+    const usedMb = (usage.totalBytes / (1024 * 1024)).toFixed(1);
+    cacheUsageElement.textContent = `Cache usage: ${usage.entryCount.toLocaleString()} file(s), ${usedMb} MB.`;
+}
+
+/**
+ * Handles the click event for the Save Cache Settings button.
+ */
+async function handleSaveCacheSettingsClick() {
+    const blobCacheMaxMb = Number.parseInt(blobCacheMaxMbInput.value, 10);
+    if (Number.isNaN(blobCacheMaxMb) || blobCacheMaxMb < 1 || blobCacheMaxMb > 2000) {
+        showStatus('Maximum cache size must be a whole number of MB from 1 to 2000.', true, cacheStatusElement);
+        return;
+    }
+
+    try {
+        const success = await updateExtensionSettings({ blobCacheEnabled: blobCacheEnabledInput.checked, blobCacheMaxMb });
+        if (success) {
+            showStatus('Cache settings saved!', false, cacheStatusElement);
+        } else {
+            showStatus('Failed to save cache settings. Check the console for details.', true, cacheStatusElement);
+        }
+    } catch (error) {
+        console.error("[Options] Exception while saving cache settings:", error);
+        showStatus(`Error saving cache settings: ${error.message}`, true, cacheStatusElement);
+    }
+}
+
+/**
+ * Handles the click event for the Clear Cache button.
+ */
+async function handleClearCacheClick() {
+    const success = await clearBlobCache();
+    if (success) {
+        showStatus('Cache cleared.', false, cacheStatusElement);
+    } else {
+        showStatus('Failed to clear cache. Check the console for details.', true, cacheStatusElement);
+    }
+    await refreshCacheUsage();
+}
+
+// --- Attach Event Listeners ---
+
+// Add listeners to the Save button, the passphrase checkbox, and the Lock Now button
+saveButton.addEventListener('click', handleSaveClick);
+passphraseEnabledInput.addEventListener('change', updatePassphraseFields);
+lockPatButton.addEventListener('click', handleLockClick);
+
+// Add listeners to the Sign In with GitHub buttons
+oauthSignInButton.addEventListener('click', handleSignInClick);
+oauthCancelButton.addEventListener('click', handleSignInCancelClick);
+oauthSignOutButton.addEventListener('click', handleSignOutClick);
+
+// Add listener to the GitLab and Gitea Save Tokens button
+saveProviderTokensButton.addEventListener('click', handleSaveProviderTokensClick);
+
+// Add listeners to the Add Host button and the inputs its placeholders depend on
+addEnterpriseHostButton.addEventListener('click', handleAddEnterpriseHost);
+enterpriseProviderSelect.addEventListener('change', updateEnterprisePlaceholders);
+enterpriseHostInput.addEventListener('input', updateEnterprisePlaceholders);
+
+// Add listener to the Add Credential button
+addCredentialButton.addEventListener('click', handleAddCredential);
+
+// Add listeners to the prompt template editor buttons
+savePromptTemplateButton.addEventListener('click', handleSavePromptTemplate);
+cancelPromptTemplateEditButton.addEventListener('click', resetPromptTemplateEditor);
+
+// Add listener to the Save Settings button
+saveSettingsButton.addEventListener('click', handleSaveSettingsClick);
+
+// Add listeners to the blob cache buttons
+saveCacheSettingsButton.addEventListener('click', handleSaveCacheSettingsClick);
+clearCacheButton.addEventListener('click', handleClearCacheClick);
+
+// Add listeners to load the tokens, self-hosted hosts, credentials, prompt templates, settings, and cache usage when the page finishes loading
+document.addEventListener('DOMContentLoaded', loadExistingPat);
+document.addEventListener('DOMContentLoaded', loadSignIn);
+document.addEventListener('DOMContentLoaded', loadProviderTokens);
+document.addEventListener('DOMContentLoaded', loadEnterpriseHosts);
+document.addEventListener('DOMContentLoaded', loadCredentials);
+document.addEventListener('DOMContentLoaded', loadPromptTemplates);
+document.addEventListener('DOMContentLoaded', loadSettings);
+document.addEventListener('DOMContentLoaded', refreshCacheUsage);
+
 console.log("[Options] options.js script loaded and listeners attached.");
\ No newline at end of file
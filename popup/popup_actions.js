@@ -1,360 +1,889 @@
-// File: popup/actions.js
-import { log } from './popup_utils.js';
-import * as ui from './popup_ui.js';
-import { getFileContentBySha } from '../common/github_api.js';
-// ASSUMPTION: Tokenizer library is available and bundled correctly.
-// Replace with actual path if using a local/vendored copy.
-import { encode } from 'gpt-tokenizer'; // Or your chosen tokenizer library
-
-// console.log("[Popup Actions] Module loading..."); // Removed module load noise
-
-// --- Constants ---
-const CONTEXT_PREFIX_PATH = 'assets/context_prefix.txt';
-const MAX_TOKENIZER_CHARS = 1_000_000; // Safety limit for tokenizer input length to prevent crashes
-
-// --- Module State ---
-// Callbacks to get necessary data/trigger actions in the main module
-let getRepoInfo = null;
-let getSelectionState = null;
-let getFileTreeData = null;
-let triggerRefresh = null;
-
-// --- Private Helper Functions ---
-
-/**
- * Fetches the context prefix string from the assets file.
- * @returns {Promise<string>} The prefix string (with trailing newlines) or an empty string if fetch fails.
- */
-async function getContextPrefix() {
-    try {
-        const prefixUrl = chrome.runtime.getURL(CONTEXT_PREFIX_PATH);
-        // log('info', `[Actions] Fetching context prefix from: ${prefixUrl}`); // Too verbose
-        const response = await fetch(prefixUrl);
-        if (!response.ok) {
-            throw new Error(`Failed to fetch prefix: ${response.status} ${response.statusText}`);
-        }
-        const prefixText = await response.text();
-        // log('info', "[Actions] Successfully fetched context prefix."); // Too verbose
-        // Ensure consistent formatting with trailing newlines if not empty
-        return prefixText.trim() ? prefixText.trimEnd() + '\n\n' : "";
-    } catch (error) {
-        log('error', `[Actions] Error fetching context prefix from ${CONTEXT_PREFIX_PATH}:`, error);
-        ui.showError(`Error loading context prefix: ${error.message}. Ensure '${CONTEXT_PREFIX_PATH}' exists.`);
-        return ""; // Return empty string on failure
-    }
-}
-
-/**
- * Attempts to send a system notification.
- * @param {string} title - Notification title.
- * @param {string} message - Notification message.
- */
-async function notifyUser(title, message) {
-    // Basic check for API existence first
-    if (!chrome.notifications?.create) {
-        // log('warn', '[Actions] Notifications API not available or create method missing.'); // Warn only if expected
-        return;
-    }
-     try {
-        // Check permission using promises for cleaner async flow
-        const hasPermission = await new Promise((resolve) => {
-             if (chrome.permissions?.contains) {
-                 chrome.permissions.contains({ permissions: ['notifications'] }, (granted) => {
-                    // Check for runtime errors after checking permission
-                    if (chrome.runtime.lastError) {
-                        log('warn', '[Actions] Error checking notification permission:', chrome.runtime.lastError.message);
-                        resolve(false); // Assume no permission if error occurs
-                    } else {
-                        resolve(granted);
-                    }
-                 });
-             } else {
-                 // If permissions API isn't available, we can't reliably check.
-                 // Proceeding might work if permission was granted some other way,
-                 // but it's safer to log a warning and potentially resolve false.
-                 // Let's assume true for now but log the inability to check.
-                 log('warn', '[Actions] Cannot verify notification permission via chrome.permissions API.');
-                 resolve(true);
-             }
-        });
-
-         if (hasPermission) {
-              const iconUrl = chrome.runtime.getURL('icons/icon48.png'); // Ensure this icon exists
-              chrome.notifications.create({ // Use options object directly
-                 type: 'basic',
-                 iconUrl: iconUrl,
-                 title: title,
-                 message: message,
-                 priority: 0 // Default priority
-             }, (notificationId) => {
-                 // Callback checks for creation errors
-                 if (chrome.runtime.lastError) {
-                     log('warn', '[Actions] Could not create notification:', chrome.runtime.lastError.message);
-                 } else {
-                     // log('info', `[Actions] Notification sent: ${notificationId}`); // Reduced verbosity
-                 }
-             });
-         } else {
-             // log('info', '[Actions] Notification permission not granted. Skipping notification.'); // Reduced verbosity
-             // Optionally show a status message in the popup as fallback
-             // ui.showStatus("Tip: Grant Notification permission for alerts.", false);
-         }
-     } catch (notifyError) {
-         // Catch errors from the permission check promise itself or unexpected issues
-         log('warn', '[Actions] Error checking/sending notification:', notifyError);
-     }
-}
-
-/**
- * Calculates the token count for the given text using the imported tokenizer.
- * Includes error handling and safety checks.
- * @param {string} text - The text content to tokenize.
- * @returns {number} The number of tokens, or 0 if error or empty text.
- */
-function calculateAccurateTokenCount(text) {
-    if (!text || typeof text !== 'string' || text.length === 0) {
-        return 0;
-    }
-
-    // Safety check: Avoid tokenizing excessively large strings that might crash the browser/tab
-    if (text.length > MAX_TOKENIZER_CHARS) {
-        log('warn', `[Actions] Text content length (${text.length}) exceeds safety limit (${MAX_TOKENIZER_CHARS}) for tokenization. Skipping token count.`);
-        return -1; // Indicate skipped due to size limit
-    }
-
-    try {
-        const tokens = encode(text); // Use the imported tokenizer function
-        return tokens.length;
-    } catch (error) {
-        log('error', "[Actions] Error during token calculation:", error);
-        // Decide how to handle tokenizer errors. Return 0 or a specific error indicator?
-        // Returning 0 might be misleading. Let's return -1 for errors too.
-        return -1; // Indicate error during tokenization
-    }
-}
-
-// --- Action Handlers (called by event listeners set up in init) ---
-
-/** Handles the click on the "Copy Context" button. */
-async function handleCopyClick() {
-    // log('info', "[Actions] Copy button clicked."); // Reduced verbosity
-
-    // Get current state via callbacks
-    const repoInfo = getRepoInfo ? getRepoInfo() : null;
-    const selectionState = getSelectionState ? getSelectionState() : {};
-    const fileTreeData = getFileTreeData ? getFileTreeData() : [];
-
-    if (!repoInfo || !repoInfo.owner || !repoInfo.repo) {
-        log('error', "[Actions] Cannot copy: Missing repository information.");
-        ui.showError("Repository information is missing. Please refresh.");
-        return;
-    }
-
-    const { owner, repo } = repoInfo;
-
-    // Update UI to busy state
-    ui.setCopyButtonBusy(true);
-    ui.setRefreshDisabled(true);
-    ui.clearMessages();
-    ui.showStatus("Preparing context...");
-    const startTime = performance.now();
-
-    try {
-        // 1. Fetch the prefix
-        const contextPrefix = await getContextPrefix();
-        // Continue even if prefix fetch failed (it returns "" and shows error via ui.showError)
-
-        // 2. Identify selected files
-        ui.showStatus("Identifying selected files...");
-        const selectedFilesToFetch = [];
-        for (const pathKey in selectionState) {
-            if (selectionState[pathKey] === true && !pathKey.endsWith('/')) {
-                const fileData = fileTreeData.find(item => item?.path === pathKey && item?.type === 'blob');
-                if (fileData?.sha) {
-                    selectedFilesToFetch.push({ path: fileData.path, sha: fileData.sha });
-                } else {
-                    log('warn', `[Actions] Could not find SHA for selected file: ${pathKey}. Skipping.`);
-                }
-            }
-        }
-
-        // log('info', `[Actions] Found ${selectedFilesToFetch.length} selected files with SHAs.`); // Reduced verbosity
-
-        if (selectedFilesToFetch.length === 0) {
-            ui.showError("No files selected to copy.");
-            throw new Error("No files selected."); // Use error for control flow to finally block
-        }
-
-        // 3. Fetch file contents concurrently
-        let filesProcessed = 0;
-        let fetchErrors = 0;
-        const totalToFetch = selectedFilesToFetch.length;
-        ui.showStatus(`Fetching content for ${totalToFetch} files... (0/${totalToFetch})`);
-
-        selectedFilesToFetch.sort((a, b) => a.path.localeCompare(b.path));
-
-        const contentPromises = selectedFilesToFetch.map(file =>
-            getFileContentBySha(owner, repo, file.sha)
-                .then(content => {
-                    filesProcessed++;
-                    if (filesProcessed % 10 === 0 || filesProcessed === totalToFetch) { // Update status less frequently
-                        ui.showStatus(`Fetching file contents... (${filesProcessed}/${totalToFetch})`);
-                    }
-                    return { path: file.path, content: content, error: null };
-                })
-                .catch(error => {
-                    log('error', `[Actions] Failed to fetch content for ${file.path} (SHA: ${file.sha}):`, error);
-                    fetchErrors++;
-                    filesProcessed++;
-                     if (filesProcessed % 10 === 0 || filesProcessed === totalToFetch) {
-                        ui.showStatus(`Fetching file contents... (${filesProcessed}/${totalToFetch})`);
-                    }
-                    return { path: file.path, content: null, error: error.message || "Unknown fetch error" };
-                })
-        );
-
-        const results = await Promise.all(contentPromises);
-        const fetchEndTime = performance.now();
-        log('info', `[Actions] Content fetching completed in ${((fetchEndTime - startTime) / 1000).toFixed(2)}s. Errors: ${fetchErrors}`);
-
-        // 4. Format the context and Prepare for Tokenization
-        ui.showStatus("Formatting context...");
-        let formattedContext = contextPrefix;
-        let contentForTokenization = contextPrefix; // Start with prefix for accurate count
-
-        results.forEach(result => {
-            if (result.content !== null) { // Check for non-error results
-                // Sanitize null bytes before formatting or tokenization
-                const sanitizedContent = result.content.replace(/\0/g, '');
-                const fileBlock = `--- File: ${result.path} ---\n${sanitizedContent}\n\n`;
-                formattedContext += fileBlock;
-                contentForTokenization += fileBlock; // Append the same block for tokenization
-            } else {
-                 log('warn', `[Actions] Skipping file in final output due to fetch error: ${result.path}`);
-                 // Optionally add a note about the failed file:
-                 // formattedContext += `--- Error fetching file: ${result.path} ---\nError: ${result.error}\n\n`;
-                 // Do *not* add error message to contentForTokenization
-            }
-        });
-
-        // Remove trailing whitespace/newlines from the final *formatted* string
-        formattedContext = formattedContext.trimEnd();
-        // contentForTokenization remains untrimmed at the end for consistency if needed
-
-        // 5. Calculate Accurate Token Count
-        ui.showStatus("Calculating token count...");
-        const actualTokenCount = calculateAccurateTokenCount(contentForTokenization);
-        const tokenCountStr = actualTokenCount >= 0
-            ? ` (${actualTokenCount.toLocaleString()} tokens)`
-            : " (token count unavailable)"; // Handle -1 return values
-
-        // 6. Copy to clipboard and provide feedback
-        const filesCopiedCount = totalToFetch - fetchErrors;
-        let finalMessage;
-        let messageIsWarning = fetchErrors > 0;
-
-        if (filesCopiedCount > 0 && formattedContext) {
-            finalMessage = `Context for ${filesCopiedCount} file(s)${tokenCountStr} copied!`;
-            if (fetchErrors > 0) {
-                finalMessage += ` (${fetchErrors} failed)`;
-            }
-            await navigator.clipboard.writeText(formattedContext);
-            log('info', `[Actions] Formatted context copied to clipboard. Files: ${filesCopiedCount}, Errors: ${fetchErrors}, Tokens: ${actualTokenCount >= 0 ? actualTokenCount : 'N/A'}`);
-            ui.showStatus(finalMessage, messageIsWarning);
-            notifyUser('GitHub AI Context Builder', finalMessage);
-
-        } else if (filesCopiedCount === 0) { // No files copied successfully
-             finalMessage = `Copy failed: Could not retrieve content for any of the ${fetchErrors} selected file(s).`;
-             log('warn', `[Actions] Copy failed: No content retrieved. Errors: ${fetchErrors}`);
-             ui.showError(finalMessage);
-             notifyUser('GitHub AI Context Builder', finalMessage);
-        } else { // Files copied, but formatted context ended up empty (e.g., prefix empty, all files empty)
-             finalMessage = `Copy failed: Generated context is empty, though ${filesCopiedCount} file(s) were processed.`;
-             if (fetchErrors > 0) finalMessage += ` (${fetchErrors} failed)`;
-             log('warn', `[Actions] Copy failed: Formatted context is empty. Files processed: ${filesCopiedCount}, Errors: ${fetchErrors}`);
-             ui.showError(finalMessage);
-        }
-
-    } catch (error) {
-        // Catch errors from setup phase or Promise.all/tokenization itself
-        log('error', "[Actions] Error during copy process:", error);
-        // Avoid double message for the "No files selected" case
-        if (error.message !== "No files selected.") {
-             ui.showError(`Copy failed: ${error.message}`);
-        }
-    } finally {
-        // Restore UI state regardless of success or failure
-        ui.setCopyButtonBusy(false);
-        // Allow the main module/state handler to re-evaluate button states based on current selection
-        ui.setRefreshDisabled(false); // Explicitly re-enable refresh
-        // It's crucial that the caller (popup.js/state.js) logic eventually calls ui.updateControlsState()
-        // This happens implicitly via handleTreeStateUpdate in the current flow, which should be sufficient.
-        const endTime = performance.now();
-        log('info', `[Actions] Total copy operation took ${((endTime - startTime) / 1000).toFixed(2)}s.`);
-    }
-}
-
-/** Handles the click on the "Refresh" button. */
-function handleRefreshClick() {
-    // log('info', "[Actions] Refresh button clicked."); // Reduced verbosity
-    ui.clearMessages();
-    ui.updateRepoTitle("Refreshing...");
-    ui.setControlsDisabled();
-    ui.setRefreshDisabled(true);
-
-    if (triggerRefresh) {
-        triggerRefresh();
-    } else {
-        log('error', "[Actions] Cannot refresh: Trigger refresh callback not configured.");
-        ui.showError("Refresh action is not configured.");
-        ui.setRefreshDisabled(false);
-    }
-}
-
-// --- Public Initialization Function ---
-
-/**
- * Initializes the actions module.
- * Stores callbacks and attaches listeners to action buttons.
- * @param {object} config - Configuration object.
- * @param {HTMLElement} config.copyButtonElement - The copy button DOM element.
- * @param {HTMLElement} config.refreshButtonElement - The refresh button DOM element.
- * @param {Function} config.getRepoInfoCallback - Function returning { owner, repo, ref, ... }.
- * @param {Function} config.getSelectionStateCallback - Function returning the selectionState object.
- * @param {Function} config.getFileTreeDataCallback - Function returning the fileTreeData array.
- * @param {Function} config.triggerRefreshCallback - Function to call when refresh is requested.
- */
-function initActions(config) {
-    // log('info', "[Actions] Initializing..."); // Reduced verbosity
-    if (!config || !config.copyButtonElement || !config.refreshButtonElement ||
-        typeof config.getRepoInfoCallback !== 'function' ||
-        typeof config.getSelectionStateCallback !== 'function' ||
-        typeof config.getFileTreeDataCallback !== 'function' ||
-        typeof config.triggerRefreshCallback !== 'function')
-    {
-        log('error', "[Actions] Initialization failed: Invalid configuration provided.", config);
-        throw new Error("Actions module initialization failed due to missing or invalid configuration.");
-    }
-
-    // Store callbacks
-    getRepoInfo = config.getRepoInfoCallback;
-    getSelectionState = config.getSelectionStateCallback;
-    getFileTreeData = config.getFileTreeDataCallback;
-    triggerRefresh = config.triggerRefreshCallback;
-
-    // Remove potentially existing listeners before adding new ones
-    config.copyButtonElement.removeEventListener('click', handleCopyClick);
-    config.refreshButtonElement.removeEventListener('click', handleRefreshClick);
-
-    // Attach listeners
-    config.copyButtonElement.addEventListener('click', handleCopyClick);
-    config.refreshButtonElement.addEventListener('click', handleRefreshClick);
-
-    // log('info', "[Actions] Event listeners attached."); // Reduced verbosity
-}
-
-export {
-    initActions
-};
-
+// File: popup/actions.js
+import { log, getItemPathKey } from './popup_utils.js';
+import * as ui from './popup_ui.js';
+import { getLfsObjectContent, getRecentCommits, assertRateLimitCapacity, RateLimitError, RequestCancelledError } from '../common/github_api.js';
+import { findUncachedBlobs, getCacheSessionStats, resetCacheSessionStats } from '../common/blob_cache.js';
+import { getExtensionSettings, getPromptTemplates, DEFAULT_PROMPT_TEMPLATE_ID } from '../common/storage.js';
+import { getProviderForHost } from '../common/providers.js';
+import { formatPullRequestHeader } from './popup_pull_request.js';
+import { formatComparisonHeader } from './popup_compare.js';
+import { formatIssueThread } from './popup_issue.js';
+import { RECENT_ACTIVITY_COMMITS, formatRecentActivity } from './popup_history.js';
+import { formatContext, DEFAULT_FORMAT_ID } from './popup_formatters.js';
+import { buildTreeMap, DEFAULT_TREE_MAP_MODE } from './popup_tree_map.js';
+import { renderTemplate, usesTemplateVariable } from './popup_templates.js';
+// ASSUMPTION: Tokenizer library is available and bundled correctly.
+// Replace with actual path if using a local/vendored copy.
+import { encode } from 'gpt-tokenizer'; // Or your chosen tokenizer library
+
+// console.log("[Popup Actions] Module loading..."); // Removed module load noise
+
+// --- Constants ---
+const MAX_TOKENIZER_CHARS = 1_000_000; // Safety limit for tokenizer input length to prevent crashes
+
+// --- Module State ---
+// Callbacks to get necessary data/trigger actions in the main module
+let getRepoInfo = null;
+let getSelectionState = null;
+let getFileTreeData = null;
+let getCopyOptions = null;
+let getFolderSizes = null;
+let loadFolder = null;
+let triggerRefresh = null;
+let activeAbortController = null; // Aborts the copy in progress (queued and in-flight requests)
+let lastCopyRun = null; // The last copy run (see finalizeCopy), used by "Retry failed"
+
+// --- Private Helper Functions ---
+
+/**
+ * Gets the prefix and suffix templates chosen in the popup, from the prompt library.
+ * @param {{prefixTemplateId: string, suffixTemplateId: string}} copyOptions - Output options chosen in the popup ('' for none).
+ * @returns {Promise<{prefixTemplate: string, suffixTemplate: string}>} The template texts (rendered in finalizeCopy), or empty strings.
+ */
+async function getPromptTemplateTexts(copyOptions) {
+    const { prefixTemplateId, suffixTemplateId } = copyOptions;
+    if (!prefixTemplateId && !suffixTemplateId) {
+        return { prefixTemplate: '', suffixTemplate: '' };
+    }
+    const templates = await getPromptTemplates();
+    const getText = templateId => {
+        if (!templateId) return '';
+        const template = templates.find(entry => entry.id === templateId);
+        if (!template) {
+            log('warn', `[Actions] Prompt template ${templateId} is no longer in the library; leaving it out.`);
+            return '';
+        }
+        return template.text.trim();
+    };
+    return { prefixTemplate: getText(prefixTemplateId), suffixTemplate: getText(suffixTemplateId) };
+}
+
+/**
+ * Resolves the commit a copy was taken at, for the {{commit_sha}} template variable: the ref itself when it is a
+ * full SHA, else the newest commit of the recent activity, else one listed through GitHub's commits API.
+ * The variable is supplementary, so failures are logged and give ''.
+ * @param {{host: string, owner: string, repo: string, ref: string, provider: object}} repoInfo - The repository being copied.
+ * @param {Array<object> | null} recentActivity - The repository's latest commits, if commit history is on.
+ * @param {AbortSignal} signal - Cancels the request.
+ * @returns {Promise<string>} The commit SHA, or '' if unknown.
+ * @throws {RequestCancelledError} If the copy is cancelled.
+ */
+async function resolveCommitSha(repoInfo, recentActivity, signal) {
+    if (/^[0-9a-f]{40}$/i.test(repoInfo.ref || '')) {
+        return repoInfo.ref;
+    }
+    if (recentActivity?.length) {
+        return recentActivity[0].sha;
+    }
+    if (!repoInfo.provider.supportsGitHubFeatures) {
+        return '';
+    }
+    try {
+        const [latestCommit] = await getRecentCommits(repoInfo.owner, repoInfo.repo, repoInfo.ref, { count: 1 }, repoInfo.host, { signal });
+        return latestCommit?.sha || '';
+    } catch (error) {
+        if (error instanceof RequestCancelledError) {
+            throw error;
+        }
+        log('warn', "[Actions] Could not resolve the commit SHA; {{commit_sha}} is left empty.", error);
+        return '';
+    }
+}
+
+/**
+ * Gets the values of the template variables for a copy (see popup_templates.js).
+ * @param {{owner: string, repo: string, ref: string}} repoInfo - The repository being copied.
+ * @param {string} commitSha - The resolved commit SHA, or ''.
+ * @param {Array<{path: string}>} files - The file blocks of the context document.
+ * @param {number | null} tokenCount - The token count, or null before it is known.
+ * @returns {{owner: string, repo: string, ref: string, commit_sha: string, date: string, file_count: number,
+ *           token_count: number | string, file_list: string[]}}
+ */
+function getTemplateValues(repoInfo, commitSha, files, tokenCount) {
+    return {
+        owner: repoInfo.owner,
+        repo: repoInfo.repo,
+        ref: repoInfo.ref || '',
+        commit_sha: commitSha,
+        date: new Date().toLocaleDateString('en-CA'), // YYYY-MM-DD in local time
+        file_count: files.length,
+        token_count: tokenCount !== null && tokenCount >= 0 ? tokenCount : '',
+        file_list: files.map(file => file.path)
+    };
+}
+
+/**
+ * Renders the prompt templates and formats the context document with them.
+ * {{token_count}} needs the formatted text, so templates that use it are rendered twice: the count is
+ * that of the context rendered without it (the number itself adds a token or two).
+ * @param {object} copyRun - The copy being finalized (see finalizeCopy).
+ * @param {import('./popup_formatters.js').ContextDocument} contextDocument - The document, without prefix and suffix.
+ * @param {string} customFileTemplate - The customFileTemplate setting.
+ * @returns {string} The formatted context.
+ */
+function formatWithTemplates({ repoInfo, copyOptions, prefixTemplate, suffixTemplate, commitSha }, contextDocument, customFileTemplate) {
+    const format = tokenCount => {
+        const templateValues = getTemplateValues(repoInfo, commitSha, contextDocument.files, tokenCount);
+        const prefix = renderTemplate(prefixTemplate, templateValues).trim();
+        return formatContext(copyOptions.outputFormat, {
+            ...contextDocument,
+            prefix: prefix ? `${prefix}\n\n` : '',
+            suffix: renderTemplate(suffixTemplate, templateValues).trim()
+        }, { customFileTemplate, templateValues });
+    };
+
+    const formattedContext = format(null);
+    const templates = [prefixTemplate, suffixTemplate, copyOptions.outputFormat === 'custom' ? customFileTemplate : ''];
+    return templates.some(template => usesTemplateVariable(template, 'token_count'))
+        ? format(calculateAccurateTokenCount(formattedContext))
+        : formattedContext;
+}
+
+/**
+ * Attempts to send a system notification.
+ * @param {string} title - Notification title.
+ * @param {string} message - Notification message.
+ */
+async function notifyUser(title, message) {
+    // Basic check for API existence first
+    if (!chrome.notifications?.create) {
+        // log('warn', '[Actions] Notifications API not available or create method missing.'); // Warn only if expected
+        return;
+    }
+     try {
+        // Check permission using promises for cleaner async flow
+        const hasPermission = await new Promise((resolve) => {
+             if (chrome.permissions?.contains) {
+                 chrome.permissions.contains({ permissions: ['notifications'] }, (granted) => {
+                    // Check for runtime errors after checking permission
+                    if (chrome.runtime.lastError) {
+                        log('warn', '[Actions] Error checking notification permission:', chrome.runtime.lastError.message);
+                        resolve(false); // Assume no permission if error occurs
+                    } else {
+                        resolve(granted);
+                    }
+                 });
+             } else {
+                 // If permissions API isn't available, we can't reliably check.
+                 // Proceeding might work if permission was granted some other way,
+                 // but it's safer to log a warning and potentially resolve false.
+                 // Let's assume true for now but log the inability to check.
+                 log('warn', '[Actions] Cannot verify notification permission via chrome.permissions API.');
+                 resolve(true);
+             }
+        });
+
+         if (hasPermission) {
+              const iconUrl = chrome.runtime.getURL('icons/icon48.png'); // Ensure this icon exists
+              chrome.notifications.create({ // Use options object directly
+                 type: 'basic',
+                 iconUrl: iconUrl,
+                 title: title,
+                 message: message,
+                 priority: 0 // Default priority
+             }, (notificationId) => {
+                 // Callback checks for creation errors
+                 if (chrome.runtime.lastError) {
+                     log('warn', '[Actions] Could not create notification:', chrome.runtime.lastError.message);
+                 } else {
+                     // log('info', `[Actions] Notification sent: ${notificationId}`); // Reduced verbosity
+                 }
+             });
+         } else {
+             // log('info', '[Actions] Notification permission not granted. Skipping notification.'); // Reduced verbosity
+             // Optionally show a status message in the popup as fallback
+             // ui.showStatus("Tip: Grant Notification permission for alerts.", false);
+         }
+     } catch (notifyError) {
+         // Catch errors from the permission check promise itself or unexpected issues
+         log('warn', '[Actions] Error checking/sending notification:', notifyError);
+     }
+}
+
+/**
+ * Calculates the token count for the given text using the imported tokenizer.
+ * Includes error handling and safety checks.
+ * @param {string} text - The text content to tokenize.
+ * @returns {number} The number of tokens, or 0 if error or empty text.
+ */
+function calculateAccurateTokenCount(text) {
+    if (!text || typeof text !== 'string' || text.length === 0) {
+        return 0;
+    }
+
+    // Safety check: Avoid tokenizing excessively large strings that might crash the browser/tab
+    if (text.length > MAX_TOKENIZER_CHARS) {
+        log('warn', `[Actions] Text content length (${text.length}) exceeds safety limit (${MAX_TOKENIZER_CHARS}) for tokenization. Skipping token count.`);
+        return -1; // Indicate skipped due to size limit
+    }
+
+    try {
+        const tokens = encode(text); // Use the imported tokenizer function
+        return tokens.length;
+    } catch (error) {
+        log('error', "[Actions] Error during token calculation:", error);
+        // Decide how to handle tokenizer errors. Return 0 or a specific error indicator?
+        // Returning 0 might be misleading. Let's return -1 for errors too.
+        return -1; // Indicate error during tokenization
+    }
+}
+
+/**
+ * Collects the selected files (with their blob SHAs) from the selection state.
+ * Files inside submodules carry their submodule's `source` so they are fetched from that repository.
+ * Changed files in pull request and compare mode carry their `change`.
+ * @param {object} selectionState - The selection state map { [pathKey]: boolean }.
+ * @param {Array<object>} fileTreeData - The flat file tree data.
+ * @returns {Array<{path: string, sha: string, source: object | null, change: object | null}>} Selected files sorted by path.
+ */
+function collectSelectedFiles(selectionState, fileTreeData) {
+    const selectedFiles = [];
+    for (const pathKey in selectionState) {
+        if (selectionState[pathKey] === true && !pathKey.endsWith('/')) {
+            const fileData = fileTreeData.find(item => item?.path === pathKey && item?.type === 'blob');
+            if (fileData?.sha) {
+                selectedFiles.push({ path: fileData.path, sha: fileData.sha, source: fileData.source || null, change: fileData.change || null });
+            } else {
+                log('warn', `[Actions] Could not find SHA for selected file: ${pathKey}. Skipping.`);
+            }
+        }
+    }
+    selectedFiles.sort((a, b) => a.path.localeCompare(b.path));
+    return selectedFiles;
+}
+
+/**
+ * Finds the selected folders whose contents have not been loaded: folders the truncated-tree walk did not reach,
+ * and submodules that were never expanded. Their files are not in fileTreeData yet, so collectSelectedFiles cannot see them.
+ * Submodules that cannot be expanded (no URL on a configured host) are not `unloaded` and have nothing to load.
+ * @param {object} selectionState - The selection state map { [pathKey]: boolean }.
+ * @param {Array<object>} fileTreeData - The flat file tree data.
+ * @returns {Array<string>} The folders' path keys.
+ */
+function findUnloadedSelectedFolders(selectionState, fileTreeData) {
+    return fileTreeData
+        .filter(item => item?.type === 'tree' && item.unloaded && selectionState[getItemPathKey(item)] === true)
+        .map(item => getItemPathKey(item));
+}
+
+/**
+ * Loads the selected folders that are not loaded yet, and then any unloaded subfolders they turn out to have,
+ * so the copy covers the whole selection.
+ * @param {AbortSignal} signal - Stops loading when the copy is cancelled.
+ * @returns {Promise<void>}
+ * @throws {RequestCancelledError} If the copy is cancelled.
+ * @throws {Error} If a folder cannot be loaded; the message lists the folders still missing instead of copying without them.
+ */
+async function loadUnloadedSelectedFolders(signal) {
+    let pendingFolders = findUnloadedSelectedFolders(getSelectionState(), getFileTreeData());
+    while (pendingFolders.length > 0) {
+        for (const folderPathKey of pendingFolders) {
+            if (signal.aborted) {
+                throw new RequestCancelledError();
+            }
+            ui.showStatus(`Loading selected folder ${folderPathKey}...`);
+            try {
+                if (!loadFolder) {
+                    throw new Error("Folder loading is not configured.");
+                }
+                await loadFolder(folderPathKey);
+            } catch (error) {
+                if (error instanceof RateLimitError) {
+                    throw error;
+                }
+                const missingFolders = findUnloadedSelectedFolders(getSelectionState(), getFileTreeData());
+                log('error', `[Actions] Could not load selected folder ${folderPathKey}:`, error);
+                throw new Error(`Could not load ${missingFolders.length} selected folder(s), so their files would be missing: ${missingFolders.join(', ')} (${error.message})`);
+            }
+        }
+        pendingFolders = findUnloadedSelectedFolders(getSelectionState(), getFileTreeData());
+    }
+}
+
+/**
+ * Counts the requests fetching these files will make: one per file whose blob is not cached,
+ * plus one per file for its commit history if that is included.
+ * @param {Array<{sha: string}>} files - The files to fetch.
+ * @param {number} historyCount - How many recent commits are listed per file; 0 lists none.
+ * @returns {Promise<number>}
+ */
+async function countFetchRequests(files, historyCount) {
+    const uncachedShas = await findUncachedBlobs(files.map(file => file.sha));
+    const contentRequests = files.filter(file => uncachedShas.has(file.sha)).length;
+    return historyCount > 0 ? contentRequests + files.length : contentRequests;
+}
+
+/**
+ * Works out which repository, ref, and repository-relative path a file's content comes from.
+ * @param {{path: string, source: object | null}} file - A selected file.
+ * @param {{host: string, owner: string, repo: string, ref: string}} repoInfo - The repository being copied.
+ * @returns {{host: string, owner: string, repo: string, ref: string, path: string}}
+ */
+function getFileLocation(file, repoInfo) {
+    if (!file.source) {
+        return { host: repoInfo.host, owner: repoInfo.owner, repo: repoInfo.repo, ref: repoInfo.ref, path: file.path };
+    }
+    const { host, owner, repo, ref, rootPath } = file.source;
+    return { host, owner, repo, ref, path: file.path.slice(rootPath.length + 1) };
+}
+
+/**
+ * Replaces a Git LFS pointer result with the real object content, if the object is small enough and turns out to be text.
+ * Otherwise the 'lfs' result is kept so the output gets an explicit marker instead of the pointer stub.
+ * @param {{host: string, owner: string, repo: string, ref: string, path: string}} location - Where the pointer was found (see getFileLocation).
+ * @param {object} lfsContent - The 'lfs' result from getFileContentBySha.
+ * @param {number} maxBytes - The largest object to download.
+ * @param {AbortSignal} signal - Cancels outstanding requests.
+ * @returns {Promise<object>} The text content, or the original 'lfs' result.
+ * @throws {RequestCancelledError | RateLimitError} These propagate so they can fail the copy; other errors keep the marker.
+ */
+async function resolveLfsContent(location, lfsContent, maxBytes, signal) {
+    if (lfsContent.size > maxBytes) {
+        return lfsContent;
+    }
+    try {
+        const objectContent = await getLfsObjectContent(location.owner, location.repo, location.path, location.ref, location.host, { signal });
+        return objectContent.type === 'text' ? objectContent : lfsContent;
+    } catch (error) {
+        if (error instanceof RequestCancelledError || error instanceof RateLimitError) {
+            throw error;
+        }
+        log('warn', `[Actions] Could not download LFS object for ${location.path}; listing it as not included.`, error);
+        return lfsContent;
+    }
+}
+
+/**
+ * Lists the latest commits touching a file. History is supplementary, so failures are logged and give null.
+ * @param {{host: string, owner: string, repo: string, ref: string, path: string}} location - Where the file lives (see getFileLocation).
+ * @param {number} count - How many commits to list.
+ * @param {AbortSignal} signal - Cancels outstanding requests.
+ * @returns {Promise<Array<object> | null>} Commits from getRecentCommits, or null if they could not be listed.
+ * @throws {RequestCancelledError} If the copy is cancelled.
+ */
+async function fetchFileHistory(location, count, signal) {
+    try {
+        return await getRecentCommits(location.owner, location.repo, location.ref, { path: location.path, count }, location.host, { signal });
+    } catch (error) {
+        if (error instanceof RequestCancelledError) {
+            throw error;
+        }
+        log('warn', `[Actions] Could not list commits for ${location.path}; copying it without history.`, error);
+        return null;
+    }
+}
+
+/**
+ * Fetches the content of the given files through the API layer's request scheduler.
+ * Each file is fetched through the provider of the host it lives on. On GitHub hosts,
+ * Git LFS pointers are resolved to their objects where possible (see resolveLfsContent).
+ * With a history count, each file's latest commits are listed too (see fetchFileHistory).
+ * Failures are captured per file rather than rejecting the whole batch.
+ * @param {Array<{path: string, sha: string, source: object | null}>} files - The files to fetch.
+ * @param {{host: string, owner: string, repo: string, ref: string}} repoInfo - The repository and ref to fetch from.
+ * @param {AbortSignal} signal - Cancels outstanding requests.
+ * @param {number} [historyCount=0] - How many recent commits to list per file; 0 lists none.
+ * @returns {Promise<Array<{path: string, sha: string, type: 'text' | 'binary' | 'lfs' | null, content: string | null, size: number | null, history: Array<object> | null, error: string | null, rateLimitError: RateLimitError | null}>>}
+ *          One result per file, in input order. `type` is null (and `error` set) for files that failed.
+ */
+async function fetchFileContents(files, repoInfo, signal, historyCount = 0) {
+    const { lfsMaxFetchKb } = await getExtensionSettings();
+    const totalToFetch = files.length;
+    let filesProcessed = 0;
+
+    const reportProgress = () => {
+        filesProcessed++;
+        if (filesProcessed % 10 === 0 || filesProcessed === totalToFetch) { // Update status less frequently
+            ui.showStatus(`Fetching file contents... (${filesProcessed}/${totalToFetch})`);
+        }
+    };
+
+    // All requests are queued at once; the scheduler bounds how many are actually in flight
+    const contentPromises = files.map(file => {
+        const location = getFileLocation(file, repoInfo);
+        const historyPromise = historyCount > 0 ? fetchFileHistory(location, historyCount, signal) : Promise.resolve(null);
+        return getProviderForHost(location.host)
+            .then(provider => provider.getFileContentBySha(location.owner, location.repo, file.sha, location.host, { signal })
+                .then(fileContent => fileContent.type === 'lfs' && provider.supportsGitHubFeatures
+                    ? resolveLfsContent(location, fileContent, lfsMaxFetchKb * 1024, signal)
+                    : fileContent))
+            .then(async fileContent => {
+                const history = await historyPromise;
+                reportProgress();
+                return { path: file.path, sha: file.sha, source: file.source, change: file.change, type: fileContent.type, content: fileContent.content, size: fileContent.size, history, error: null, rateLimitError: null };
+            })
+            .catch(error => {
+                if (!(error instanceof RequestCancelledError)) {
+                    log('error', `[Actions] Failed to fetch content for ${file.path} (SHA: ${file.sha}):`, error);
+                }
+                reportProgress();
+                historyPromise.catch(() => {}); // Only the content error is reported
+                return { path: file.path, sha: file.sha, source: file.source, change: file.change, type: null, content: null, size: null, history: null, error: error.message || "Unknown fetch error", rateLimitError: error instanceof RateLimitError ? error : null };
+            });
+    });
+
+    const results = await Promise.all(contentPromises);
+
+    if (signal.aborted) {
+        throw new RequestCancelledError("Copy cancelled.");
+    }
+    // A partial copy would silently miss files, so a rate limit fails the whole copy
+    const rateLimitResult = results.find(result => result.rateLimitError);
+    if (rateLimitResult) {
+        throw rateLimitResult.rateLimitError;
+    }
+    return results;
+}
+
+/**
+ * Decides whether a selected file's content is fetched, or only its patch is copied.
+ * Removed files have no content at the head commit; in compare mode, content is only added on request.
+ * @param {{change: object | null}} file - A selected file.
+ * @param {{comparison: object | null}} repoInfo - The repository being copied.
+ * @param {{includeComparisonContents: boolean}} copyOptions - Output options chosen in the popup.
+ * @returns {boolean}
+ */
+function needsFileContent(file, repoInfo, copyOptions) {
+    if (file.change?.status === 'removed') {
+        return false;
+    }
+    return !repoInfo.comparison || copyOptions.includeComparisonContents;
+}
+
+/**
+ * Creates the result for a file whose patch is copied without its content (see needsFileContent).
+ * @param {{path: string, sha: string, source: object | null, change: object | null}} file - The selected file.
+ * @returns {object} A result in the shape fetchFileContents returns, with type 'diff-only'.
+ */
+function createDiffOnlyResult(file) {
+    return { path: file.path, sha: file.sha, source: file.source, change: file.change, type: 'diff-only', content: null, size: 0, history: null, error: null, rateLimitError: null };
+}
+
+/**
+ * Lists the repository's latest commits for the recent activity header. Failures are logged and give null.
+ * @param {{host: string, owner: string, repo: string, ref: string}} repoInfo - The repository and ref being copied.
+ * @param {AbortSignal} signal - Cancels outstanding requests.
+ * @returns {Promise<Array<object> | null>} Commits from getRecentCommits, or null if they could not be listed.
+ * @throws {RequestCancelledError} If the copy is cancelled.
+ */
+async function fetchRecentActivity(repoInfo, signal) {
+    try {
+        return await getRecentCommits(repoInfo.owner, repoInfo.repo, repoInfo.ref, { count: RECENT_ACTIVITY_COMMITS }, repoInfo.host, { signal });
+    } catch (error) {
+        if (error instanceof RequestCancelledError) {
+            throw error;
+        }
+        log('warn', "[Actions] Could not list recent repository activity; copying without it.", error);
+        return null;
+    }
+}
+
+/**
+ * Builds the directory tree map section chosen in the popup.
+ * @param {{treeMapMode: string, treeMapSizes: boolean}} copyOptions - Output options chosen in the popup.
+ * @param {{owner: string, repo: string}} repoInfo - The repository being copied.
+ * @param {Array<object>} fileTreeData - The flat file tree data.
+ * @param {Array<object>} selectedFiles - The selected files, from collectSelectedFiles.
+ * @returns {string} The tree map, or '' when the section is off.
+ */
+function buildContextTreeMap(copyOptions, repoInfo, fileTreeData, selectedFiles) {
+    if (copyOptions.treeMapMode !== 'repository' && copyOptions.treeMapMode !== 'selected') {
+        return '';
+    }
+    return buildTreeMap(fileTreeData, {
+        rootName: `${repoInfo.owner}/${repoInfo.repo}`,
+        selectedPaths: copyOptions.treeMapMode === 'selected' ? new Set(selectedFiles.map(file => file.path)) : null,
+        folderSizes: copyOptions.treeMapSizes && getFolderSizes ? getFolderSizes() : null
+    });
+}
+
+/**
+ * Collects the parts of the context into a document for the output formatters (see popup_formatters.js).
+ * Binary files are listed with a placeholder line or left out, depending on the binaryFileHandling setting.
+ * Git LFS objects that were not downloaded are always listed with a marker line; files that failed are left out.
+ * The prefix and suffix are left empty for formatWithTemplates to render.
+ * @param {object} copyRun - The copy being finalized (see finalizeCopy).
+ * @param {string} binaryFileHandling - The binaryFileHandling setting ('placeholder' or 'exclude').
+ * @returns {import('./popup_formatters.js').ContextDocument}
+ */
+function buildContextDocument({ treeMap, results, repoInfo, copyOptions, recentActivity }, binaryFileHandling) {
+    const { pullRequest, comparison, issue } = repoInfo;
+    let contextHeader = issue ? formatIssueThread(issue) : '';
+    if (pullRequest) {
+        contextHeader += formatPullRequestHeader(pullRequest);
+    } else if (comparison) {
+        contextHeader += formatComparisonHeader(comparison);
+    }
+    if (recentActivity) {
+        contextHeader += formatRecentActivity(repoInfo.ref, recentActivity);
+    }
+    const includeDiffs = !!comparison || (!!pullRequest && copyOptions.includePullRequestDiffs);
+
+    const files = [];
+    results.forEach(result => {
+        if (result.type === null) {
+            log('warn', `[Actions] Skipping file in final output due to fetch error: ${result.path}`);
+            return;
+        }
+        const change = includeDiffs ? result.change : null;
+        const excludedBinary = result.type === 'binary' && binaryFileHandling === 'exclude';
+        if (excludedBinary && !change) {
+            return;
+        }
+        files.push({
+            path: result.path,
+            type: excludedBinary ? 'diff-only' : result.type, // An excluded binary file keeps only its diff
+            // Sanitize null bytes before formatting or tokenization
+            content: result.type === 'text' ? result.content.replace(/\0/g, '') : null,
+            size: result.size || 0,
+            history: result.history,
+            change
+        });
+    });
+
+    return {
+        prefix: '',
+        treeMap,
+        header: contextHeader,
+        repository: { host: repoInfo.host, owner: repoInfo.owner, repo: repoInfo.repo, ref: repoInfo.ref },
+        files,
+        // Removed files are not in a pull request's head tree, so they cannot be selected; list their diffs at the end
+        removedFiles: pullRequest && includeDiffs ? pullRequest.files.filter(file => file.status === 'removed') : [],
+        suffix: ''
+    };
+}
+
+/**
+ * Formats fetched results into the context string, counts tokens, copies it, and reports the outcome.
+ * The context is built by buildContextDocument and written in the output format chosen in the popup;
+ * the token count is taken on that formatted text.
+ * In pull request mode the context starts with the pull request header, and with diffs enabled each changed
+ * file is followed by its diff; removed files, which have no content, are listed by their diff at the end.
+ * In compare mode the context starts with the comparison header and every selected file has its patch.
+ * With a tree map chosen, the directory tree follows the prefix; a suffix template closes the context.
+ * On an issue page, the issue thread comes first, ahead of any other header and the file blocks.
+ * With commit history on, the repository's recent activity closes the header.
+ * Updates the "Retry failed" button with the number of files that could not be fetched.
+ * @param {object} copyRun - The copy being finalized.
+ * @param {string} copyRun.prefixTemplate - The prompt template to start the context with (rendered with the copy's variables).
+ * @param {string} copyRun.suffixTemplate - The prompt template to end the context with.
+ * @param {string} copyRun.commitSha - The commit SHA for {{commit_sha}}, or '' if not resolved.
+ * @param {string} copyRun.treeMap - The directory tree map to follow the prefix, or '' without one.
+ * @param {Array<object>} copyRun.results - Per-file fetch results from fetchFileContents (and createDiffOnlyResult).
+ * @param {{host: string, owner: string, repo: string, ref: string, pullRequest: object | null, comparison: object | null, issue: object | null}} copyRun.repoInfo - The repository being copied.
+ * @param {{includePullRequestDiffs: boolean, outputFormat: string}} copyRun.copyOptions - Output options chosen in the popup.
+ * @param {Array<object> | null} copyRun.recentActivity - The repository's latest commits, or null without commit history.
+ */
+async function finalizeCopy(copyRun) {
+    const { results } = copyRun;
+    const fetchErrors = results.filter(result => result.error !== null).length;
+    const binaryFiles = results.filter(result => result.type === 'binary').length;
+    const lfsMarkers = results.filter(result => result.type === 'lfs').length;
+    const totalFetched = results.length;
+    const { binaryFileHandling, customFileTemplate } = await getExtensionSettings();
+
+    // 4. Format the context in the chosen output format
+    ui.showStatus("Formatting context...");
+    const contextDocument = buildContextDocument(copyRun, binaryFileHandling);
+    const formattedContext = formatWithTemplates(copyRun, contextDocument, customFileTemplate);
+
+    // 5. Calculate Accurate Token Count (on the formatted output, markup included)
+    ui.showStatus("Calculating token count...");
+    const actualTokenCount = calculateAccurateTokenCount(formattedContext);
+    const tokenCountStr = actualTokenCount >= 0
+        ? ` (${actualTokenCount.toLocaleString()} tokens)`
+        : " (token count unavailable)"; // Handle -1 return values
+
+    // 6. Copy to clipboard and provide feedback
+    const filesCopiedCount = totalFetched - fetchErrors - binaryFiles - lfsMarkers;
+    let finalMessage;
+    let messageIsWarning = fetchErrors > 0;
+
+    if ((filesCopiedCount > 0 || binaryFiles > 0 || lfsMarkers > 0) && formattedContext) {
+        finalMessage = `Context for ${filesCopiedCount} file(s)${tokenCountStr} copied!`;
+        if (binaryFiles > 0) {
+            finalMessage += ` (${binaryFiles} binary ${binaryFileHandling === 'exclude' ? 'excluded' : 'listed only'})`;
+        }
+        if (lfsMarkers > 0) {
+            finalMessage += ` (${lfsMarkers} LFS object(s) not included)`;
+        }
+        if (fetchErrors > 0) {
+            finalMessage += ` (${fetchErrors} failed)`;
+        }
+        await navigator.clipboard.writeText(formattedContext);
+        log('info', `[Actions] Formatted context copied to clipboard. Files: ${filesCopiedCount}, Errors: ${fetchErrors}, Tokens: ${actualTokenCount >= 0 ? actualTokenCount : 'N/A'}`);
+        ui.showStatus(finalMessage, messageIsWarning);
+        notifyUser('GitHub AI Context Builder', finalMessage);
+
+    } else if (filesCopiedCount === 0 && binaryFiles === 0 && lfsMarkers === 0) { // No files copied successfully
+         finalMessage = `Copy failed: Could not retrieve content for any of the ${fetchErrors} selected file(s).`;
+         log('warn', `[Actions] Copy failed: No content retrieved. Errors: ${fetchErrors}`);
+         ui.showError(finalMessage);
+         notifyUser('GitHub AI Context Builder', finalMessage);
+    } else { // Files copied, but formatted context ended up empty (e.g., prefix empty, all files empty)
+         finalMessage = `Copy failed: Generated context is empty, though ${filesCopiedCount} file(s) were processed.`;
+         if (fetchErrors > 0) finalMessage += ` (${fetchErrors} failed)`;
+         log('warn', `[Actions] Copy failed: Formatted context is empty. Files processed: ${filesCopiedCount}, Errors: ${fetchErrors}`);
+         ui.showError(finalMessage);
+    }
+
+    ui.updateRetryFailedButton(fetchErrors);
+}
+
+/**
+ * Shows the outcome of a copy that threw (cancelled, rate limited, or an unexpected failure).
+ * @param {Error} error - The error thrown during the copy.
+ */
+function reportCopyError(error) {
+    if (error instanceof RequestCancelledError) {
+        log('info', "[Actions] Copy cancelled by user.");
+        ui.showStatus("Copy cancelled.", true);
+    } else if (error instanceof RateLimitError) {
+        log('error', "[Actions] Error during copy process:", error);
+        ui.showError(`Copy failed: ${error.message}`);
+        notifyUser('GitHub AI Context Builder', error.message);
+    } else if (error.message !== "No files selected.") { // Avoid double message for the "No files selected" case
+        log('error', "[Actions] Error during copy process:", error);
+        ui.showError(`Copy failed: ${error.message}`);
+    }
+}
+
+/**
+ * Shows the duration of a copy and its blob cache hits/misses in the performance stats footer.
+ * @param {string} label - What was timed (e.g., "Copy").
+ * @param {number} startTime - The performance.now() timestamp the operation started at.
+ */
+function reportCopyPerformance(label, startTime) {
+    const { hits, misses } = getCacheSessionStats();
+    const duration = ((performance.now() - startTime) / 1000).toFixed(2);
+    ui.updatePerformanceStats(`${label}: ${duration}s · Cache: ${hits} hit${hits !== 1 ? 's' : ''}, ${misses} miss${misses !== 1 ? 'es' : ''}`);
+}
+
+/**
+ * Switches the UI into or out of the busy copying state, creating a fresh AbortController when starting.
+ * @param {boolean} isBusy - True when a copy starts, false when it ends.
+ * @returns {AbortSignal | null} The signal for the new copy, or null when ending.
+ */
+function setCopyInProgress(isBusy) {
+    ui.setCopyButtonBusy(isBusy);
+    ui.setRefreshDisabled(isBusy);
+    if (isBusy) {
+        activeAbortController = new AbortController();
+        return activeAbortController.signal;
+    }
+    activeAbortController = null;
+    return null;
+}
+
+// --- Action Handlers (called by event listeners set up in init) ---
+
+/** Handles the click on the "Copy Context" button. */
+async function handleCopyClick() {
+    // log('info', "[Actions] Copy button clicked."); // Reduced verbosity
+
+    // Get current state via callbacks
+    const repoInfo = getRepoInfo ? getRepoInfo() : null;
+    const selectionState = getSelectionState ? getSelectionState() : {};
+    const fileTreeData = getFileTreeData ? getFileTreeData() : []; // Live references: loading folders below adds to both
+
+    if (!repoInfo || !repoInfo.owner || !repoInfo.repo) {
+        log('error', "[Actions] Cannot copy: Missing repository information.");
+        ui.showError("Repository information is missing. Please refresh.");
+        return;
+    }
+
+    // Update UI to busy state
+    const signal = setCopyInProgress(true);
+    ui.updateRetryFailedButton(0);
+    ui.clearMessages();
+    ui.showStatus("Preparing context...");
+    lastCopyRun = null;
+    resetCacheSessionStats();
+    const startTime = performance.now();
+
+    try {
+        const copyOptions = getCopyOptions ? getCopyOptions() : { includePullRequestDiffs: false, includeComparisonContents: false, outputFormat: DEFAULT_FORMAT_ID, treeMapMode: DEFAULT_TREE_MAP_MODE, treeMapSizes: false, prefixTemplateId: DEFAULT_PROMPT_TEMPLATE_ID, suffixTemplateId: '' };
+
+        // 1. Get the prompt prefix and suffix chosen from the library
+        const { prefixTemplate, suffixTemplate } = await getPromptTemplateTexts(copyOptions);
+
+        // 2. Identify selected files, loading selected folders the tree has not loaded yet
+        await loadUnloadedSelectedFolders(signal);
+        ui.showStatus("Identifying selected files...");
+        const selectedFilesToFetch = collectSelectedFiles(selectionState, fileTreeData);
+
+        if (selectedFilesToFetch.length === 0) {
+            ui.showError("No files selected to copy.");
+            throw new Error("No files selected."); // Use error for control flow to finally block
+        }
+        const treeMap = buildContextTreeMap(copyOptions, repoInfo, fileTreeData, selectedFilesToFetch);
+
+        // 3. Fetch file contents through the bounded request queue (files copied as a patch only are skipped)
+        const filesNeedingContent = selectedFilesToFetch.filter(file => needsFileContent(file, repoInfo, copyOptions));
+        const totalToFetch = filesNeedingContent.length;
+        const { commitHistoryCount: historySetting, customFileTemplate } = await getExtensionSettings();
+        const commitHistoryCount = repoInfo.provider.supportsGitHubFeatures ? historySetting : 0; // History uses GitHub's commits API
+        const templates = [prefixTemplate, suffixTemplate, copyOptions.outputFormat === 'custom' ? customFileTemplate : ''];
+        const needsCommitSha = templates.some(template => usesTemplateVariable(template, 'commit_sha'));
+        ui.showStatus(`Fetching content for ${totalToFetch} files... (0/${totalToFetch})`);
+
+        // Fail fast with a clear reset time instead of fetching part of the selection
+        // (cached blobs cost nothing; commit history adds one request per file, plus one for the repository's recent activity)
+        const requestCount = await countFetchRequests(filesNeedingContent, commitHistoryCount) + (commitHistoryCount > 0 ? 1 : 0);
+        await assertRateLimitCapacity(repoInfo.host, requestCount, repoInfo.owner, repoInfo.repo); // Can throw RateLimitError
+
+        const recentActivityPromise = commitHistoryCount > 0 ? fetchRecentActivity(repoInfo, signal) : Promise.resolve(null);
+        const fetchedResults = await fetchFileContents(filesNeedingContent, repoInfo, signal, commitHistoryCount);
+        const recentActivity = await recentActivityPromise;
+        const commitSha = needsCommitSha ? await resolveCommitSha(repoInfo, recentActivity, signal) : '';
+        const fetchedByPath = new Map(fetchedResults.map(result => [result.path, result]));
+        const results = selectedFilesToFetch.map(file => fetchedByPath.get(file.path) || createDiffOnlyResult(file));
+        const fetchEndTime = performance.now();
+        log('info', `[Actions] Content fetching completed in ${((fetchEndTime - startTime) / 1000).toFixed(2)}s. Errors: ${results.filter(result => result.error !== null).length}`);
+
+        // Remember this run so failed files can be retried without refetching the rest
+        lastCopyRun = { repoInfo, prefixTemplate, suffixTemplate, commitSha, treeMap, copyOptions, commitHistoryCount, recentActivity, results };
+
+        await finalizeCopy(lastCopyRun);
+        reportCopyPerformance("Copy", startTime);
+
+    } catch (error) {
+        // Catch errors from setup phase, fetching, or tokenization
+        reportCopyError(error);
+    } finally {
+        // Restore UI state regardless of success or failure
+        setCopyInProgress(false);
+        // It's crucial that the caller (popup.js/state.js) logic eventually calls ui.updateControlsState()
+        // This happens implicitly via handleTreeStateUpdate in the current flow, which should be sufficient.
+        const endTime = performance.now();
+        log('info', `[Actions] Total copy operation took ${((endTime - startTime) / 1000).toFixed(2)}s.`);
+    }
+}
+
+/** Handles the click on the "Retry failed" button: refetches only the files that failed in the last copy. */
+async function handleRetryFailedClick() {
+    if (!lastCopyRun) {
+        ui.updateRetryFailedButton(0);
+        return;
+    }
+
+    const failedFiles = lastCopyRun.results.filter(result => result.error !== null);
+    if (failedFiles.length === 0) {
+        ui.updateRetryFailedButton(0);
+        return;
+    }
+
+    const signal = setCopyInProgress(true);
+    ui.clearMessages();
+    ui.showStatus(`Retrying ${failedFiles.length} failed file(s)...`);
+    resetCacheSessionStats();
+    const startTime = performance.now();
+
+    try {
+        const { commitHistoryCount } = lastCopyRun;
+        const requestCount = await countFetchRequests(failedFiles, commitHistoryCount);
+        await assertRateLimitCapacity(lastCopyRun.repoInfo.host, requestCount, lastCopyRun.repoInfo.owner, lastCopyRun.repoInfo.repo); // Can throw RateLimitError
+        const retriedResults = await fetchFileContents(failedFiles, lastCopyRun.repoInfo, signal, commitHistoryCount);
+        const retriedByPath = new Map(retriedResults.map(result => [result.path, result]));
+        lastCopyRun.results = lastCopyRun.results.map(result => retriedByPath.get(result.path) || result);
+
+        await finalizeCopy(lastCopyRun);
+        reportCopyPerformance("Retry", startTime);
+    } catch (error) {
+        reportCopyError(error);
+    } finally {
+        setCopyInProgress(false);
+        log('info', `[Actions] Retry of failed files took ${((performance.now() - startTime) / 1000).toFixed(2)}s.`);
+    }
+}
+
+/** Handles the click on the "Cancel" button shown while copying. */
+function handleCancelClick() {
+    if (activeAbortController) {
+        ui.showStatus("Cancelling...");
+        activeAbortController.abort();
+    }
+}
+
+/** Handles the click on the "Refresh" button. */
+function handleRefreshClick() {
+    // log('info', "[Actions] Refresh button clicked."); // Reduced verbosity
+    ui.clearMessages();
+    ui.updateRepoTitle("Refreshing...");
+    ui.setControlsDisabled();
+    ui.setRefreshDisabled(true);
+
+    if (triggerRefresh) {
+        triggerRefresh();
+    } else {
+        log('error', "[Actions] Cannot refresh: Trigger refresh callback not configured.");
+        ui.showError("Refresh action is not configured.");
+        ui.setRefreshDisabled(false);
+    }
+}
+
+// --- Public Initialization Function ---
+
+/**
+ * Initializes the actions module.
+ * Stores callbacks and attaches listeners to action buttons.
+ * @param {object} config - Configuration object.
+ * @param {HTMLElement} config.copyButtonElement - The copy button DOM element.
+ * @param {HTMLElement} config.refreshButtonElement - The refresh button DOM element.
+ * @param {HTMLElement} [config.cancelButtonElement] - Optional cancel button shown while copying.
+ * @param {HTMLElement} [config.retryFailedButtonElement] - Optional button to retry files that failed in the last copy.
+ * @param {Function} config.getRepoInfoCallback - Function returning { host, owner, repo, ref, ... }.
+ * @param {Function} config.getSelectionStateCallback - Function returning the selectionState object.
+ * @param {Function} config.getFileTreeDataCallback - Function returning the fileTreeData array.
+ * @param {Function} [config.getCopyOptionsCallback] - Optional function returning the output options chosen in the popup
+ *        ({ includePullRequestDiffs, includeComparisonContents, outputFormat, treeMapMode, treeMapSizes, prefixTemplateId, suffixTemplateId }).
+ * @param {Function} [config.getFolderSizesCallback] - Optional function returning the folder sizes ({ folderPathKey: size }) shown in the tree map.
+ * @param {Function} [config.loadFolderCallback] - Optional async function loading an unloaded folder into the tree (with the folder's selection) given its path key.
+ *        Without it, copying a selection that includes unloaded folders fails instead of leaving their files out.
+ * @param {Function} config.triggerRefreshCallback - Function to call when refresh is requested.
+ */
+function initActions(config) {
+    // log('info', "[Actions] Initializing..."); // Reduced verbosity
+    if (!config || !config.copyButtonElement || !config.refreshButtonElement ||
+        typeof config.getRepoInfoCallback !== 'function' ||
+        typeof config.getSelectionStateCallback !== 'function' ||
+        typeof config.getFileTreeDataCallback !== 'function' ||
+        typeof config.triggerRefreshCallback !== 'function')
+    {
+        log('error', "[Actions] Initialization failed: Invalid configuration provided.", config);
+        throw new Error("Actions module initialization failed due to missing or invalid configuration.");
+    }
+
+    // Store callbacks
+    getRepoInfo = config.getRepoInfoCallback;
+    getSelectionState = config.getSelectionStateCallback;
+    getFileTreeData = config.getFileTreeDataCallback;
+    getCopyOptions = typeof config.getCopyOptionsCallback === 'function' ? config.getCopyOptionsCallback : null;
+    getFolderSizes = typeof config.getFolderSizesCallback === 'function' ? config.getFolderSizesCallback : null;
+    loadFolder = typeof config.loadFolderCallback === 'function' ? config.loadFolderCallback : null;
+    triggerRefresh = config.triggerRefreshCallback;
+
+    // Remove potentially existing listeners before adding new ones
+    config.copyButtonElement.removeEventListener('click', handleCopyClick);
+    config.refreshButtonElement.removeEventListener('click', handleRefreshClick);
+    config.cancelButtonElement?.removeEventListener('click', handleCancelClick);
+    config.retryFailedButtonElement?.removeEventListener('click', handleRetryFailedClick);
+
+    // Attach listeners
+    config.copyButtonElement.addEventListener('click', handleCopyClick);
+    config.refreshButtonElement.addEventListener('click', handleRefreshClick);
+    config.cancelButtonElement?.addEventListener('click', handleCancelClick);
+    config.retryFailedButtonElement?.addEventListener('click', handleRetryFailedClick);
+
+    // Results from a previous repository/ref cannot be retried after a refresh
+    lastCopyRun = null;
+    ui.updateRetryFailedButton(0);
+
+    // log('info', "[Actions] Event listeners attached."); // Reduced verbosity
+}
+
+export {
+    initActions
+};
+
 // console.log("[Popup Actions] Module loaded."); // Removed module load noise
\ No newline at end of file
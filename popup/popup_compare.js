@@ -0,0 +1,50 @@
+// File: popup/popup_compare.js
+// Output formatting for compare mode: the header describing the compared refs and the commits between them.
+
+const MAX_LISTED_COMMITS = 50; // Longer ranges are summarised by their count
+
+/**
+ * Formats the compared refs, their relationship, and the commit list as the header of the context.
+ * @param {object} comparison - The comparison from compareRefs.
+ * @returns {string} The header block, ending with a blank line.
+ */
+function formatComparisonHeader(comparison) {
+    const lines = [
+        `# Comparison: ${comparison.base}...${comparison.head}`,
+        '',
+        `Status: ${comparison.status} (${comparison.aheadBy} commit${comparison.aheadBy !== 1 ? 's' : ''} ahead, ${comparison.behindBy} behind)`,
+        `Changed files: ${comparison.files.length}${comparison.filesTruncated ? ' (GitHub lists no more; the range changes more files)' : ''}`,
+        `URL: ${comparison.url}`
+    ];
+
+    if (comparison.commits.length > 0) {
+        lines.push('', 'Commits:');
+        for (const commit of comparison.commits.slice(0, MAX_LISTED_COMMITS)) {
+            lines.push(`- ${commit.sha.slice(0, 7)} ${commit.message}`);
+        }
+        const unlistedCount = comparison.totalCommits - Math.min(comparison.commits.length, MAX_LISTED_COMMITS);
+        if (unlistedCount > 0) {
+            lines.push(`- ... and ${unlistedCount} more`);
+        }
+    }
+
+    lines.push('', '---');
+    return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Summarises a comparison for the compare bar, e.g. "12 files changed · 3 ahead, 1 behind".
+ * A file list cut off by GitHub's cap is flagged ("300+ files changed (list cut off)").
+ * @param {object} comparison - The comparison from compareRefs.
+ * @returns {string}
+ */
+function describeComparison(comparison) {
+    const fileCount = comparison.files.length;
+    const files = comparison.filesTruncated ? `${fileCount}+ files changed (list cut off)` : `${fileCount} file${fileCount !== 1 ? 's' : ''} changed`;
+    return `${files} · ${comparison.aheadBy} ahead, ${comparison.behindBy} behind`;
+}
+
+export {
+    formatComparisonHeader,
+    describeComparison
+};
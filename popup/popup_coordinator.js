@@ -1,210 +1,661 @@
-// File: popup/popup_coordinator.js
-import { log } from './popup_utils.js';
-import * as ui from './popup_ui.js';
-import * as repository from './popup_repository.js';
-import * as state from './popup_state.js';
-import { renderTreeDOM } from './popup_tree_renderer.js';
-import * as treeLogic from './popup_tree_logic.js';
-import { initActions } from './popup_actions.js';
-import { initVersionChecker } from './popup_version.js';
-
-// console.log("[Popup Coordinator] Module loading..."); // Reduced noise
-
-// --- DOM Elements ---
-let fileTreeContainer = null;
-let expandAllButton = null;
-let collapseAllButton = null;
-let copyButton = null;
-let refreshButton = null;
-
-// --- Module References ---
-let updateFolderStateCallback = null;
-let repoModule = null; // Store reference to repo module instance
-
-/**
- * Initializes the application.
- */
-async function initializeApp() {
-    // log('info', "[Popup Coordinator] Initializing application..."); // Reduced noise
-    const startTime = performance.now();
-
-    // Initialize UI: Cache elements, set initial states
-    cacheElements();
-    ui.initUI();
-    ui.clearMessages();
-    ui.setControlsDisabled(); // Disable controls initially
-    ui.showStatus("Detecting GitHub repository..."); // Initial status
-
-    try {
-        // Initialize repo module (returns getters/references)
-        repoModule = repository.initRepository();
-
-        // Detect repository from active tab (updates UI for title/branch)
-        const repoInfo = await repository.detectRepository();
-        if (!repoInfo && !repository.getRepoInfo().url) {
-             // log('error', "[Popup Coordinator] Repository detection failed critically (no URL)."); // Should be handled by detectRepo now
-             ui.setRefreshDisabled(false);
-             ui.updatePerformanceStats("");
-            return; // Halt initialization
-        }
-
-        // Fetch repository data (tree, sizes) using detected info
-        // This returns false if fetch failed (including handled ApiAuthError)
-        const dataFetched = await repository.fetchRepositoryData();
-        if (!dataFetched) {
-            // Error message and critical logging (if needed) already handled by fetchRepositoryData
-            // Log the abortion at info level, not error, as the cause might be handled (like ApiAuthError)
-            // --- MODIFIED LINE: Changed log level from 'error' to 'info' ---
-            log('info', "[Popup Coordinator] Repository data fetch failed or was handled downstream. Aborting further initialization.");
-            ui.setRefreshDisabled(false); // Ensure refresh is enabled on fetch failure
-            ui.updatePerformanceStats("");
-            return; // Stop initialization
-        }
-
-        // Initialize state management
-        const confirmedRepoUrl = repository.getRepoInfo().url;
-        if (!confirmedRepoUrl) {
-            // This should ideally not happen if dataFetched is true, but keep as safety check
-            log('error', "[Popup Coordinator] Cannot initialize state: Confirmed repository URL is missing after successful fetch.");
-            ui.showError("Initialization Error: Missing repository URL for state management.");
-            return; // Halt
-        }
-
-        const stateModule = state.initState({
-            fileTreeDataRef: repoModule.fileTreeData,
-            repoUrl: confirmedRepoUrl,
-            onStateUpdateCallback: handleStateUpdate
-        });
-
-        // Load persisted selection state (or default)
-        const selectionState = await state.loadAndApplySelectionState();
-
-        // Initialize tree logic
-        const treeLogicResult = treeLogic.initTreeLogic({
-            container: fileTreeContainer,
-            initialSelectionState: selectionState,
-            initialFileTreeData: repoModule.fileTreeData,
-            saveStateCallback: state.saveSelectionState,
-            onStateUpdate: state.handleTreeStateUpdate
-        });
-        updateFolderStateCallback = treeLogicResult.updateFolderStateCallback;
-
-        // Get calculated folder sizes
-        const folderSizes = repository.getFolderSizes();
-
-        // Render the tree DOM
-        renderTreeDOM(
-            fileTreeContainer,
-            repoModule.fileTreeData,
-            selectionState,
-            updateFolderStateCallback,
-            folderSizes
-        );
-
-        // Initialize action handlers (Copy/Refresh buttons)
-        initActions({
-            copyButtonElement: copyButton,
-            refreshButtonElement: refreshButton,
-            getRepoInfoCallback: repository.getRepoInfo,
-            getSelectionStateCallback: state.getSelectionStateForActions,
-            getFileTreeDataCallback: repository.getFileTreeData,
-            triggerRefreshCallback: handleRefresh
-        });
-
-        // Setup Expand/Collapse listeners
-        setupEventListeners();
-
-        // Initialize version checker UI
-        initVersionChecker();
-
-        // Trigger initial UI update based on loaded state (counts, button enablement)
-        state.handleTreeStateUpdate();
-
-        // Clear any lingering "Loading..." messages
-        ui.clearMessages();
-
-        const endTime = performance.now();
-        const loadTime = ((endTime - startTime) / 1000).toFixed(2);
-        // log('info', `[Popup Coordinator] Initialization successful in ${loadTime}s`); // Reduced noise
-        ui.updatePerformanceStats(`Load time: ${loadTime}s`);
-        ui.setRefreshDisabled(false); // Ensure refresh is enabled on success
-
-    } catch (error) {
-        // This catch block handles errors *during* initialization steps *other* than fetchRepositoryData failure
-        log('error', "[Popup Coordinator] Initialization failed unexpectedly:", error); // Keep this critical error log
-
-        // Check for specific known errors from detectRepository handled by repository module
-        if (error.message === "not_github" || error.message === "not_repo" || error.message === "no_tab_url") {
-            log('info', `[Popup Coordinator] Known condition during init: ${error.message}. UI handled by repository module.`);
-            // UI messages and state are already set by detectRepository
-            ui.setControlsDisabled();
-            ui.setRefreshDisabled(false);
-        } else {
-            // For genuine unexpected errors during init (e.g., state, render, actions)
-            ui.showError(`Initialization failed unexpectedly: ${error.message}. Check console for details.`);
-            ui.updateRepoTitle("Error");
-            ui.updateRepoBranch(null);
-            ui.setControlsDisabled();
-            ui.setRefreshDisabled(false);
-        }
-
-        ui.updatePerformanceStats(""); // Clear perf stats on error
-    }
-}
-
-/** Caches DOM elements. */
-function cacheElements() {
-    // Reduced logging
-    fileTreeContainer = document.getElementById('file-tree-container');
-    expandAllButton = document.getElementById('expand-all');
-    collapseAllButton = document.getElementById('collapse-all');
-    copyButton = document.getElementById('copy-button');
-    refreshButton = document.getElementById('refresh-button');
-
-    if (!fileTreeContainer || !copyButton || !refreshButton) {
-        // Keep this critical error log
-        log('error', "[Popup Coordinator] CRITICAL: Essential DOM elements (tree container, copy/refresh buttons) not found!");
-    }
-}
-
-/** Sets up event listeners for Expand/Collapse. */
-function setupEventListeners() {
-    // Reduced logging
-    expandAllButton?.addEventListener('click', treeLogic.expandAll);
-    collapseAllButton?.addEventListener('click', treeLogic.collapseAll);
-}
-
-
-/** Handler for state updates (currently handled within state module itself). */
-function handleStateUpdate(stateInfo) {
-    // Log for debugging if needed, but keep minimal
-    // log('log', "[Popup Coordinator] State update received (for potential coordinator logic):", stateInfo);
-}
-
-/** Handler for the Refresh action. */
-async function handleRefresh() {
-    // log('info', "[Popup Coordinator] Refresh action triggered. Re-initializing application."); // Reduced noise
-    // Reset UI immediately
-    ui.clearMessages();
-    ui.updateRepoTitle("Refreshing...");
-    ui.updateRepoBranch(null);
-    ui.setControlsDisabled();
-    ui.setRefreshDisabled(true);
-    ui.updatePerformanceStats("");
-
-    if (fileTreeContainer) {
-        fileTreeContainer.innerHTML = '<div class="loading-indicator">Loading file tree...</div>';
-    }
-
-    // Re-initialize the application from scratch
-    // Errors within initializeApp are handled by its own try/catch
-    await initializeApp();
-
-    // Note: initializeApp() handles re-enabling refresh button on its own completion/failure paths.
-}
-
-export {
-    initializeApp
-};
-
+// File: popup/popup_coordinator.js
+import { log } from './popup_utils.js';
+import * as ui from './popup_ui.js';
+import * as repository from './popup_repository.js';
+import * as state from './popup_state.js';
+import { renderTreeDOM } from './popup_tree_renderer.js';
+import * as treeLogic from './popup_tree_logic.js';
+import { initActions } from './popup_actions.js';
+import { initVersionChecker } from './popup_version.js';
+import { initRefPicker, attachRefPicker } from './popup_ref_picker.js';
+import { getChangedFilePaths } from './popup_pull_request.js';
+import { describeComparison } from './popup_compare.js';
+import { findMentionedPaths } from './popup_issue.js';
+import { ensurePatUnlocked } from './popup_unlock.js';
+import { OUTPUT_FORMATS, DEFAULT_FORMAT_ID } from './popup_formatters.js';
+import { TREE_MAP_MODES, DEFAULT_TREE_MAP_MODE } from './popup_tree_map.js';
+import { setRateLimitListener } from '../common/github_api.js';
+import { setConcurrencyLimit } from '../common/request_scheduler.js';
+import { getExtensionSettings, updateExtensionSettings, getRepoPreferences, updateRepoPreferences, getPromptTemplates, DEFAULT_PROMPT_TEMPLATE_ID } from '../common/storage.js';
+import { configureBlobCache } from '../common/blob_cache.js';
+
+// console.log("[Popup Coordinator] Module loading..."); // Reduced noise
+
+// --- DOM Elements ---
+let fileTreeContainer = null;
+let expandAllButton = null;
+let collapseAllButton = null;
+let copyButton = null;
+let refreshButton = null;
+let cancelButton = null;
+let retryFailedButton = null;
+let pathFocusShowButton = null;
+let pathFocusSelectOnlyButton = null;
+let repoBranchButton = null;
+let refPickerPanel = null;
+let refPickerSearch = null;
+let refPickerList = null;
+let pullRequestIncludeDiffsCheckbox = null;
+let compareToggleButton = null;
+let compareBaseButton = null;
+let compareHeadButton = null;
+let compareIncludeContentsCheckbox = null;
+let compareExitButton = null;
+let issueSelectMentionedButton = null;
+let outputFormatSelect = null;
+let treeMapModeSelect = null;
+let prefixTemplateSelect = null;
+let suffixTemplateSelect = null;
+let treeMapSizesCheckbox = null;
+
+// --- Module References ---
+let updateFolderStateCallback = null;
+let repoModule = null; // Store reference to repo module instance
+let urlFocusPathKey = null; // Path key of the folder/file the tab URL points at, once it is in the tree
+let compareDraft = null; // { base, head } while the compare bar is open but the refs have not been compared yet
+let issueMentionedPaths = []; // Files in the tree mentioned by the issue thread, in issue mode
+
+/**
+ * Initializes the application.
+ */
+async function initializeApp() {
+    // log('info', "[Popup Coordinator] Initializing application..."); // Reduced noise
+    const startTime = performance.now();
+
+    // Initialize UI: Cache elements, set initial states
+    cacheElements();
+    ui.initUI();
+    ui.clearMessages();
+    ui.setControlsDisabled(); // Disable controls initially
+    setRateLimitListener(ui.updateRateLimitInfo); // Keep the footer quota in sync with every API response
+    ui.showStatus("Detecting GitHub repository..."); // Initial status
+
+    try {
+        // Apply user settings that affect the API layer before any request is made
+        const settings = await getExtensionSettings();
+        setConcurrencyLimit(settings.requestConcurrency);
+        configureBlobCache({ enabled: settings.blobCacheEnabled, maxBytes: settings.blobCacheMaxMb * 1024 * 1024 });
+
+        // An encrypted PAT must be unlocked before the first request, or it would go out anonymously
+        await ensurePatUnlocked();
+
+        // Initialize repo module (returns getters/references)
+        repoModule = repository.initRepository();
+
+        // Detect repository from active tab (updates UI for title/branch)
+        const repoInfo = await repository.detectRepository();
+        if (!repoInfo && !repository.getRepoInfo().url) {
+             // log('error', "[Popup Coordinator] Repository detection failed critically (no URL)."); // Should be handled by detectRepo now
+             ui.setRefreshDisabled(false);
+             ui.updatePerformanceStats("");
+            return; // Halt initialization
+        }
+
+        // Fetch repository data (tree, sizes) using detected info
+        // This returns false if fetch failed (including handled ApiAuthError)
+        const dataFetched = await repository.fetchRepositoryData();
+        if (!dataFetched) {
+            // Error message and critical logging (if needed) already handled by fetchRepositoryData
+            // Log the abortion at info level, not error, as the cause might be handled (like ApiAuthError)
+            // --- MODIFIED LINE: Changed log level from 'error' to 'info' ---
+            log('info', "[Popup Coordinator] Repository data fetch failed or was handled downstream. Aborting further initialization.");
+            ui.setRefreshDisabled(false); // Ensure refresh is enabled on fetch failure
+            ui.updatePerformanceStats("");
+            return; // Stop initialization
+        }
+
+        // Initialize state management
+        const confirmedRepoUrl = repository.getRepoInfo().url;
+        if (!confirmedRepoUrl) {
+            // This should ideally not happen if dataFetched is true, but keep as safety check
+            log('error', "[Popup Coordinator] Cannot initialize state: Confirmed repository URL is missing after successful fetch.");
+            ui.showError("Initialization Error: Missing repository URL for state management.");
+            return; // Halt
+        }
+
+        const stateModule = state.initState({
+            fileTreeDataRef: repoModule.fileTreeData,
+            repoUrl: confirmedRepoUrl,
+            onStateUpdateCallback: handleStateUpdate
+        });
+
+        // Load persisted selection state (or default: a pull request's changed files, otherwise everything)
+        const { pullRequest } = repository.getRepoInfo();
+        const selectionState = await state.loadAndApplySelectionState(pullRequest ? getChangedFilePaths(pullRequest) : null);
+        pullRequestIncludeDiffsCheckbox.checked = settings.pullRequestIncludeDiffs;
+        compareIncludeContentsCheckbox.checked = settings.compareIncludeContents;
+        await loadOutputPreferences();
+        compareDraft = null;
+        updateModeBars();
+
+        // Initialize tree logic and render the tree DOM
+        setupTree(selectionState);
+
+        // Initialize action handlers (Copy/Refresh buttons)
+        initActions({
+            copyButtonElement: copyButton,
+            refreshButtonElement: refreshButton,
+            cancelButtonElement: cancelButton,
+            retryFailedButtonElement: retryFailedButton,
+            getRepoInfoCallback: repository.getRepoInfo,
+            getSelectionStateCallback: state.getSelectionStateForActions,
+            getFileTreeDataCallback: repository.getFileTreeData,
+            getCopyOptionsCallback: getCopyOptions,
+            getFolderSizesCallback: repository.getFolderSizes,
+            loadFolderCallback: loadFolderIntoTree,
+            triggerRefreshCallback: handleRefresh
+        });
+
+        // Setup Expand/Collapse listeners
+        setupEventListeners();
+
+        // Turn the branch label into a branch/tag/commit picker (disabled for providers without ref choices); compare mode is built on GitHub's API
+        const { provider } = repository.getRepoInfo();
+        compareToggleButton?.classList.toggle('hidden', !provider.supportsGitHubFeatures);
+        initRefPicker({
+            buttonElement: repoBranchButton,
+            panelElement: refPickerPanel,
+            searchElement: refPickerSearch,
+            listElement: refPickerList,
+            getRepoInfoCallback: repository.getRepoInfo,
+            onSelectRef: handleRefSelected
+        });
+        attachRefPicker(compareBaseButton, {
+            getCurrentRef: () => getCompareRange()?.base,
+            onSelectRef: base => handleCompareRefSelected({ base })
+        });
+        attachRefPicker(compareHeadButton, {
+            getCurrentRef: () => getCompareRange()?.head,
+            onSelectRef: head => handleCompareRefSelected({ head })
+        });
+
+        // Initialize version checker UI
+        initVersionChecker();
+
+        // Trigger initial UI update based on loaded state (counts, button enablement)
+        state.handleTreeStateUpdate();
+
+        // Clear any lingering "Loading..." messages
+        ui.clearMessages();
+
+        // Offer to focus the folder or file the tab URL points at
+        await prepareUrlPathFocus(repository.getRepoInfo());
+
+        const endTime = performance.now();
+        const loadTime = ((endTime - startTime) / 1000).toFixed(2);
+        // log('info', `[Popup Coordinator] Initialization successful in ${loadTime}s`); // Reduced noise
+        ui.updatePerformanceStats(`Load time: ${loadTime}s`);
+        ui.setRefreshDisabled(false); // Ensure refresh is enabled on success
+
+    } catch (error) {
+        // This catch block handles errors *during* initialization steps *other* than fetchRepositoryData failure
+        log('error', "[Popup Coordinator] Initialization failed unexpectedly:", error); // Keep this critical error log
+
+        // Check for specific known errors from detectRepository handled by repository module
+        if (error.message === "not_github" || error.message === "not_repo" || error.message === "no_tab_url") {
+            log('info', `[Popup Coordinator] Known condition during init: ${error.message}. UI handled by repository module.`);
+            // UI messages and state are already set by detectRepository
+            ui.setControlsDisabled();
+            ui.setRefreshDisabled(false);
+        } else {
+            // For genuine unexpected errors during init (e.g., state, render, actions)
+            ui.showError(`Initialization failed unexpectedly: ${error.message}. Check console for details.`);
+            ui.updateRepoTitle("Error");
+            ui.updateRepoBranch(null);
+            ui.setControlsDisabled();
+            ui.setRefreshDisabled(false);
+        }
+
+        ui.updatePerformanceStats(""); // Clear perf stats on error
+    }
+}
+
+/** Caches DOM elements. */
+function cacheElements() {
+    // Reduced logging
+    fileTreeContainer = document.getElementById('file-tree-container');
+    expandAllButton = document.getElementById('expand-all');
+    collapseAllButton = document.getElementById('collapse-all');
+    copyButton = document.getElementById('copy-button');
+    refreshButton = document.getElementById('refresh-button');
+    cancelButton = document.getElementById('cancel-button');
+    retryFailedButton = document.getElementById('retry-failed-button');
+    pathFocusShowButton = document.getElementById('path-focus-show');
+    pathFocusSelectOnlyButton = document.getElementById('path-focus-select-only');
+    repoBranchButton = document.getElementById('repo-branch');
+    refPickerPanel = document.getElementById('ref-picker');
+    refPickerSearch = document.getElementById('ref-picker-search');
+    refPickerList = document.getElementById('ref-picker-list');
+    pullRequestIncludeDiffsCheckbox = document.getElementById('pull-request-include-diffs');
+    compareToggleButton = document.getElementById('compare-toggle');
+    compareBaseButton = document.getElementById('compare-base');
+    compareHeadButton = document.getElementById('compare-head');
+    compareIncludeContentsCheckbox = document.getElementById('compare-include-contents');
+    compareExitButton = document.getElementById('compare-exit');
+    issueSelectMentionedButton = document.getElementById('issue-select-mentioned');
+    outputFormatSelect = document.getElementById('output-format');
+    treeMapModeSelect = document.getElementById('tree-map-mode');
+    prefixTemplateSelect = document.getElementById('prefix-template');
+    suffixTemplateSelect = document.getElementById('suffix-template');
+    treeMapSizesCheckbox = document.getElementById('tree-map-sizes');
+
+    if (!fileTreeContainer || !copyButton || !refreshButton) {
+        // Keep this critical error log
+        log('error', "[Popup Coordinator] CRITICAL: Essential DOM elements (tree container, copy/refresh buttons) not found!");
+    }
+}
+
+/**
+ * Initializes tree logic for a selection state and renders the tree DOM.
+ * Called on startup and whenever the tree is reloaded with a new selection state object.
+ * @param {object} selectionState - The selection state object reference from the state module.
+ */
+function setupTree(selectionState) {
+    const treeLogicResult = treeLogic.initTreeLogic({
+        container: fileTreeContainer,
+        initialSelectionState: selectionState,
+        initialFileTreeData: repoModule.fileTreeData,
+        saveStateCallback: state.saveSelectionState,
+        onStateUpdate: state.handleTreeStateUpdate,
+        onLoadFolder: handleLoadFolder
+    });
+    updateFolderStateCallback = treeLogicResult.updateFolderStateCallback;
+
+    renderTreeDOM(
+        fileTreeContainer,
+        repoModule.fileTreeData,
+        selectionState,
+        updateFolderStateCallback,
+        repository.getFolderSizes()
+    );
+}
+
+/** Sets up event listeners for Expand/Collapse. */
+function setupEventListeners() {
+    // Reduced logging
+    expandAllButton?.addEventListener('click', treeLogic.expandAll);
+    collapseAllButton?.addEventListener('click', treeLogic.collapseAll);
+    pathFocusShowButton?.addEventListener('click', handlePathFocusShow);
+    pathFocusSelectOnlyButton?.addEventListener('click', handlePathFocusSelectOnly);
+    pullRequestIncludeDiffsCheckbox?.addEventListener('change', handleIncludeDiffsChange);
+    compareToggleButton?.addEventListener('click', handleCompareToggle);
+    compareExitButton?.addEventListener('click', handleCompareExit);
+    compareIncludeContentsCheckbox?.addEventListener('change', handleIncludeContentsChange);
+    issueSelectMentionedButton?.addEventListener('click', handleSelectMentionedClick);
+    outputFormatSelect?.addEventListener('change', handleOutputFormatChange);
+    treeMapModeSelect?.addEventListener('change', handleTreeMapChange);
+    treeMapSizesCheckbox?.addEventListener('change', handleTreeMapChange);
+    prefixTemplateSelect?.addEventListener('change', handlePromptTemplateChange);
+    suffixTemplateSelect?.addEventListener('change', handlePromptTemplateChange);
+}
+
+/** Handler for the issue bar's "Select mentioned" button: selects only the files the thread mentions. */
+function handleSelectMentionedClick() {
+    if (issueMentionedPaths.length > 0) {
+        treeLogic.selectOnlyPaths(issueMentionedPaths);
+        treeLogic.revealPath(issueMentionedPaths[0]);
+    }
+}
+
+/**
+ * Gets the output options chosen in the popup for the next copy.
+ * @returns {{includePullRequestDiffs: boolean, includeComparisonContents: boolean, outputFormat: string, treeMapMode: string,
+ *           treeMapSizes: boolean, prefixTemplateId: string, suffixTemplateId: string}} Template IDs are '' for none.
+ */
+function getCopyOptions() {
+    return {
+        includePullRequestDiffs: !!pullRequestIncludeDiffsCheckbox?.checked,
+        includeComparisonContents: !!compareIncludeContentsCheckbox?.checked,
+        outputFormat: outputFormatSelect?.value || DEFAULT_FORMAT_ID,
+        treeMapMode: treeMapModeSelect?.value || DEFAULT_TREE_MAP_MODE,
+        treeMapSizes: !!treeMapSizesCheckbox?.checked,
+        prefixTemplateId: prefixTemplateSelect ? prefixTemplateSelect.value : DEFAULT_PROMPT_TEMPLATE_ID,
+        suffixTemplateId: suffixTemplateSelect ? suffixTemplateSelect.value : ''
+    };
+}
+
+/**
+ * Gets the key the output options of the current repository are remembered under.
+ * @returns {string} 'host/owner/repo'.
+ */
+function getRepoPreferenceKey() {
+    const { host, owner, repo } = repository.getRepoInfo();
+    return `${host}/${owner}/${repo}`;
+}
+
+/** Fills the output option controls and selects the choices remembered for the current repository. */
+async function loadOutputPreferences() {
+    if (!outputFormatSelect) return;
+    if (outputFormatSelect.options.length === 0) {
+        OUTPUT_FORMATS.forEach(outputFormat => outputFormatSelect.add(new Option(outputFormat.name, outputFormat.id)));
+    }
+    const preferences = await getRepoPreferences(getRepoPreferenceKey());
+    const rememberedFormat = OUTPUT_FORMATS.some(outputFormat => outputFormat.id === preferences.outputFormat) ? preferences.outputFormat : DEFAULT_FORMAT_ID;
+    outputFormatSelect.value = rememberedFormat;
+
+    if (treeMapModeSelect) {
+        if (treeMapModeSelect.options.length === 0) {
+            TREE_MAP_MODES.forEach(mode => treeMapModeSelect.add(new Option(mode.name, mode.id)));
+        }
+        treeMapModeSelect.value = TREE_MAP_MODES.some(mode => mode.id === preferences.treeMapMode) ? preferences.treeMapMode : DEFAULT_TREE_MAP_MODE;
+    }
+    if (treeMapSizesCheckbox) {
+        treeMapSizesCheckbox.checked = !!preferences.treeMapSizes;
+    }
+    updateTreeMapSizesState();
+    await loadPromptTemplateChoices(preferences);
+}
+
+/**
+ * Fills the prompt and suffix dropdowns from the prompt library and selects the templates remembered for the current repository.
+ * Without a remembered choice, the bundled prompt is the prefix and there is no suffix.
+ * @param {object} preferences - The preferences of the current repository.
+ */
+async function loadPromptTemplateChoices(preferences) {
+    const templates = await getPromptTemplates();
+    const fillSelect = (select, kind, rememberedId) => {
+        if (!select) return;
+        select.innerHTML = '';
+        select.add(new Option('None', ''));
+        const choices = templates.filter(template => template.kind === kind);
+        choices.forEach(template => select.add(new Option(template.name, template.id)));
+        select.value = choices.some(template => template.id === rememberedId) ? rememberedId : '';
+    };
+    fillSelect(prefixTemplateSelect, 'prefix', preferences.prefixTemplateId ?? DEFAULT_PROMPT_TEMPLATE_ID);
+    fillSelect(suffixTemplateSelect, 'suffix', preferences.suffixTemplateId ?? '');
+}
+
+/** Handler for the prompt and suffix dropdowns; remembers the choices for the current repository. */
+async function handlePromptTemplateChange() {
+    await updateRepoPreferences(getRepoPreferenceKey(), {
+        prefixTemplateId: prefixTemplateSelect?.value ?? DEFAULT_PROMPT_TEMPLATE_ID,
+        suffixTemplateId: suffixTemplateSelect?.value ?? ''
+    });
+}
+
+/** Enables the tree map "Sizes" checkbox only while a tree map is chosen. */
+function updateTreeMapSizesState() {
+    if (treeMapSizesCheckbox) {
+        treeMapSizesCheckbox.disabled = !treeMapModeSelect || treeMapModeSelect.value === 'off';
+    }
+}
+
+/** Handler for the tree map controls; remembers the choices for the current repository. */
+async function handleTreeMapChange() {
+    updateTreeMapSizesState();
+    await updateRepoPreferences(getRepoPreferenceKey(), {
+        treeMapMode: treeMapModeSelect.value,
+        treeMapSizes: !!treeMapSizesCheckbox?.checked
+    });
+}
+
+/** Handler for the output format dropdown; remembers the choice for the current repository. */
+async function handleOutputFormatChange() {
+    await updateRepoPreferences(getRepoPreferenceKey(), { outputFormat: outputFormatSelect.value });
+}
+
+/** Handler for the "Include diffs" checkbox of the pull request bar; remembers the choice. */
+async function handleIncludeDiffsChange() {
+    await updateExtensionSettings({ pullRequestIncludeDiffs: pullRequestIncludeDiffsCheckbox.checked });
+}
+
+/** Handler for the "Full contents" checkbox of the compare bar; remembers the choice. */
+async function handleIncludeContentsChange() {
+    await updateExtensionSettings({ compareIncludeContents: compareIncludeContentsCheckbox.checked });
+}
+
+/**
+ * Gets the refs shown in the compare bar: the loaded comparison, or the draft being picked.
+ * @returns {{base: string, head: string} | null}
+ */
+function getCompareRange() {
+    const { comparison } = repository.getRepoInfo();
+    return comparison ? { base: comparison.base, head: comparison.head } : compareDraft;
+}
+
+/** Shows the pull request, compare, and issue bars matching the current mode, and hides the others. */
+function updateModeBars() {
+    const { pullRequest, comparison, issue } = repository.getRepoInfo();
+    issueMentionedPaths = issue ? findMentionedPaths(issue, repository.getFileTreeData()) : [];
+    if (issue) {
+        ui.showIssueBar(issue, issueMentionedPaths);
+    } else {
+        ui.hideIssueBar();
+    }
+    if (pullRequest) {
+        ui.showPullRequestBar(pullRequest);
+    } else {
+        ui.hidePullRequestBar();
+    }
+    if (comparison) {
+        ui.showCompareBar(comparison.base, comparison.head, describeComparison(comparison));
+    } else if (compareDraft) {
+        ui.showCompareBar(compareDraft.base, compareDraft.head, "Pick the base and head to compare.");
+    } else {
+        ui.hideCompareBar();
+    }
+}
+
+/** Handler for the "Compare" button: opens the compare bar with both refs set to the current ref. */
+function handleCompareToggle() {
+    if (getCompareRange()) {
+        return; // Already comparing
+    }
+    const { ref } = repository.getRepoInfo();
+    compareDraft = { base: ref, head: ref };
+    updateModeBars();
+}
+
+/** Handler for the compare bar's close button: leaves compare mode and shows the head ref. */
+async function handleCompareExit() {
+    const { comparison } = repository.getRepoInfo();
+    compareDraft = null;
+    if (comparison) {
+        await handleRefSelected(comparison.head);
+    } else {
+        updateModeBars();
+    }
+}
+
+/**
+ * Handler for picking the base or head ref in the compare bar. Compares as soon as the two refs differ.
+ * @param {{base?: string, head?: string}} change - The ref that was picked.
+ */
+async function handleCompareRefSelected(change) {
+    const range = { ...getCompareRange(), ...change };
+    if (range.base === range.head) {
+        compareDraft = range;
+        updateModeBars();
+        return;
+    }
+    compareDraft = null;
+    ui.updateRepoBranch(`${range.base}...${range.head}`);
+    await reloadTree(`${range.base}...${range.head}`, () => repository.switchToComparison(range.base, range.head));
+    if (!repository.getRepoInfo().comparison) {
+        compareDraft = range; // Keep the bar so another ref can be picked
+        updateModeBars();
+    }
+}
+
+/**
+ * Makes the path from the tab URL (e.g. /tree/main/packages/api) available in the tree and offers to focus it.
+ * Unloaded ancestor folders of large repositories are loaded first. A file from a blob URL is focused right away.
+ * @param {{pathType: 'tree' | 'blob' | null, subPath: string}} repoInfo - The repository info with the URL path.
+ */
+async function prepareUrlPathFocus(repoInfo) {
+    urlFocusPathKey = null;
+    ui.hidePathFocusBar();
+    if (!repoInfo.subPath || !repoInfo.pathType) {
+        return;
+    }
+
+    // Load unloaded folders on the way down (and the target folder itself), outermost first
+    const pathSegments = repoInfo.subPath.split('/');
+    const folderDepth = repoInfo.pathType === 'tree' ? pathSegments.length : pathSegments.length - 1;
+    for (let depth = 1; depth <= folderDepth; depth++) {
+        const ancestorItem = repository.findItemByPath(pathSegments.slice(0, depth).join('/'));
+        if (ancestorItem?.unloaded) {
+            await handleLoadFolder(`${ancestorItem.path}/`);
+        }
+    }
+
+    const focusItem = repository.findItemByPath(repoInfo.subPath);
+    const isFolder = repoInfo.pathType === 'tree';
+    if (!focusItem || (focusItem.type === 'tree') !== isFolder) {
+        log('info', `[Popup Coordinator] Path from URL is not in the loaded tree: ${repoInfo.subPath}`);
+        return;
+    }
+
+    urlFocusPathKey = isFolder ? `${focusItem.path}/` : focusItem.path;
+    ui.showPathFocusBar(focusItem.path, isFolder);
+    if (!isFolder) {
+        treeLogic.revealPath(urlFocusPathKey);
+    }
+}
+
+/** Handler for the "Show" button of the URL path focus bar. */
+function handlePathFocusShow() {
+    if (urlFocusPathKey) {
+        treeLogic.revealPath(urlFocusPathKey);
+    }
+}
+
+/** Handler for the "Select only this folder/file" button of the URL path focus bar. */
+function handlePathFocusSelectOnly() {
+    if (urlFocusPathKey) {
+        treeLogic.selectOnlyPath(urlFocusPathKey);
+        treeLogic.revealPath(urlFocusPathKey);
+    }
+}
+
+
+/** Handler for state updates (currently handled within state module itself). */
+function handleStateUpdate(stateInfo) {
+    // Log for debugging if needed, but keep minimal
+    // log('log', "[Popup Coordinator] State update received (for potential coordinator logic):", stateInfo);
+}
+
+/**
+ * Fetches an unloaded folder or submodule, merges it into the tree, and re-renders while keeping expanded folders open.
+ * Used when the folder is expanded and when a copy needs the files of a selected folder.
+ * @param {string} folderPathKey - The path key of the folder.
+ * @returns {Promise<void>}
+ * @throws {Error | ApiAuthError | RateLimitError} If fetching the folder fails.
+ */
+async function loadFolderIntoTree(folderPathKey) {
+    const expandedFolders = treeLogic.getExpandedFolderPaths();
+    const selectionState = state.getSelectionStateForActions();
+    const newItems = await repository.loadFolderContents(folderPathKey);
+
+    // New items inherit the folder's selection so a selected folder stays fully selected
+    state.addItemsToSelection(newItems, selectionState[folderPathKey] === true);
+
+    renderTreeDOM(
+        fileTreeContainer,
+        repoModule.fileTreeData,
+        selectionState,
+        updateFolderStateCallback,
+        repository.getFolderSizes()
+    );
+    treeLogic.expandFolderPaths(expandedFolders);
+    state.handleTreeStateUpdate();
+}
+
+/**
+ * Handler for expanding a folder whose contents were not loaded (truncated repositories and submodules).
+ * @param {string} folderPathKey - The path key of the folder being expanded.
+ */
+async function handleLoadFolder(folderPathKey) {
+    ui.showStatus(`Loading ${folderPathKey}...`);
+    try {
+        await loadFolderIntoTree(folderPathKey);
+        treeLogic.expandFolderPaths([folderPathKey]);
+        ui.clearMessages();
+    } catch (error) {
+        log('error', `[Popup Coordinator] Failed to load folder ${folderPathKey}:`, error);
+        ui.showError(`Failed to load ${folderPathKey}: ${error.message}`);
+    }
+}
+
+/**
+ * Reloads the tree without leaving the page (another ref, or a comparison); paths that still exist keep their selection.
+ * If loading fails, the previous tree (put back by the repository) is shown again with its selection and the error.
+ * @param {string} description - What is being loaded, for logs and error messages.
+ * @param {Function} loadData - Fetches the new tree; resolves with true on success (see repository.switchRef).
+ */
+async function reloadTree(description, loadData) {
+    const previousSelection = { ...state.getSelectionStateForActions() };
+    const expandedFolders = treeLogic.getExpandedFolderPaths();
+    const startTime = performance.now();
+
+    ui.clearMessages();
+    ui.hidePathFocusBar();
+    ui.hidePullRequestBar(); // Another ref or comparison leaves pull request mode
+    urlFocusPathKey = null;
+    ui.setControlsDisabled();
+    ui.setRefreshDisabled(true);
+    fileTreeContainer.innerHTML = '<div class="loading-indicator">Loading file tree...</div>';
+
+    try {
+        const dataFetched = await loadData();
+        updateModeBars();
+        if (!dataFetched) {
+            log('info', `[Popup Coordinator] Loading '${description}' failed or was handled downstream; showing the previous tree.`);
+            setupTree(state.applyCarriedOverSelection(previousSelection));
+            treeLogic.expandFolderPaths(expandedFolders);
+            state.handleTreeStateUpdate();
+            return;
+        }
+
+        const selectionState = state.applyCarriedOverSelection(previousSelection);
+        setupTree(selectionState);
+        treeLogic.expandFolderPaths(expandedFolders);
+        state.handleTreeStateUpdate();
+        await state.saveSelectionState();
+        await prepareUrlPathFocus(repository.getRepoInfo());
+        ui.updatePerformanceStats(`Load time: ${((performance.now() - startTime) / 1000).toFixed(2)}s`);
+    } catch (error) {
+        log('error', `[Popup Coordinator] Failed to load ${description}:`, error);
+        ui.showError(`Failed to load ${description}: ${error.message}`);
+    } finally {
+        ui.setRefreshDisabled(false);
+    }
+}
+
+/**
+ * Handler for picking another branch, tag, or commit in the ref picker. Leaves pull request and compare mode.
+ * @param {string} ref - The chosen ref.
+ */
+async function handleRefSelected(ref) {
+    compareDraft = null;
+    ui.updateRepoBranch(ref);
+    await reloadTree(ref, () => repository.switchRef(ref));
+}
+
+/** Handler for the Refresh action. */
+async function handleRefresh() {
+    // log('info', "[Popup Coordinator] Refresh action triggered. Re-initializing application."); // Reduced noise
+    // Reset UI immediately
+    ui.clearMessages();
+    ui.updateRepoTitle("Refreshing...");
+    ui.updateRepoBranch(null);
+    ui.setControlsDisabled();
+    ui.setRefreshDisabled(true);
+    ui.updatePerformanceStats("");
+
+    if (fileTreeContainer) {
+        fileTreeContainer.innerHTML = '<div class="loading-indicator">Loading file tree...</div>';
+    }
+
+    // Re-initialize the application from scratch
+    // Errors within initializeApp are handled by its own try/catch
+    await initializeApp();
+
+    // Note: initializeApp() handles re-enabling refresh button on its own completion/failure paths.
+}
+
+export {
+    initializeApp
+};
+
 // console.log("[Popup Coordinator] Module loaded."); // Reduced noise
\ No newline at end of file
@@ -0,0 +1,248 @@
+// File: popup/popup_formatters.js
+// Output formats for the copied context. finalizeCopy collects the prefix, header and file blocks into a context
+// document; a formatter turns that document into the text that is copied (and token-counted).
+import { formatFileDiff, getCodeFence } from './popup_pull_request.js';
+import { formatFileHistory } from './popup_history.js';
+import { DEFAULT_SETTINGS } from '../common/storage.js';
+import { renderTemplate } from './popup_templates.js';
+
+const DEFAULT_FORMAT_ID = 'plain';
+const LANGUAGES_BY_EXTENSION = {
+    c: 'c', h: 'c', cc: 'cpp', cpp: 'cpp', cxx: 'cpp', hpp: 'cpp', cs: 'csharp', css: 'css', scss: 'scss', less: 'less',
+    dart: 'dart', diff: 'diff', patch: 'diff', ex: 'elixir', exs: 'elixir', erl: 'erlang', go: 'go', gradle: 'groovy',
+    groovy: 'groovy', hs: 'haskell', html: 'html', htm: 'html', ini: 'ini', java: 'java', js: 'javascript', cjs: 'javascript',
+    mjs: 'javascript', jsx: 'jsx', json: 'json', jsonc: 'jsonc', kt: 'kotlin', kts: 'kotlin', lua: 'lua', md: 'markdown',
+    m: 'objectivec', php: 'php', pl: 'perl', proto: 'protobuf', ps1: 'powershell', py: 'python', r: 'r', rb: 'ruby', rs: 'rust',
+    scala: 'scala', sh: 'bash', bash: 'bash', zsh: 'bash', sql: 'sql', svelte: 'svelte', swift: 'swift', tf: 'hcl',
+    toml: 'toml', ts: 'typescript', tsx: 'tsx', vue: 'vue', xml: 'xml', svg: 'xml', yaml: 'yaml', yml: 'yaml', zig: 'zig'
+};
+const LANGUAGES_BY_FILE_NAME = { dockerfile: 'dockerfile', makefile: 'makefile', gemfile: 'ruby', rakefile: 'ruby' };
+
+/**
+ * @typedef {object} ContextDocument
+ * @property {string} prefix - The prompt prefix (ending with a blank line, or empty).
+ * @property {string} treeMap - The directory tree map (see popup_tree_map.js), or empty to leave the section out.
+ * @property {string} header - The issue, pull request, comparison, and recent activity sections (or empty).
+ * @property {{host: string, owner: string, repo: string, ref: string}} repository - The repository and ref copied.
+ * @property {Array<{path: string, type: 'text' | 'binary' | 'lfs' | 'diff-only', content: string | null, size: number,
+ *           history: Array<object> | null, change: object | null}>} files - The file blocks, in order. `change` is set
+ *           when the file's diff is part of the output; 'diff-only' files have nothing but their diff.
+ * @property {Array<object>} removedFiles - Changed files removed in a pull request, copied as diffs only.
+ * @property {string} suffix - The prompt suffix closing the context (or empty).
+ */
+
+/**
+ * Guesses the Markdown code fence language of a file from its name.
+ * @param {string} path - The file path.
+ * @returns {string} The language tag, or '' if unknown.
+ */
+function getLanguageForPath(path) {
+    const fileName = path.split('/').pop().toLowerCase();
+    if (LANGUAGES_BY_FILE_NAME[fileName]) {
+        return LANGUAGES_BY_FILE_NAME[fileName];
+    }
+    const extensionIndex = fileName.lastIndexOf('.');
+    return extensionIndex > 0 ? LANGUAGES_BY_EXTENSION[fileName.slice(extensionIndex + 1)] || '' : '';
+}
+
+/**
+ * Describes a file whose content is not included (binary files and Git LFS objects that were not downloaded).
+ * @param {{type: string, size: number}} file - A file of the context document.
+ * @returns {string} The marker line, e.g. "[Binary file, 1,024 bytes, not included]".
+ */
+function describeOmittedFile(file) {
+    return `[${file.type === 'lfs' ? 'LFS object' : 'Binary file'}, ${file.size.toLocaleString()} bytes, not included]`;
+}
+
+/**
+ * Gets the body of a file block: the text content, or the marker line for omitted files.
+ * @param {object} file - A file of the context document.
+ * @returns {string}
+ */
+function getFileBody(file) {
+    return file.type === 'text' ? file.content : describeOmittedFile(file);
+}
+
+/**
+ * Escapes text for use in an XML attribute value.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeXmlAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Writes the tree map section the way the plain and custom formats do.
+ * @param {string} treeMap - The tree map text.
+ * @returns {string} The section, ending with a blank line.
+ */
+function formatPlainTreeMap(treeMap) {
+    return `--- Directory Tree ---\n${treeMap}\n\n`;
+}
+
+/**
+ * Joins the prefix, tree map, header, file blocks, removed-file diffs, and suffix of a text format.
+ * @param {ContextDocument} contextDocument - The document to format.
+ * @param {Function} formatFileBlock - (file) => the file's block, ending with a blank line.
+ * @param {Function} formatDiff - (change) => a diff block, ending with a blank line.
+ * @param {Function} [formatTreeMap=formatPlainTreeMap] - (treeMap) => the tree map section, ending with a blank line.
+ * @returns {string} The context, without trailing whitespace.
+ */
+function joinTextBlocks(contextDocument, formatFileBlock, formatDiff, formatTreeMap = formatPlainTreeMap) {
+    let formattedContext = contextDocument.prefix;
+    if (contextDocument.treeMap) {
+        formattedContext += formatTreeMap(contextDocument.treeMap);
+    }
+    formattedContext += contextDocument.header;
+    contextDocument.files.forEach(file => {
+        if (file.type !== 'diff-only') {
+            formattedContext += formatFileBlock(file);
+        }
+        if (file.change) {
+            formattedContext += formatDiff(file.change);
+        }
+    });
+    contextDocument.removedFiles.forEach(change => {
+        formattedContext += formatDiff(change);
+    });
+    formattedContext += contextDocument.suffix;
+    return formattedContext.trimEnd();
+}
+
+/**
+ * The original format: `--- File: path ---` separators.
+ * @param {ContextDocument} contextDocument
+ * @returns {string}
+ */
+function formatPlain(contextDocument) {
+    return joinTextBlocks(
+        contextDocument,
+        file => `--- File: ${file.path} ---\n${file.history ? formatFileHistory(file.history) : ''}${getFileBody(file)}\n\n`,
+        formatFileDiff
+    );
+}
+
+/**
+ * XML-tagged blocks: `<file path="...">` for contents and `<diff path="...">` for patches.
+ * @param {ContextDocument} contextDocument
+ * @returns {string}
+ */
+function formatXml(contextDocument) {
+    return joinTextBlocks(
+        contextDocument,
+        file => `<file path="${escapeXmlAttribute(file.path)}">\n${file.history ? formatFileHistory(file.history) : ''}${getFileBody(file)}\n</file>\n\n`,
+        change => {
+            const previousPath = change.previousPath ? ` previous_path="${escapeXmlAttribute(change.previousPath)}"` : '';
+            const patch = change.patch || '[Diff not available (binary file or diff too large)]';
+            return `<diff path="${escapeXmlAttribute(change.path)}"${previousPath} status="${change.status}">\n${patch}\n</diff>\n\n`;
+        },
+        treeMap => `<directory_tree>\n${treeMap}\n</directory_tree>\n\n`
+    );
+}
+
+/**
+ * Markdown: a heading per file and a fenced block tagged with the language guessed from the file extension.
+ * @param {ContextDocument} contextDocument
+ * @returns {string}
+ */
+function formatMarkdown(contextDocument) {
+    return joinTextBlocks(
+        contextDocument,
+        file => {
+            const history = file.history ? formatFileHistory(file.history) : '';
+            if (file.type !== 'text') {
+                return `## ${file.path}\n\n${history}${describeOmittedFile(file)}\n\n`;
+            }
+            const fence = getCodeFence(file.content);
+            return `## ${file.path}\n\n${history}${fence}${getLanguageForPath(file.path)}\n${file.content}\n${fence}\n\n`;
+        },
+        formatFileDiff,
+        treeMap => `## Directory tree\n\n${getCodeFence(treeMap)}text\n${treeMap}\n${getCodeFence(treeMap)}\n\n`
+    );
+}
+
+/**
+ * JSON for scripts: the repository, prefix, tree map, header and suffix, and one object per file with its content, history, and diff.
+ * @param {ContextDocument} contextDocument
+ * @returns {string}
+ */
+function formatJson(contextDocument) {
+    const formatChange = change => ({
+        status: change.status,
+        previousPath: change.previousPath || null,
+        additions: change.additions,
+        deletions: change.deletions,
+        patch: change.patch || null
+    });
+    return JSON.stringify({
+        repository: contextDocument.repository,
+        prefix: contextDocument.prefix.trim(),
+        ...(contextDocument.treeMap ? { treeMap: contextDocument.treeMap } : {}),
+        header: contextDocument.header.trim(),
+        files: contextDocument.files.map(file => ({
+            path: file.path,
+            type: file.type,
+            size: file.size,
+            content: file.type === 'text' ? file.content : null,
+            ...(file.history ? { history: file.history } : {}),
+            ...(file.change ? { diff: formatChange(file.change) } : {})
+        })),
+        removedFiles: contextDocument.removedFiles.map(change => ({ path: change.path, diff: formatChange(change) })),
+        suffix: contextDocument.suffix.trim()
+    }, null, 2);
+}
+
+/**
+ * The user's own file block template from the options, rendered with popup_templates.js: `{{path}}`, `{{language}}`,
+ * `{{size}}`, `{{history}}` and `{{content}}` describe the file, and the copy's variables (e.g., `{{repo}}`) are available too.
+ * @param {ContextDocument} contextDocument
+ * @param {{customFileTemplate?: string, templateValues?: object}} options - The formatting options; an empty template falls back to the default.
+ * @returns {string}
+ */
+function formatCustom(contextDocument, options) {
+    const template = options.customFileTemplate || DEFAULT_SETTINGS.customFileTemplate;
+    return joinTextBlocks(
+        contextDocument,
+        file => {
+            const values = {
+                ...options.templateValues,
+                path: file.path,
+                language: getLanguageForPath(file.path),
+                size: file.size.toLocaleString(),
+                history: file.history ? formatFileHistory(file.history) : '',
+                content: getFileBody(file)
+            };
+            const block = renderTemplate(template, values);
+            return `${block.trimEnd()}\n\n`;
+        },
+        formatFileDiff
+    );
+}
+
+const OUTPUT_FORMATS = [
+    { id: 'plain', name: 'Plain text', format: formatPlain },
+    { id: 'xml', name: 'XML tags', format: formatXml },
+    { id: 'markdown', name: 'Markdown', format: formatMarkdown },
+    { id: 'json', name: 'JSON', format: formatJson },
+    { id: 'custom', name: 'Custom', format: formatCustom }
+];
+
+/**
+ * Formats a context document in one of the OUTPUT_FORMATS. Unknown format IDs fall back to plain text.
+ * @param {string} formatId - The format ID (e.g., 'xml').
+ * @param {ContextDocument} contextDocument - The document to format.
+ * @param {{customFileTemplate?: string, templateValues?: object}} [options={}] - Options of the custom format: its template,
+ *        and the copy's template variables (see finalizeCopy).
+ * @returns {string} The formatted context.
+ */
+function formatContext(formatId, contextDocument, options = {}) {
+    const outputFormat = OUTPUT_FORMATS.find(entry => entry.id === formatId) || OUTPUT_FORMATS.find(entry => entry.id === DEFAULT_FORMAT_ID);
+    return outputFormat.format(contextDocument, options);
+}
+
+export {
+    OUTPUT_FORMATS,
+    DEFAULT_FORMAT_ID,
+    formatContext
+};
@@ -0,0 +1,47 @@
+// File: popup/popup_history.js
+// Output formatting for commit history: the repository's recent activity header and the per-file commit lists.
+
+const RECENT_ACTIVITY_COMMITS = 10; // Commits listed in the repository activity header
+
+/**
+ * Formats one commit as a list line, e.g. "- 2024-05-01 abc1234 Fix crash on empty input (@alice)".
+ * @param {{sha: string, message: string, author: string | null, date: string | null}} commit - A commit from getRecentCommits.
+ * @returns {string}
+ */
+function formatCommitLine(commit) {
+    const date = commit.date ? commit.date.slice(0, 10) : 'unknown date';
+    const author = commit.author ? ` (@${commit.author})` : '';
+    return `- ${date} ${commit.sha.slice(0, 7)} ${commit.message}${author}`;
+}
+
+/**
+ * Formats the repository's latest commits as a header section.
+ * @param {string} ref - The ref the history was listed from.
+ * @param {Array<object>} commits - Commits from getRecentCommits, newest first.
+ * @returns {string} The section, ending with a blank line (empty if there are no commits).
+ */
+function formatRecentActivity(ref, commits) {
+    if (commits.length === 0) {
+        return '';
+    }
+    const lines = [`# Recent activity on ${ref}`, '', ...commits.map(formatCommitLine), '', '---'];
+    return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Formats the latest commits touching a file, for the top of its file block.
+ * @param {Array<object>} commits - Commits from getRecentCommits, newest first.
+ * @returns {string} The history lines followed by a blank line (empty if there are no commits).
+ */
+function formatFileHistory(commits) {
+    if (commits.length === 0) {
+        return '';
+    }
+    return `Recent commits:\n${commits.map(formatCommitLine).join('\n')}\n\n`;
+}
+
+export {
+    RECENT_ACTIVITY_COMMITS,
+    formatRecentActivity,
+    formatFileHistory
+};
@@ -0,0 +1,105 @@
+// File: popup/popup_issue.js
+// Issue mode: formats the issue thread for the context and finds the files the thread mentions.
+
+const PATH_TOKEN_REGEX = /[\w.@\/-]+/g; // Runs of characters that can make up a path (URLs split at ':' and '#')
+const MAX_TOKEN_LENGTH = 300;
+
+/**
+ * Formats an ISO timestamp from the API as "YYYY-MM-DD HH:MM UTC".
+ * @param {string} isoTimestamp - The timestamp, e.g. "2024-05-01T12:34:56Z".
+ * @returns {string}
+ */
+function formatTimestamp(isoTimestamp) {
+    return isoTimestamp ? `${isoTimestamp.replace('T', ' ').slice(0, 16)} UTC` : 'unknown time';
+}
+
+/**
+ * Formats a comment or issue author.
+ * @param {string | null} author - The login, or null for deleted accounts.
+ * @returns {string}
+ */
+function formatAuthor(author) {
+    return author ? `@${author}` : 'unknown user';
+}
+
+/**
+ * Formats the issue title, description, and comment thread as a section ahead of the file blocks.
+ * @param {object} issue - The issue from getIssueThread.
+ * @returns {string} The section, ending with a blank line.
+ */
+function formatIssueThread(issue) {
+    const lines = [
+        `# Issue #${issue.number}: ${issue.title}`,
+        '',
+        `State: ${issue.state}`,
+        `Opened by ${formatAuthor(issue.author)} on ${formatTimestamp(issue.createdAt)}`,
+        `URL: ${issue.url}`,
+        '',
+        issue.body.trim() || '(No description provided.)'
+    ];
+
+    if (issue.totalComments > 0) {
+        const shownNote = issue.comments.length < issue.totalComments ? `, first ${issue.comments.length} shown` : '';
+        lines.push('', `## Comments (${issue.totalComments}${shownNote})`);
+        for (const comment of issue.comments) {
+            lines.push('', `### ${formatAuthor(comment.author)} on ${formatTimestamp(comment.createdAt)}`, '', comment.body.trim());
+        }
+    }
+
+    lines.push('', '---');
+    return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Finds the files in the tree that the issue thread mentions by path, e.g. `src/app.js`, `app.js:42`,
+ * or a link to the file on GitHub. Partial paths match the one file ending with them; ambiguous names
+ * (such as an `index.js` present in several folders) are skipped.
+ * @param {object} issue - The issue from getIssueThread.
+ * @param {Array<object>} fileTreeData - The flat file tree data.
+ * @returns {Array<string>} The mentioned file paths, sorted.
+ */
+function findMentionedPaths(issue, fileTreeData) {
+    // Every '/'-boundary suffix of every file path -> the files ending with it
+    const pathsBySuffix = new Map();
+    for (const item of fileTreeData) {
+        if (item?.type !== 'blob') continue;
+        const segments = item.path.split('/');
+        for (let start = 0; start < segments.length; start++) {
+            const suffix = segments.slice(start).join('/');
+            const paths = pathsBySuffix.get(suffix);
+            if (paths) {
+                paths.push(item.path);
+            } else {
+                pathsBySuffix.set(suffix, [item.path]);
+            }
+        }
+    }
+
+    const mentionedPaths = new Set();
+    const texts = [issue.title, issue.body, ...issue.comments.map(comment => comment.body)];
+    for (const text of texts) {
+        for (const [rawToken] of (text || '').matchAll(PATH_TOKEN_REGEX)) {
+            const token = rawToken.replace(/[.,;]+$/, '');
+            if (token.length > MAX_TOKEN_LENGTH || (!token.includes('.') && !token.includes('/'))) {
+                continue;
+            }
+            // Try the longest suffix first, so a full path or link wins over its bare file name
+            const segments = token.split('/').filter(Boolean);
+            for (let start = 0; start < segments.length; start++) {
+                const paths = pathsBySuffix.get(segments.slice(start).join('/'));
+                if (paths) {
+                    if (paths.length === 1) {
+                        mentionedPaths.add(paths[0]);
+                    }
+                    break;
+                }
+            }
+        }
+    }
+    return [...mentionedPaths].sort();
+}
+
+export {
+    formatIssueThread,
+    findMentionedPaths
+};
@@ -0,0 +1,75 @@
+// File: popup/popup_pull_request.js
+// Output formatting for pull request mode: the PR header at the top of the context and the per-file diffs.
+
+/**
+ * Picks a Markdown code fence longer than any backtick run in the content, so the content cannot close it early.
+ * @param {string} content - The text to be fenced.
+ * @returns {string} The fence (at least three backticks).
+ */
+function getCodeFence(content) {
+    const longestRun = Math.max(0, ...(content.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(Math.max(3, longestRun + 1));
+}
+
+/**
+ * Describes a changed file's path, including the old path for renames.
+ * @param {{path: string, previousPath: string | null}} changedFile - A file from getPullRequestFiles.
+ * @returns {string}
+ */
+function describeChangedPath(changedFile) {
+    return changedFile.previousPath ? `${changedFile.previousPath} → ${changedFile.path}` : changedFile.path;
+}
+
+/**
+ * Formats the pull request title, metadata, and description as the header of the context.
+ * @param {object} pullRequest - The pull request from getPullRequest, with its `files`.
+ * @returns {string} The header block, ending with a blank line.
+ */
+function formatPullRequestHeader(pullRequest) {
+    const lines = [
+        `# Pull Request #${pullRequest.number}: ${pullRequest.title}`,
+        '',
+        `Author: ${pullRequest.author ? `@${pullRequest.author}` : 'unknown'}`,
+        `State: ${pullRequest.state}`,
+        `Branches: ${pullRequest.baseRef} ← ${pullRequest.headRef}`,
+        `Head commit: ${pullRequest.headSha}`,
+        `Changed files: ${pullRequest.files.length}`,
+        `URL: ${pullRequest.url}`,
+        '',
+        pullRequest.body.trim() || '(No description provided.)',
+        '',
+        '---'
+    ];
+    return `${lines.join('\n')}\n\n`;
+}
+
+/**
+ * Formats one changed file's unified diff as a fenced block.
+ * GitHub leaves out the patch for binary files and very large diffs; those get a one-line note instead.
+ * @param {object} changedFile - A file from getPullRequestFiles.
+ * @returns {string} The diff block, ending with a blank line.
+ */
+function formatFileDiff(changedFile) {
+    const heading = `--- Diff (${changedFile.status}, +${changedFile.additions} -${changedFile.deletions}): ${describeChangedPath(changedFile)} ---`;
+    if (!changedFile.patch) {
+        return `${heading}\n[Diff not available (binary file or diff too large)]\n\n`;
+    }
+    const fence = getCodeFence(changedFile.patch);
+    return `${heading}\n${fence}diff\n${changedFile.patch}\n${fence}\n\n`;
+}
+
+/**
+ * Lists the paths of the changed files that still exist at the head commit (everything except removed files).
+ * @param {object} pullRequest - The pull request, with its `files`.
+ * @returns {Set<string>}
+ */
+function getChangedFilePaths(pullRequest) {
+    return new Set(pullRequest.files.filter(file => file.status !== 'removed').map(file => file.path));
+}
+
+export {
+    getCodeFence,
+    formatPullRequestHeader,
+    formatFileDiff,
+    getChangedFilePaths
+};
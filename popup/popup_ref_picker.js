@@ -0,0 +1,271 @@
+// File: popup/popup_ref_picker.js
+import { log } from './popup_utils.js';
+
+// --- Constants ---
+const SHORT_SHA_LENGTH = 7;
+
+// --- Module State ---
+let pickerPanel = null;
+let searchInput = null;
+let choiceList = null;
+let getRepoInfo = null; // Callback returning the current repository info
+const pickerTargets = new Map(); // Button that opens the picker -> { getCurrentRef, onSelectRef }
+let activeButton = null; // The button the picker is currently open for
+let refChoices = null; // { branches, tags, commits } once loaded
+let loadingPromise = null;
+
+// --- Private Helper Functions ---
+
+/**
+ * Builds the flat list of choices shown in the picker, grouped by kind.
+ * @returns {Array<{group: string, ref: string, label: string, detail: string}>}
+ */
+function buildChoiceEntries() {
+    if (!refChoices) return [];
+    return [
+        ...refChoices.branches.map(name => ({ group: 'Branches', ref: name, label: name, detail: '' })),
+        ...refChoices.tags.map(name => ({ group: 'Tags', ref: name, label: name, detail: '' })),
+        ...refChoices.commits.map(commit => ({
+            group: refChoices.commitsLabel || 'Recent commits',
+            ref: commit.sha,
+            label: commit.sha.slice(0, SHORT_SHA_LENGTH),
+            detail: commit.message
+        }))
+    ];
+}
+
+/**
+ * Renders the choices matching the search text.
+ */
+function renderChoices() {
+    choiceList.innerHTML = '';
+    const filterText = searchInput.value.trim().toLowerCase();
+    const currentRef = pickerTargets.get(activeButton)?.getCurrentRef();
+    const matchingEntries = buildChoiceEntries().filter(entry =>
+        !filterText || entry.ref.toLowerCase().includes(filterText) || entry.detail.toLowerCase().includes(filterText)
+    );
+
+    if (matchingEntries.length === 0) {
+        const emptyItem = document.createElement('li');
+        emptyItem.className = 'ref-picker-empty';
+        emptyItem.textContent = refChoices ? 'No matching branches, tags, or commits.' : 'Loading...';
+        choiceList.appendChild(emptyItem);
+        return;
+    }
+
+    let lastGroup = null;
+    for (const entry of matchingEntries) {
+        if (entry.group !== lastGroup) {
+            const groupItem = document.createElement('li');
+            groupItem.className = 'ref-picker-group';
+            groupItem.textContent = entry.group;
+            choiceList.appendChild(groupItem);
+            lastGroup = entry.group;
+        }
+
+        const choiceItem = document.createElement('li');
+        choiceItem.className = 'ref-picker-choice';
+        choiceItem.dataset.ref = entry.ref;
+        choiceItem.title = entry.detail ? `${entry.ref}\n${entry.detail}` : entry.ref;
+        if (entry.ref === currentRef) {
+            choiceItem.classList.add('current');
+        }
+
+        const labelSpan = document.createElement('span');
+        labelSpan.className = 'ref-picker-label';
+        labelSpan.textContent = entry.label;
+        choiceItem.appendChild(labelSpan);
+
+        if (entry.detail) {
+            const detailSpan = document.createElement('span');
+            detailSpan.className = 'ref-picker-detail';
+            detailSpan.textContent = entry.detail;
+            choiceItem.appendChild(detailSpan);
+        }
+        choiceList.appendChild(choiceItem);
+    }
+}
+
+/**
+ * Loads the branch, tag, and commit lists once per popup session.
+ * @returns {Promise<void>}
+ */
+function loadRefChoices() {
+    if (!loadingPromise) {
+        const repoInfo = getRepoInfo();
+        loadingPromise = repoInfo.provider.getRefChoices(repoInfo.owner, repoInfo.repo, repoInfo.ref, repoInfo.host)
+            .then(choices => {
+                refChoices = choices;
+            })
+            .catch(error => {
+                log('error', "[Ref Picker] Failed to load branches and tags:", error);
+                loadingPromise = null; // Allow a retry on the next open
+                throw error;
+            });
+    }
+    return loadingPromise;
+}
+
+/**
+ * Opens the picker below a button and loads the choices if needed.
+ * @param {HTMLElement} button - The button the picker was opened from.
+ */
+async function openPicker(button) {
+    const repoInfo = getRepoInfo ? getRepoInfo() : null;
+    if (!repoInfo?.owner || !repoInfo?.repo) {
+        return;
+    }
+    activeButton?.setAttribute('aria-expanded', 'false');
+    activeButton = button;
+    pickerPanel.classList.remove('hidden');
+    pickerPanel.style.top = `${button.offsetTop + button.offsetHeight + 4}px`;
+    pickerPanel.style.left = `${Math.max(0, Math.min(button.offsetLeft, pickerPanel.offsetParent.clientWidth - pickerPanel.offsetWidth))}px`;
+    button.setAttribute('aria-expanded', 'true');
+    searchInput.value = '';
+    renderChoices();
+    searchInput.focus();
+
+    try {
+        await loadRefChoices();
+        renderChoices();
+    } catch (error) {
+        choiceList.innerHTML = '';
+        const errorItem = document.createElement('li');
+        errorItem.className = 'ref-picker-empty error';
+        errorItem.textContent = `Could not load branches and tags: ${error.message}`;
+        choiceList.appendChild(errorItem);
+    }
+}
+
+/**
+ * Closes the picker.
+ */
+function closePicker() {
+    pickerPanel.classList.add('hidden');
+    activeButton?.setAttribute('aria-expanded', 'false');
+}
+
+/**
+ * Hands the chosen ref to the button's callback and closes the picker.
+ * @param {string} ref - The chosen branch, tag, or commit SHA.
+ */
+function chooseRef(ref) {
+    const target = pickerTargets.get(activeButton);
+    closePicker();
+    if (ref && target && ref !== target.getCurrentRef()) {
+        log('info', `[Ref Picker] Ref chosen: ${ref}`);
+        // Recent commits depend on the ref, so reload the choices next time
+        refChoices = null;
+        loadingPromise = null;
+        target.onSelectRef(ref);
+    }
+}
+
+// --- Event Handlers ---
+
+/** Toggles the picker when one of its buttons is clicked. */
+function handlePickerButtonClick(event) {
+    event.stopPropagation();
+    if (pickerPanel.classList.contains('hidden') || activeButton !== event.currentTarget) {
+        openPicker(event.currentTarget);
+    } else {
+        closePicker();
+    }
+}
+
+/** Handles clicks on a choice. */
+function handleChoiceClick(event) {
+    const choiceItem = event.target.closest('.ref-picker-choice');
+    if (choiceItem) {
+        chooseRef(choiceItem.dataset.ref);
+    }
+}
+
+/**
+ * Handles keys in the search box: Enter picks the first match (or the typed text as a ref), Escape closes.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleSearchKeydown(event) {
+    if (event.key === 'Escape') {
+        closePicker();
+        activeButton?.focus();
+    } else if (event.key === 'Enter') {
+        const firstChoice = choiceList.querySelector('.ref-picker-choice');
+        chooseRef(firstChoice ? firstChoice.dataset.ref : searchInput.value.trim());
+    }
+}
+
+/** Closes the picker when clicking anywhere outside it. */
+function handleDocumentClick(event) {
+    if (!pickerPanel.classList.contains('hidden') && !pickerPanel.contains(event.target)) {
+        closePicker();
+    }
+}
+
+// --- Public API ---
+
+/**
+ * Lets another button open the picker (e.g., the base and head buttons of compare mode).
+ * Call after initRefPicker.
+ * @param {HTMLElement} buttonElement - The button that opens the picker.
+ * @param {object} target - What the picker is choosing for.
+ * @param {Function} target.getCurrentRef - Returns the ref currently chosen for this button (highlighted, and ignored if picked again).
+ * @param {Function} target.onSelectRef - Called with the chosen ref.
+ */
+function attachRefPicker(buttonElement, { getCurrentRef, onSelectRef }) {
+    if (!buttonElement || typeof getCurrentRef !== 'function' || typeof onSelectRef !== 'function') {
+        log('error', "[Ref Picker] Cannot attach picker: Invalid button or callbacks.");
+        return;
+    }
+    pickerTargets.set(buttonElement, { getCurrentRef, onSelectRef });
+    buttonElement.setAttribute('aria-haspopup', 'listbox');
+    buttonElement.setAttribute('aria-expanded', 'false');
+    buttonElement.removeEventListener('click', handlePickerButtonClick);
+    buttonElement.addEventListener('click', handlePickerButtonClick);
+}
+
+/**
+ * Initializes the branch/tag picker attached to the branch label.
+ * @param {object} config - Configuration object.
+ * @param {HTMLElement} config.buttonElement - The branch label button that opens the picker.
+ * @param {HTMLElement} config.panelElement - The picker panel.
+ * @param {HTMLInputElement} config.searchElement - The search input inside the panel.
+ * @param {HTMLElement} config.listElement - The list element the choices are rendered into.
+ * @param {Function} config.getRepoInfoCallback - Returns the current repository info ({ provider, host, owner, repo, ref }); the provider lists the choices.
+ * @param {Function} config.onSelectRef - Called with the chosen ref.
+ */
+function initRefPicker(config) {
+    if (!config || !config.buttonElement || !config.panelElement || !config.searchElement || !config.listElement || typeof config.getRepoInfoCallback !== 'function' || typeof config.onSelectRef !== 'function') {
+        log('error', "[Ref Picker] Initialization failed: Invalid configuration provided.", config);
+        return;
+    }
+
+    pickerPanel = config.panelElement;
+    searchInput = config.searchElement;
+    choiceList = config.listElement;
+    getRepoInfo = config.getRepoInfoCallback;
+    pickerTargets.clear();
+    activeButton = null;
+    refChoices = null;
+    loadingPromise = null;
+
+    // Remove existing listeners before adding new ones to prevent duplicates on refresh/re-init
+    choiceList.removeEventListener('click', handleChoiceClick);
+    searchInput.removeEventListener('input', renderChoices);
+    searchInput.removeEventListener('keydown', handleSearchKeydown);
+    document.removeEventListener('click', handleDocumentClick);
+
+    attachRefPicker(config.buttonElement, {
+        getCurrentRef: () => getRepoInfo()?.ref,
+        onSelectRef: config.onSelectRef
+    });
+    choiceList.addEventListener('click', handleChoiceClick);
+    searchInput.addEventListener('input', renderChoices);
+    searchInput.addEventListener('keydown', handleSearchKeydown);
+    document.addEventListener('click', handleDocumentClick);
+}
+
+export {
+    initRefPicker,
+    attachRefPicker
+};
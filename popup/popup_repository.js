@@ -1,309 +1,858 @@
-// File: popup/popup_repository.js
-import { log, formatBytes } from './popup_utils.js';
-// Import specific functions and the custom error type
-import { parseRepoUrl, getRepoTree, ApiAuthError } from '../common/github_api.js';
-import * as ui from './popup_ui.js';
-import { getItemPathKey, getParentFolderPath } from './popup_utils.js';
-
-console.log("[Popup Repository] Module loading...");
-
-// --- Repository State ---
-let currentRepoUrl = null;
-let currentOwner = null;
-let currentRepo = null;
-let currentRef = null;
-let actualRefUsed = null;
-let fileTreeData = [];
-let isTruncated = false;
-let calculatedFolderSizes = {};
-
-// --- Private Helper Functions ---
-
-/**
- * Calculates the total size of each folder recursively.
- * @param {Array<object>} flatTreeData - The array of file/folder items.
- * @returns {object} Map of { folderPathKey: size }
- */
-function calculateAllFolderSizes(flatTreeData) {
-    // console.log('[Popup Repository] Starting calculation of all folder sizes...');
-    const startTime = performance.now();
-    const fileSizes = {};
-    const folderChildren = {};
-    const allItemKeys = new Set();
-
-    for (const item of flatTreeData) {
-        if (!item || !item.path || !item.type) continue;
-        const itemKey = getItemPathKey(item);
-        allItemKeys.add(itemKey);
-
-        if (item.type === 'blob' && typeof item.size === 'number') {
-            fileSizes[itemKey] = item.size;
-        } else if (item.type === 'tree') {
-            if (!folderChildren[itemKey]) folderChildren[itemKey] = [];
-        }
-
-        const parentKey = getParentFolderPath(itemKey);
-        if (parentKey) {
-            if (!folderChildren[parentKey]) folderChildren[parentKey] = [];
-            folderChildren[parentKey].push(itemKey);
-        } else if (parentKey === null && item.type === 'tree') {
-             if (!folderChildren[itemKey]) folderChildren[itemKey] = [];
-        }
-    }
-
-    const memo = {};
-
-    function getSize(pathKey) {
-        if (memo[pathKey] !== undefined) return memo[pathKey];
-        if (fileSizes[pathKey] !== undefined) {
-            memo[pathKey] = fileSizes[pathKey];
-            return fileSizes[pathKey];
-        }
-        if (folderChildren[pathKey]) {
-            let totalSize = 0;
-            for (const childKey of folderChildren[pathKey]) {
-                 if (allItemKeys.has(childKey)) {
-                    totalSize += getSize(childKey);
-                 }
-            }
-            memo[pathKey] = totalSize;
-            return totalSize;
-        }
-        memo[pathKey] = 0;
-        return 0;
-    }
-
-    const finalFolderSizes = {};
-    for (const folderKey in folderChildren) {
-         if (folderKey.endsWith('/')) {
-            finalFolderSizes[folderKey] = getSize(folderKey);
-         }
-    }
-
-    const endTime = performance.now();
-    // Reduced logging for performance
-    // log('info', `[Popup Repository] Folder size calculation complete in ${((endTime - startTime)).toFixed(1)}ms. Found sizes for ${Object.keys(finalFolderSizes).length} folders.`);
-
-    return finalFolderSizes;
-}
-
-
-// --- Public API ---
-
-/** Initializes the repository module. */
-function initRepository() {
-    // log('info', "[Popup Repository] Initializing repository module..."); // Reduced noise
-    resetRepositoryState();
-    // log('info', "[Popup Repository] Repository module initialized"); // Reduced noise
-    return {
-        fileTreeData,
-        getRepoInfo,
-        getFolderSizes,
-        getFileTreeData
-    };
-}
-
-/** Resets all repository state variables. */
-function resetRepositoryState() {
-    // log('info', '[Popup Repository] Resetting repository state'); // Reduced noise
-    currentRepoUrl = null;
-    currentOwner = null;
-    currentRepo = null;
-    currentRef = null;
-    actualRefUsed = null;
-    fileTreeData.length = 0;
-    isTruncated = false;
-    calculatedFolderSizes = {};
-}
-
-/** Checks if the URL is from a GitHub domain. */
-function isGitHubUrl(url) {
-    try {
-        const urlObj = new URL(url);
-        return urlObj.hostname === 'github.com' || urlObj.hostname.includes('github.');
-    } catch (error) {
-        return false;
-    }
-}
-
-
-/**
- * Detects the current repository from the active tab URL.
- * Updates UI with Repo Name and Branch.
- * @returns {Promise<object | null>} Repository info object { url, owner, repo, ref } or null.
- */
-async function detectRepository() {
-    // log('info', "[Popup Repository] Detecting repository from active tab..."); // Reduced noise
-    ui.updateRepoTitle("Detecting...", "Attempting to detect repository from URL");
-    ui.updateRepoBranch(null);
-
-    try {
-        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-
-        if (!tabs || tabs.length === 0 || !tabs[0].url) {
-            log('warn', "[Popup Repository] Could not access the current tab URL immediately.");
-            currentRepoUrl = null;
-             ui.showFriendlyError("Cannot Access Tab", "Could not read the URL of the current tab.");
-             throw new Error("no_tab_url");
-        }
-
-        currentRepoUrl = tabs[0].url;
-        // log('info', `[Popup Repository] Current URL: ${currentRepoUrl}`); // Reduced noise
-
-        if (!isGitHubUrl(currentRepoUrl)) {
-            // log('info', "[Popup Repository] Not on a GitHub site. URL:", currentRepoUrl); // Reduced noise
-            ui.showFriendlyError(
-                "Requires GitHub Page",
-                "Please navigate to a GitHub repository page and refresh."
-            );
-            throw new Error("not_github");
-        }
-
-        const repoInfo = parseRepoUrl(currentRepoUrl);
-
-        if (!repoInfo || !repoInfo.owner || !repoInfo.repo) {
-            // log('info', "[Popup Repository] Not on a GitHub repository page or URL malformed. URL:", currentRepoUrl); // Reduced noise
-            ui.showFriendlyError(
-                 "Repository Not Found",
-                 "Navigate to a repository's main page or code tab and refresh."
-             );
-             throw new Error("not_repo");
-        }
-
-        currentOwner = repoInfo.owner;
-        currentRepo = repoInfo.repo;
-        currentRef = repoInfo.ref;
-
-        // log('info', `[Popup Repository] Detected repository: ${currentOwner}/${currentRepo}, Ref in URL: ${currentRef || 'None (implies default)'}`); // Reduced noise
-
-        ui.updateRepoTitle(`${currentOwner}/${currentRepo}`, `Repository: ${currentOwner}/${currentRepo}`);
-        ui.updateRepoBranch(currentRef);
-
-        return {
-            url: currentRepoUrl,
-            owner: currentOwner,
-            repo: currentRepo,
-            ref: currentRef
-        };
-
-    } catch (error) {
-         if (error.message === "not_github" || error.message === "not_repo" || error.message === "no_tab_url") {
-             throw error; // Re-throw known errors for coordinator
-         }
-         // Handle unexpected errors
-         log('error', "[Popup Repository] Unexpected error during repository detection:", error); // Keep this error log
-         ui.showError(`Repository detection failed: ${error.message}`);
-         ui.updateRepoTitle("Detection Error");
-         ui.updateRepoBranch(null);
-         resetRepositoryState();
-         return null;
-    }
-}
-
-/**
- * Fetches the repository file tree data using the detected owner, repo, and ref.
- * Calculates folder sizes. Updates UI with the actual ref used.
- * @returns {Promise<boolean>} True if data fetch and processing was successful, false otherwise.
- */
-async function fetchRepositoryData() {
-    if (!currentOwner || !currentRepo) {
-         // This log should ideally not happen if detectRepository works, but keep as error just in case
-         log('error', "[Popup Repository] Cannot fetch data: Owner or repo not detected.");
-         return false;
-    }
-    // log('info', `[Popup Repository] Fetching repository data for ${currentOwner}/${currentRepo} (Ref: ${currentRef || 'default'})`); // Reduced noise
-
-    const fetchStatusRef = currentRef ? `ref ${currentRef}` : 'default branch';
-    ui.showStatus(`Fetching file tree for ${currentOwner}/${currentRepo} (${fetchStatusRef})...`);
-
-    try {
-        const repoTreeResult = await getRepoTree(currentOwner, currentRepo, currentRef);
-
-        const validTreeData = repoTreeResult.tree.filter(item =>
-            item && item.path && (item.type === 'blob' || item.type === 'tree')
-        );
-
-        fileTreeData.length = 0;
-        fileTreeData.push(...validTreeData);
-        isTruncated = repoTreeResult.truncated;
-        actualRefUsed = repoTreeResult.ref;
-
-        // log('info', `[Popup Repository] Received ${fileTreeData.length} valid tree items. Truncated: ${isTruncated}. Actual Ref Used: ${actualRefUsed}`); // Reduced noise
-
-        if (currentRef !== actualRefUsed) {
-             // log('info', `[Popup Repository] Updating UI branch display to actual ref used: ${actualRefUsed}`); // Reduced noise
-             ui.updateRepoBranch(actualRefUsed);
-        }
-
-        if (fileTreeData.length === 0 && !isTruncated) {
-            ui.showStatus(`Repository tree for ref '${actualRefUsed}' appears to be empty or inaccessible.`, true);
-        } else if (isTruncated) {
-            ui.showStatus(`Warning: Repository tree for ref '${actualRefUsed}' is large and may be incomplete.`, true);
-        } else {
-            ui.clearMessages();
-        }
-
-        ui.showStatus("Calculating folder sizes...");
-        calculatedFolderSizes = calculateAllFolderSizes(fileTreeData);
-        ui.clearMessages();
-
-        return true;
-
-    } catch (error) {
-        // --- MODIFIED CATCH BLOCK ---
-        if (error instanceof ApiAuthError) {
-            // Log handled auth error with 'info' level for regular console, not 'error'
-            log('info', `[Popup Repository] Handled ApiAuthError fetching data for ref '${currentRef || 'default'}':`, error.message);
-            // If it's the specific 404/Auth error, show the friendly message
-            ui.showFriendlyError(
-                "Private Repository Access Denied",
-                "Could not fetch data. This might be a private repository. Please ensure a valid GitHub Personal Access Token (PAT) with 'repo' scope is added in the extension options."
-            );
-            ui.updateRepoTitle("Access Denied"); // Update title appropriately
-        } else {
-            // For all other *unexpected* errors, log with 'error' and show generic message
-            log('error', `[Popup Repository] Failed to fetch or process repository data for ref '${currentRef || 'default'}':`, error); // LOG UNEXPECTED ERRORS HERE
-            ui.showError(`Error loading data for ${fetchStatusRef}: ${error.message}. Check console.`);
-            ui.updateRepoTitle("Error Loading Data");
-        }
-        // --- END MODIFIED CATCH BLOCK ---
-
-        // Common cleanup for any error during fetch
-        resetRepositoryState();
-        ui.updateRepoBranch(null);
-        return false;
-    }
-}
-
-/** Gets current repository information including the ref used. */
-function getRepoInfo() {
-    return {
-        url: currentRepoUrl,
-        owner: currentOwner,
-        repo: currentRepo,
-        ref: actualRefUsed,
-        isTruncated
-    };
-}
-
-/** Gets the file tree data array. */
-function getFileTreeData() {
-    return fileTreeData;
-}
-
-/** Gets the calculated folder sizes map. */
-function getFolderSizes() {
-    return calculatedFolderSizes;
-}
-
-export {
-    initRepository,
-    resetRepositoryState,
-    detectRepository,
-    fetchRepositoryData,
-    getRepoInfo,
-    getFileTreeData,
-    getFolderSizes
-};
-
+// File: popup/popup_repository.js
+import { log, formatBytes } from './popup_utils.js';
+// Import specific functions and the custom error type
+import { getPullRequest, getPullRequestFiles, compareRefs, getIssueThread, getTreeBySha, isSupportedHost, ApiAuthError, RateLimitError } from '../common/github_api.js';
+import { getProviderForHost } from '../common/providers.js';
+import { parseGitmodules, resolveSubmoduleRepository } from '../common/submodules.js';
+import * as ui from './popup_ui.js';
+import { getItemPathKey, getParentFolderPath } from './popup_utils.js';
+
+console.log("[Popup Repository] Module loading...");
+
+// --- Constants ---
+const MAX_TREE_WALK_REQUESTS = 50; // Request budget for walking a truncated tree; folders beyond it load when expanded
+
+// --- Repository State ---
+let currentRepoUrl = null;
+let currentProvider = null; // The provider serving the tab's host (see providers.js)
+let currentHost = null;
+let currentOwner = null;
+let currentRepo = null;
+let currentRef = null;
+let actualRefUsed = null;
+let currentPathType = null; // 'tree' or 'blob' when the tab URL points inside the repository
+let currentSubPath = '';
+let currentPullNumber = null; // Set on pull request pages (/pull/N)
+let pullRequest = null; // The pull request and its changed files, once fetched
+let currentCompare = null; // { base, head } in compare mode (from a /compare/ URL or the compare pickers)
+let comparison = null; // The comparison result from compareRefs, once fetched
+let currentIssueNumber = null; // Set on issue pages (/issues/N)
+let issue = null; // The issue and its comment thread, once fetched
+let fileTreeData = [];
+let isTruncated = false;
+let calculatedFolderSizes = {};
+const gitmodulesShaByRoot = new Map(); // Superproject root path ('' for the repository itself) -> .gitmodules blob SHA
+const gitmodulesCache = new Map(); // Superproject root path -> Promise<Map<submodulePath, url>>
+
+// --- Private Helper Functions ---
+
+/**
+ * Calculates the total size of each folder recursively.
+ * @param {Array<object>} flatTreeData - The array of file/folder items.
+ * @returns {object} Map of { folderPathKey: size }
+ */
+function calculateAllFolderSizes(flatTreeData) {
+    // console.log('[Popup Repository] Starting calculation of all folder sizes...');
+    const startTime = performance.now();
+    const fileSizes = {};
+    const folderChildren = {};
+    const allItemKeys = new Set();
+
+    for (const item of flatTreeData) {
+        if (!item || !item.path || !item.type) continue;
+        const itemKey = getItemPathKey(item);
+        allItemKeys.add(itemKey);
+
+        if (item.type === 'blob' && typeof item.size === 'number') {
+            fileSizes[itemKey] = item.size;
+        } else if (item.type === 'tree') {
+            if (!folderChildren[itemKey]) folderChildren[itemKey] = [];
+        }
+
+        const parentKey = getParentFolderPath(itemKey);
+        if (parentKey) {
+            if (!folderChildren[parentKey]) folderChildren[parentKey] = [];
+            folderChildren[parentKey].push(itemKey);
+        } else if (parentKey === null && item.type === 'tree') {
+             if (!folderChildren[itemKey]) folderChildren[itemKey] = [];
+        }
+    }
+
+    const memo = {};
+
+    function getSize(pathKey) {
+        if (memo[pathKey] !== undefined) return memo[pathKey];
+        if (fileSizes[pathKey] !== undefined) {
+            memo[pathKey] = fileSizes[pathKey];
+            return fileSizes[pathKey];
+        }
+        if (folderChildren[pathKey]) {
+            let totalSize = 0;
+            for (const childKey of folderChildren[pathKey]) {
+                 if (allItemKeys.has(childKey)) {
+                    totalSize += getSize(childKey);
+                 }
+            }
+            memo[pathKey] = totalSize;
+            return totalSize;
+        }
+        memo[pathKey] = 0;
+        return 0;
+    }
+
+    const finalFolderSizes = {};
+    for (const folderKey in folderChildren) {
+         if (folderKey.endsWith('/')) {
+            finalFolderSizes[folderKey] = getSize(folderKey);
+         }
+    }
+
+    const endTime = performance.now();
+    // Reduced logging for performance
+    // log('info', `[Popup Repository] Folder size calculation complete in ${((endTime - startTime)).toFixed(1)}ms. Found sizes for ${Object.keys(finalFolderSizes).length} folders.`);
+
+    return finalFolderSizes;
+}
+
+/**
+ * Keeps only the tree entries the popup can display (files, folders, and submodules with a path).
+ * @param {Array<object>} items - Raw tree entries from the API.
+ * @returns {Array<object>} The displayable entries.
+ */
+function filterDisplayableItems(items) {
+    return items.filter(item =>
+        item && item.path && (item.type === 'blob' || item.type === 'tree' || item.type === 'commit')
+    );
+}
+
+/**
+ * Checks whether any folder is still waiting to be loaded. Submodules are not counted: they are
+ * separate repositories that only load on request, so they do not make the tree incomplete.
+ * @param {Array<object>} items - Tree entries.
+ * @returns {boolean}
+ */
+function hasUnloadedFolders(items) {
+    return items.some(item => item.unloaded && !item.submodule);
+}
+
+/**
+ * Describes the repository being browsed as a content source, in the same shape as submodule sources.
+ * @returns {{host: string, owner: string, repo: string, ref: string, rootPath: string}}
+ */
+function getRootSource() {
+    return { host: currentHost, owner: currentOwner, repo: currentRepo, ref: actualRefUsed, rootPath: '' };
+}
+
+/**
+ * Rewrites subtree-relative entry paths so they are relative to the repository root.
+ * Entries listed from a submodule are tagged with that submodule's source so their content is fetched from it.
+ * @param {Array<object>} items - Entries fetched for a subtree.
+ * @param {string} folderPath - The subtree's path from the root ('' for the root itself).
+ * @param {object | null} [source=null] - The submodule the entries belong to, or null for the browsed repository.
+ * @returns {Array<object>} New entry objects with root-relative paths.
+ */
+function prefixTreeItems(items, folderPath, source = null) {
+    return items.map(item => {
+        const prefixedItem = { ...item, path: folderPath ? `${folderPath}/${item.path}` : item.path };
+        if (source) {
+            prefixedItem.source = source;
+        }
+        return prefixedItem;
+    });
+}
+
+/**
+ * Loads and parses the .gitmodules file of a superproject (the browsed repository or a submodule).
+ * Failures are logged and treated as an empty file, so submodules still show but cannot be expanded.
+ * @param {{host: string, owner: string, repo: string, rootPath: string}} superproject - The repository containing the submodules.
+ * @returns {Promise<Map<string, string>>} Map of submodule path (relative to the superproject) to URL.
+ */
+function loadGitmodules(superproject) {
+    if (!gitmodulesCache.has(superproject.rootPath)) {
+        const gitmodulesSha = gitmodulesShaByRoot.get(superproject.rootPath);
+        const loadPromise = gitmodulesSha
+            ? getProviderForHost(superproject.host)
+                .then(provider => provider.getFileContentBySha(superproject.owner, superproject.repo, gitmodulesSha, superproject.host))
+                .then(fileContent => fileContent.type === 'text' ? parseGitmodules(fileContent.content) : new Map())
+                .catch(error => {
+                    log('warn', `[Popup Repository] Could not read .gitmodules for '${superproject.rootPath || '/'}':`, error);
+                    return new Map();
+                })
+            : Promise.resolve(new Map());
+        gitmodulesCache.set(superproject.rootPath, loadPromise);
+    }
+    return gitmodulesCache.get(superproject.rootPath);
+}
+
+/**
+ * Turns submodule entries (type 'commit') into folder items pinned at their commit.
+ * Submodules whose URL resolves to a repository on a supported host are marked `unloaded` so they load on expand;
+ * the rest are shown but cannot be expanded.
+ * Also records the superproject's .gitmodules blob when it is among the entries.
+ * @param {Array<object>} items - Root-relative entries; converted in place.
+ * @param {{host: string, owner: string, repo: string, rootPath: string}} superproject - The repository the entries were listed from.
+ * @returns {Promise<void>}
+ */
+async function convertSubmoduleEntries(items, superproject) {
+    const gitmodulesPath = superproject.rootPath ? `${superproject.rootPath}/.gitmodules` : '.gitmodules';
+    const gitmodulesItem = items.find(item => item.type === 'blob' && item.path === gitmodulesPath);
+    if (gitmodulesItem) {
+        gitmodulesShaByRoot.set(superproject.rootPath, gitmodulesItem.sha);
+    }
+
+    const submoduleItems = items.filter(item => item.type === 'commit');
+    if (submoduleItems.length === 0) {
+        return;
+    }
+
+    const urlsByPath = await loadGitmodules(superproject);
+    for (const item of submoduleItems) {
+        const relativePath = superproject.rootPath ? item.path.slice(superproject.rootPath.length + 1) : item.path;
+        const url = urlsByPath.get(relativePath) || null;
+        const repository = url ? resolveSubmoduleRepository(url, superproject) : null;
+        const canExpand = !!repository && await isSupportedHost(repository.host);
+
+        item.type = 'tree'; // Displayed and selected like a folder
+        item.submodule = {
+            commitSha: item.sha,
+            url,
+            source: canExpand ? { ...repository, ref: item.sha, rootPath: item.path } : null
+        };
+        if (canExpand) {
+            item.unloaded = true;
+        }
+    }
+}
+
+/**
+ * Loads the contents of one folder. The whole subtree is listed recursively when GitHub can return it
+ * untruncated; otherwise only the direct children are listed and subfolders are marked `unloaded`.
+ * @param {string} treeSha - The folder's tree SHA (or, for a submodule root, its pinned commit SHA).
+ * @param {string} folderPath - The folder's path from the root ('' for the root).
+ * @param {boolean} [skipRecursive=false] - List direct children only (used when the recursive listing is already known to truncate).
+ * @param {object | null} [source=null] - The submodule the folder belongs to, or null for the browsed repository.
+ * @returns {Promise<{items: Array<object>, pendingFolders: Array<object>, requestCount: number}>} Root-relative entries, the subfolders still to load, and the number of API requests used.
+ */
+async function fetchFolderContents(treeSha, folderPath, skipRecursive = false, source = null) {
+    const superproject = source || getRootSource();
+    const { host, owner, repo } = superproject;
+
+    if (!skipRecursive) {
+        const recursiveResult = await getTreeBySha(owner, repo, treeSha, true, host);
+        if (!recursiveResult.truncated) {
+            const items = prefixTreeItems(filterDisplayableItems(recursiveResult.tree), folderPath, source);
+            await convertSubmoduleEntries(items, superproject);
+            return { items, pendingFolders: [], requestCount: 1 };
+        }
+    }
+
+    const shallowResult = await getTreeBySha(owner, repo, treeSha, false, host);
+    const items = prefixTreeItems(filterDisplayableItems(shallowResult.tree), folderPath, source);
+    await convertSubmoduleEntries(items, superproject);
+    const pendingFolders = items.filter(item => item.type === 'tree' && !item.submodule);
+    pendingFolders.forEach(folder => { folder.unloaded = true; });
+    return { items, pendingFolders, requestCount: skipRecursive ? 1 : 2 };
+}
+
+/**
+ * Rebuilds a truncated repository tree folder by folder, starting from the root tree.
+ * Stops after MAX_TREE_WALK_REQUESTS; folders not reached keep their `unloaded` flag and load on expand.
+ * @param {string} rootTreeSha - The root tree SHA returned by getRepoTree.
+ * @returns {Promise<Array<object>>} All entries loaded by the walk.
+ */
+async function walkTruncatedTree(rootTreeSha) {
+    const rootContents = await fetchFolderContents(rootTreeSha, '', true);
+    const items = [...rootContents.items];
+    const pendingFolders = [...rootContents.pendingFolders];
+    let requestCount = rootContents.requestCount;
+
+    while (pendingFolders.length > 0 && requestCount < MAX_TREE_WALK_REQUESTS) {
+        const folder = pendingFolders.shift();
+        const contents = await fetchFolderContents(folder.sha, folder.path);
+        delete folder.unloaded;
+        items.push(...contents.items);
+        pendingFolders.push(...contents.pendingFolders);
+        requestCount += contents.requestCount;
+        ui.showStatus(`Loading large repository folder by folder... (${items.length.toLocaleString()} items, ${pendingFolders.length} folders pending)`);
+    }
+
+    return items;
+}
+
+
+// --- Public API ---
+
+/** Initializes the repository module. */
+function initRepository() {
+    // log('info', "[Popup Repository] Initializing repository module..."); // Reduced noise
+    resetRepositoryState();
+    // log('info', "[Popup Repository] Repository module initialized"); // Reduced noise
+    return {
+        fileTreeData,
+        getRepoInfo,
+        getFolderSizes,
+        getFileTreeData
+    };
+}
+
+/** Resets all repository state variables. */
+function resetRepositoryState() {
+    // log('info', '[Popup Repository] Resetting repository state'); // Reduced noise
+    currentRepoUrl = null;
+    currentProvider = null;
+    currentHost = null;
+    currentOwner = null;
+    currentRepo = null;
+    currentRef = null;
+    actualRefUsed = null;
+    currentPathType = null;
+    currentSubPath = '';
+    currentPullNumber = null;
+    pullRequest = null;
+    currentCompare = null;
+    comparison = null;
+    currentIssueNumber = null;
+    issue = null;
+    fileTreeData.length = 0;
+    isTruncated = false;
+    calculatedFolderSizes = {};
+    gitmodulesShaByRoot.clear();
+    gitmodulesCache.clear();
+}
+
+/** Checks if the URL looks like a GitHub domain (github.com or a github.* enterprise host). */
+function isGitHubUrl(url) {
+    try {
+        const urlObj = new URL(url);
+        return urlObj.hostname === 'github.com' || urlObj.hostname.includes('github.');
+    } catch (error) {
+        return false;
+    }
+}
+
+/** Extracts the lowercase host name from a URL, or null if it cannot be parsed. */
+function getUrlHost(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+
+/**
+ * Fetches the pull request being viewed and its changed files, and points the ref at its head commit.
+ * @returns {Promise<void>}
+ * @throws {Error | ApiAuthError | RateLimitError} If either request fails.
+ */
+async function loadPullRequest() {
+    ui.showStatus(`Fetching pull request #${currentPullNumber}...`);
+    const [pullRequestData, files] = await Promise.all([
+        getPullRequest(currentOwner, currentRepo, currentPullNumber, currentHost),
+        getPullRequestFiles(currentOwner, currentRepo, currentPullNumber, currentHost)
+    ]);
+    pullRequest = { ...pullRequestData, files };
+    // The head commit is reachable from the base repository even for pull requests from forks
+    currentRef = pullRequest.headSha;
+}
+
+/**
+ * Compares the selected base and head refs, and points the ref at the head commit.
+ * Without commits beyond base, the head is the merge base, so that commit is used.
+ * @returns {Promise<void>}
+ * @throws {Error | ApiAuthError | RateLimitError} If the comparison fails, or the head of a fork has no commit to load.
+ */
+async function loadComparison() {
+    ui.showStatus(`Comparing ${currentCompare.base || 'default branch'}...${currentCompare.head}...`);
+    comparison = await compareRefs(currentOwner, currentRepo, currentCompare.base, currentCompare.head, currentHost);
+    // A fork head (`owner:branch`) is no ref of this repository, so only a commit SHA can stand for it
+    const headRef = comparison.head.includes(':') ? null : comparison.head;
+    currentRef = comparison.headSha || comparison.mergeBaseSha || headRef;
+    if (!currentRef) {
+        throw new Error(`Could not find the head commit of ${comparison.head}`);
+    }
+}
+
+/**
+ * Fetches the issue being viewed with its comment thread. A failure is logged and leaves `issue` unset,
+ * so the file tree still loads without the thread.
+ * @returns {Promise<void>}
+ */
+async function loadIssueThread() {
+    ui.showStatus(`Fetching issue #${currentIssueNumber}...`);
+    try {
+        issue = await getIssueThread(currentOwner, currentRepo, currentIssueNumber, currentHost);
+    } catch (error) {
+        log('warn', `[Popup Repository] Could not load issue #${currentIssueNumber}; copying without the thread:`, error);
+    }
+}
+
+/**
+ * Gets the label shown on the branch button: the pull request, the compared range, or the ref.
+ * @param {string | null} ref - The ref to show outside pull request and compare mode.
+ * @returns {string | null}
+ */
+function getRefLabel(ref) {
+    if (currentPullNumber) {
+        return `PR #${currentPullNumber}`;
+    }
+    if (currentCompare) {
+        return `${comparison?.base || currentCompare.base || 'default'}...${currentCompare.head}`;
+    }
+    return ref;
+}
+
+/**
+ * Tells whether the current provider's requests use the GitHub PAT (gists use the github.com PAT).
+ * @returns {boolean}
+ */
+function usesGitHubPat() {
+    return currentProvider?.id === 'github' || currentProvider?.id === 'gist';
+}
+
+/**
+ * Names the kind of token the current provider takes, for messages pointing at the extension options.
+ * @returns {string} E.g., 'GitHub Personal Access Token (PAT)' or 'GitLab access token'.
+ */
+function getTokenName() {
+    return usesGitHubPat() ? 'GitHub Personal Access Token (PAT)' : `${currentProvider?.name} access token`;
+}
+
+/**
+ * Builds the friendly error shown for an ApiAuthError, worded for its reason and the current provider's token.
+ * @param {ApiAuthError} error - The error, whose `reason` tells a rejected token, a repository the token cannot see,
+ *        and a repository that does not exist apart.
+ * @returns {{title: string, message: string, repoTitle: string}}
+ */
+function describeAuthError(error) {
+    const usesGitHubToken = usesGitHubPat();
+    const tokenName = getTokenName();
+    const repoName = currentProvider?.id === 'gist' ? 'This gist' : `${currentOwner}/${currentRepo}`;
+
+    if (error.reason === 'invalid_token') {
+        return {
+            title: "Token Rejected",
+            message: `The ${tokenName} used for ${currentHost} is invalid, expired, or revoked. Replace it (or the matching credential) in the extension options.`,
+            repoTitle: "Token Rejected"
+        };
+    }
+    if (error.reason === 'not_found') {
+        return {
+            title: "Repository Not Found",
+            message: `${repoName} does not exist, or the account behind the current token is not a member of it. Check the URL.`,
+            repoTitle: "Not Found"
+        };
+    }
+    return {
+        title: "Private Repository Access Denied",
+        message: usesGitHubToken
+            ? "Could not fetch data. This might be a private repository. Please ensure a valid GitHub Personal Access Token (PAT) with 'repo' scope (or a fine-grained token granted this repository) is added in the extension options."
+            : `Could not fetch data. This might be a private repository. Please ensure a ${tokenName} with read access is added in the extension options.`,
+        repoTitle: "Access Denied"
+    };
+}
+
+/**
+ * Tags the tree items of changed files with their change (status, line counts, and patch).
+ * @param {Array<object>} items - Tree entries; tagged in place.
+ * @param {Array<object>} changedFiles - Files from getPullRequestFiles or compareRefs.
+ */
+function markChangedItems(items, changedFiles) {
+    const changesByPath = new Map(changedFiles.map(file => [file.path, file]));
+    for (const item of items) {
+        const change = changesByPath.get(item.path);
+        if (change) {
+            item.change = change;
+        }
+    }
+}
+
+/**
+ * Narrows the tree to the changed files and the folders containing them, for compare mode.
+ * Removed files, and changed files the tree walk did not reach, are added as entries of their own
+ * (with an unknown size of 0) so every change can be selected.
+ * @param {Array<object>} items - Tree entries at the head commit.
+ * @param {Array<object>} changedFiles - Files from compareRefs.
+ * @returns {Array<object>} The narrowed, tagged entries.
+ */
+function filterToChangedItems(items, changedFiles) {
+    const folderPaths = new Set();
+    for (const file of changedFiles) {
+        for (let slashIndex = file.path.lastIndexOf('/'); slashIndex > 0; slashIndex = file.path.lastIndexOf('/', slashIndex - 1)) {
+            folderPaths.add(file.path.slice(0, slashIndex));
+        }
+    }
+    const changedPaths = new Set(changedFiles.map(file => file.path));
+
+    const changedItems = items.filter(item => changedPaths.has(item.path) || (item.type === 'tree' && folderPaths.has(item.path)));
+    for (const item of changedItems) {
+        if (!item.submodule) {
+            delete item.unloaded; // Only the changed files inside are shown, so there is nothing left to load
+        }
+    }
+
+    const presentPaths = new Set(changedItems.map(item => item.path));
+    for (const folderPath of folderPaths) {
+        if (!presentPaths.has(folderPath)) {
+            changedItems.push({ path: folderPath, type: 'tree', sha: null });
+        }
+    }
+    for (const file of changedFiles) {
+        if (!presentPaths.has(file.path)) {
+            changedItems.push({ path: file.path, type: 'blob', sha: file.sha, size: 0 });
+        }
+    }
+
+    markChangedItems(changedItems, changedFiles);
+    return changedItems;
+}
+
+/**
+ * Detects the current repository from the active tab URL.
+ * Updates UI with Repo Name and Branch.
+ * @returns {Promise<object | null>} Repository info object { url, provider, host, owner, repo, ref, pathType, subPath, pullNumber, issueNumber, compare } or null.
+ */
+async function detectRepository() {
+    // log('info', "[Popup Repository] Detecting repository from active tab..."); // Reduced noise
+    ui.updateRepoTitle("Detecting...", "Attempting to detect repository from URL");
+    ui.updateRepoBranch(null);
+
+    try {
+        const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+
+        if (!tabs || tabs.length === 0 || !tabs[0].url) {
+            log('warn', "[Popup Repository] Could not access the current tab URL immediately.");
+            currentRepoUrl = null;
+             ui.showFriendlyError("Cannot Access Tab", "Could not read the URL of the current tab.");
+             throw new Error("no_tab_url");
+        }
+
+        currentRepoUrl = tabs[0].url;
+        // log('info', `[Popup Repository] Current URL: ${currentRepoUrl}`); // Reduced noise
+
+        const tabHost = getUrlHost(currentRepoUrl);
+        const provider = await getProviderForHost(tabHost);
+        if (!provider) {
+            if (isGitHubUrl(currentRepoUrl)) {
+                ui.showFriendlyError(
+                    "Enterprise Host Not Configured",
+                    `Add '${tabHost}' with its API base URL (e.g., https://${tabHost}/api/v3) in the extension options and refresh.`
+                );
+            } else {
+                // log('info', "[Popup Repository] Not on a supported site. URL:", currentRepoUrl); // Reduced noise
+                ui.showFriendlyError(
+                    "Requires Repository Page",
+                    "Please navigate to a repository page on GitHub, GitLab or Gitea (or a GitHub gist) and refresh. Self-hosted GitLab and Gitea servers can be added in the extension options. Bitbucket is not supported."
+                );
+            }
+            throw new Error("not_github");
+        }
+
+        const repoInfo = provider.parseRepoUrl(currentRepoUrl);
+
+        if (!repoInfo || !repoInfo.owner || !repoInfo.repo) {
+            // log('info', "[Popup Repository] Not on a GitHub repository page or URL malformed. URL:", currentRepoUrl); // Reduced noise
+            ui.showFriendlyError(
+                 "Repository Not Found",
+                 "Navigate to a repository's main page or code tab and refresh."
+             );
+             throw new Error("not_repo");
+        }
+
+        currentProvider = provider;
+        ui.setRefSwitchingEnabled(!!provider.getRefChoices);
+        currentHost = repoInfo.host;
+        currentOwner = repoInfo.owner;
+        currentRepo = repoInfo.repo;
+        currentRef = repoInfo.ref;
+        currentPathType = repoInfo.pathType;
+        currentSubPath = repoInfo.subPath;
+        currentPullNumber = repoInfo.pullNumber;
+        currentCompare = repoInfo.compare;
+        currentIssueNumber = repoInfo.issueNumber;
+
+        // Branch names may contain slashes, so find where the ref ends and the sub-path starts
+        if (repoInfo.refPath) {
+            try {
+                const resolved = await currentProvider.resolveRefAndPath(currentOwner, currentRepo, repoInfo.refPath, currentHost);
+                currentRef = resolved.ref;
+                currentSubPath = resolved.subPath;
+            } catch (error) {
+                log('warn', `[Popup Repository] Could not resolve ref from '${repoInfo.refPath}', assuming '${currentRef}':`, error);
+            }
+        }
+
+        // log('info', `[Popup Repository] Detected repository: ${currentOwner}/${currentRepo}, Ref in URL: ${currentRef || 'None (implies default)'}`); // Reduced noise
+
+        ui.updateRepoTitle(`${currentOwner}/${currentRepo}`, `Repository: ${currentOwner}/${currentRepo}`);
+        ui.updateRepoBranch(getRefLabel(currentRef));
+
+        return {
+            url: currentRepoUrl,
+            provider: currentProvider,
+            host: currentHost,
+            owner: currentOwner,
+            repo: currentRepo,
+            ref: currentRef,
+            pathType: currentPathType,
+            subPath: currentSubPath,
+            pullNumber: currentPullNumber,
+            issueNumber: currentIssueNumber,
+            compare: currentCompare
+        };
+
+    } catch (error) {
+         if (error.message === "not_github" || error.message === "not_repo" || error.message === "no_tab_url") {
+             throw error; // Re-throw known errors for coordinator
+         }
+         // Handle unexpected errors
+         log('error', "[Popup Repository] Unexpected error during repository detection:", error); // Keep this error log
+         ui.showError(`Repository detection failed: ${error.message}`);
+         ui.updateRepoTitle("Detection Error");
+         ui.updateRepoBranch(null);
+         resetRepositoryState();
+         return null;
+    }
+}
+
+/**
+ * Fetches the repository file tree data using the detected owner, repo, and ref.
+ * On a pull request page, the pull request is fetched first and the tree is listed at its head commit.
+ * In compare mode, the refs are compared first and the tree is narrowed to the changed files at the head commit.
+ * On an issue page, the issue thread is fetched after the tree.
+ * Calculates folder sizes. Updates UI with the actual ref used.
+ * @returns {Promise<boolean>} True if data fetch and processing was successful, false otherwise.
+ */
+async function fetchRepositoryData() {
+    if (!currentOwner || !currentRepo) {
+         // This log should ideally not happen if detectRepository works, but keep as error just in case
+         log('error', "[Popup Repository] Cannot fetch data: Owner or repo not detected.");
+         return false;
+    }
+    // log('info', `[Popup Repository] Fetching repository data for ${currentOwner}/${currentRepo} (Ref: ${currentRef || 'default'})`); // Reduced noise
+
+    const fetchStatusRef = currentPullNumber ? `pull request #${currentPullNumber}` : (currentCompare ? `comparison ${getRefLabel(null)}` : (currentRef ? `ref ${currentRef}` : 'default branch'));
+    ui.showStatus(`Fetching file tree for ${currentOwner}/${currentRepo} (${fetchStatusRef})...`);
+
+    try {
+        if (currentPullNumber && !pullRequest) {
+            await loadPullRequest();
+        }
+        if (currentCompare && !comparison) {
+            await loadComparison();
+        }
+
+        const repoTreeResult = await currentProvider.getRepoTree(currentOwner, currentRepo, currentRef, currentHost);
+
+        let treeItems = repoTreeResult.tree;
+        if (repoTreeResult.truncated && repoTreeResult.sha) {
+            ui.showStatus(`Repository tree for ref '${repoTreeResult.ref}' is too large for one request. Loading folder by folder...`);
+            treeItems = await walkTruncatedTree(repoTreeResult.sha);
+        }
+
+        actualRefUsed = repoTreeResult.ref;
+        let validTreeData = filterDisplayableItems(treeItems);
+        await convertSubmoduleEntries(validTreeData, getRootSource());
+        if (pullRequest) {
+            markChangedItems(validTreeData, pullRequest.files);
+        } else if (comparison) {
+            validTreeData = filterToChangedItems(validTreeData, comparison.files);
+        }
+
+        fileTreeData.length = 0;
+        fileTreeData.push(...validTreeData);
+        if (currentSubPath && !currentPathType) {
+            // Some providers' URLs (e.g. Gitea's /src/) do not say whether the path is a file or a folder
+            const subPathItem = findItemByPath(currentSubPath);
+            currentPathType = subPathItem ? (subPathItem.type === 'tree' ? 'tree' : 'blob') : null;
+        }
+        // Still truncated only if the walk was unavailable or left folders to load on expand
+        isTruncated = repoTreeResult.truncated && (!repoTreeResult.sha || hasUnloadedFolders(validTreeData));
+
+        // log('info', `[Popup Repository] Received ${fileTreeData.length} valid tree items. Truncated: ${isTruncated}. Actual Ref Used: ${actualRefUsed}`); // Reduced noise
+
+        if (pullRequest || comparison) {
+            ui.updateRepoBranch(getRefLabel(actualRefUsed));
+        } else if (currentRef !== actualRefUsed) {
+             // log('info', `[Popup Repository] Updating UI branch display to actual ref used: ${actualRefUsed}`); // Reduced noise
+             ui.updateRepoBranch(actualRefUsed);
+        }
+
+        if (comparison && fileTreeData.length === 0) {
+            ui.showStatus(`No files changed between ${comparison.base} and ${comparison.head}.`, true);
+        } else if (fileTreeData.length === 0 && !isTruncated) {
+            ui.showStatus(`Repository tree for ref '${actualRefUsed}' appears to be empty or inaccessible.`, true);
+        } else if (isTruncated && repoTreeResult.sha) {
+            ui.showStatus(`Large repository: some folders for ref '${actualRefUsed}' load when expanded.`, true);
+        } else if (isTruncated) {
+            ui.showStatus(`Warning: Repository tree for ref '${actualRefUsed}' is large and may be incomplete.`, true);
+        } else {
+            ui.clearMessages();
+        }
+
+        if (currentIssueNumber && !issue) {
+            await loadIssueThread();
+        }
+
+        ui.showStatus("Calculating folder sizes...");
+        calculatedFolderSizes = calculateAllFolderSizes(fileTreeData);
+        ui.clearMessages();
+
+        return true;
+
+    } catch (error) {
+        // --- MODIFIED CATCH BLOCK ---
+        if (error instanceof ApiAuthError) {
+            // Log handled auth error with 'info' level for regular console, not 'error'
+            log('info', `[Popup Repository] Handled ApiAuthError fetching data for ref '${currentRef || 'default'}':`, error.message);
+            // If it's the specific 401/404 auth error, show the friendly message for its cause
+            const { title, message, repoTitle } = describeAuthError(error);
+            ui.showFriendlyError(title, message);
+            ui.updateRepoTitle(repoTitle);
+        } else if (error instanceof RateLimitError) {
+            log('info', `[Popup Repository] Rate limited fetching data for ref '${currentRef || 'default'}':`, error.message);
+            ui.showFriendlyError(
+                "Rate Limited",
+                `${error.message} Adding a ${getTokenName()} in the extension options raises the limit.`
+            );
+            ui.updateRepoTitle("Rate Limited");
+        } else {
+            // For all other *unexpected* errors, log with 'error' and show generic message
+            log('error', `[Popup Repository] Failed to fetch or process repository data for ref '${currentRef || 'default'}':`, error); // LOG UNEXPECTED ERRORS HERE
+            ui.showError(`Error loading data for ${fetchStatusRef}: ${error.message}. Check console.`);
+            ui.updateRepoTitle("Error Loading Data");
+        }
+        // --- END MODIFIED CATCH BLOCK ---
+
+        // Common cleanup for any error during fetch
+        resetRepositoryState();
+        ui.updateRepoBranch(null);
+        return false;
+    }
+}
+
+/**
+ * Reloads the tree at another ref or comparison (see fetchRepositoryData). Pull request mode is left.
+ * The sub-path from the tab URL is kept, so it can still be focused if it exists at the new ref.
+ * If the fetch fails, the previous ref, tree, and branch label are put back, so the popup stays usable and another ref
+ * can be picked without a refresh.
+ * @param {string | null} ref - The ref to load, or null in compare mode.
+ * @param {{base: string, head: string} | null} compareRange - The refs to compare, or null to leave compare mode.
+ * @returns {Promise<boolean>} True if the new tree was fetched successfully.
+ */
+async function reloadAt(ref, compareRange) {
+    const previousState = {
+        currentRepoUrl, currentProvider, currentHost, currentOwner, currentRepo, currentRef, actualRefUsed, currentPathType, currentSubPath,
+        currentPullNumber, pullRequest, currentCompare, comparison, currentIssueNumber, issue, isTruncated, calculatedFolderSizes
+    };
+    const previousTreeData = [...fileTreeData];
+    const previousGitmodulesShas = new Map(gitmodulesShaByRoot);
+    const previousGitmodules = new Map(gitmodulesCache);
+    currentRef = ref;
+    currentPullNumber = null;
+    pullRequest = null;
+    currentCompare = compareRange;
+    comparison = null;
+    gitmodulesShaByRoot.clear();
+    gitmodulesCache.clear();
+
+    const success = await fetchRepositoryData();
+    if (!success) {
+        ({
+            currentRepoUrl, currentProvider, currentHost, currentOwner, currentRepo, currentRef, actualRefUsed, currentPathType, currentSubPath,
+            currentPullNumber, pullRequest, currentCompare, comparison, currentIssueNumber, issue, isTruncated, calculatedFolderSizes
+        } = previousState);
+        fileTreeData.length = 0;
+        fileTreeData.push(...previousTreeData); // Same array: the coordinator holds a reference to it
+        previousGitmodulesShas.forEach((sha, rootPath) => gitmodulesShaByRoot.set(rootPath, sha));
+        previousGitmodules.forEach((gitmodules, rootPath) => gitmodulesCache.set(rootPath, gitmodules));
+        ui.updateRepoTitle(`${currentOwner}/${currentRepo}`, `Repository: ${currentOwner}/${currentRepo}`);
+        ui.updateRepoBranch(getRefLabel(actualRefUsed));
+    }
+    return success;
+}
+
+/**
+ * Switches to another branch, tag, or commit and fetches its tree. Leaves pull request and compare mode.
+ * @param {string} ref - The branch, tag, or commit SHA to switch to.
+ * @returns {Promise<boolean>} True if the new tree was fetched successfully.
+ */
+function switchRef(ref) {
+    return reloadAt(ref, null);
+}
+
+/**
+ * Enters compare mode for two refs: the tree shows only the files changed between them, at the head ref.
+ * @param {string} base - The base branch, tag, or commit SHA.
+ * @param {string} head - The head branch, tag, or commit SHA.
+ * @returns {Promise<boolean>} True if the comparison and tree were fetched successfully.
+ */
+function switchToComparison(base, head) {
+    return reloadAt(null, { base, head });
+}
+
+/**
+ * Loads the contents of a folder left unloaded by the truncated-tree walk, or of a submodule at its pinned commit,
+ * and merges them into fileTreeData. Recalculates folder sizes afterwards.
+ * @param {string} folderPathKey - The folder's path key (ending with '/').
+ * @returns {Promise<Array<object>>} The newly added entries (empty if the folder was already loaded).
+ * @throws {Error | ApiAuthError | RateLimitError} If fetching the folder fails.
+ */
+async function loadFolderContents(folderPathKey) {
+    const folderPath = folderPathKey.replace(/\/$/, '');
+    const folderItem = fileTreeData.find(item => item.type === 'tree' && item.path === folderPath);
+    if (!folderItem || !folderItem.unloaded) {
+        return [];
+    }
+
+    const source = folderItem.submodule ? folderItem.submodule.source : (folderItem.source || null);
+    const contents = await fetchFolderContents(folderItem.sha, folderItem.path, false, source);
+    delete folderItem.unloaded;
+    fileTreeData.push(...contents.items);
+    isTruncated = hasUnloadedFolders(fileTreeData);
+    calculatedFolderSizes = calculateAllFolderSizes(fileTreeData);
+    return contents.items;
+}
+
+/** Gets current repository information including the provider, the ref used and, in pull request, compare or issue mode, the pull request, comparison or issue. */
+function getRepoInfo() {
+    return {
+        url: currentRepoUrl,
+        provider: currentProvider,
+        host: currentHost,
+        owner: currentOwner,
+        repo: currentRepo,
+        ref: actualRefUsed,
+        pathType: currentPathType,
+        subPath: currentSubPath,
+        pullRequest,
+        comparison,
+        issue,
+        isTruncated
+    };
+}
+
+/**
+ * Finds the tree item at a path.
+ * @param {string} path - The item path (without a trailing slash).
+ * @returns {object | undefined} The item, if it is in the loaded tree.
+ */
+function findItemByPath(path) {
+    return fileTreeData.find(item => item.path === path);
+}
+
+/** Gets the file tree data array. */
+function getFileTreeData() {
+    return fileTreeData;
+}
+
+/** Gets the calculated folder sizes map. */
+function getFolderSizes() {
+    return calculatedFolderSizes;
+}
+
+export {
+    initRepository,
+    resetRepositoryState,
+    detectRepository,
+    fetchRepositoryData,
+    switchRef,
+    switchToComparison,
+    loadFolderContents,
+    findItemByPath,
+    getRepoInfo,
+    getFileTreeData,
+    getFolderSizes
+};
+
 // console.log("[Popup Repository] Module loaded."); // Reduced noise
\ No newline at end of file
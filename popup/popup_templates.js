@@ -0,0 +1,72 @@
+// File: popup/popup_templates.js
+// A small template engine for prompt prefixes, suffixes and the custom file header:
+// `{{name}}` inserts a value and `{{#if name}}...{{else}}...{{/if}}` keeps a block depending on it.
+
+// Innermost {{#if}} block first (its body holds no other {{#if}}), so nested blocks resolve from the inside out
+const IF_BLOCK_PATTERN = /\{\{#if\s+(\w+)\s*\}\}((?:(?!\{\{#if\s)[\s\S])*?)\{\{\/if\}\}/;
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const ELSE_TAG = '{{else}}';
+
+/**
+ * Tells whether a value counts as set in an `{{#if}}` block: empty strings, 0, false, null, undefined and empty arrays do not.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * Renders a template. Blocks are resolved on the template text before any value is inserted, and values are
+ * inserted in a single pass, so braces inside values (e.g., file content) are never read as template syntax.
+ * Unknown variables and unbalanced tags are left as written.
+ * @param {string} template - The template text.
+ * @param {Object<string, any>} values - The variable values; arrays are inserted one item per line.
+ * @returns {string} The rendered text.
+ */
+function renderTemplate(template, values) {
+    let text = template;
+    let match;
+    while ((match = IF_BLOCK_PATTERN.exec(text)) !== null) {
+        const [block, name, body] = match;
+        const elseIndex = body.indexOf(ELSE_TAG); // Only the first {{else}} splits the block; later ones stay as text
+        const whenSet = elseIndex === -1 ? body : body.slice(0, elseIndex);
+        const whenUnset = elseIndex === -1 ? '' : body.slice(elseIndex + ELSE_TAG.length);
+        text = text.slice(0, match.index) + (Object.hasOwn(values, name) && isTruthy(values[name]) ? whenSet : whenUnset) + text.slice(match.index + block.length);
+    }
+    return text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+        const isKnown = Object.hasOwn(values, name); // Not `in`, which also matches inherited keys like 'constructor'
+        if (!isKnown || values[name] === null || values[name] === undefined) {
+            return isKnown ? '' : placeholder;
+        }
+        return Array.isArray(values[name]) ? values[name].join('\n') : String(values[name]);
+    });
+}
+
+/**
+ * Tells whether a template refers to a variable, as a value or in an `{{#if}}` block.
+ * Used to skip work for values no template needs (e.g., counting tokens twice).
+ * @param {string} template - The template text.
+ * @param {string} name - The variable name.
+ * @returns {boolean}
+ */
+function usesTemplateVariable(template, name) {
+    return new RegExp(`\\{\\{\\s*(?:#if\\s+)?${name}\\s*\\}\\}`).test(template || '');
+}
+
+/**
+ * Tells whether a template inserts a variable's value (`{{name}}`, spaces allowed inside the braces), as renderTemplate reads it.
+ * Used to check that a template keeps a value it cannot do without (e.g., the file content).
+ * @param {string} template - The template text.
+ * @param {string} name - The variable name.
+ * @returns {boolean}
+ */
+function insertsTemplateVariable(template, name) {
+    return [...(template || '').matchAll(VARIABLE_PATTERN)].some(match => match[1] === name);
+}
+
+export {
+    renderTemplate,
+    usesTemplateVariable,
+    insertsTemplateVariable
+};
@@ -0,0 +1,140 @@
+// File: popup/popup_tree_map.js
+// The directory tree map section of the copied context: an ASCII tree in the style of the `tree` command,
+// built from fileTreeData, so the model sees the project layout even for files that are not pasted.
+import { formatBytes, getItemPathKey } from './popup_utils.js';
+
+const TREE_MAP_MODES = [
+    { id: 'off', name: 'Off' },
+    { id: 'repository', name: 'Whole repository' },
+    { id: 'selected', name: 'Selected files' }
+];
+const DEFAULT_TREE_MAP_MODE = 'off';
+const MAX_TREE_MAP_LINES = 5000; // Keeps the section within reason for very large repositories
+
+/**
+ * Builds the folder hierarchy of the items to draw. Parent folders missing from the items are added,
+ * so a file selected deep in the tree is still shown under its folders.
+ * @param {Array<object>} items - The file tree items to draw ({ path, type, size, ... }).
+ * @returns {{children: Map<string, object>}} The root node; each node has `name`, `item` (null for added folders) and `children` (null for files).
+ */
+function buildHierarchy(items) {
+    const root = { children: new Map() };
+    for (const item of items) {
+        const parts = item.path.split('/').filter(Boolean);
+        let node = root;
+        parts.forEach((part, index) => {
+            const isLastPart = index === parts.length - 1;
+            let child = node.children.get(part);
+            if (!child) {
+                child = { name: part, item: null, children: new Map() };
+                node.children.set(part, child);
+            }
+            if (isLastPart) {
+                child.item = item;
+                if (item.type === 'blob') {
+                    child.children = null;
+                }
+            }
+            node = child;
+        });
+    }
+    return root;
+}
+
+/**
+ * Describes a tree map entry: its name (folders end with '/'), its size if asked for, and what the tree cannot show
+ * (submodules, and folders not loaded from a truncated tree).
+ * @param {object} node - A node of the hierarchy.
+ * @param {object | null} folderSizes - Map of { folderPathKey: size } from calculateAllFolderSizes, or null to leave out sizes.
+ * @returns {string} E.g., "src/ (12.4 KB)" or "vendor/lib/ [submodule @ 1a2b3c4]".
+ */
+function describeEntry(node, folderSizes) {
+    const { item } = node;
+    const isFolder = node.children !== null;
+    let label = isFolder ? `${node.name}/` : node.name;
+    if (folderSizes && item) {
+        const size = isFolder ? folderSizes[getItemPathKey(item)] : item.size;
+        if (typeof size === 'number') {
+            label += ` (${formatBytes(size, 1)})`;
+        }
+    }
+    if (item?.submodule) {
+        label += ` [submodule @ ${item.submodule.commitSha.slice(0, 7)}]`;
+    } else if (item?.unloaded) {
+        label += ' [not loaded]';
+    }
+    return label;
+}
+
+/**
+ * Sorts the children of a node by name, the way `tree` does (folders and files mixed).
+ * @param {object} node - A node of the hierarchy.
+ * @returns {Array<object>}
+ */
+function getSortedChildren(node) {
+    return [...node.children.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Builds the ASCII tree map of a repository.
+ * @param {Array<object>} fileTreeData - The flat file tree data.
+ * @param {object} [options={}] - Optional settings.
+ * @param {string} [options.rootName='.'] - The name on the first line (e.g., 'owner/repo').
+ * @param {Set<string> | null} [options.selectedPaths=null] - File paths to limit the map to (with their folders), or null for the whole tree.
+ * @param {object | null} [options.folderSizes=null] - Map of { folderPathKey: size } from calculateAllFolderSizes to show sizes, or null.
+ *        In "selected files" mode a folder's size is still that of the whole folder.
+ * @returns {string} The tree, ending with a "N directories, M files" line.
+ */
+function buildTreeMap(fileTreeData, options = {}) {
+    const { rootName = '.', selectedPaths = null, folderSizes = null } = options;
+    const selectedFolders = new Set();
+    selectedPaths?.forEach(path => {
+        for (let index = path.indexOf('/'); index !== -1; index = path.indexOf('/', index + 1)) {
+            selectedFolders.add(path.slice(0, index));
+        }
+    });
+    const items = fileTreeData.filter(item => {
+        if (!item || typeof item.path !== 'string' || (item.type !== 'blob' && item.type !== 'tree')) return false;
+        if (!selectedPaths) return true;
+        return item.type === 'blob' ? selectedPaths.has(item.path) : selectedFolders.has(item.path);
+    });
+    const root = buildHierarchy(items);
+
+    const lines = [rootName];
+    let folderCount = 0;
+    let fileCount = 0;
+    let omittedCount = 0;
+
+    const drawChildren = (node, indent) => {
+        const children = getSortedChildren(node);
+        children.forEach((child, index) => {
+            const isLast = index === children.length - 1;
+            if (child.children === null) {
+                fileCount++;
+            } else {
+                folderCount++;
+            }
+            if (lines.length < MAX_TREE_MAP_LINES) {
+                lines.push(`${indent}${isLast ? '└── ' : '├── '}${describeEntry(child, folderSizes)}`);
+            } else {
+                omittedCount++;
+            }
+            if (child.children) {
+                drawChildren(child, `${indent}${isLast ? '    ' : '│   '}`);
+            }
+        });
+    };
+    drawChildren(root, '');
+
+    if (omittedCount > 0) {
+        lines.push(`[${omittedCount.toLocaleString()} more entries not shown]`);
+    }
+    lines.push('', `${folderCount.toLocaleString()} ${folderCount === 1 ? 'directory' : 'directories'}, ${fileCount.toLocaleString()} ${fileCount === 1 ? 'file' : 'files'}`);
+    return lines.join('\n');
+}
+
+export {
+    TREE_MAP_MODES,
+    DEFAULT_TREE_MAP_MODE,
+    buildTreeMap
+};
@@ -1,321 +1,524 @@
-// File: popup/popup_ui.js
-import { log } from './popup_utils.js'; // log is primarily for errors/warnings now
-
-// --- Constants ---
-const REFRESH_ICON_BUSY = '🔄'; // Unicode refresh symbol
-const COPY_ICON_DEFAULT = '📋'; // Unicode clipboard symbol
-const DEFAULT_LOAD_TIME_TEXT = "";
-const DEFAULT_BRANCH_TEXT = "default branch";
-
-// --- DOM Elements Cache ---
-let repoTitleElement = null;
-let repoBranchElement = null;
-let copyButton = null;
-let refreshButton = null;
-let statusMessageElement = null;
-let errorMessageElement = null;
-let expandAllButton = null;
-let collapseAllButton = null;
-let selectedCountElement = null;
-// Removed: selectedSizeElement = null;
-// Removed: selectedTokensElement = null;
-let selectedSizeFooterElement = null; // Added for footer
-let selectedTokensFooterElement = null; // Added for footer
-let fileTreeContainer = null;
-let perfStatsElement = null;
-
-// Store original button text/HTML to restore later
-let originalCopyButtonHTML = '';
-
-/**
- * Initializes the UI module by caching DOM element references.
- */
-function initUI() {
-    repoTitleElement = document.getElementById('repo-title');
-    repoBranchElement = document.getElementById('repo-branch');
-    copyButton = document.getElementById('copy-button');
-    refreshButton = document.getElementById('refresh-button');
-    statusMessageElement = document.getElementById('status-message');
-    errorMessageElement = document.getElementById('error-message');
-    expandAllButton = document.getElementById('expand-all');
-    collapseAllButton = document.getElementById('collapse-all');
-    selectedCountElement = document.getElementById('selected-count');
-    // Added: cache new footer elements
-    selectedSizeFooterElement = document.getElementById('selected-size-footer');
-    selectedTokensFooterElement = document.getElementById('selected-tokens-footer');
-    fileTreeContainer = document.getElementById('file-tree-container');
-    perfStatsElement = document.getElementById('perf-stats');
-
-    if (copyButton) {
-        originalCopyButtonHTML = copyButton.innerHTML;
-        const iconElement = copyButton.querySelector('.icon');
-        if (iconElement) iconElement.textContent = COPY_ICON_DEFAULT;
-    } else {
-        log('warn', "[Popup UI] Copy button not found during init.");
-    }
-
-    if (perfStatsElement) {
-        perfStatsElement.textContent = DEFAULT_LOAD_TIME_TEXT;
-    }
-
-    if (!repoBranchElement) {
-        log('warn', "[Popup UI] Repo branch element not found during init.");
-    }
-
-    // Updated checks for new footer elements
-    if (!selectedSizeFooterElement) {
-        log('warn', "[Popup UI] Selected size footer element not found during init.");
-    }
-    if (!selectedTokensFooterElement) {
-        log('warn', "[Popup UI] Selected tokens footer element not found during init.");
-    }
-}
-
-// --- Message Display Functions ---
-
-/**
- * Displays a status message. Clears error message.
- * @param {string} message The message to display.
- * @param {boolean} [isWarning=false] If true, uses warning styling.
- */
-function showStatus(message, isWarning = false) {
-    if (!statusMessageElement || !errorMessageElement) {
-        log('warn', "[Popup UI] Status/Error element not found for message:", message);
-        return;
-    }
-    errorMessageElement.classList.add('hidden');
-    errorMessageElement.textContent = '';
-    statusMessageElement.textContent = message;
-    statusMessageElement.classList.remove('hidden');
-    statusMessageElement.classList.toggle('error', isWarning);
-    statusMessageElement.classList.toggle('status', !isWarning);
-}
-
-/**
- * Displays an error message. Clears status message.
- * @param {string} message The error message to display.
- */
-function showError(message) {
-    if (!statusMessageElement || !errorMessageElement) {
-         log('warn', "[Popup UI] Status/Error element not found for error message:", message);
-         return;
-    }
-    log('error', `[Popup UI] Error displayed: ${message}`);
-    statusMessageElement.classList.add('hidden');
-    statusMessageElement.textContent = '';
-    errorMessageElement.textContent = message;
-    errorMessageElement.classList.remove('hidden');
-    errorMessageElement.classList.add('error');
-}
-
-/**
- * Displays a user-friendly error message (e.g., not on GitHub).
- * @param {string} title - The main error title.
- * @param {string} description - More detailed explanation.
- */
-function showFriendlyError(title, description) {
-    if (!statusMessageElement || !errorMessageElement) {
-        log('warn', "[Popup UI] Status/Error element not found for friendly error message");
-        return;
-    }
-    log('info', `[Popup UI] Friendly error displayed: ${title} - ${description}`);
-    statusMessageElement.classList.add('hidden');
-    statusMessageElement.textContent = '';
-
-    errorMessageElement.innerHTML = `
-        <strong>${title}</strong>
-        <p>${description}</p>
-    `;
-    errorMessageElement.classList.remove('hidden');
-    errorMessageElement.classList.add('error');
-
-    if (fileTreeContainer) {
-        fileTreeContainer.innerHTML = '';
-    }
-    setControlsDisabled();
-    setRefreshDisabled(false);
-    updateRepoBranch(null);
-}
-
-/** Clears status or error messages. */
-function clearMessages() {
-    if (statusMessageElement) {
-        statusMessageElement.classList.add('hidden');
-        statusMessageElement.textContent = '';
-        statusMessageElement.classList.remove('error', 'status');
-    }
-    if (errorMessageElement) {
-        errorMessageElement.classList.add('hidden');
-        errorMessageElement.textContent = '';
-    }
-}
-
-// --- Header and Info Update Functions ---
-
-/**
- * Updates the main repository title (owner/repo part).
- * @param {string} title - Text for the title (e.g., "owner/repo").
- * @param {string} [tooltip=''] - Optional tooltip text.
- */
-function updateRepoTitle(title, tooltip = '') {
-    if (repoTitleElement) {
-        const textNode = repoTitleElement.childNodes[0];
-        if (textNode && textNode.nodeType === Node.TEXT_NODE) {
-            textNode.textContent = title + ' ';
-        } else {
-            repoTitleElement.textContent = title + ' ';
-            log('warn', "[Popup UI] Repo title structure unexpected, resetting textContent.");
-            if (repoBranchElement && !repoTitleElement.contains(repoBranchElement)) {
-                repoTitleElement.appendChild(repoBranchElement);
-            }
-        }
-        repoTitleElement.title = tooltip || title;
-    } else {
-         log('warn', "[Popup UI] Repo title element not found.");
-    }
-}
-
-/**
- * Updates the branch/ref display in the header.
- * @param {string | null} refName - The branch/tag/SHA name, or null/undefined for default.
- */
-function updateRepoBranch(refName) {
-    if (repoBranchElement) {
-        if (refName && typeof refName === 'string') {
-            repoBranchElement.textContent = refName;
-            repoBranchElement.title = `Current ref: ${refName}`;
-            repoBranchElement.classList.remove('hidden');
-        } else {
-            repoBranchElement.textContent = DEFAULT_BRANCH_TEXT;
-            repoBranchElement.title = 'Default repository branch';
-            repoBranchElement.classList.remove('hidden');
-        }
-    } else {
-        log('warn', "[Popup UI] Repo branch element not found.");
-    }
-}
-
-
-/**
- * Updates selected file count (in controls) and total size (in footer).
- * @param {number} count - Number of selected files.
- * @param {string} formattedSize - Human-readable size string for the footer.
- */
-function updateSelectionInfo(count, formattedSize) {
-    if (selectedCountElement) {
-        selectedCountElement.textContent = `Selected: ${count} file${count !== 1 ? 's' : ''}`;
-    }
-    // Updated: Target the footer element for size
-    if (selectedSizeFooterElement) {
-        selectedSizeFooterElement.textContent = `Total Size: ${formattedSize}`;
-    } else {
-        log('warn', "[Popup UI] Selected size footer element not found for update.");
-    }
-}
-
-/**
- * Updates the estimated token count display in the footer.
- * @param {number} estimatedTokens - The calculated estimate.
- */
-function updateTokenEstimate(estimatedTokens) {
-    // Updated: Target the footer element for tokens
-    if (selectedTokensFooterElement) {
-        const displayTokens = estimatedTokens >= 1000
-            ? `${(estimatedTokens / 1000).toFixed(1)}k`
-            : estimatedTokens;
-        selectedTokensFooterElement.textContent = `Est. Tokens: ~${displayTokens}`;
-    } else {
-        log('warn', "[Popup UI] Selected tokens footer element not found for update.");
-    }
-}
-
-/**
- * Updates performance stats display.
- * @param {string} text - Text to display (e.g., "Load time: 1.23s").
- */
-function updatePerformanceStats(text) {
-    if (perfStatsElement) {
-        perfStatsElement.textContent = text || DEFAULT_LOAD_TIME_TEXT;
-    }
-}
-
-// --- Control Button State Functions ---
-
-/** Sets initial disabled state for controls. */
-function setControlsDisabled() {
-    if (copyButton) copyButton.disabled = true;
-    if (expandAllButton) expandAllButton.disabled = true;
-    if (collapseAllButton) collapseAllButton.disabled = true;
-    if (refreshButton) refreshButton.disabled = false;
-}
-
-/**
- * Sets disabled state for Refresh button.
- * @param {boolean} disabled - True to disable, false to enable.
- */
-function setRefreshDisabled(disabled) {
-     if (refreshButton) {
-         refreshButton.disabled = disabled;
-     }
-}
-
-
-/**
- * Updates enabled/disabled state of controls based on application state.
- * @param {boolean} hasItems - Whether file tree has items.
- * @param {boolean} hasSelection - Whether files are selected.
- */
-function updateControlsState(hasItems, hasSelection) {
-    if (copyButton) {
-        const isBusy = copyButton.dataset.busy === 'true';
-        copyButton.disabled = isBusy || !hasSelection;
-    }
-    if (expandAllButton) {
-        expandAllButton.disabled = !hasItems;
-    }
-    if (collapseAllButton) {
-        collapseAllButton.disabled = !hasItems;
-    }
-    if (refreshButton) {
-        const isCopyBusy = copyButton?.dataset?.busy === 'true';
-        if (!isCopyBusy) refreshButton.disabled = false;
-    }
-}
-
-/**
- * Updates visual state of Copy button during operation.
- * @param {boolean} isBusy - True if copy operation is in progress.
- */
-function setCopyButtonBusy(isBusy) {
-    if (!copyButton) {
-        log('warn', "[Popup UI] Copy button not found.");
-        return;
-    }
-    copyButton.dataset.busy = isBusy ? 'true' : 'false';
-
-    if (isBusy) {
-        copyButton.disabled = true;
-        copyButton.innerHTML = `<span class="icon">${REFRESH_ICON_BUSY}</span> Copying...`;
-    } else {
-        copyButton.innerHTML = originalCopyButtonHTML;
-        const iconElement = copyButton.querySelector('.icon');
-        if (iconElement) iconElement.textContent = COPY_ICON_DEFAULT;
-    }
-}
-
-export {
-    initUI,
-    showStatus,
-    showError,
-    showFriendlyError,
-    clearMessages,
-    updateRepoTitle,
-    updateRepoBranch,
-    updateSelectionInfo, // Updates count (controls) and size (footer)
-    updateTokenEstimate, // Updates tokens (footer)
-    updatePerformanceStats,
-    setControlsDisabled,
-    setRefreshDisabled,
-    updateControlsState,
-    setCopyButtonBusy
+// File: popup/popup_ui.js
+import { log } from './popup_utils.js'; // log is primarily for errors/warnings now
+
+// --- Constants ---
+const REFRESH_ICON_BUSY = '🔄'; // Unicode refresh symbol
+const COPY_ICON_DEFAULT = '📋'; // Unicode clipboard symbol
+const DEFAULT_LOAD_TIME_TEXT = "";
+const DEFAULT_BRANCH_TEXT = "default branch";
+const RATE_LIMIT_LOW_FRACTION = 0.1; // Highlight the quota once less than 10% remains
+
+// --- DOM Elements Cache ---
+let repoTitleElement = null;
+let repoBranchElement = null;
+let copyButton = null;
+let refreshButton = null;
+let cancelButton = null;
+let retryFailedButton = null;
+let statusMessageElement = null;
+let errorMessageElement = null;
+let expandAllButton = null;
+let collapseAllButton = null;
+let selectedCountElement = null;
+// Removed: selectedSizeElement = null;
+// Removed: selectedTokensElement = null;
+let selectedSizeFooterElement = null; // Added for footer
+let selectedTokensFooterElement = null; // Added for footer
+let fileTreeContainer = null;
+let perfStatsElement = null;
+let rateLimitFooterElement = null;
+let pathFocusBarElement = null;
+let pathFocusLabelElement = null;
+let pathFocusShowButton = null;
+let pathFocusSelectOnlyButton = null;
+let pullRequestBarElement = null;
+let pullRequestLabelElement = null;
+let issueBarElement = null;
+let issueLabelElement = null;
+let issueSelectMentionedButton = null;
+let compareBarElement = null;
+let compareBaseButton = null;
+let compareHeadButton = null;
+let compareSummaryElement = null;
+let refSwitchingEnabled = true; // False for providers without the branch/tag picker
+
+// Store original button text/HTML to restore later
+let originalCopyButtonHTML = '';
+
+/**
+ * Initializes the UI module by caching DOM element references.
+ */
+function initUI() {
+    repoTitleElement = document.getElementById('repo-title');
+    repoBranchElement = document.getElementById('repo-branch');
+    copyButton = document.getElementById('copy-button');
+    refreshButton = document.getElementById('refresh-button');
+    cancelButton = document.getElementById('cancel-button');
+    retryFailedButton = document.getElementById('retry-failed-button');
+    statusMessageElement = document.getElementById('status-message');
+    errorMessageElement = document.getElementById('error-message');
+    expandAllButton = document.getElementById('expand-all');
+    collapseAllButton = document.getElementById('collapse-all');
+    selectedCountElement = document.getElementById('selected-count');
+    // Added: cache new footer elements
+    selectedSizeFooterElement = document.getElementById('selected-size-footer');
+    selectedTokensFooterElement = document.getElementById('selected-tokens-footer');
+    fileTreeContainer = document.getElementById('file-tree-container');
+    perfStatsElement = document.getElementById('perf-stats');
+    rateLimitFooterElement = document.getElementById('rate-limit-footer');
+    pathFocusBarElement = document.getElementById('path-focus-bar');
+    pathFocusLabelElement = document.getElementById('path-focus-label');
+    pathFocusShowButton = document.getElementById('path-focus-show');
+    pathFocusSelectOnlyButton = document.getElementById('path-focus-select-only');
+    pullRequestBarElement = document.getElementById('pull-request-bar');
+    pullRequestLabelElement = document.getElementById('pull-request-label');
+    issueBarElement = document.getElementById('issue-bar');
+    issueLabelElement = document.getElementById('issue-label');
+    issueSelectMentionedButton = document.getElementById('issue-select-mentioned');
+    compareBarElement = document.getElementById('compare-bar');
+    compareBaseButton = document.getElementById('compare-base');
+    compareHeadButton = document.getElementById('compare-head');
+    compareSummaryElement = document.getElementById('compare-summary');
+
+    if (copyButton) {
+        originalCopyButtonHTML = copyButton.innerHTML;
+        const iconElement = copyButton.querySelector('.icon');
+        if (iconElement) iconElement.textContent = COPY_ICON_DEFAULT;
+    } else {
+        log('warn', "[Popup UI] Copy button not found during init.");
+    }
+
+    if (perfStatsElement) {
+        perfStatsElement.textContent = DEFAULT_LOAD_TIME_TEXT;
+    }
+
+    if (!repoBranchElement) {
+        log('warn', "[Popup UI] Repo branch element not found during init.");
+    }
+
+    // Updated checks for new footer elements
+    if (!selectedSizeFooterElement) {
+        log('warn', "[Popup UI] Selected size footer element not found during init.");
+    }
+    if (!selectedTokensFooterElement) {
+        log('warn', "[Popup UI] Selected tokens footer element not found during init.");
+    }
+}
+
+// --- Message Display Functions ---
+
+/**
+ * Displays a status message. Clears error message.
+ * @param {string} message The message to display.
+ * @param {boolean} [isWarning=false] If true, uses warning styling.
+ */
+function showStatus(message, isWarning = false) {
+    if (!statusMessageElement || !errorMessageElement) {
+        log('warn', "[Popup UI] Status/Error element not found for message:", message);
+        return;
+    }
+    errorMessageElement.classList.add('hidden');
+    errorMessageElement.textContent = '';
+    statusMessageElement.textContent = message;
+    statusMessageElement.classList.remove('hidden');
+    statusMessageElement.classList.toggle('error', isWarning);
+    statusMessageElement.classList.toggle('status', !isWarning);
+}
+
+/**
+ * Displays an error message. Clears status message.
+ * @param {string} message The error message to display.
+ */
+function showError(message) {
+    if (!statusMessageElement || !errorMessageElement) {
+         log('warn', "[Popup UI] Status/Error element not found for error message:", message);
+         return;
+    }
+    log('error', `[Popup UI] Error displayed: ${message}`);
+    statusMessageElement.classList.add('hidden');
+    statusMessageElement.textContent = '';
+    errorMessageElement.textContent = message;
+    errorMessageElement.classList.remove('hidden');
+    errorMessageElement.classList.add('error');
+}
+
+/**
+ * Displays a user-friendly error message (e.g., not on GitHub).
+ * @param {string} title - The main error title.
+ * @param {string} description - More detailed explanation.
+ */
+function showFriendlyError(title, description) {
+    if (!statusMessageElement || !errorMessageElement) {
+        log('warn', "[Popup UI] Status/Error element not found for friendly error message");
+        return;
+    }
+    log('info', `[Popup UI] Friendly error displayed: ${title} - ${description}`);
+    statusMessageElement.classList.add('hidden');
+    statusMessageElement.textContent = '';
+
+    errorMessageElement.innerHTML = `
+        <strong>${title}</strong>
+        <p>${description}</p>
+    `;
+    errorMessageElement.classList.remove('hidden');
+    errorMessageElement.classList.add('error');
+
+    if (fileTreeContainer) {
+        fileTreeContainer.innerHTML = '';
+    }
+    setControlsDisabled();
+    setRefreshDisabled(false);
+    updateRepoBranch(null);
+}
+
+/** Clears status or error messages. */
+function clearMessages() {
+    if (statusMessageElement) {
+        statusMessageElement.classList.add('hidden');
+        statusMessageElement.textContent = '';
+        statusMessageElement.classList.remove('error', 'status');
+    }
+    if (errorMessageElement) {
+        errorMessageElement.classList.add('hidden');
+        errorMessageElement.textContent = '';
+    }
+}
+
+// --- Header and Info Update Functions ---
+
+/**
+ * Updates the main repository title (owner/repo part).
+ * @param {string} title - Text for the title (e.g., "owner/repo").
+ * @param {string} [tooltip=''] - Optional tooltip text.
+ */
+function updateRepoTitle(title, tooltip = '') {
+    if (repoTitleElement) {
+        const textNode = repoTitleElement.childNodes[0];
+        if (textNode && textNode.nodeType === Node.TEXT_NODE) {
+            textNode.textContent = title + ' ';
+        } else {
+            repoTitleElement.textContent = title + ' ';
+            log('warn', "[Popup UI] Repo title structure unexpected, resetting textContent.");
+            if (repoBranchElement && !repoTitleElement.contains(repoBranchElement)) {
+                repoTitleElement.appendChild(repoBranchElement);
+            }
+        }
+        repoTitleElement.title = tooltip || title;
+    } else {
+         log('warn', "[Popup UI] Repo title element not found.");
+    }
+}
+
+/**
+ * Updates the branch/ref display in the header.
+ * @param {string | null} refName - The branch/tag/SHA name, or null/undefined for default.
+ */
+function updateRepoBranch(refName) {
+    if (repoBranchElement) {
+        if (refName && typeof refName === 'string') {
+            repoBranchElement.textContent = refName;
+            repoBranchElement.title = `Current ref: ${refName}.${refSwitchingEnabled ? ' Click to switch branch, tag, or commit.' : ''}`;
+            repoBranchElement.classList.remove('hidden');
+        } else {
+            repoBranchElement.textContent = DEFAULT_BRANCH_TEXT;
+            repoBranchElement.title = `Default repository branch.${refSwitchingEnabled ? ' Click to switch branch, tag, or commit.' : ''}`;
+            repoBranchElement.classList.remove('hidden');
+        }
+    } else {
+        log('warn', "[Popup UI] Repo branch element not found.");
+    }
+}
+
+
+/**
+ * Enables or disables switching refs from the branch label, for providers that do not support the picker.
+ * Takes effect on the label's next update.
+ * @param {boolean} enabled - Whether the branch label opens the picker.
+ */
+function setRefSwitchingEnabled(enabled) {
+    refSwitchingEnabled = enabled;
+    if (repoBranchElement) {
+        repoBranchElement.disabled = !enabled;
+    }
+}
+
+/**
+ * Updates selected file count (in controls) and total size (in footer).
+ * @param {number} count - Number of selected files.
+ * @param {string} formattedSize - Human-readable size string for the footer.
+ */
+function updateSelectionInfo(count, formattedSize) {
+    if (selectedCountElement) {
+        selectedCountElement.textContent = `Selected: ${count} file${count !== 1 ? 's' : ''}`;
+    }
+    // Updated: Target the footer element for size
+    if (selectedSizeFooterElement) {
+        selectedSizeFooterElement.textContent = `Total Size: ${formattedSize}`;
+    } else {
+        log('warn', "[Popup UI] Selected size footer element not found for update.");
+    }
+}
+
+/**
+ * Updates the estimated token count display in the footer.
+ * @param {number} estimatedTokens - The calculated estimate.
+ */
+function updateTokenEstimate(estimatedTokens) {
+    // Updated: Target the footer element for tokens
+    if (selectedTokensFooterElement) {
+        const displayTokens = estimatedTokens >= 1000
+            ? `${(estimatedTokens / 1000).toFixed(1)}k`
+            : estimatedTokens;
+        selectedTokensFooterElement.textContent = `Est. Tokens: ~${displayTokens}`;
+    } else {
+        log('warn', "[Popup UI] Selected tokens footer element not found for update.");
+    }
+}
+
+/**
+ * Updates performance stats display.
+ * @param {string} text - Text to display (e.g., "Load time: 1.23s").
+ */
+function updatePerformanceStats(text) {
+    if (perfStatsElement) {
+        perfStatsElement.textContent = text || DEFAULT_LOAD_TIME_TEXT;
+    }
+}
+
+/**
+ * Updates the API quota display in the footer.
+ * @param {{limit: number | null, remaining: number | null, resetAt: number | null, pausedUntil: number | null} | null} status - Rate limit state from the API layer, or null to hide.
+ */
+function updateRateLimitInfo(status) {
+    if (!rateLimitFooterElement) {
+        return;
+    }
+    if (!status || (status.remaining === null && !status.pausedUntil)) {
+        rateLimitFooterElement.textContent = '';
+        rateLimitFooterElement.classList.add('hidden');
+        return;
+    }
+
+    const formatTime = timestamp => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    let text;
+    let isWarning;
+    if (status.pausedUntil) {
+        text = `API: rate limited, resuming at ${formatTime(status.pausedUntil)}`;
+        isWarning = true;
+    } else {
+        const limitText = typeof status.limit === 'number' ? `/${status.limit.toLocaleString()}` : '';
+        const resetText = status.resetAt ? ` (resets ${formatTime(status.resetAt)})` : '';
+        text = `API: ${status.remaining.toLocaleString()}${limitText}${resetText}`;
+        isWarning = typeof status.limit === 'number' && status.remaining < status.limit * RATE_LIMIT_LOW_FRACTION;
+    }
+
+    rateLimitFooterElement.textContent = text;
+    rateLimitFooterElement.classList.toggle('warning', isWarning);
+    rateLimitFooterElement.classList.remove('hidden');
+}
+
+/**
+ * Shows the bar offering to focus the folder or file the tab URL points at.
+ * @param {string} subPath - The path from the URL.
+ * @param {boolean} isFolder - True for a folder (tree URL), false for a file (blob URL).
+ */
+function showPathFocusBar(subPath, isFolder) {
+    if (!pathFocusBarElement) {
+        return;
+    }
+    pathFocusLabelElement.textContent = `${isFolder ? 'Folder' : 'File'} from URL: ${subPath}`;
+    pathFocusLabelElement.title = subPath;
+    pathFocusSelectOnlyButton.textContent = isFolder ? 'Select only this folder' : 'Select only this file';
+    pathFocusShowButton.disabled = false;
+    pathFocusSelectOnlyButton.disabled = false;
+    pathFocusBarElement.classList.remove('hidden');
+}
+
+/** Hides the URL path focus bar. */
+function hidePathFocusBar() {
+    if (pathFocusBarElement) {
+        pathFocusBarElement.classList.add('hidden');
+    }
+}
+
+/**
+ * Shows the bar for pull request mode with the pull request's number, title, and changed file count.
+ * @param {{number: number, title: string, files: Array<object>}} pullRequest - The pull request being viewed.
+ */
+function showPullRequestBar(pullRequest) {
+    if (!pullRequestBarElement) {
+        return;
+    }
+    pullRequestLabelElement.textContent = `#${pullRequest.number}: ${pullRequest.title} (${pullRequest.files.length} changed file${pullRequest.files.length !== 1 ? 's' : ''})`;
+    pullRequestLabelElement.title = pullRequest.title;
+    pullRequestBarElement.classList.remove('hidden');
+}
+
+/** Hides the pull request bar. */
+function hidePullRequestBar() {
+    if (pullRequestBarElement) {
+        pullRequestBarElement.classList.add('hidden');
+    }
+}
+
+/**
+ * Shows the bar for issue mode with the issue title and the files its thread mentions.
+ * @param {{number: number, title: string}} issue - The issue being viewed.
+ * @param {Array<string>} mentionedPaths - Files in the tree mentioned by the thread.
+ */
+function showIssueBar(issue, mentionedPaths) {
+    if (!issueBarElement) {
+        return;
+    }
+    const mentionText = mentionedPaths.length > 0
+        ? `${mentionedPaths.length} file${mentionedPaths.length !== 1 ? 's' : ''} mentioned`
+        : 'no files mentioned';
+    issueLabelElement.textContent = `Issue #${issue.number}: ${issue.title} · ${mentionText}`;
+    issueLabelElement.title = mentionedPaths.length > 0 ? `Mentioned in the thread:\n${mentionedPaths.join('\n')}` : issue.title;
+    issueSelectMentionedButton.disabled = mentionedPaths.length === 0;
+    issueBarElement.classList.remove('hidden');
+}
+
+/** Hides the issue bar. */
+function hideIssueBar() {
+    if (issueBarElement) {
+        issueBarElement.classList.add('hidden');
+    }
+}
+
+/**
+ * Shows the compare bar with the base and head refs and a summary of the comparison.
+ * @param {string} base - The base ref.
+ * @param {string} head - The head ref.
+ * @param {string} summary - A short description (e.g., the number of changed files, or a hint to pick the refs).
+ */
+function showCompareBar(base, head, summary) {
+    if (!compareBarElement) {
+        return;
+    }
+    compareBaseButton.textContent = base;
+    compareBaseButton.title = `Base ref: ${base}. Click to pick a branch, tag, or commit.`;
+    compareHeadButton.textContent = head;
+    compareHeadButton.title = `Head ref: ${head}. Click to pick a branch, tag, or commit.`;
+    compareSummaryElement.textContent = summary;
+    compareSummaryElement.title = summary;
+    compareBarElement.classList.remove('hidden');
+}
+
+/** Hides the compare bar. */
+function hideCompareBar() {
+    if (compareBarElement) {
+        compareBarElement.classList.add('hidden');
+    }
+}
+
+// --- Control Button State Functions ---
+
+/** Sets initial disabled state for controls. */
+function setControlsDisabled() {
+    if (copyButton) copyButton.disabled = true;
+    if (expandAllButton) expandAllButton.disabled = true;
+    if (collapseAllButton) collapseAllButton.disabled = true;
+    if (refreshButton) refreshButton.disabled = false;
+}
+
+/**
+ * Sets disabled state for Refresh button.
+ * @param {boolean} disabled - True to disable, false to enable.
+ */
+function setRefreshDisabled(disabled) {
+     if (refreshButton) {
+         refreshButton.disabled = disabled;
+     }
+}
+
+
+/**
+ * Updates enabled/disabled state of controls based on application state.
+ * @param {boolean} hasItems - Whether file tree has items.
+ * @param {boolean} hasSelection - Whether files are selected.
+ */
+function updateControlsState(hasItems, hasSelection) {
+    if (copyButton) {
+        const isBusy = copyButton.dataset.busy === 'true';
+        copyButton.disabled = isBusy || !hasSelection;
+    }
+    if (expandAllButton) {
+        expandAllButton.disabled = !hasItems;
+    }
+    if (collapseAllButton) {
+        collapseAllButton.disabled = !hasItems;
+    }
+    if (refreshButton) {
+        const isCopyBusy = copyButton?.dataset?.busy === 'true';
+        if (!isCopyBusy) refreshButton.disabled = false;
+    }
+}
+
+/**
+ * Updates visual state of Copy button during operation.
+ * @param {boolean} isBusy - True if copy operation is in progress.
+ */
+function setCopyButtonBusy(isBusy) {
+    if (!copyButton) {
+        log('warn', "[Popup UI] Copy button not found.");
+        return;
+    }
+    copyButton.dataset.busy = isBusy ? 'true' : 'false';
+    if (cancelButton) {
+        cancelButton.classList.toggle('hidden', !isBusy);
+    }
+    if (retryFailedButton && isBusy) {
+        retryFailedButton.disabled = true;
+    }
+
+    if (isBusy) {
+        copyButton.disabled = true;
+        copyButton.innerHTML = `<span class="icon">${REFRESH_ICON_BUSY}</span> Copying...`;
+    } else {
+        copyButton.innerHTML = originalCopyButtonHTML;
+        const iconElement = copyButton.querySelector('.icon');
+        if (iconElement) iconElement.textContent = COPY_ICON_DEFAULT;
+        if (retryFailedButton) retryFailedButton.disabled = false;
+    }
+}
+
+/**
+ * Shows the "Retry failed" button with the number of files that failed, or hides it when there are none.
+ * @param {number} failedCount - Number of files that failed in the last copy.
+ */
+function updateRetryFailedButton(failedCount) {
+    if (!retryFailedButton) {
+        return;
+    }
+    retryFailedButton.classList.toggle('hidden', failedCount <= 0);
+    retryFailedButton.textContent = `Retry ${failedCount} failed`;
+}
+
+export {
+    initUI,
+    showStatus,
+    showError,
+    showFriendlyError,
+    clearMessages,
+    updateRepoTitle,
+    updateRepoBranch,
+    setRefSwitchingEnabled,
+    updateSelectionInfo, // Updates count (controls) and size (footer)
+    updateTokenEstimate, // Updates tokens (footer)
+    updatePerformanceStats,
+    updateRateLimitInfo, // Updates API quota (footer)
+    showPathFocusBar,
+    hidePathFocusBar,
+    showPullRequestBar,
+    hidePullRequestBar,
+    showIssueBar,
+    hideIssueBar,
+    showCompareBar,
+    hideCompareBar,
+    setControlsDisabled,
+    setRefreshDisabled,
+    updateControlsState,
+    setCopyButtonBusy,
+    updateRetryFailedButton
 };
\ No newline at end of file
@@ -0,0 +1,80 @@
+// File: popup/popup_unlock.js
+// Passphrase prompt for an encrypted GitHub PAT that has not been unlocked yet this browser session.
+import { log } from './popup_utils.js';
+import { getPatLockState, unlockGitHubPat } from '../common/storage.js';
+import { getOAuthTokenForHost } from '../common/provider_hosts.js';
+
+/**
+ * Shows the unlock bar when the stored PAT is encrypted and locked, and waits until the user unlocks it
+ * or continues without it. Resolves right away when there is nothing to unlock, or when an unexpired
+ * "Sign in with GitHub" token is sent to github.com instead of the PAT (see getGitHubToken).
+ * @returns {Promise<boolean>} True if the PAT is available (or was never encrypted), false if it stays locked.
+ */
+async function ensurePatUnlocked() {
+    if (await getPatLockState() !== 'locked') {
+        return true;
+    }
+    if (await getOAuthTokenForHost('github.com')) {
+        log('info', "[Popup Unlock] Signed in with GitHub; leaving the PAT locked.");
+        return false;
+    }
+
+    const unlockBar = document.getElementById('unlock-bar');
+    const passphraseInput = document.getElementById('unlock-passphrase');
+    const unlockButton = document.getElementById('unlock-button');
+    const skipButton = document.getElementById('unlock-skip');
+    const errorElement = document.getElementById('unlock-error');
+
+    unlockBar.classList.remove('hidden');
+    passphraseInput.focus();
+
+    return new Promise(resolve => {
+        const finish = unlocked => {
+            unlockButton.removeEventListener('click', handleUnlock);
+            passphraseInput.removeEventListener('keydown', handleKeydown);
+            skipButton.removeEventListener('click', handleSkip);
+            passphraseInput.value = '';
+            unlockBar.classList.add('hidden');
+            resolve(unlocked);
+        };
+
+        const handleUnlock = async () => {
+            if (!passphraseInput.value) {
+                return;
+            }
+            unlockButton.disabled = true;
+            errorElement.textContent = '';
+            try {
+                if (await unlockGitHubPat(passphraseInput.value)) {
+                    log('info', "[Popup Unlock] GitHub PAT unlocked for this session.");
+                    finish(true);
+                    return;
+                }
+                errorElement.textContent = 'Wrong passphrase.';
+                passphraseInput.select();
+            } catch (error) {
+                log('error', "[Popup Unlock] Unlocking the GitHub PAT failed:", error);
+                errorElement.textContent = `Could not unlock: ${error.message}`;
+            } finally {
+                unlockButton.disabled = false;
+            }
+        };
+        const handleKeydown = event => {
+            if (event.key === 'Enter') {
+                handleUnlock();
+            }
+        };
+        const handleSkip = () => {
+            log('info', "[Popup Unlock] Continuing without the GitHub PAT.");
+            finish(false);
+        };
+
+        unlockButton.addEventListener('click', handleUnlock);
+        passphraseInput.addEventListener('keydown', handleKeydown);
+        skipButton.addEventListener('click', handleSkip);
+    });
+}
+
+export {
+    ensurePatUnlocked
+};